@@ -6,15 +6,33 @@ const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const inventoryService = require('./src/services/inventoryService');
+const cartRecoveryService = require('./src/services/cartRecoveryService');
+const twoFactorService = require('./src/services/twoFactorService');
+
+// Refuse to start rather than store two-factor secrets under a missing or shared key
+twoFactorService.assertConfigured();
 
 const app = express();
 
+// Behind a load balancer or CDN, req.ip (used for rate limits and sign-in
+// lockouts) is only the client's address when the proxies are trusted, e.g.
+// TRUST_PROXY=1 for one hop or a comma-separated list of proxy addresses
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(() => {
+  console.log('MongoDB connected');
+  inventoryService.startExpirySweeper();
+  cartRecoveryService.startRecoveryJob();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Middleware
@@ -24,6 +42,10 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
+
+// Webhooks verify signatures over the raw body, so they mount before the JSON parser
+app.use('/api/webhooks', require('./src/routes/webhooks'));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('combined'));
@@ -40,7 +62,16 @@ app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/products', require('./src/routes/products'));
 app.use('/api/categories', require('./src/routes/categories'));
 app.use('/api/orders', require('./src/routes/orders'));
+app.use('/api/shipments', require('./src/routes/shipments'));
+app.use('/api/returns', require('./src/routes/returns'));
+app.use('/api/shipping', require('./src/routes/shipping'));
+app.use('/api/tax', require('./src/routes/tax'));
+app.use('/api/currencies', require('./src/routes/currencies'));
+app.use('/api/metal-pricing', require('./src/routes/metalPricing'));
 app.use('/api/cart', require('./src/routes/cart'));
+app.use('/api/coupons', require('./src/routes/coupons'));
+app.use('/api/promotions', require('./src/routes/promotions'));
+app.use('/api/gift-cards', require('./src/routes/giftCards'));
 app.use('/api/reviews', require('./src/routes/reviews'));
 app.use('/api/blog', require('./src/routes/blog'));
 app.use('/api/customer-stories', require('./src/routes/customerStories'));
@@ -1,15 +1,46 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const authConfig = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+    expiresIn: process.env.JWT_EXPIRE || '15m', // Access tokens; sessions live on through refresh tokens
     algorithm: 'HS256',
     issuer: 'angara-jewelry',
     audience: 'angara-users'
   },
 
+  // Refresh token configuration
+  refreshToken: {
+    expiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30, // Idle time before a session ends
+    byteLength: 48
+  },
+
+  // Email verification links
+  emailVerification: {
+    expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24,
+    resendIntervalSeconds: 60 // Minimum wait before another link is sent
+  },
+
+  // Password reset links; the reset email promises one hour
+  passwordReset: {
+    expiresInMinutes: 60,
+    resendIntervalSeconds: 60
+  },
+
+  // TOTP two-factor authentication; roles listed in requiredRoles must enroll
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Angara Jewelry',
+    digits: 6,
+    period: 30,
+    window: 1, // Steps of clock drift accepted either side
+    recoveryCodeCount: 10,
+    challengeExpiresIn: '5m', // Time to enter the code after the password
+    requiredRoles: ['admin'],
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY // Required, and not to be shared with JWT_SECRET
+  },
+
   // Password configuration
   password: {
     saltRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
@@ -43,26 +74,48 @@ const authConfig = {
     }
   },
 
-  // Auth-specific rate limiting
+  // Auth-specific rate limiting. Each group of endpoints keeps its own count per
+  // IP, so using up one (e.g. sign-up) does not block another (e.g. sign-in).
   authRateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
     standardHeaders: true,
     legacyHeaders: false,
     message: {
       error: 'Too many authentication attempts, please try again later.'
+    },
+    max: {
+      login: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+      register: 10,
+      emailVerification: 10,
+      passwordReset: 10, // Reset emails and reset attempts
+      twoFactor: 20, // Sign-in codes and enrollment
+      oauth: 30 // Starting a provider sign-in and collecting its session
     }
   },
 
-  // Token blacklist configuration (for logout)
-  tokenBlacklist: {
-    enabled: true,
-    cleanupInterval: 60 * 60 * 1000, // 1 hour
-    maxSize: 10000 // Maximum number of blacklisted tokens to keep
+  // Failed sign-in tracking. Past the free attempts each failure adds a growing
+  // wait before the next try; reaching maxAttempts locks the account or IP out,
+  // for longer after each lockout.
+  loginProtection: {
+    account: {
+      freeAttempts: 3,
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10
+    },
+    ip: {
+      freeAttempts: 10,
+      maxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50
+    },
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 60,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    maxLockoutMinutes: 24 * 60,
+    windowMinutes: 60 // Failures older than this are forgotten
   },
 
-  // OAuth configuration (for future use)
+  // OAuth sign-in; redirect URIs point at /api/auth/oauth/:provider/callback
   oauth: {
+    stateExpiresInMinutes: 10, // Time to finish on the provider's page
+    handoffExpiresInSeconds: 120, // Time for the frontend to collect the session
     google: {
       clientId: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
@@ -90,14 +143,14 @@ const jwtUtils = {
     });
   },
 
-  // Generate refresh token
-  generateRefreshToken: (payload) => {
-    return jwt.sign(payload, authConfig.jwt.secret, {
-      expiresIn: '30d', // Refresh tokens last longer
-      algorithm: authConfig.jwt.algorithm,
-      issuer: authConfig.jwt.issuer,
-      audience: authConfig.jwt.audience
-    });
+  // Generate refresh token; an opaque secret, only its hash is stored
+  generateRefreshToken: () => {
+    return crypto.randomBytes(authConfig.refreshToken.byteLength).toString('hex');
+  },
+
+  // Hash a refresh token for storage and lookup
+  hashToken: (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
   },
 
   // Verify token
@@ -125,59 +178,7 @@ const jwtUtils = {
   }
 };
 
-// Token blacklist management
-let tokenBlacklist = new Set();
-
-const blacklistUtils = {
-  // Add token to blacklist
-  addToBlacklist: (token) => {
-    if (authConfig.tokenBlacklist.enabled) {
-      tokenBlacklist.add(token);
-      
-      // Clean up old tokens if blacklist gets too large
-      if (tokenBlacklist.size > authConfig.tokenBlacklist.maxSize) {
-        const tokensArray = Array.from(tokenBlacklist);
-        tokenBlacklist = new Set(tokensArray.slice(-authConfig.tokenBlacklist.maxSize / 2));
-      }
-    }
-  },
-
-  // Check if token is blacklisted
-  isBlacklisted: (token) => {
-    return authConfig.tokenBlacklist.enabled ? tokenBlacklist.has(token) : false;
-  },
-
-  // Clear expired tokens from blacklist
-  cleanupBlacklist: () => {
-    if (!authConfig.tokenBlacklist.enabled) return;
-
-    const now = Date.now() / 1000;
-    tokenBlacklist.forEach(token => {
-      try {
-        const decoded = jwt.decode(token);
-        if (decoded && decoded.exp < now) {
-          tokenBlacklist.delete(token);
-        }
-      } catch (error) {
-        // If token can't be decoded, remove it
-        tokenBlacklist.delete(token);
-      }
-    });
-  },
-
-  // Get blacklist size
-  getBlacklistSize: () => tokenBlacklist.size
-};
-
-// Set up periodic cleanup of blacklisted tokens
-if (authConfig.tokenBlacklist.enabled) {
-  setInterval(() => {
-    blacklistUtils.cleanupBlacklist();
-  }, authConfig.tokenBlacklist.cleanupInterval);
-}
-
 module.exports = {
   authConfig,
-  jwtUtils,
-  blacklistUtils
+  jwtUtils
 };
\ No newline at end of file
@@ -30,7 +30,7 @@ const emailConfig = {
 // Create transporter
 const createTransporter = () => {
   try {
-    const transporter = nodemailer.createTransporter({
+    const transporter = nodemailer.createTransport({
       host: emailConfig.host,
       port: emailConfig.port,
       secure: emailConfig.secure,
@@ -58,8 +58,7 @@ const emailUtils = {
         text,
         html,
         attachments = [],
-        template,
-        context = {}
+        template
       } = emailData;
 
       const transporter = createTransporter();
@@ -286,4 +285,11 @@ const testConnection = async () => {
     console.error('❌ Email server connection failed:', error.message);
     return false;
   }
+};
+
+module.exports = {
+  emailConfig,
+  emailUtils,
+  validateConfig,
+  testConnection
 };
\ No newline at end of file
@@ -90,14 +90,14 @@ const paypalUtils = {
   },
 
   // Execute payment
-  executePayment: async (paymentId, payerId, amount) => {
+  executePayment: async (paymentId, payerId, amount, currency = 'USD') => {
     try {
       const execute_payment_json = {
         payer_id: payerId,
         transactions: [{
           amount: {
-            currency: 'USD',
-            total: amount.toString()
+            currency: currency,
+            total: Number(amount).toFixed(2)
           }
         }]
       };
@@ -148,7 +148,7 @@ const paypalUtils = {
 
       const refund = {
         amount: {
-          total: amount.toString(),
+          total: Number(amount).toFixed(2),
           currency: currency
         },
         reason: reason
@@ -189,26 +189,28 @@ const paypalUtils = {
     }
   },
 
-  // Verify webhook signature
-  verifyWebhookSignature: (headers, body, webhookId) => {
-    try {
-      const expected_sig = headers['paypal-transmission-sig'];
-      const auth_algo = headers['paypal-auth-algo'];
-      const cert_id = headers['paypal-cert-id'];
-      const transmission_id = headers['paypal-transmission-id'];
-      const timestamp = headers['paypal-transmission-time'];
-
-      if (!expected_sig || !auth_algo || !cert_id || !transmission_id || !timestamp) {
-        return false;
-      }
+  // Verify webhook signature against PayPal's certificate; `body` is the raw request body
+  verifyWebhookSignature: (headers, body, webhookId = paypalConfig.webhook.id) => {
+    const expected_sig = headers['paypal-transmission-sig'];
+    const auth_algo = headers['paypal-auth-algo'];
+    const cert_id = headers['paypal-cert-url'] || headers['paypal-cert-id'];
+    const transmission_id = headers['paypal-transmission-id'];
+    const timestamp = headers['paypal-transmission-time'];
 
-      // PayPal webhook verification would require additional setup
-      // For now, we'll implement basic validation
-      return true;
-    } catch (error) {
-      console.error('PayPal webhook verification error:', error);
-      return false;
+    if (!expected_sig || !auth_algo || !cert_id || !transmission_id || !timestamp || !webhookId) {
+      return Promise.resolve(false);
     }
+
+    return new Promise((resolve) => {
+      paypal.notification.webhookEvent.verify(headers, body, webhookId, (error, response) => {
+        if (error) {
+          console.error('PayPal webhook verification error:', error);
+          resolve(false);
+        } else {
+          resolve(response && response.verification_status === 'SUCCESS');
+        }
+      });
+    });
   },
 
   // Get payment approval URL
@@ -36,27 +36,32 @@ const stripeUtils = {
         customerId,
         description = 'Angara Jewelry Purchase',
         metadata = {},
-        paymentMethodTypes = ['card'],
+        paymentMethodTypes, // Defaults to the methods enabled in the dashboard
         captureMethod = 'automatic',
-        confirmationMethod = 'automatic'
+        confirmationMethod = 'automatic',
+        receiptEmail,
+        idempotencyKey
       } = paymentData;
 
+      // Stripe rejects payment_method_types combined with automatic_payment_methods
+      const paymentMethodOptions = paymentMethodTypes
+        ? { payment_method_types: paymentMethodTypes }
+        : { automatic_payment_methods: { enabled: true } };
+
       const paymentIntent = await stripe.paymentIntents.create({
         amount: Math.round(amount * 100), // Convert to cents
         currency: currency.toLowerCase(),
         customer: customerId,
         description,
+        receipt_email: receiptEmail,
         metadata: {
           ...metadata,
           company: 'Angara Jewelry'
         },
-        payment_method_types: paymentMethodTypes,
+        ...paymentMethodOptions,
         capture_method: captureMethod,
-        confirmation_method: confirmationMethod,
-        automatic_payment_methods: {
-          enabled: true
-        }
-      });
+        confirmation_method: confirmationMethod
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       return paymentIntent;
     } catch (error) {
@@ -404,7 +409,8 @@ const stripeUtils = {
         currency = 'USD',
         customerDetails,
         lineItems,
-        shipping
+        shipping,
+        taxBehavior = 'exclusive'
       } = taxData;
 
       const calculation = await stripe.tax.calculations.create({
@@ -413,8 +419,10 @@ const stripeUtils = {
         line_items: lineItems,
         shipping_cost: shipping ? {
           amount: Math.round(shipping.amount * 100), // Convert to cents
-          shipping_rate: shipping.shipping_rate
-        } : undefined
+          shipping_rate: shipping.shipping_rate,
+          tax_behavior: shipping.shipping_rate ? undefined : taxBehavior
+        } : undefined,
+        expand: ['line_items']
       });
 
       return calculation;
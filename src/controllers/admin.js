@@ -1,7 +1,5 @@
+const mongoose = require('mongoose');
 const Analytics = require('../models/Analytics');
-const Product = require('../models/Product');
-const Order = require('../models/Order');
-const User = require('../models/User');
 const { validationResult } = require('express-validator');
 
 // @desc    Track analytics event
@@ -250,7 +248,7 @@ exports.getDashboardAnalytics = async (req, res) => {
       {
         $match: {
           timestamp: { $gte: startDate },
-          referrer: { $exists: true, $ne: null, $ne: '' }
+          referrer: { $exists: true, $nin: [null, ''] }
         }
       },
       {
@@ -350,7 +348,7 @@ exports.getProductAnalytics = async (req, res) => {
     };
 
     if (productId) {
-      matchStage.productId = mongoose.Types.ObjectId(productId);
+      matchStage.productId = new mongoose.Types.ObjectId(productId);
     }
 
     // Product view analytics
@@ -1,8 +1,7 @@
+const mongoose = require('mongoose');
 const Analytics = require('../models/Analytics');
-const Product = require('../models/Product');
-const Order = require('../models/Order');
-const User = require('../models/User');
 const { validationResult } = require('express-validator');
+const cartRecoveryService = require('../services/cartRecoveryService');
 
 // @desc    Track analytics event
 // @route   POST /api/analytics/track
@@ -250,7 +249,7 @@ exports.getDashboardAnalytics = async (req, res) => {
       {
         $match: {
           timestamp: { $gte: startDate },
-          referrer: { $exists: true, $ne: null, $ne: '' }
+          referrer: { $exists: true, $nin: [null, ''] }
         }
       },
       {
@@ -350,7 +349,7 @@ exports.getProductAnalytics = async (req, res) => {
     };
 
     if (productId) {
-      matchStage.productId = mongoose.Types.ObjectId(productId);
+      matchStage.productId = new mongoose.Types.ObjectId(productId);
     }
 
     // Product view analytics
@@ -840,4 +839,41 @@ exports.exportAnalytics = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// @desc    Get abandoned cart recovery analytics (Admin)
+// @route   GET /api/analytics/admin/cart-recovery
+// @access  Private/Admin
+exports.getCartRecoveryAnalytics = async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+
+    let startDate = new Date();
+    switch (period) {
+      case '7d':
+        startDate.setDate(startDate.getDate() - 7);
+        break;
+      case '30d':
+        startDate.setDate(startDate.getDate() - 30);
+        break;
+      case '90d':
+        startDate.setDate(startDate.getDate() - 90);
+        break;
+      default:
+        startDate.setDate(startDate.getDate() - 30);
+    }
+
+    res.json({
+      success: true,
+      period,
+      recovery: await cartRecoveryService.getStats(startDate)
+    });
+  } catch (error) {
+    console.error('Error in getCartRecoveryAnalytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -1,14 +1,127 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
-const crypto = require('crypto');
-const emailService = require('../services/emailService');
+const guestOrderService = require('../services/guestOrderService');
+const tokenService = require('../services/tokenService');
+const accountService = require('../services/accountService');
+const loginProtectionService = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+const oauthService = require('../services/oauthService');
+const { authConfig } = require('../config/auth');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Device details shown in the sessions list
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+const formatUser = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  isVerified: user.isVerified,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
+});
+
+const formatTokens = (issued) => ({
+  token: issued.token,
+  expiresAt: issued.expiresAt,
+  refreshToken: issued.refreshToken,
+  refreshTokenExpiresAt: issued.refreshTokenExpiresAt
+});
+
+// Answer a request turned away for now, telling the client when to retry
+const sendRetryError = (res, retryError) => {
+  if (retryError.retryAfter) {
+    res.set('Retry-After', String(retryError.retryAfter));
+  }
+  return res.status(retryError.statusCode).json({
+    success: false,
+    message: retryError.message,
+    retryAfter: retryError.retryAfter,
+    locked: !!retryError.locked
+  });
+};
+
+// Finish a sign-in once every step has passed and start the session
+const completeLogin = async (req, user, { mfa = false } = {}) => {
+  await loginProtectionService.recordSuccess({ email: user.email });
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Orders placed as a guest from this session become the account's
+  const claimedOrders = await guestOrderService.claimOrders(user, {
+    sessionId: req.headers['session-id']
   });
+
+  const issued = await tokenService.issueTokens(user, { ...getClientInfo(req), mfa });
+
+  return {
+    ...formatTokens(issued),
+    user: formatUser(user),
+    claimedOrders
+  };
+};
+
+// Start a session for a user whose first factor has passed, or hand back the
+// two-factor challenge they still have to meet
+const startLogin = async (req, user) => {
+  const twoFactorStep = twoFactorService.getLoginStep(user);
+  if (twoFactorStep) {
+    return {
+      message: twoFactorStep === 'verify'
+        ? 'Enter the code from your authenticator app'
+        : 'Set up two-factor authentication to continue',
+      twoFactorRequired: twoFactorStep === 'verify',
+      twoFactorSetupRequired: twoFactorStep === 'setup',
+      challengeToken: twoFactorService.createChallenge(user, twoFactorStep)
+    };
+  }
+
+  return {
+    message: 'Logged in successfully',
+    ...(await completeLogin(req, user))
+  };
+};
+
+// The OAuth state is also kept in a cookie, so the callback can tell it returned
+// to the browser that started the sign-in
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const oauthCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oauth'
+};
+
+const getCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+};
+
+// Browser steps of the OAuth flow end on the frontend's callback page
+const redirectToFrontend = (res, params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  );
+  res.redirect(`${process.env.FRONTEND_URL}/oauth/callback?${query}`);
+};
+
+// Enrollment runs on a signed-in session, or on the challenge from a sign-in
+// that has to set up two-factor authentication before it can finish
+const getEnrollingUser = async (req) => {
+  if (req.user) {
+    return { userId: req.user._id, viaChallenge: false };
+  }
+
+  const user = await twoFactorService.verifyChallenge(req.body.challengeToken, 'setup');
+  return { userId: user._id, viaChallenge: true };
 };
 
 exports.register = async (req, res) => {
@@ -34,36 +147,102 @@ exports.register = async (req, res) => {
     }
 
     // Create user
-    const verificationToken = crypto.randomBytes(32).toString('hex');
     const user = new User({
       firstName,
       lastName,
       email,
-      password,
-      verificationToken
+      password
     });
 
     await user.save();
 
-    // Send verification email
-    await emailService.sendVerificationEmail(user.email, verificationToken);
+    // Orders placed as a guest from this session become the new account's
+    const claimedOrders = await guestOrderService.claimOrders(user, {
+      sessionId: req.headers['session-id']
+    });
+
+    // Send verification email; the account works without it, and the link can be resent
+    try {
+      await accountService.sendVerification(user);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
 
-    const token = generateToken(user._id);
+    const issued = await tokenService.issueTokens(user, getClientInfo(req));
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully. Please check your email for verification.',
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        isVerified: user.isVerified
+      ...formatTokens(issued),
+      user: formatUser(user),
+      claimedOrders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign in and start a session
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+    const attempt = {
+      email,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    // Repeated failures delay, then lock out, the account and the IP
+    try {
+      await loginProtectionService.check(attempt);
+    } catch (lockoutError) {
+      if (!lockoutError.statusCode) throw lockoutError;
+      return sendRetryError(res, lockoutError);
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || !(await user.comparePassword(password))) {
+      const retryAfter = await loginProtectionService.recordFailure({ ...attempt, user });
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
       }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        retryAfter: retryAfter || undefined
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    // Accounts with two-factor authentication finish signing in with a code;
+    // roles that require it and haven't enrolled have to enroll first
+    res.json({
+      success: true,
+      ...(await startLogin(req, user))
     });
   } catch (error) {
+    console.error('Error in login:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -72,29 +251,65 @@ exports.register = async (req, res) => {
   }
 };
 
-exports.getProductById = async (req, res) => {
+// @desc    Finish signing in with a two-factor or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public (challenge token from login)
+exports.verifyTwoFactorLogin = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id)
-      .populate('category', 'name slug')
-      .populate('subcategory', 'name slug')
-      .populate('collections', 'name slug');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    if (!product) {
-      return res.status(404).json({
+    let user;
+    try {
+      user = await twoFactorService.verifyChallenge(challengeToken, 'verify');
+    } catch (challengeError) {
+      if (!challengeError.statusCode) throw challengeError;
+      return res.status(challengeError.statusCode).json({
         success: false,
-        message: 'Product not found'
+        message: challengeError.message
       });
     }
 
-    // Increment view count
-    product.viewCount += 1;
-    await product.save();
+    // Wrong codes count as failed sign-ins, so codes can't be guessed either
+    const attempt = {
+      email: user.email,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+    try {
+      await loginProtectionService.check(attempt);
+    } catch (lockoutError) {
+      if (!lockoutError.statusCode) throw lockoutError;
+      return sendRetryError(res, lockoutError);
+    }
+
+    if (!(await twoFactorService.verifyLogin(user, { code, recoveryCode }, attempt))) {
+      const retryAfter = await loginProtectionService.recordFailure({ ...attempt, user });
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      return res.status(401).json({
+        success: false,
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code',
+        retryAfter: retryAfter || undefined
+      });
+    }
 
     res.json({
       success: true,
-      product
+      message: 'Logged in successfully',
+      ...(await completeLogin(req, user, { mfa: true }))
     });
   } catch (error) {
+    console.error('Error in verifyTwoFactorLogin:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -103,29 +318,98 @@ exports.getProductById = async (req, res) => {
   }
 };
 
-exports.getProductBySlug = async (req, res) => {
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
   try {
-    const product = await Product.findOne({ slug: req.params.slug })
-      .populate('category', 'name slug')
-      .populate('subcategory', 'name slug')
-      .populate('collections', 'name slug');
+    const twoFactor = await twoFactorService.getStatus(req.user._id);
+
+    res.json({
+      success: true,
+      twoFactor
+    });
+  } catch (error) {
+    console.error('Error in getTwoFactorStatus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start two-factor enrollment with a new authenticator secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or setup challenge token from login)
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    let enrollment;
+    try {
+      const { userId } = await getEnrollingUser(req);
+      enrollment = await twoFactorService.startEnrollment(userId);
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+      return res.status(twoFactorError.statusCode).json({
+        success: false,
+        message: twoFactorError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+  } catch (error) {
+    console.error('Error in setupTwoFactor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm two-factor enrollment and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or setup challenge token from login)
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    if (!product) {
-      return res.status(404).json({
+    let enrolled;
+    let viaChallenge;
+    try {
+      const enrolling = await getEnrollingUser(req);
+      viaChallenge = enrolling.viaChallenge;
+      enrolled = await twoFactorService.completeEnrollment(enrolling.userId, req.body.code, getClientInfo(req));
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+      return res.status(twoFactorError.statusCode).json({
         success: false,
-        message: 'Product not found'
+        message: twoFactorError.message
       });
     }
 
-    // Increment view count
-    product.viewCount += 1;
-    await product.save();
+    // A sign-in that was waiting on enrollment is finished now
+    const login = viaChallenge ? await completeLogin(req, enrolled.user, { mfa: true }) : {};
 
     res.json({
       success: true,
-      product
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: enrolled.recoveryCodes,
+      ...login
     });
   } catch (error) {
+    console.error('Error in enableTwoFactor:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -134,7 +418,10 @@ exports.getProductBySlug = async (req, res) => {
   }
 };
 
-exports.createProduct = async (req, res) => {
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -145,15 +432,65 @@ exports.createProduct = async (req, res) => {
       });
     }
 
-    const product = new Product(req.body);
-    await product.save();
+    try {
+      await twoFactorService.disable(req.user._id, {
+        password: req.body.password,
+        code: req.body.code
+      }, getClientInfo(req));
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+      return res.status(twoFactorError.statusCode).json({
+        success: false,
+        message: twoFactorError.message
+      });
+    }
 
-    res.status(201).json({
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error in disableTwoFactor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let recoveryCodes;
+    try {
+      recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    } catch (twoFactorError) {
+      if (!twoFactorError.statusCode) throw twoFactorError;
+      return res.status(twoFactorError.statusCode).json({
+        success: false,
+        message: twoFactorError.message
+      });
+    }
+
+    res.json({
       success: true,
-      message: 'Product created successfully',
-      product
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
     });
   } catch (error) {
+    console.error('Error in regenerateRecoveryCodes:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -162,27 +499,64 @@ exports.createProduct = async (req, res) => {
   }
 };
 
-exports.updateProduct = async (req, res) => {
+// @desc    Sign in with Google or Facebook; redirects to the provider
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+exports.oauthStart = async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const { state, authorizationUrl } = await oauthService.startAuthorization(req.params.provider, {
+      intent: 'login',
+      redirectPath: req.query.redirect
+    });
+
+    res.cookie(OAUTH_STATE_COOKIE, state, {
+      ...oauthCookieOptions,
+      maxAge: authConfig.oauth.stateExpiresInMinutes * 60 * 1000
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    if (error.statusCode) {
+      return redirectToFrontend(res, { provider: req.params.provider, error: error.message });
+    }
+    console.error('Error in oauthStart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
 
-    if (!product) {
-      return res.status(404).json({
+// @desc    Start linking Google or Facebook to the signed-in account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+exports.oauthLink = async (req, res) => {
+  try {
+    let authorization;
+    try {
+      authorization = await oauthService.startAuthorization(req.params.provider, {
+        intent: 'link',
+        user: req.user,
+        redirectPath: req.body && req.body.redirect
+      });
+    } catch (oauthError) {
+      if (!oauthError.statusCode) throw oauthError;
+      return res.status(oauthError.statusCode).json({
         success: false,
-        message: 'Product not found'
+        message: oauthError.message
       });
     }
 
+    res.cookie(OAUTH_STATE_COOKIE, authorization.state, {
+      ...oauthCookieOptions,
+      maxAge: authConfig.oauth.stateExpiresInMinutes * 60 * 1000
+    });
     res.json({
       success: true,
-      message: 'Product updated successfully',
-      product
+      authorizationUrl: authorization.authorizationUrl
     });
   } catch (error) {
+    console.error('Error in oauthLink:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -191,22 +565,489 @@ exports.updateProduct = async (req, res) => {
   }
 };
 
-exports.deleteProduct = async (req, res) => {
+// @desc    Provider redirect after sign-in or linking
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+exports.oauthCallback = async (req, res) => {
+  const { provider } = req.params;
+
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    res.clearCookie(OAUTH_STATE_COOKIE, oauthCookieOptions);
+
+    // The user declined on the provider's page
+    if (req.query.error) {
+      return redirectToFrontend(res, {
+        provider,
+        error: req.query.error_description || 'Sign-in was cancelled'
+      });
+    }
+
+    const result = await oauthService.handleCallback(provider, {
+      state: req.query.state,
+      code: req.query.code,
+      browserState: getCookie(req, OAUTH_STATE_COOKIE)
+    }, getClientInfo(req));
+
+    if (result.intent === 'link') {
+      return redirectToFrontend(res, { provider, linked: 'true', redirect: result.redirectPath });
+    }
+
+    redirectToFrontend(res, {
+      provider,
+      code: result.handoffCode,
+      redirect: result.redirectPath
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Error in oauthCallback:', error);
+    }
+    redirectToFrontend(res, {
+      provider,
+      error: error.statusCode ? error.message : 'Sign-in failed; please try again'
+    });
+  }
+};
+
+// @desc    Trade the code from the OAuth callback page for a session
+// @route   POST /api/auth/oauth/exchange
+// @access  Public
+exports.oauthExchange = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await oauthService.redeemHandoff(req.body.code);
+    } catch (oauthError) {
+      if (!oauthError.statusCode) throw oauthError;
+      return res.status(oauthError.statusCode).json({
+        success: false,
+        message: oauthError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(await startLogin(req, result.user)),
+      isNewUser: result.isNewUser
+    });
+  } catch (error) {
+    console.error('Error in oauthExchange:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the account's sign-in methods
+// @route   GET /api/auth/oauth/accounts
+// @access  Private
+exports.getOAuthAccounts = async (req, res) => {
+  try {
+    const accounts = await oauthService.getAccounts(req.user._id);
+
+    res.json({
+      success: true,
+      ...accounts
+    });
+  } catch (error) {
+    console.error('Error in getOAuthAccounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlink Google or Facebook from the account
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+exports.unlinkOAuthAccount = async (req, res) => {
+  try {
+    try {
+      await oauthService.unlinkAccount(req.user._id, req.params.provider, getClientInfo(req));
+    } catch (oauthError) {
+      if (!oauthError.statusCode) throw oauthError;
+      return res.status(oauthError.statusCode).json({
+        success: false,
+        message: oauthError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${oauthService.providerLabels[req.params.provider]} account unlinked`
+    });
+  } catch (error) {
+    console.error('Error in unlinkOAuthAccount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a password to an account created through Google or Facebook
+// @route   POST /api/auth/password
+// @access  Private
+exports.setPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      await oauthService.setPassword(req.user._id, req.body.password);
+    } catch (oauthError) {
+      if (!oauthError.statusCode) throw oauthError;
+      return res.status(oauthError.statusCode).json({
+        success: false,
+        message: oauthError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password set; you can now sign in with your email and password'
+    });
+  } catch (error) {
+    console.error('Error in setPassword:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let issued;
+    try {
+      issued = await tokenService.rotate(req.body.refreshToken, getClientInfo(req));
+    } catch (tokenError) {
+      if (!tokenError.statusCode) throw tokenError;
+      return res.status(tokenError.statusCode).json({
+        success: false,
+        message: tokenError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      ...formatTokens(issued),
+      user: formatUser(issued.user)
+    });
+  } catch (error) {
+    console.error('Error in refreshToken:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out of the current session
+// @route   POST /api/auth/logout
+// @access  Public (access token and/or refresh token)
+exports.logout = async (req, res) => {
+  try {
+    const sessions = new Set();
+
+    if (req.auth) {
+      await tokenService.revokeAccessToken({ jti: req.auth.tokenId, exp: req.auth.exp });
+      sessions.add(req.auth.sessionId);
+    }
+
+    // Clients whose access token has expired sign out with the refresh token
+    const session = await tokenService.findSession(req.body && req.body.refreshToken);
+    if (session && (!req.user || session.user.equals(req.user._id))) {
+      sessions.add(session.family);
+    }
+
+    for (const sessionId of sessions) {
+      await tokenService.revokeFamily(sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error in logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeUserSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Error in logoutAll:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List the devices signed in to the account
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id, req.auth.sessionId);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error in getSessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign a device out
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    try {
+      await tokenService.revokeSession(req.user._id, req.params.sessionId);
+    } catch (sessionError) {
+      if (!sessionError.statusCode) throw sessionError;
+      return res.status(sessionError.statusCode).json({
+        success: false,
+        message: sessionError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      current: req.params.sessionId === req.auth.sessionId
+    });
+  } catch (error) {
+    console.error('Error in revokeSession:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeUserSessions(req.user._id, 'session_revoked', {
+      except: req.auth.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error('Error in revokeOtherSessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm the account's email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await accountService.verifyEmail(req.body.token);
+    } catch (accountError) {
+      if (!accountError.statusCode) throw accountError;
+      return res.status(accountError.statusCode).json({
+        success: false,
+        message: accountError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatUser(result.user),
+      claimedOrders: result.claimedOrders
+    });
+  } catch (error) {
+    console.error('Error in verifyEmail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await accountService.sendVerification(req.user);
+    } catch (accountError) {
+      if (!accountError.statusCode) throw accountError;
+      if (accountError.retryAfter) {
+        res.set('Retry-After', String(accountError.retryAfter));
+      }
+      return res.status(accountError.statusCode).json({
+        success: false,
+        message: accountError.message,
+        retryAfter: accountError.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('Error in resendVerification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await accountService.requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Error in forgotPassword:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset link
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    if (!product) {
-      return res.status(404).json({
+    let result;
+    try {
+      result = await accountService.resetPassword(req.body.token, req.body.password);
+    } catch (accountError) {
+      if (!accountError.statusCode) throw accountError;
+      return res.status(accountError.statusCode).json({
         success: false,
-        message: 'Product not found'
+        message: accountError.message
       });
     }
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Password has been reset. Please sign in with your new password.',
+      claimedOrders: result.claimedOrders
     });
   } catch (error) {
+    console.error('Error in resetPassword:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
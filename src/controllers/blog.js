@@ -1,5 +1,4 @@
 const BlogPost = require('../models/BlogPost');
-const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const slugify = require('slugify');
 
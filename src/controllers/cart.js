@@ -1,6 +1,11 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
-const Coupon = require('../models/Coupon');
+const inventoryService = require('../services/inventoryService');
+const promotionService = require('../services/promotionService');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const guestOrderService = require('../services/guestOrderService');
+const currencyService = require('../services/currencyService');
+const { variantKey, toVariantSelection } = require('../utils/helpers');
 const { validationResult } = require('express-validator');
 
 // @desc    Get user's cart
@@ -31,6 +36,7 @@ exports.getCart = async (req, res) => {
           tax: 0,
           shipping: 0,
           total: 0,
+          currency: (req.currency || await currencyService.getContext()).currency,
           itemCount: 0
         }
       });
@@ -39,8 +45,13 @@ exports.getCart = async (req, res) => {
     // Remove items for inactive products
     cart.items = cart.items.filter(item => item.product && item.product.isActive);
 
+    // Reprice the cart when the shopper switches currency
+    if (req.currency) {
+      await cart.setCurrency(req.currency);
+    }
+
     // Recalculate totals
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     const cartData = {
@@ -52,14 +63,19 @@ exports.getCart = async (req, res) => {
         quantity: item.quantity,
         price: item.price,
         totalPrice: item.price * item.quantity,
+        discount: item.discount,
         addedAt: item.addedAt
       })),
       subtotal: cart.subtotal,
       tax: cart.tax,
+      taxInclusive: cart.taxInclusive,
       shipping: cart.shipping,
       total: cart.total,
+      currency: cart.currency,
       couponCode: cart.couponCode,
       discount: cart.discount,
+      couponDiscount: cart.couponDiscount,
+      promotions: cart.promotions,
       itemCount: cart.items.length
     };
 
@@ -109,11 +125,23 @@ exports.addToCart = async (req, res) => {
       });
     }
 
-    // Check inventory
-    if (product.inventory.trackQuantity && product.inventory.quantity < quantity) {
+    // Resolve the selected size/metal/stone to exact variant options
+    const resolved = product.resolveVariant(variant);
+    if (resolved.errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.inventory.quantity} items available in stock`
+        message: resolved.errors.join('. '),
+        errors: resolved.errors
+      });
+    }
+    const itemVariant = toVariantSelection(resolved);
+
+    // Check inventory (stock held by other checkouts is not available)
+    const availableQuantity = await inventoryService.getAvailableQuantity(product._id, resolved.options);
+    if (availableQuantity < quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableQuantity} items available in stock`
       });
     }
 
@@ -123,16 +151,24 @@ exports.addToCart = async (req, res) => {
       : { sessionId: req.headers['session-id'], isActive: true };
 
     cart = await Cart.findOne(cartQuery);
+    if (cart && req.currency) {
+      await cart.setCurrency(req.currency);
+    }
+
+    // Lines are priced in the cart's currency
+    const currency = cart ? await cart.getCurrencyContext() : req.currency || await currencyService.getContext();
+    const price = currencyService.getProductPrice(product, currency, resolved.price);
 
     if (!cart) {
       // Create new cart
       const cartData = {
         items: [{
           product: productId,
-          variant,
+          variant: itemVariant,
           quantity,
-          price: product.price
+          price
         }],
+        currency: currency.currency,
         isActive: true
       };
 
@@ -147,7 +183,7 @@ exports.addToCart = async (req, res) => {
       // Check if product with same variant already exists in cart
       const existingItemIndex = cart.items.findIndex(item => 
         item.product.toString() === productId &&
-        JSON.stringify(item.variant) === JSON.stringify(variant)
+        variantKey(item.variant) === variantKey(itemVariant)
       );
 
       if (existingItemIndex > -1) {
@@ -155,28 +191,28 @@ exports.addToCart = async (req, res) => {
         const newQuantity = cart.items[existingItemIndex].quantity + quantity;
         
         // Check inventory for new quantity
-        if (product.inventory.trackQuantity && product.inventory.quantity < newQuantity) {
+        if (availableQuantity < newQuantity) {
           return res.status(400).json({
             success: false,
-            message: `Only ${product.inventory.quantity} items available in stock`
+            message: `Only ${availableQuantity} items available in stock`
           });
         }
 
         cart.items[existingItemIndex].quantity = newQuantity;
-        cart.items[existingItemIndex].price = product.price; // Update price in case it changed
+        cart.items[existingItemIndex].price = price; // Update price in case it changed
       } else {
         // Add new item
         cart.items.push({
           product: productId,
-          variant,
+          variant: itemVariant,
           quantity,
-          price: product.price
+          price
         });
       }
     }
 
     // Calculate totals
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     // Populate cart for response
@@ -189,6 +225,7 @@ exports.addToCart = async (req, res) => {
         items: cart.items,
         subtotal: cart.subtotal,
         total: cart.total,
+        currency: cart.currency,
         itemCount: cart.items.length
       }
     });
@@ -240,17 +277,24 @@ exports.updateCartItem = async (req, res) => {
     }
 
     // Check inventory
-    if (item.product.inventory.trackQuantity && item.product.inventory.quantity < quantity) {
+    const availableQuantity = await inventoryService.getAvailableQuantity(
+      item.product._id,
+      item.variant ? item.variant.options : []
+    );
+    if (availableQuantity < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${item.product.inventory.quantity} items available in stock`
+        message: `Only ${availableQuantity} items available in stock`
       });
     }
 
     item.quantity = quantity;
+    if (req.currency) {
+      await cart.setCurrency(req.currency);
+    }
     
     // Calculate totals
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     res.json({
@@ -260,6 +304,7 @@ exports.updateCartItem = async (req, res) => {
         items: cart.items,
         subtotal: cart.subtotal,
         total: cart.total,
+        currency: cart.currency,
         itemCount: cart.items.length
       }
     });
@@ -303,9 +348,12 @@ exports.removeCartItem = async (req, res) => {
     }
 
     cart.items.pull(itemId);
+    if (req.currency) {
+      await cart.setCurrency(req.currency);
+    }
     
     // Calculate totals
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     res.json({
@@ -315,6 +363,7 @@ exports.removeCartItem = async (req, res) => {
         items: cart.items,
         subtotal: cart.subtotal,
         total: cart.total,
+        currency: cart.currency,
         itemCount: cart.items.length
       }
     });
@@ -353,6 +402,8 @@ exports.clearCart = async (req, res) => {
     cart.total = 0;
     cart.couponCode = undefined;
     cart.discount = 0;
+    cart.couponDiscount = 0;
+    cart.promotions = [];
 
     await cart.save();
 
@@ -404,54 +455,32 @@ exports.applyCoupon = async (req, res) => {
       });
     }
 
-    // Find coupon
-    const coupon = await Coupon.findOne({ 
-      code: couponCode.toUpperCase(),
-      isActive: true 
-    });
-
-    if (!coupon || !coupon.isValid()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired coupon code'
-      });
+    if (req.currency) {
+      await cart.setCurrency(req.currency);
     }
 
-    // Check if user can use this coupon
-    if (req.user && !coupon.canUserUse(req.user.id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already used this coupon'
-      });
-    }
+    // Price the cart with the coupon; the same evaluation is used at checkout
+    const pricing = await promotionService.evaluate({
+      items: cart.items,
+      couponCode,
+      userId: req.user ? req.user.id : cart.user,
+      currency: await cart.getCurrencyContext()
+    });
 
-    // Check minimum order amount
-    if (cart.subtotal < coupon.minimumOrderAmount) {
-      return res.status(400).json({
+    if (pricing.couponError) {
+      return res.status(pricing.couponError.statusCode).json({
         success: false,
-        message: `Minimum order amount for this coupon is $${coupon.minimumOrderAmount}`
+        message: pricing.couponError.message,
+        ineligibleItems: pricing.couponError.ineligibleItems
       });
     }
 
-    // Calculate discount
-    let discount = 0;
-    if (coupon.type === 'percentage') {
-      discount = (cart.subtotal * coupon.value) / 100;
-      if (coupon.maximumDiscountAmount) {
-        discount = Math.min(discount, coupon.maximumDiscountAmount);
-      }
-    } else if (coupon.type === 'fixed') {
-      discount = Math.min(coupon.value, cart.subtotal);
-    } else if (coupon.type === 'free_shipping') {
-      // This will be handled in shipping calculation
-      discount = 0;
-    }
+    const coupon = pricing.coupon;
 
     cart.couponCode = coupon.code;
-    cart.discount = discount;
     
     // Recalculate totals with coupon
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     res.json({
@@ -461,14 +490,19 @@ exports.applyCoupon = async (req, res) => {
         items: cart.items,
         subtotal: cart.subtotal,
         discount: cart.discount,
+        couponDiscount: cart.couponDiscount,
+        promotions: cart.promotions,
         total: cart.total,
+        currency: cart.currency,
         couponCode: cart.couponCode
       },
       coupon: {
         code: coupon.code,
         type: coupon.type,
         value: coupon.value,
-        discount: discount
+        discount: coupon.discount,
+        freeShipping: coupon.freeShipping,
+        ineligibleItems: coupon.ineligibleItems
       }
     });
   } catch (error) {
@@ -501,10 +535,12 @@ exports.removeCoupon = async (req, res) => {
     }
 
     cart.couponCode = undefined;
-    cart.discount = 0;
+    if (req.currency) {
+      await cart.setCurrency(req.currency);
+    }
     
     // Recalculate totals without coupon
-    cart.calculateTotals();
+    await cart.calculateTotals();
     await cart.save();
 
     res.json({
@@ -513,8 +549,10 @@ exports.removeCoupon = async (req, res) => {
       cart: {
         items: cart.items,
         subtotal: cart.subtotal,
-        discount: 0,
+        discount: cart.discount,
+        promotions: cart.promotions,
         total: cart.total,
+        currency: cart.currency,
         couponCode: null
       }
     });
@@ -528,17 +566,119 @@ exports.removeCoupon = async (req, res) => {
   }
 };
 
-// @desc    Merge guest cart with user cart (on login)
+// @desc    Save a guest's email on their cart for reminders
+// @route   PUT /api/cart/email
+// @access  Public (with session)
+exports.captureCartEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Signed-in customers are reached at their account email
+    if (req.user) {
+      return res.json({
+        success: true,
+        message: 'Cart reminders go to your account email'
+      });
+    }
+
+    const cart = await Cart.findOne({ sessionId: req.headers['session-id'], isActive: true });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    await Cart.updateOne({ _id: cart._id }, { email: req.body.email }, { timestamps: false });
+
+    res.json({
+      success: true,
+      message: 'Email saved'
+    });
+  } catch (error) {
+    console.error('Error in captureCartEmail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Open a cart from a reminder email link
+// @route   GET /api/cart/restore/:token
+// @access  Public
+exports.restoreCart = async (req, res) => {
+  try {
+    let cart;
+    try {
+      cart = await cartRecoveryService.restoreCart(req.params.token);
+    } catch (restoreError) {
+      if (!restoreError.statusCode) throw restoreError;
+      return res.status(restoreError.statusCode).json({
+        success: false,
+        message: restoreError.message
+      });
+    }
+
+    // Apply the reminder's coupon so the customer does not have to type it
+    if (cart.recovery.couponCode && !cart.couponCode) {
+      cart.couponCode = cart.recovery.couponCode;
+    }
+
+    await cart.calculateTotals();
+    await cart.save();
+    await cart.populate('items.product', 'name images price inventory attributes');
+
+    res.json({
+      success: true,
+      // Account carts open once the customer signs in; guest carts carry their session
+      requiresLogin: Boolean(cart.user) && (!req.user || req.user.id !== cart.user.toString()),
+      sessionId: cart.user ? undefined : cart.sessionId,
+      cart: {
+        items: cart.items,
+        subtotal: cart.subtotal,
+        discount: cart.discount,
+        promotions: cart.promotions,
+        total: cart.total,
+        currency: cart.currency,
+        couponCode: cart.couponCode,
+        itemCount: cart.items.length
+      }
+    });
+  } catch (error) {
+    console.error('Error in restoreCart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Merge guest cart with user cart and claim guest orders (on login)
 // @route   POST /api/cart/merge
 // @access  Private
 exports.mergeCart = async (req, res) => {
   try {
     const { sessionId } = req.body;
 
+    // Orders placed as a guest move to the account along with the cart
+    const claimedOrders = await guestOrderService.claimOrders(req.user, { sessionId });
+
     if (!sessionId) {
       return res.json({
         success: true,
-        message: 'No guest cart to merge'
+        message: 'No guest cart to merge',
+        claimedOrders
       });
     }
 
@@ -551,7 +691,8 @@ exports.mergeCart = async (req, res) => {
     if (!guestCart || guestCart.items.length === 0) {
       return res.json({
         success: true,
-        message: 'No guest cart to merge'
+        message: 'No guest cart to merge',
+        claimedOrders
       });
     }
 
@@ -566,14 +707,18 @@ exports.mergeCart = async (req, res) => {
       userCart = new Cart({
         user: req.user.id,
         items: guestCart.items,
+        currency: guestCart.currency,
         isActive: true
       });
     } else {
+      // Bring the guest's lines into the account cart's currency first
+      await guestCart.setCurrency(await userCart.getCurrencyContext());
+
       // Merge guest cart items into user cart
       for (const guestItem of guestCart.items) {
         const existingItemIndex = userCart.items.findIndex(item => 
           item.product._id.toString() === guestItem.product._id.toString() &&
-          JSON.stringify(item.variant) === JSON.stringify(guestItem.variant)
+          variantKey(item.variant) === variantKey(guestItem.variant)
         );
 
         if (existingItemIndex > -1) {
@@ -586,8 +731,12 @@ exports.mergeCart = async (req, res) => {
       }
     }
 
+    if (req.currency) {
+      await userCart.setCurrency(req.currency);
+    }
+
     // Calculate totals and save
-    userCart.calculateTotals();
+    await userCart.calculateTotals();
     await userCart.save();
 
     // Deactivate guest cart
@@ -601,8 +750,10 @@ exports.mergeCart = async (req, res) => {
         items: userCart.items,
         subtotal: userCart.subtotal,
         total: userCart.total,
+        currency: userCart.currency,
         itemCount: userCart.items.length
-      }
+      },
+      claimedOrders
     });
   } catch (error) {
     console.error('Error in mergeCart:', error);
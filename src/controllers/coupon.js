@@ -1,4 +1,9 @@
 const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const CouponBatch = require('../models/CouponBatch');
+const promotionService = require('../services/promotionService');
+const couponBatchService = require('../services/couponBatchService');
+const currencyService = require('../services/currencyService');
 const { validationResult } = require('express-validator');
 
 // @desc    Validate coupon code
@@ -15,53 +20,35 @@ exports.validateCoupon = async (req, res) => {
       });
     }
 
-    const coupon = await Coupon.findOne({ 
-      code: code.toUpperCase(),
-      isActive: true 
+    // Check the coupon against the shopper's cart when there is one
+    const cartQuery = req.user
+      ? { user: req.user.id, isActive: true }
+      : { sessionId: req.headers['session-id'], isActive: true };
+    const cart = req.user || req.headers['session-id'] ? await Cart.findOne(cartQuery) : null;
+
+    const items = cart && cart.items.length > 0
+      ? cart.items
+      : [{ price: Number(orderAmount), quantity: 1 }];
+    const currency = cart && cart.items.length > 0
+      ? await cart.getCurrencyContext()
+      : req.currency || await currencyService.getContext();
+
+    const pricing = await promotionService.evaluate({
+      items,
+      couponCode: code,
+      userId: req.user ? req.user.id : userId,
+      currency
     });
 
-    if (!coupon) {
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid coupon code'
-      });
-    }
-
-    // Check if coupon is valid (not expired, usage limits, etc.)
-    if (!coupon.isValid()) {
-      return res.status(400).json({
+    if (pricing.couponError) {
+      return res.status(pricing.couponError.statusCode).json({
         success: false,
-        message: 'Coupon has expired or reached usage limit'
+        message: pricing.couponError.message,
+        ineligibleItems: pricing.couponError.ineligibleItems
       });
     }
 
-    // Check minimum order amount
-    if (orderAmount < coupon.minimumOrderAmount) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount for this coupon is $${coupon.minimumOrderAmount}`,
-        minimumAmount: coupon.minimumOrderAmount
-      });
-    }
-
-    // Check user usage limit
-    if (userId && !coupon.canUserUse(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already used this coupon the maximum number of times'
-      });
-    }
-
-    // Calculate discount
-    let discount = 0;
-    if (coupon.type === 'percentage') {
-      discount = (orderAmount * coupon.value) / 100;
-      if (coupon.maximumDiscountAmount) {
-        discount = Math.min(discount, coupon.maximumDiscountAmount);
-      }
-    } else if (coupon.type === 'fixed') {
-      discount = Math.min(coupon.value, orderAmount);
-    }
+    const { coupon } = pricing;
 
     res.json({
       success: true,
@@ -72,9 +59,14 @@ exports.validateCoupon = async (req, res) => {
         description: coupon.description,
         type: coupon.type,
         value: coupon.value,
-        discount: discount,
-        minimumOrderAmount: coupon.minimumOrderAmount
-      }
+        discount: coupon.discount,
+        freeShipping: coupon.freeShipping,
+        minimumOrderAmount: coupon.minimumOrderAmount,
+        ineligibleItems: coupon.ineligibleItems
+      },
+      promotions: pricing.promotions,
+      discount: pricing.discount,
+      currency: currency.currency
     });
   } catch (error) {
     console.error('Error in validateCoupon:', error);
@@ -237,9 +229,23 @@ exports.getCouponStats = async (req, res) => {
       uniqueUsers: coupon.usedBy.length,
       isActive: coupon.isActive,
       isValid: coupon.isValid(),
-      daysUntilExpiry: Math.ceil((coupon.endDate - new Date()) / (1000 * 60 * 60 * 24))
+      daysUntilExpiry: Math.ceil((coupon.endDate - new Date()) / (1000 * 60 * 60 * 24)),
+      ...await couponBatchService.getRedemptionStats([coupon.code])
     };
 
+    // Codes from a campaign also report on the whole batch
+    let batch;
+    if (coupon.batch) {
+      const couponBatch = await CouponBatch.findById(coupon.batch);
+      if (couponBatch) {
+        batch = {
+          id: couponBatch._id,
+          name: couponBatch.name,
+          stats: await couponBatchService.getBatchStats(couponBatch)
+        };
+      }
+    }
+
     res.json({
       success: true,
       coupon: {
@@ -249,7 +255,8 @@ exports.getCouponStats = async (req, res) => {
         type: coupon.type,
         value: coupon.value
       },
-      stats
+      stats,
+      batch
     });
   } catch (error) {
     console.error('Error in getCouponStats:', error);
@@ -271,7 +278,8 @@ exports.getAllCoupons = async (req, res) => {
       limit = 20, 
       status,
       type,
-      search 
+      search,
+      batch
     } = req.query;
     
     const skip = (page - 1) * limit;
@@ -294,6 +302,9 @@ exports.getAllCoupons = async (req, res) => {
       query.type = type;
     }
 
+    // Generated batch codes are listed per batch rather than mixed in
+    query.batch = batch || null;
+
     if (search) {
       query.$or = [
         { code: { $regex: search, $options: 'i' } },
@@ -375,6 +386,200 @@ exports.createCoupon = async (req, res) => {
       });
     }
 
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create coupon batch with generated single-use codes (Admin)
+// @route   POST /api/coupons/admin/batches
+// @access  Private/Admin
+exports.createCouponBatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, prefix, alphabet, codeLength, quantity, template } = req.body;
+
+    let batch;
+    try {
+      batch = await couponBatchService.createBatch(
+        { name, description, prefix, alphabet, codeLength, quantity, template },
+        { actor: req.user.id }
+      );
+    } catch (batchError) {
+      if (!batchError.statusCode) throw batchError;
+      return res.status(batchError.statusCode).json({
+        success: false,
+        message: batchError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${batch.generatedCount} coupon codes generated successfully`,
+      batch
+    });
+  } catch (error) {
+    console.error('Error in createCouponBatch:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get coupon batches (Admin)
+// @route   GET /api/coupons/admin/batches
+// @access  Private/Admin
+exports.getCouponBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const batches = await CouponBatch.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await CouponBatch.countDocuments();
+
+    res.json({
+      success: true,
+      batches,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCouponBatches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get coupon batch redemption statistics (Admin)
+// @route   GET /api/coupons/admin/batches/:id/stats
+// @access  Private/Admin
+exports.getCouponBatchStats = async (req, res) => {
+  try {
+    const batch = await CouponBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: {
+        id: batch._id,
+        name: batch.name,
+        prefix: batch.prefix,
+        quantity: batch.quantity,
+        generatedCount: batch.generatedCount,
+        isActive: batch.isActive,
+        template: batch.template
+      },
+      stats: await couponBatchService.getBatchStats(batch)
+    });
+  } catch (error) {
+    console.error('Error in getCouponBatchStats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export coupon batch codes as CSV (Admin)
+// @route   GET /api/coupons/admin/batches/:id/export
+// @access  Private/Admin
+exports.exportCouponBatch = async (req, res) => {
+  try {
+    const batch = await CouponBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon batch not found'
+      });
+    }
+
+    const csvContent = await couponBatchService.exportCsv(batch);
+    const fileName = `${batch.prefix || 'coupons'}-${batch._id}`.replace(/[^A-Za-z0-9_-]/g, '');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(csvContent);
+  } catch (error) {
+    console.error('Error in exportCouponBatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate a coupon batch's codes (Admin)
+// @route   PATCH /api/coupons/admin/batches/:id/deactivate
+// @access  Private/Admin
+exports.deactivateCouponBatch = async (req, res) => {
+  try {
+    const batch = await CouponBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon batch not found'
+      });
+    }
+
+    const deactivated = await couponBatchService.deactivateBatch(batch, {
+      unusedOnly: Boolean(req.body.unusedOnly)
+    });
+
+    res.json({
+      success: true,
+      message: `${deactivated} coupon codes deactivated successfully`,
+      deactivated,
+      batch: {
+        id: batch._id,
+        name: batch.name,
+        isActive: batch.isActive
+      }
+    });
+  } catch (error) {
+    console.error('Error in deactivateCouponBatch:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -0,0 +1,151 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { validationResult } = require('express-validator');
+const currencyService = require('../services/currencyService');
+
+// @desc    Get the currencies shoppers can pay in
+// @route   GET /api/currencies
+// @access  Public
+exports.getCurrencies = async (req, res) => {
+  try {
+    const currencies = await currencyService.getSupportedCurrencies();
+
+    res.json({
+      success: true,
+      baseCurrency: currencies[0].currency,
+      currencies
+    });
+  } catch (error) {
+    console.error('Error in getCurrencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get exchange rates (Admin)
+// @route   GET /api/currencies/admin/rates
+// @access  Private/Admin
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find()
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ currency: 1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      baseCurrency: await currencyService.getBaseCurrency(),
+      rates
+    });
+  } catch (error) {
+    console.error('Error in getExchangeRates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or update the exchange rate for a currency (Admin)
+// @route   PUT /api/currencies/admin/rates/:currency
+// @access  Private/Admin
+exports.setExchangeRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const currency = req.params.currency.toUpperCase();
+    if (currency === await currencyService.getBaseCurrency()) {
+      return res.status(400).json({
+        success: false,
+        message: `${currency} is the base currency and has no exchange rate`
+      });
+    }
+
+    const { rate, rounding, isActive } = req.body;
+    if (rounding && typeof rounding.ending === 'number' && rounding.ending >= (rounding.increment || 0.01)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The price ending must be smaller than the rounding increment'
+      });
+    }
+
+    const update = { rate, updatedBy: req.user.id };
+    if (rounding !== undefined) update.rounding = rounding;
+    if (isActive !== undefined) update.isActive = isActive;
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Exchange rate saved successfully',
+      rate: exchangeRate,
+      // A sample price so the rounding can be checked before shoppers see it
+      example: {
+        base: 100,
+        converted: currencyService.convertPrice(100, {
+          currency,
+          base: await currencyService.getBaseCurrency(),
+          rate: exchangeRate.rate,
+          rounding: exchangeRate.rounding
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error in setExchangeRate:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete the exchange rate for a currency (Admin)
+// @route   DELETE /api/currencies/admin/rates/:currency
+// @access  Private/Admin
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteExchangeRate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
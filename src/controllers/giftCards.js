@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const { validationResult } = require('express-validator');
+const giftCardService = require('../services/giftCardService');
+
+// Admins look cards up by id, card number, or the code the customer reads out
+const findGiftCard = (idOrCode) => {
+  if (mongoose.isValidObjectId(idOrCode) && /^[0-9a-f]{24}$/i.test(idOrCode)) {
+    return GiftCard.findById(idOrCode);
+  }
+  return GiftCard.findOne({
+    $or: [
+      { code: giftCardService.normalizeCode(idOrCode) },
+      { number: idOrCode.trim().toUpperCase() }
+    ]
+  });
+};
+
+// @desc    Check a gift card's balance
+// @route   POST /api/gift-cards/balance
+// @access  Public
+exports.checkBalance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const giftCard = await GiftCard.findOne({ code: giftCardService.normalizeCode(req.body.code) });
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid gift card code'
+      });
+    }
+
+    res.json({
+      success: true,
+      giftCard: {
+        code: giftCardService.maskCode(giftCard.code),
+        balance: giftCard.balance,
+        currency: giftCard.currency,
+        expiresAt: giftCard.expiresAt,
+        isRedeemable: giftCard.isRedeemable()
+      }
+    });
+  } catch (error) {
+    console.error('Error in checkBalance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all gift cards (Admin)
+// @route   GET /api/gift-cards/admin/all
+// @access  Private/Admin
+exports.getAllGiftCards = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (status === 'active') {
+      query.isActive = true;
+      query.balance = { $gt: 0 };
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    } else if (status === 'expired') {
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    if (search) {
+      query.$and = [{
+        $or: [
+          { code: { $regex: giftCardService.normalizeCode(search), $options: 'i' } },
+          { number: { $regex: search, $options: 'i' } },
+          { 'recipient.email': { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const giftCards = await GiftCard.find(query)
+      .select('-transactions')
+      .populate('purchaser', 'firstName lastName email')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await GiftCard.countDocuments(query);
+
+    res.json({
+      success: true,
+      giftCards,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAllGiftCards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up a gift card and its ledger by id or code (Admin)
+// @route   GET /api/gift-cards/admin/:id
+// @access  Private/Admin
+exports.getGiftCard = async (req, res) => {
+  try {
+    const giftCard = await findGiftCard(req.params.id)
+      .populate('purchaser', 'firstName lastName email')
+      .populate('order', 'orderNumber')
+      .populate('transactions.order', 'orderNumber status')
+      .populate('transactions.actor', 'firstName lastName email');
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      giftCard
+    });
+  } catch (error) {
+    console.error('Error in getGiftCard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Credit or debit a gift card balance (Admin)
+// @route   POST /api/gift-cards/admin/:id/adjust
+// @access  Private/Admin
+exports.adjustGiftCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const giftCard = await findGiftCard(req.params.id);
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const { amount, note } = req.body;
+
+    let updated;
+    try {
+      updated = await giftCardService.adjustBalance(giftCard, { amount, note }, { actor: req.user.id });
+    } catch (adjustError) {
+      if (!adjustError.statusCode) throw adjustError;
+      return res.status(adjustError.statusCode).json({
+        success: false,
+        message: adjustError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Gift card balance adjusted successfully',
+      giftCard: {
+        id: updated._id,
+        code: updated.code,
+        number: updated.number,
+        balance: updated.balance,
+        currency: updated.currency,
+        transaction: updated.transactions[updated.transactions.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Error in adjustGiftCard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Toggle gift card status (Admin)
+// @route   PATCH /api/gift-cards/admin/:id/toggle-status
+// @access  Private/Admin
+exports.toggleGiftCardStatus = async (req, res) => {
+  try {
+    const giftCard = await findGiftCard(req.params.id);
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    // Only the flag changes, so the ledger is left untouched
+    giftCard.isActive = !giftCard.isActive;
+    await GiftCard.updateOne({ _id: giftCard._id }, { isActive: giftCard.isActive });
+
+    res.json({
+      success: true,
+      message: `Gift card ${giftCard.isActive ? 'activated' : 'deactivated'} successfully`,
+      giftCard: {
+        id: giftCard._id,
+        code: giftCard.code,
+        number: giftCard.number,
+        isActive: giftCard.isActive
+      }
+    });
+  } catch (error) {
+    console.error('Error in toggleGiftCardStatus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
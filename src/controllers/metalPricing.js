@@ -0,0 +1,189 @@
+const MetalPrice = require('../models/MetalPrice');
+const PriceHistory = require('../models/PriceHistory');
+const { validationResult } = require('express-validator');
+const metalPricingService = require('../services/metalPricingService');
+
+// @desc    Get recorded metal spot prices (Admin)
+// @route   GET /api/metal-pricing/admin/spot-prices
+// @access  Private/Admin
+exports.getSpotPrices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, metal } = req.query;
+
+    const query = {};
+    if (metal) query.metal = metal.toLowerCase();
+
+    const skip = (page - 1) * limit;
+    const history = await MetalPrice.find(query)
+      .populate('recordedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await MetalPrice.countDocuments(query);
+
+    res.json({
+      success: true,
+      current: await metalPricingService.getSpotPrices(),
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error in getSpotPrices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record new spot prices and preview the resulting product prices (Admin)
+// @route   POST /api/metal-pricing/admin/spot-prices
+// @access  Private/Admin
+exports.recordSpotPrices = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { prices, source, note } = req.body;
+    const recorded = await MetalPrice.insertMany(prices.map(entry => ({
+      metal: entry.metal,
+      pricePerGram: entry.pricePerGram,
+      source,
+      note,
+      recordedBy: req.user.id
+    })));
+
+    const preview = await metalPricingService.previewRepricing({ actor: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Spot prices recorded; review the preview and apply it to update product prices',
+      recorded,
+      preview
+    });
+  } catch (error) {
+    console.error('Error in recordSpotPrices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Preview product prices at the latest spot prices (Admin)
+// @route   GET /api/metal-pricing/admin/preview
+// @access  Private/Admin
+exports.previewRepricing = async (req, res) => {
+  try {
+    const preview = await metalPricingService.previewRepricing({ actor: req.user.id });
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('Error in previewRepricing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reprice formula-priced products with a reviewed preview (Admin)
+// @route   POST /api/metal-pricing/admin/apply
+// @access  Private/Admin
+exports.applyRepricing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let result;
+    try {
+      result = await metalPricingService.applyRepricing(req.body.previewId, { actor: req.user.id });
+    } catch (pricingError) {
+      if (!pricingError.statusCode) throw pricingError;
+
+      return res.status(pricingError.statusCode).json({
+        success: false,
+        message: pricingError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Repriced ${result.applied.length} products`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error in applyRepricing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a product's price history (Admin)
+// @route   GET /api/metal-pricing/admin/products/:id/history
+// @access  Private/Admin
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const history = await PriceHistory.find({ product: req.params.id })
+      .populate('changedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    const total = await PriceHistory.countDocuments({ product: req.params.id });
+
+    res.json({
+      success: true,
+      history,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPriceHistory:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
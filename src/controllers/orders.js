@@ -1,18 +1,39 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const User = require('../models/User');
 const Cart = require('../models/Cart');
-const Coupon = require('../models/Coupon');
-const Analytics = require('../models/Analytics');
 const Notification = require('../models/Notification');
+const Shipment = require('../models/Shipment');
 const { validationResult } = require('express-validator');
 const paymentService = require('../services/paymentService');
-const emailService = require('../services/emailService');
 const shippingService = require('../services/shippingService');
+const taxService = require('../services/taxService');
+const inventoryService = require('../services/inventoryService');
+const orderStatusService = require('../services/orderStatusService');
+const orderPaymentService = require('../services/orderPaymentService');
+const invoiceService = require('../services/invoiceService');
+const promotionService = require('../services/promotionService');
+const giftCardService = require('../services/giftCardService');
+const guestOrderService = require('../services/guestOrderService');
+const counterService = require('../services/counterService');
+const currencyService = require('../services/currencyService');
+const { toVariantSelection } = require('../utils/helpers');
+
+// Signed-in customers reach their own orders; guests present the order's access token
+const findOrderForRequest = async (req) => {
+  if (req.user) {
+    return Order.findOne({ _id: req.params.id, customer: req.user.id });
+  }
+
+  const token = req.headers['order-token'];
+  if (!token) return null;
+
+  const order = await Order.findOne({ _id: req.params.id, isGuest: true, customer: null });
+  return order && guestOrderService.verifyAccessToken(order, token) ? order : null;
+};
 
 // @desc    Create new order
 // @route   POST /api/orders
-// @access  Private
+// @access  Public (guests give an email)
 exports.createOrder = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,10 +51,31 @@ exports.createOrder = async (req, res) => {
       billingAddress, 
       paymentMethod, 
       couponCode,
+      giftCardCodes = [],
       shippingMethod,
       notes 
     } = req.body;
 
+    // Guest orders are keyed by the email given at checkout
+    const userId = req.user ? req.user.id : null;
+    const email = req.user ? req.user.email : req.body.email;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required to check out as a guest'
+      });
+    }
+
+    // Charge in the requested currency, or the one the shopper's cart is in; the
+    // rate is locked in on the order
+    let currency = req.currency;
+    if (!currency) {
+      const cart = userId || req.headers['session-id']
+        ? await Cart.findOne(userId ? { user: userId, isActive: true } : { sessionId: req.headers['session-id'], isActive: true }).select('currency')
+        : null;
+      currency = cart ? await cart.getCurrencyContext() : await currencyService.getContext();
+    }
+
     // Validate and process order items
     let subtotal = 0;
     const orderItems = [];
@@ -54,256 +96,303 @@ exports.createOrder = async (req, res) => {
         });
       }
 
-      // Check inventory
-      if (product.inventory.trackQuantity) {
-        if (product.inventory.quantity < item.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for "${product.name}". Available: ${product.inventory.quantity}, Requested: ${item.quantity}`
-          });
-        }
+      // Resolve the selected size/metal/stone to exact variant options
+      const resolved = product.resolveVariant(item.variant);
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.errors.join('. '),
+          errors: resolved.errors
+        });
       }
 
-      const itemPrice = product.price;
+      const itemPrice = currencyService.getProductPrice(product, currency, resolved.price);
       const totalPrice = itemPrice * item.quantity;
       subtotal += totalPrice;
 
-      orderItems.push({
+      const orderItem = {
         product: product._id,
         quantity: item.quantity,
         price: itemPrice,
         totalPrice,
-        variant: item.variant || {}
-      });
-    }
-
-    // Apply coupon if provided
-    let discount = 0;
-    let couponDiscount = 0;
-    
-    if (couponCode) {
-      const coupon = await Coupon.findOne({ 
-        code: couponCode.toUpperCase(),
-        isActive: true 
-      });
-
-      if (!coupon || !coupon.isValid()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired coupon code'
-        });
-      }
-
-      if (!coupon.canUserUse(req.user.id)) {
-        return res.status(400).json({
-          success: false,
-          message: 'You have already used this coupon'
-        });
+        variant: toVariantSelection(resolved)
+      };
+
+      // Gift cards go to the buyer unless a recipient is given
+      if (product.productType === 'gift_card') {
+        const details = item.giftCard || {};
+        orderItem.giftCard = {
+          recipientName: details.recipientName,
+          recipientEmail: details.recipientEmail || email,
+          senderName: details.senderName || (req.user
+            ? [req.user.firstName, req.user.lastName].filter(Boolean).join(' ')
+            : [shippingAddress.firstName, shippingAddress.lastName].filter(Boolean).join(' ')),
+          message: details.message
+        };
       }
 
-      if (subtotal < coupon.minimumOrderAmount) {
-        return res.status(400).json({
-          success: false,
-          message: `Minimum order amount for this coupon is $${coupon.minimumOrderAmount}`
-        });
-      }
+      orderItems.push(orderItem);
+    }
 
-      // Calculate discount
-      if (coupon.type === 'percentage') {
-        couponDiscount = (subtotal * coupon.value) / 100;
-        if (coupon.maximumDiscountAmount) {
-          couponDiscount = Math.min(couponDiscount, coupon.maximumDiscountAmount);
-        }
-      } else if (coupon.type === 'fixed') {
-        couponDiscount = Math.min(coupon.value, subtotal);
-      }
+    // Apply running promotions and the coupon, line by line
+    const pricing = await promotionService.evaluate({
+      items: orderItems,
+      couponCode,
+      userId,
+      currency
+    });
 
-      discount = couponDiscount;
+    if (pricing.couponError) {
+      return res.status(pricing.couponError.statusCode).json({
+        success: false,
+        message: pricing.couponError.message,
+        ineligibleItems: pricing.couponError.ineligibleItems
+      });
     }
 
+    orderItems.forEach((item, index) => {
+      item.discount = pricing.lines[index].discount;
+    });
+    orderItems.push(...await promotionService.resolveGifts(pricing.gifts));
+
+    const discount = pricing.discount;
+    const couponDiscount = pricing.couponDiscount;
+
     // Calculate shipping
-    let shippingCost = 0;
-    if (shippingMethod) {
-      try {
-        const shippingRate = await shippingService.calculateShipping({
-          address: shippingAddress,
-          items: orderItems,
-          method: shippingMethod
-        });
-        shippingCost = shippingRate.cost;
-      } catch (error) {
-        console.error('Shipping calculation error:', error);
-        // Fallback shipping calculation
-        shippingCost = (subtotal - discount) >= 100 ? 0 : 10;
-      }
-    } else {
-      // Default shipping calculation
-      shippingCost = (subtotal - discount) >= 100 ? 0 : 10;
+    let shippingRate;
+    try {
+      shippingRate = await shippingService.calculateShipping({
+        address: shippingAddress,
+        items: orderItems,
+        method: shippingMethod,
+        subtotal: subtotal - discount,
+        currency
+      });
+    } catch (shippingError) {
+      if (!shippingError.statusCode) throw shippingError;
+
+      return res.status(shippingError.statusCode).json({
+        success: false,
+        message: shippingError.message
+      });
     }
+    // A free shipping coupon covers whichever method was chosen
+    const shippingCost = pricing.freeShipping ? 0 : shippingRate.cost;
 
-    // Calculate tax (8% default, can be customized based on location)
-    const taxableAmount = subtotal - discount;
-    const tax = Math.max(0, taxableAmount * 0.08);
+    // Calculate tax for the shipping destination
+    const taxResult = await taxService.calculateTax({
+      address: shippingAddress,
+      items: orderItems,
+      shippingCost,
+      currency: currency.currency
+    });
+    const tax = taxResult.total;
+    orderItems.forEach((item, index) => {
+      item.tax = taxResult.lines[index];
+    });
 
-    // Calculate total
-    const total = subtotal - discount + shippingCost + tax;
+    // Calculate total; inclusive prices already contain the tax
+    const total = subtotal - discount + shippingCost + (taxResult.inclusive ? 0 : tax);
 
-    // Generate unique order number
-    const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    // Take the next order number; gift card redemptions below refer to it
+    const { number: orderNumber } = await counterService.next('order');
 
     // Create order
     const order = new Order({
       orderNumber,
-      customer: req.user.id,
+      customer: userId || undefined,
+      email,
+      isGuest: !userId,
+      sessionId: userId ? undefined : req.headers['session-id'],
       items: orderItems,
       shippingAddress,
       billingAddress,
       subtotal,
       shippingCost,
       tax,
+      currency: currency.currency,
+      baseCurrency: currency.base,
+      exchangeRate: currency.rate,
+      taxDetails: {
+        provider: taxResult.provider,
+        inclusive: taxResult.inclusive,
+        calculationId: taxResult.calculationId,
+        shipping: taxResult.shipping
+      },
       discount,
       total,
       paymentMethod,
-      couponCode: couponCode || undefined,
+      couponCode: pricing.coupon ? pricing.coupon.code : undefined,
       couponDiscount,
-      shippingMethod: shippingMethod ? {
-        name: shippingMethod.name,
+      promotions: pricing.promotions,
+      shippingMethod: {
+        code: shippingRate.code,
+        name: shippingRate.name,
         cost: shippingCost,
-        estimatedDays: shippingMethod.estimatedDays
-      } : undefined,
+        estimatedDays: shippingRate.estimatedDays
+          ? `${shippingRate.estimatedDays.min}-${shippingRate.estimatedDays.max}`
+          : undefined
+      },
       notes
     });
 
-    await order.save();
-
-    // Process payment
-    try {
-      const paymentResult = await paymentService.processPayment({
-        amount: total,
-        currency: 'USD',
-        paymentMethod,
-        orderId: order._id,
-        customerEmail: req.user.email,
-        billingAddress
-      });
-
-      if (paymentResult.success) {
-        order.status = 'paid';
-        order.paymentStatus = 'paid';
-        order.paymentDetails = {
-          transactionId: paymentResult.transactionId,
-          paymentId: paymentResult.paymentId,
-          gatewayResponse: paymentResult.details
-        };
+    // Gift cards pay what they can; the rest is charged to the payment method
+    let giftCardPlan = [];
+    if (giftCardCodes.length > 0) {
+      try {
+        giftCardPlan = await giftCardService.planRedemption(giftCardCodes, {
+          amount: total,
+          currency: order.currency
+        });
+      } catch (giftCardError) {
+        if (!giftCardError.statusCode) throw giftCardError;
 
-        // Update product inventory and sales count
-        for (const item of orderItems) {
-          await Product.findByIdAndUpdate(item.product, {
-            $inc: { 
-              'inventory.quantity': -item.quantity,
-              soldCount: item.quantity
-            }
-          });
-        }
+        return res.status(giftCardError.statusCode).json({
+          success: false,
+          message: giftCardError.message
+        });
+      }
+    }
 
-        // Update coupon usage
-        if (couponCode) {
-          const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
-          if (coupon) {
-            coupon.usageCount += 1;
-            coupon.usedBy.push({
-              user: req.user.id,
-              order: order._id
-            });
-            await coupon.save();
-          }
-        }
+    const giftCardAmount = Math.round(giftCardPlan.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+    order.giftCardAmount = giftCardAmount;
+    order.total = Math.round((total - giftCardAmount) * 100) / 100;
 
-        // Clear user's cart
-        await Cart.findOneAndUpdate(
-          { user: req.user.id, isActive: true },
-          { isActive: false }
-        );
+    if (order.total === 0) {
+      order.paymentMethod = 'gift_card';
+    } else if (paymentMethod === 'gift_card') {
+      return res.status(400).json({
+        success: false,
+        message: `Gift cards cover ${giftCardAmount} of ${total}; please choose a payment method for the rest`
+      });
+    }
 
-        await order.save();
+    // Catch invalid orders before any stock, coupon use or gift card balance is taken
+    await order.validate();
 
-        // Send order confirmation email
-        try {
-          await emailService.sendOrderConfirmation(req.user.email, order);
-        } catch (emailError) {
-          console.error('Email sending error:', emailError);
-          // Don't fail the order if email fails
-        }
+    // Take the coupon use now; cancelling the order gives it back
+    if (pricing.coupon) {
+      try {
+        await promotionService.reserveCoupon(pricing.coupon.id, order, userId);
+      } catch (couponError) {
+        if (!couponError.statusCode) throw couponError;
 
-        // Create admin notification
-        await Notification.create({
-          type: 'new_order',
-          title: 'New Order Received',
-          message: `Order ${order.orderNumber} for $${total.toFixed(2)} has been placed`,
-          recipientType: 'all_admins',
-          actionUrl: `/admin/orders/${order._id}`,
-          data: {
-            orderId: order._id,
-            orderNumber: order.orderNumber,
-            customerName: `${req.user.firstName} ${req.user.lastName}`,
-            total: total
-          }
+        return res.status(couponError.statusCode).json({
+          success: false,
+          message: couponError.message
         });
+      }
+    }
 
-        // Track analytics
-        await Analytics.create({
-          type: 'purchase',
-          userId: req.user.id,
-          orderId: order._id,
-          revenue: total,
-          data: {
-            orderNumber: order.orderNumber,
-            itemCount: orderItems.length,
-            paymentMethod,
-            couponUsed: !!couponCode
-          }
-        });
+    // Hold stock for the order so nobody else can buy it while payment runs
+    try {
+      await inventoryService.holdStock({
+        items: orderItems,
+        order: order._id,
+        user: userId
+      });
+    } catch (holdError) {
+      await promotionService.releaseCoupon(order);
+      return res.status(holdError.statusCode || 500).json({
+        success: false,
+        message: holdError.message
+      });
+    }
 
-        res.status(201).json({
-          success: true,
-          message: 'Order created successfully',
-          order: {
-            id: order._id,
-            orderNumber: order.orderNumber,
-            total: order.total,
-            status: order.status,
-            paymentStatus: order.paymentStatus
-          }
-        });
-      } else {
-        order.status = 'cancelled';
-        order.paymentStatus = 'failed';
-        order.paymentDetails = {
-          error: paymentResult.error,
-          gatewayResponse: paymentResult.details
-        };
-        await order.save();
+    if (giftCardPlan.length > 0) {
+      try {
+        order.giftCards = await giftCardService.redeemForOrder(order, giftCardPlan, { actor: userId });
+      } catch (giftCardError) {
+        await inventoryService.releaseOrder(order._id, 'payment_failed');
+        await promotionService.releaseCoupon(order);
+        if (!giftCardError.statusCode) throw giftCardError;
 
-        res.status(400).json({
+        return res.status(giftCardError.statusCode).json({
           success: false,
-          message: 'Payment failed',
-          error: paymentResult.error
+          message: giftCardError.message
         });
       }
+    }
+
+    // Gift card money and the coupon use are already taken, so a failed save gives them back
+    orderStatusService.recordCreation(order, { actor: userId });
+    try {
+      await order.save();
+    } catch (saveError) {
+      await giftCardService.restoreForOrder(order, `Order ${order.orderNumber} could not be placed`);
+      await inventoryService.releaseOrder(order._id, 'payment_failed');
+      await promotionService.releaseCoupon(order);
+      throw saveError;
+    }
+
+    // Nothing left to charge, so the order is paid already
+    if (order.total === 0) {
+      await orderStatusService.applyTransition(order, { status: 'paid', paymentStatus: 'paid' }, {
+        actorType: 'system',
+        note: 'Paid in full by gift card'
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Order placed and paid by gift card',
+        order: {
+          id: order._id,
+          orderNumber: order.orderNumber,
+          total: order.total,
+          giftCardAmount: order.giftCardAmount,
+          status: order.status,
+          paymentStatus: order.paymentStatus
+        },
+        accessToken: userId ? undefined : guestOrderService.createAccessToken(order),
+        payment: null
+      });
+    }
+
+    // Start the payment; the order is confirmed when the gateway reports success
+    let payment;
+    try {
+      payment = await paymentService.startPayment(order, { customerEmail: email });
     } catch (paymentError) {
       console.error('Payment processing error:', paymentError);
-      
-      order.status = 'cancelled';
-      order.paymentStatus = 'failed';
-      await order.save();
 
-      res.status(500).json({
+      // Cancelling the order releases the held stock
+      await orderStatusService.applyTransition(order, {
+        status: 'cancelled',
+        paymentStatus: 'failed'
+      }, {
+        actorType: 'system',
+        note: `Payment error: ${paymentError.message}`,
+        releaseReason: 'payment_failed',
+        notifyCustomer: false
+      });
+
+      return res.status(502).json({
         success: false,
-        message: 'Payment processing failed',
+        message: 'Payment could not be started',
         error: paymentError.message
       });
     }
 
+    if (payment.paymentId) {
+      order.set('paymentDetails.paymentId', payment.paymentId);
+      await order.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created, awaiting payment',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        giftCardAmount: order.giftCardAmount,
+        status: order.status,
+        paymentStatus: order.paymentStatus
+      },
+      // Guests use this to pay for and look up the order
+      accessToken: userId ? undefined : guestOrderService.createAccessToken(order),
+      payment
+    });
   } catch (error) {
     console.error('Error in createOrder:', error);
     res.status(500).json({
@@ -330,6 +419,7 @@ exports.getUserOrders = async (req, res) => {
 
     const orders = await Order.find(query)
       .populate('items.product', 'name images slug price')
+      .select('-statusHistory.actor')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip)
@@ -367,7 +457,8 @@ exports.getOrderById = async (req, res) => {
       customer: req.user.id
     })
     .populate('items.product', 'name images slug price attributes')
-    .populate('customer', 'firstName lastName email');
+    .populate('customer', 'firstName lastName email')
+    .select('-statusHistory.actor');
 
     if (!order) {
       return res.status(404).json({
@@ -398,6 +489,356 @@ exports.getOrderById = async (req, res) => {
   }
 };
 
+// @desc    Look up a guest order from its emailed link
+// @route   POST /api/orders/lookup
+// @access  Public
+exports.lookupGuestOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { orderNumber, email, token } = req.body;
+    const order = await guestOrderService.findByLookup({ orderNumber, email, token });
+
+    // One answer for every mismatch, so the lookup reveals nothing about other orders
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await order.populate('items.product', 'name images slug price attributes');
+
+    res.json({
+      success: true,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        email: order.email,
+        items: order.items,
+        shippingAddress: order.shippingAddress,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        shippingCost: order.shippingCost,
+        tax: order.tax,
+        giftCardAmount: order.giftCardAmount,
+        total: order.total,
+        currency: order.currency,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        fulfillmentStatus: order.fulfillmentStatus,
+        trackingNumber: order.trackingNumber,
+        shippingMethod: order.shippingMethod,
+        isClaimed: Boolean(order.customer),
+        createdAt: order.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error in lookupGuestOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Attach a guest order to the signed-in account
+// @route   POST /api/orders/claim
+// @access  Private
+exports.claimGuestOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { orderNumber, token } = req.body;
+    const order = await guestOrderService.claimOrder(req.user, { orderNumber, token });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or already claimed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order added to your account',
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        claimedAt: order.claimedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error in claimGuestOrder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download order invoice
+// @route   GET /api/orders/:id/invoice.pdf
+// @access  Private
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      query.customer = req.user.id;
+    }
+
+    const order = await Order.findOne(query);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let pdf;
+    try {
+      pdf = await invoiceService.renderInvoice(order);
+    } catch (invoiceError) {
+      if (!invoiceError.statusCode) throw invoiceError;
+      return res.status(invoiceError.statusCode).json({
+        success: false,
+        message: invoiceError.message
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${order.invoice.number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error in getOrderInvoice:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get payment details to complete a pending order
+// @route   GET /api/orders/:id/payment
+// @access  Private (guests with the order token)
+exports.getOrderPayment = async (req, res) => {
+  try {
+    const order = await findOrderForRequest(req);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'pending' || !['pending', 'failed'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is ${order.status} and does not need payment`
+      });
+    }
+
+    const payment = order.paymentMethod === 'stripe' && order.paymentDetails && order.paymentDetails.paymentId
+      ? await paymentService.getStripeClientSecret(order)
+      : await paymentService.startPayment(order, { customerEmail: req.user ? req.user.email : order.email });
+
+    if (payment.paymentId && order.paymentDetails.paymentId !== payment.paymentId) {
+      order.set('paymentDetails.paymentId', payment.paymentId);
+      await order.save();
+    }
+
+    res.json({
+      success: true,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        status: order.status,
+        paymentStatus: order.paymentStatus
+      },
+      payment
+    });
+  } catch (error) {
+    console.error('Error in getOrderPayment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create PayPal payment for a pending order
+// @route   POST /api/orders/:id/paypal
+// @access  Private (guests with the order token)
+exports.createPaypalPayment = async (req, res) => {
+  try {
+    const order = await findOrderForRequest(req);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.paymentMethod !== 'paypal') {
+      return res.status(400).json({
+        success: false,
+        message: 'Order is not paid with PayPal'
+      });
+    }
+
+    if (order.status !== 'pending' || !['pending', 'failed'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order is ${order.status} and does not need payment`
+      });
+    }
+
+    const payment = await paymentService.createPaypalPayment(order);
+
+    if (order.paymentDetails.paymentId !== payment.paymentId) {
+      order.set('paymentDetails.paymentId', payment.paymentId);
+      await order.save();
+    }
+
+    res.json({
+      success: true,
+      payment
+    });
+  } catch (error) {
+    console.error('Error in createPaypalPayment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      message: 'PayPal payment could not be created',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Execute an approved PayPal payment
+// @route   POST /api/orders/:id/paypal/execute
+// @access  Private (guests with the order token)
+exports.executePaypalPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId, payerId } = req.body;
+
+    const order = await findOrderForRequest(req);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.paymentMethod !== 'paypal' || order.paymentDetails.paymentId !== paymentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'PayPal payment does not belong to this order'
+      });
+    }
+
+    const respond = (outcome) => res.json({
+      success: true,
+      outcome,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus
+      }
+    });
+
+    // Already settled, e.g. the return page was reloaded or the webhook won
+    if (order.paymentStatus === 'paid') {
+      return respond('already_paid');
+    }
+
+    const execution = await paymentService.executePaypalPayment(order, payerId);
+    const result = await orderPaymentService.applyEvent(
+      { _id: order._id },
+      { id: `execute_${paymentId}`, type: 'payment.execute', provider: 'paypal' },
+      (claimed) => orderPaymentService.completePaypalPayment(claimed, execution)
+    );
+
+    const current = await Order.findById(order._id).select('status paymentStatus');
+    order.status = current.status;
+    order.paymentStatus = current.paymentStatus;
+
+    respond(result.handled ? result.outcome : result.reason);
+  } catch (error) {
+    console.error('Error in executePaypalPayment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      message: 'PayPal payment could not be completed',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Cancel order
 // @route   PATCH /api/orders/:id/cancel
 // @access  Private
@@ -415,8 +856,9 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (!['pending', 'paid', 'processing'].includes(order.status)) {
+    // Check if order can be cancelled; once anything has shipped it has to be returned instead
+    if (!orderStatusService.canTransition('status', order.status, 'cancelled') ||
+        order.fulfillmentStatus !== 'unfulfilled') {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled at this stage'
@@ -425,45 +867,22 @@ exports.cancelOrder = async (req, res) => {
 
     const { reason } = req.body;
 
-    // Update order status
-    order.status = 'cancelled';
-    order.notes = order.notes ? `${order.notes}\nCancellation reason: ${reason}` : `Cancellation reason: ${reason}`;
-    
-    // Restore inventory
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 
-          'inventory.quantity': item.quantity,
-          soldCount: -item.quantity
-        }
+    // Cancelling releases stock, refunds a paid order and emails the customer;
+    // if the refund fails the order stays as it was
+    try {
+      await orderStatusService.applyTransition(order, { status: 'cancelled' }, {
+        actor: req.user.id,
+        actorType: 'customer',
+        note: reason || 'Cancelled by customer',
+        releaseReason: 'order_cancelled'
       });
-    }
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
 
-    // Process refund if payment was completed
-    if (order.paymentStatus === 'paid') {
-      try {
-        const refundResult = await paymentService.processRefund({
-          transactionId: order.paymentDetails.transactionId,
-          amount: order.total,
-          reason: reason
-        });
-
-        if (refundResult.success) {
-          order.paymentStatus = 'refunded';
-        }
-      } catch (refundError) {
-        console.error('Refund processing error:', refundError);
-        // Continue with cancellation even if refund fails
-      }
-    }
-
-    await order.save();
-
-    // Send cancellation email
-    try {
-      await emailService.sendOrderCancellation(req.user.email, order, reason);
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message
+      });
     }
 
     // Create admin notification
@@ -558,7 +977,7 @@ exports.getAllOrders = async (req, res) => {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalRevenue: { $sum: '$total' }
+          totalRevenue: { $sum: currencyService.inBaseCurrency('$total') }
         }
       }
     ]);
@@ -591,7 +1010,8 @@ exports.getOrderByIdAdmin = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('customer', 'firstName lastName email phone')
-      .populate('items.product', 'name images slug price sku attributes');
+      .populate('items.product', 'name images slug price sku attributes')
+      .populate('statusHistory.actor', 'firstName lastName email role');
 
     if (!order) {
       return res.status(404).json({
@@ -602,7 +1022,8 @@ exports.getOrderByIdAdmin = async (req, res) => {
 
     res.json({
       success: true,
-      order
+      order,
+      allowedTransitions: orderStatusService.getAllowedTransitions(order)
     });
   } catch (error) {
     console.error('Error in getOrderByIdAdmin:', error);
@@ -622,22 +1043,71 @@ exports.getOrderByIdAdmin = async (req, res) => {
   }
 };
 
+// @desc    Download packing slip, optionally for one shipment (Admin)
+// @route   GET /api/orders/admin/:id/packing-slip.pdf
+// @access  Private/Admin
+exports.getPackingSlip = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let shipment;
+    if (req.query.shipment) {
+      shipment = await Shipment.findOne({ _id: req.query.shipment, order: order._id });
+
+      if (!shipment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found'
+        });
+      }
+    }
+
+    const pdf = await invoiceService.renderPackingSlip(order, shipment);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="packing-slip-${order.orderNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error in getPackingSlip:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Update order status (Admin)
 // @route   PATCH /api/orders/admin/:id/status
 // @access  Private/Admin
 exports.updateOrderStatus = async (req, res) => {
   try {
-    const { status, trackingNumber, notes } = req.body;
-
-    const validStatuses = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
-    
-    if (!validStatuses.includes(status)) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid order status'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
+    const { status, paymentStatus, fulfillmentStatus, trackingNumber, notes } = req.body;
+
     const order = await Order.findById(req.params.id)
       .populate('customer', 'firstName lastName email');
 
@@ -648,41 +1118,29 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    const oldStatus = order.status;
-    order.status = status;
-    
     if (trackingNumber) {
       order.trackingNumber = trackingNumber;
     }
-    
-    if (notes) {
-      order.notes = order.notes ? `${order.notes}\n${notes}` : notes;
-    }
-
-    await order.save();
 
-    // Send status update email to customer
     try {
-      await emailService.sendOrderStatusUpdate(order.customer.email, order, oldStatus);
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
-    }
+      await orderStatusService.applyTransition(order, {
+        status,
+        paymentStatus,
+        fulfillmentStatus
+      }, {
+        actor: req.user.id,
+        actorType: 'admin',
+        note: notes
+      });
+    } catch (transitionError) {
+      if (!transitionError.statusCode) throw transitionError;
 
-    // Create customer notification
-    await Notification.create({
-      type: 'order_update',
-      title: 'Order Status Updated',
-      message: `Your order ${order.orderNumber} status has been updated to ${status}`,
-      recipient: order.customer._id,
-      recipientType: 'customer',
-      actionUrl: `/orders/${order._id}`,
-      data: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        newStatus: status,
-        oldStatus: oldStatus
-      }
-    });
+      return res.status(transitionError.statusCode).json({
+        success: false,
+        message: transitionError.message,
+        allowed: transitionError.allowed
+      });
+    }
 
     res.json({
       success: true,
@@ -691,8 +1149,12 @@ exports.updateOrderStatus = async (req, res) => {
         id: order._id,
         orderNumber: order.orderNumber,
         status: order.status,
-        trackingNumber: order.trackingNumber
-      }
+        paymentStatus: order.paymentStatus,
+        fulfillmentStatus: order.fulfillmentStatus,
+        trackingNumber: order.trackingNumber,
+        statusHistory: order.statusHistory
+      },
+      allowedTransitions: orderStatusService.getAllowedTransitions(order)
     });
   } catch (error) {
     console.error('Error in updateOrderStatus:', error);
@@ -741,8 +1203,8 @@ exports.getOrderStatistics = async (req, res) => {
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalRevenue: { $sum: '$total' },
-          averageOrderValue: { $avg: '$total' },
+          totalRevenue: { $sum: currencyService.inBaseCurrency('$total') },
+          averageOrderValue: { $avg: currencyService.inBaseCurrency('$total') },
           pendingOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
           },
@@ -771,7 +1233,7 @@ exports.getOrderStatistics = async (req, res) => {
             month: { $month: '$createdAt' },
             day: { $dayOfMonth: '$createdAt' }
           },
-          revenue: { $sum: '$total' },
+          revenue: { $sum: currencyService.inBaseCurrency('$total') },
           orders: { $sum: 1 }
         }
       },
@@ -793,7 +1255,7 @@ exports.getOrderStatistics = async (req, res) => {
         $group: {
           _id: '$items.product',
           totalSold: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.totalPrice' }
+          totalRevenue: { $sum: currencyService.inBaseCurrency('$items.totalPrice') }
         }
       },
       {
@@ -877,8 +1339,10 @@ exports.exportOrders = async (req, res) => {
       // Convert to CSV format
       const csvData = orders.map(order => ({
         'Order Number': order.orderNumber,
-        'Customer Name': `${order.customer?.firstName} ${order.customer?.lastName}`,
-        'Customer Email': order.customer?.email,
+        'Customer Name': order.customer
+          ? `${order.customer.firstName} ${order.customer.lastName}`
+          : `${order.shippingAddress?.firstName} ${order.shippingAddress?.lastName} (guest)`,
+        'Customer Email': order.customer?.email || order.email,
         'Status': order.status,
         'Payment Status': order.paymentStatus,
         'Total': order.total,
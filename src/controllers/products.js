@@ -1,8 +1,11 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
-const Collection = require('../models/Collection');
 const Review = require('../models/Review');
 const Analytics = require('../models/Analytics');
+const inventoryService = require('../services/inventoryService');
+const currencyService = require('../services/currencyService');
+const metalPricingService = require('../services/metalPricingService');
 const { validationResult } = require('express-validator');
 const slugify = require('slugify');
 
@@ -31,6 +34,9 @@ exports.getAllProducts = async (req, res) => {
       rating
     } = req.query;
 
+    // Prices are shown, and price filters given, in the requested currency
+    const currency = req.currency || await currencyService.getContext();
+
     // Build query object
     const query = { isActive: true };
 
@@ -64,11 +70,11 @@ exports.getAllProducts = async (req, res) => {
       query.collections = { $in: [collection] };
     }
 
-    // Price range filter
+    // Price range filter, on the base price
     if (minPrice || maxPrice) {
       query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+      if (minPrice) query.price.$gte = currencyService.toBase(Number(minPrice), currency);
+      if (maxPrice) query.price.$lte = currencyService.toBase(Number(maxPrice), currency);
     }
 
     // Search functionality
@@ -177,7 +183,8 @@ exports.getAllProducts = async (req, res) => {
       success: true,
       count: products.length,
       total,
-      products,
+      currency: currency.currency,
+      products: products.map(product => currencyService.localizeProduct(product, currency)),
       pagination: {
         currentPage,
         totalPages,
@@ -235,9 +242,12 @@ exports.getProductById = async (req, res) => {
       });
     }
 
+    const currency = req.currency || await currencyService.getContext();
+
     res.json({
       success: true,
-      product
+      product: currencyService.localizeProduct(product, currency),
+      variantAvailability: currencyService.localizeVariantAvailability(product.getVariantAvailability(), product, currency)
     });
   } catch (error) {
     console.error('Error in getProductById:', error);
@@ -286,7 +296,7 @@ exports.getProductBySlug = async (req, res) => {
       isActive: true
     })
     .limit(4)
-    .select('name slug price images averageRating reviewCount')
+    .select('name slug price prices images averageRating reviewCount')
     .lean();
 
     // Track analytics
@@ -304,10 +314,13 @@ exports.getProductBySlug = async (req, res) => {
       });
     }
 
+    const currency = req.currency || await currencyService.getContext();
+
     res.json({
       success: true,
-      product,
-      relatedProducts
+      product: currencyService.localizeProduct(product, currency),
+      variantAvailability: currencyService.localizeVariantAvailability(product.getVariantAvailability(), product, currency),
+      relatedProducts: relatedProducts.map(related => currencyService.localizeProduct(related, currency))
     });
   } catch (error) {
     console.error('Error in getProductBySlug:', error);
@@ -344,7 +357,7 @@ exports.getProductReviews = async (req, res) => {
 
     // Get review statistics
     const reviewStats = await Review.aggregate([
-      { $match: { product: mongoose.Types.ObjectId(req.params.id), status: 'approved' } },
+      { $match: { product: new mongoose.Types.ObjectId(req.params.id), status: 'approved' } },
       {
         $group: {
           _id: '$rating',
@@ -475,6 +488,8 @@ exports.updateProduct = async (req, res) => {
       }
     }
 
+    const previous = await Product.findById(req.params.id).select('price comparePrice').lean();
+
     const product = await Product.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -491,6 +506,10 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
+    if (previous) {
+      await metalPricingService.recordManualChange(previous, product, req.user.id);
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -628,6 +647,40 @@ exports.updateProductInventory = async (req, res) => {
   }
 };
 
+// @desc    Get active inventory holds per product (Admin)
+// @route   GET /api/products/admin/reservations
+// @access  Private/Admin
+exports.getInventoryReservations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { productId } = req.query;
+
+    const reservations = await inventoryService.getActiveHolds({ productId });
+
+    res.json({
+      success: true,
+      holdMinutes: inventoryService.config.holdMinutes,
+      count: reservations.length,
+      reservations
+    });
+  } catch (error) {
+    console.error('Error in getInventoryReservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get featured products
 // @route   GET /api/products/featured
 // @access  Public
@@ -0,0 +1,284 @@
+const Promotion = require('../models/Promotion');
+const { validationResult } = require('express-validator');
+const promotionService = require('../services/promotionService');
+
+// @desc    Get running promotions
+// @route   GET /api/promotions/active
+// @access  Public
+exports.getActivePromotions = async (req, res) => {
+  try {
+    const promotions = await promotionService.getActivePromotions();
+
+    res.json({
+      success: true,
+      promotions: promotions.map(promotion => ({
+        id: promotion._id,
+        name: promotion.name,
+        description: promotion.description,
+        type: promotion.type,
+        endDate: promotion.endDate
+      }))
+    });
+  } catch (error) {
+    console.error('Error in getActivePromotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all promotions (Admin)
+// @route   GET /api/promotions/admin/all
+// @access  Private/Admin
+exports.getAllPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (status === 'active') {
+      query.isActive = true;
+      query.$or = [{ endDate: null }, { endDate: { $gt: new Date() } }];
+    } else if (status === 'expired') {
+      query.endDate = { $lt: new Date() };
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    const promotions = await Promotion.find(query)
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await Promotion.countDocuments(query);
+
+    res.json({
+      success: true,
+      promotions,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAllPromotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single promotion (Admin)
+// @route   GET /api/promotions/admin/:id
+// @access  Private/Admin
+exports.getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('products', 'name sku')
+      .populate('categories', 'name slug')
+      .populate('collections', 'name slug')
+      .populate('giftProduct', 'name sku');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      promotion
+    });
+  } catch (error) {
+    console.error('Error in getPromotionById:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create promotion (Admin)
+// @route   POST /api/promotions/admin/create
+// @access  Private/Admin
+exports.createPromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = await Promotion.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('Error in createPromotion:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update promotion (Admin)
+// @route   PUT /api/promotions/admin/:id
+// @access  Private/Admin
+exports.updatePromotion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Saved rather than updated in place so the per-type checks run
+    promotion.set(req.body);
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('Error in updatePromotion:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete promotion (Admin)
+// @route   DELETE /api/promotions/admin/:id
+// @access  Private/Admin
+exports.deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deletePromotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Toggle promotion status (Admin)
+// @route   PATCH /api/promotions/admin/:id/toggle-status
+// @access  Private/Admin
+exports.togglePromotionStatus = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    promotion.isActive = !promotion.isActive;
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: `Promotion ${promotion.isActive ? 'activated' : 'deactivated'} successfully`,
+      promotion: {
+        id: promotion._id,
+        name: promotion.name,
+        isActive: promotion.isActive
+      }
+    });
+  } catch (error) {
+    console.error('Error in togglePromotionStatus:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
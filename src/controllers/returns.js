@@ -0,0 +1,429 @@
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const { validationResult } = require('express-validator');
+const returnService = require('../services/returnService');
+
+const sendReturnError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    allowed: error.allowed
+  });
+};
+
+const findReturnWithOrder = async (query) => {
+  const ret = await Return.findOne(query);
+  if (!ret) return {};
+
+  const order = await Order.findById(ret.order);
+  return { ret, order };
+};
+
+// Run a return workflow step and answer with the updated return
+const runStep = async (req, res, step, message) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+  }
+
+  const { ret, order } = await findReturnWithOrder({ _id: req.params.id });
+  if (!ret || !order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+  }
+
+  try {
+    await step(ret, order, { actor: req.user.id, actorType: 'admin' });
+  } catch (returnError) {
+    if (!returnError.statusCode) throw returnError;
+    return sendReturnError(res, returnError);
+  }
+
+  res.json({
+    success: true,
+    message,
+    return: ret
+  });
+};
+
+// @desc    Get return policy
+// @route   GET /api/returns/policy
+// @access  Public
+exports.getReturnPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: await returnService.getPolicy()
+    });
+  } catch (error) {
+    console.error('Error in getReturnPolicy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request a return
+// @route   POST /api/returns
+// @access  Private
+exports.requestReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, type, items, customerNote } = req.body;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      customer: req.user.id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let ret;
+    try {
+      ret = await returnService.requestReturn(order, { type, items, customerNote }, {
+        actor: req.user.id,
+        actorType: 'customer'
+      });
+    } catch (returnError) {
+      if (!returnError.statusCode) throw returnError;
+      return sendReturnError(res, returnError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Error in requestReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get user's returns
+// @route   GET /api/returns/my-returns
+// @access  Private
+exports.getUserReturns = async (req, res) => {
+  try {
+    const returns = await Return.find({ customer: req.user.id })
+      .populate('order', 'orderNumber')
+      .populate('items.product', 'name images slug')
+      .select('-history.actor -items.inspection.inspectedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      returns
+    });
+  } catch (error) {
+    console.error('Error in getUserReturns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single return
+// @route   GET /api/returns/:id
+// @access  Private
+exports.getReturnById = async (req, res) => {
+  try {
+    const ret = await Return.findOne({
+      _id: req.params.id,
+      customer: req.user.id
+    })
+    .populate('order', 'orderNumber')
+    .populate('items.product', 'name images slug')
+    .select('-history.actor -items.inspection.inspectedBy');
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      return: ret
+    });
+  } catch (error) {
+    console.error('Error in getReturnById:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel return request
+// @route   PATCH /api/returns/:id/cancel
+// @access  Private
+exports.cancelReturn = async (req, res) => {
+  try {
+    const { ret, order } = await findReturnWithOrder({
+      _id: req.params.id,
+      customer: req.user.id
+    });
+
+    if (!ret || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    try {
+      await returnService.transition(ret, order, 'cancelled', {
+        actor: req.user.id,
+        actorType: 'customer',
+        note: req.body.reason,
+        notifyCustomer: false
+      });
+    } catch (returnError) {
+      if (!returnError.statusCode) throw returnError;
+      return sendReturnError(res, returnError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Return cancelled successfully',
+      return: ret
+    });
+  } catch (error) {
+    console.error('Error in cancelReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all returns (Admin)
+// @route   GET /api/returns/admin/all
+// @access  Private/Admin
+exports.getAllReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const returns = await Return.find(query)
+      .populate('order', 'orderNumber total')
+      .populate('customer', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Return.countDocuments(query);
+
+    res.json({
+      success: true,
+      returns,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalReturns: total,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error in getAllReturns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single return with refund preview (Admin)
+// @route   GET /api/returns/admin/:id
+// @access  Private/Admin
+exports.getReturnByIdAdmin = async (req, res) => {
+  try {
+    const { ret, order } = await findReturnWithOrder({ _id: req.params.id });
+
+    if (!ret || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    await ret.populate([
+      { path: 'customer', select: 'firstName lastName email' },
+      { path: 'items.product', select: 'name sku images' },
+      { path: 'history.actor', select: 'firstName lastName email role' }
+    ]);
+
+    res.json({
+      success: true,
+      return: ret,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        refunds: order.refunds
+      },
+      refundPreview: returnService.calculateRefund(ret, order),
+      allowedTransitions: returnService.transitions[ret.status]
+    });
+  } catch (error) {
+    console.error('Error in getReturnByIdAdmin:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve return (Admin)
+// @route   PATCH /api/returns/admin/:id/approve
+// @access  Private/Admin
+exports.approveReturn = async (req, res) => {
+  try {
+    const { restockingFeePercent, returnShipping, notes } = req.body;
+
+    await runStep(req, res, (ret, order, context) =>
+      returnService.approve(ret, order, { restockingFeePercent, returnShipping, note: notes }, context),
+    'Return approved successfully');
+  } catch (error) {
+    console.error('Error in approveReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject return (Admin)
+// @route   PATCH /api/returns/admin/:id/reject
+// @access  Private/Admin
+exports.rejectReturn = async (req, res) => {
+  try {
+    await runStep(req, res, (ret, order, context) =>
+      returnService.reject(ret, order, req.body.reason, context),
+    'Return rejected');
+  } catch (error) {
+    console.error('Error in rejectReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Receive and inspect returned items (Admin)
+// @route   PATCH /api/returns/admin/:id/receive
+// @access  Private/Admin
+exports.receiveReturn = async (req, res) => {
+  try {
+    const { items, notes } = req.body;
+
+    await runStep(req, res, (ret, order, context) =>
+      returnService.receive(ret, order, { items, note: notes }, context),
+    'Return received successfully');
+  } catch (error) {
+    console.error('Error in receiveReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Refund received return (Admin)
+// @route   POST /api/returns/admin/:id/refund
+// @access  Private/Admin
+exports.refundReturn = async (req, res) => {
+  try {
+    const { amount, notes } = req.body;
+
+    await runStep(req, res, (ret, order, context) =>
+      returnService.refund(ret, order, { amount, note: notes }, context),
+    'Return refunded successfully');
+  } catch (error) {
+    console.error('Error in refundReturn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete exchange (Admin)
+// @route   PATCH /api/returns/admin/:id/complete-exchange
+// @access  Private/Admin
+exports.completeExchange = async (req, res) => {
+  try {
+    const { trackingNumber, notes } = req.body;
+
+    await runStep(req, res, (ret, order, context) =>
+      returnService.completeExchange(ret, order, { trackingNumber, note: notes }, context),
+    'Exchange completed successfully');
+  } catch (error) {
+    console.error('Error in completeExchange:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
@@ -135,7 +136,7 @@ exports.getProductReviews = async (req, res) => {
     const reviewStats = await Review.aggregate([
       { 
         $match: { 
-          product: mongoose.Types.ObjectId(req.params.productId), 
+          product: new mongoose.Types.ObjectId(req.params.productId), 
           status: 'approved' 
         } 
       },
@@ -156,7 +157,7 @@ exports.getProductReviews = async (req, res) => {
     const avgStats = await Review.aggregate([
       { 
         $match: { 
-          product: mongoose.Types.ObjectId(req.params.productId), 
+          product: new mongoose.Types.ObjectId(req.params.productId), 
           status: 'approved' 
         } 
       },
@@ -426,7 +427,7 @@ const updateProductRating = async (productId) => {
     const stats = await Review.aggregate([
       { 
         $match: { 
-          product: mongoose.Types.ObjectId(productId), 
+          product: new mongoose.Types.ObjectId(productId), 
           status: 'approved' 
         } 
       },
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const loginProtectionService = require('../services/loginProtectionService');
+const twoFactorService = require('../services/twoFactorService');
+
+// @desc    Get security events (Admin)
+// @route   GET /api/auth/admin/security-events
+// @access  Private/Admin
+exports.getSecurityEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, user, email, ipAddress } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (type) query.type = type;
+    if (user && mongoose.Types.ObjectId.isValid(user)) query.user = user;
+    if (email) query.email = String(email).toLowerCase().trim();
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'firstName lastName email role')
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip)
+      .lean();
+
+    const total = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      events,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getSecurityEvents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get accounts and IPs currently locked out (Admin)
+// @route   GET /api/auth/admin/lockouts
+// @access  Private/Admin
+exports.getLockouts = async (req, res) => {
+  try {
+    const lockouts = await loginProtectionService.getActiveLockouts();
+
+    res.json({
+      success: true,
+      lockouts
+    });
+  } catch (error) {
+    console.error('Error in getLockouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlock an account after failed sign-ins (Admin)
+// @route   POST /api/auth/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = await loginProtectionService.unlockAccount(user, {
+      actor: req.user._id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked; failed attempts cleared',
+      wasLocked
+    });
+  } catch (error) {
+    console.error('Error in unlockUser:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication after a lost device (Admin)
+// @route   POST /api/auth/admin/users/:id/2fa/reset
+// @access  Private/Admin
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasEnabled = await twoFactorService.reset(user, {
+      actor: req.user._id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: twoFactorService.isRequired(user)
+        ? 'Two-factor authentication reset; the user must enroll again at their next sign-in'
+        : 'Two-factor authentication reset and all sessions signed out',
+      wasEnabled
+    });
+  } catch (error) {
+    console.error('Error in resetTwoFactor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,5 +1,13 @@
 const Setting = require('../models/Setting');
 const { validationResult } = require('express-validator');
+const counterService = require('../services/counterService');
+
+// Number format settings must keep exactly one {SEQ} token, or numbers would repeat
+const getNumberFormatError = (key, value) => {
+  const isNumberFormat = Object.values(counterService.counterFormats).some(config => config.setting === key);
+  if (!isNumberFormat || counterService.isValidFormat(value)) return null;
+  return 'Number formats must contain exactly one {SEQ} or {SEQ:n} token';
+};
 
 // @desc    Get public settings
 // @route   GET /api/settings/public
@@ -136,6 +144,14 @@ exports.updateSetting = async (req, res) => {
       }
     }
 
+    const formatError = getNumberFormatError(key, value);
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        message: formatError
+      });
+    }
+
     setting.value = value;
     if (description !== undefined) setting.description = description;
     if (isPublic !== undefined) setting.isPublic = isPublic;
@@ -172,6 +188,11 @@ exports.bulkUpdateSettings = async (req, res) => {
     }
 
     const updatePromises = Object.entries(settings).map(async ([key, value]) => {
+      const formatError = getNumberFormatError(key, value);
+      if (formatError) {
+        throw new Error(`${key}: ${formatError}`);
+      }
+
       return Setting.findOneAndUpdate(
         { key },
         { value },
@@ -228,6 +249,14 @@ exports.createSetting = async (req, res) => {
       });
     }
 
+    const formatError = getNumberFormatError(key, value);
+    if (formatError) {
+      return res.status(400).json({
+        success: false,
+        message: formatError
+      });
+    }
+
     const setting = new Setting({
       key,
       value,
@@ -284,6 +313,33 @@ exports.deleteSetting = async (req, res) => {
   }
 };
 
+// @desc    Preview the next order, invoice, return and gift card numbers (Admin)
+// @route   GET /api/settings/admin/number-formats
+// @access  Private/Admin
+exports.getNumberFormats = async (req, res) => {
+  try {
+    const formats = {};
+    for (const [name, config] of Object.entries(counterService.counterFormats)) {
+      formats[name] = {
+        setting: config.setting,
+        ...(await counterService.preview(name))
+      };
+    }
+
+    res.json({
+      success: true,
+      formats
+    });
+  } catch (error) {
+    console.error('Error in getNumberFormats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Initialize default settings
 // @route   POST /api/settings/admin/initialize
 // @access  Private/Admin
@@ -292,21 +348,53 @@ exports.initializeDefaultSettings = async (req, res) => {
     const defaultSettings = [
       // General Settings
       { key: 'site_name', value: 'Angara Jewelry', type: 'string', category: 'general', description: 'Website name', isPublic: true },
+      { key: 'business_address', value: '', type: 'string', category: 'general', description: 'Business address printed on invoices and packing slips', isPublic: true },
       { key: 'site_description', value: 'Exquisite handcrafted jewelry', type: 'string', category: 'general', description: 'Site description for SEO', isPublic: true },
       { key: 'contact_email', value: 'contact@angara.com', type: 'string', category: 'general', description: 'Main contact email', isPublic: true },
       { key: 'contact_phone', value: '+1-844-527-4367', type: 'string', category: 'general', description: 'Contact phone number', isPublic: true },
       { key: 'business_address', value: '550 South Hill St, Suite 1600, Los Angeles, CA 90013', type: 'string', category: 'general', description: 'Business address', isPublic: true },
+
+      // Document Number Settings
+      { key: 'order_number_format', value: 'BJ-{YYYY}-{SEQ:6}', type: 'string', category: 'general', description: 'Order number format; {YYYY}, {YY} and {MM} restart the sequence each period, {SEQ:n} pads it', isPublic: false },
+      { key: 'invoice_number_format', value: 'INV-{SEQ:6}', type: 'string', category: 'general', description: 'Invoice number format', isPublic: false },
+      { key: 'return_number_format', value: 'RMA-{YYYY}-{SEQ:6}', type: 'string', category: 'general', description: 'Return number format', isPublic: false },
+      { key: 'gift_card_number_format', value: 'GC-{YYYY}-{SEQ:6}', type: 'string', category: 'general', description: 'Gift card reference number format', isPublic: false },
       
       // Payment Settings
+      { key: 'metal_price_rounding', value: 1, type: 'number', category: 'payment', description: 'Formula-priced products are rounded to a multiple of this amount', isPublic: false },
+      { key: 'base_currency', value: 'USD', type: 'string', category: 'payment', description: 'Currency catalog prices, coupons and shipping rates are entered in', isPublic: true },
       { key: 'paypal_mode', value: 'sandbox', type: 'string', category: 'payment', description: 'PayPal mode (sandbox/live)', isPublic: false },
       { key: 'stripe_mode', value: 'test', type: 'string', category: 'payment', description: 'Stripe mode (test/live)', isPublic: false },
       { key: 'payment_methods', value: ['paypal', 'stripe'], type: 'array', category: 'payment', description: 'Enabled payment methods', isPublic: true },
+      { key: 'gift_card_validity_months', value: 60, type: 'number', category: 'payment', description: 'Months a gift card stays valid (0 for no expiry)', isPublic: true },
+      { key: 'idempotency_key_ttl_hours', value: 24, type: 'number', category: 'payment', description: 'Hours an Idempotency-Key is remembered for checkout, payment and refund retries', isPublic: false },
       
       // Shipping Settings
       { key: 'free_shipping_threshold', value: 100, type: 'number', category: 'shipping', description: 'Free shipping minimum amount', isPublic: true },
       { key: 'default_shipping_cost', value: 10, type: 'number', category: 'shipping', description: 'Default shipping cost', isPublic: true },
       { key: 'shipping_regions', value: ['US', 'CA', 'EU'], type: 'array', category: 'shipping', description: 'Supported shipping regions', isPublic: true },
       
+      // Tax Settings
+      { key: 'tax_provider', value: 'local', type: 'string', category: 'tax', description: 'Tax provider (local/stripe)', isPublic: false },
+      { key: 'tax_inclusive_pricing', value: false, type: 'boolean', category: 'tax', description: 'Product prices include tax', isPublic: true },
+      { key: 'stripe_tax_codes', value: {}, type: 'object', category: 'tax', description: 'Stripe tax codes by tax class', isPublic: false },
+      
+      // Return Settings
+      { key: 'return_window_days', value: 30, type: 'number', category: 'shipping', description: 'Days after delivery a return can be requested', isPublic: true },
+      { key: 'restocking_fee_percent', value: 0, type: 'number', category: 'shipping', description: 'Restocking fee for change-of-mind returns (%)', isPublic: true },
+      { key: 'return_shipping_fee', value: 0, type: 'number', category: 'shipping', description: 'Flat return shipping fee deducted from refunds', isPublic: true },
+      
+      // Account Settings
+      { key: 'require_verified_email_checkout', value: false, type: 'boolean', category: 'general', description: 'Signed-in customers must verify their email before checking out', isPublic: true },
+      { key: 'require_verified_email_reviews', value: false, type: 'boolean', category: 'general', description: 'Customers must verify their email before writing reviews', isPublic: true },
+      
+      // Cart Recovery Settings
+      { key: 'cart_recovery_enabled', value: true, type: 'boolean', category: 'email', description: 'Send abandoned cart reminders', isPublic: false },
+      { key: 'cart_recovery_intervals_hours', value: [1, 24, 72], type: 'array', category: 'email', description: 'Hours of cart inactivity before each reminder', isPublic: false },
+      { key: 'cart_recovery_coupon_percent', value: 0, type: 'number', category: 'email', description: 'One-time coupon offered in cart reminders (%, 0 to disable)', isPublic: false },
+      { key: 'cart_recovery_coupon_days', value: 7, type: 'number', category: 'email', description: 'Days a cart recovery coupon stays valid', isPublic: false },
+      { key: 'cart_recovery_coupon_reminder', value: 2, type: 'number', category: 'email', description: 'First reminder that includes the coupon', isPublic: false },
+      
       // Email Settings
       { key: 'email_from_name', value: 'Angara Jewelry', type: 'string', category: 'email', description: 'Email sender name', isPublic: false },
       { key: 'email_from_address', value: 'noreply@angara.com', type: 'string', category: 'email', description: 'Email sender address', isPublic: false },
@@ -0,0 +1,289 @@
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { validationResult } = require('express-validator');
+const shipmentService = require('../services/shipmentService');
+
+const sendShipmentError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+const findShipmentWithOrder = async (shipmentId) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment) return {};
+
+  const order = await Order.findById(shipment.order);
+  return { shipment, order };
+};
+
+// @desc    Get shipments for an order
+// @route   GET /api/shipments/order/:orderId
+// @access  Private
+exports.getOrderShipments = async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      customer: req.user.id
+    }).select('orderNumber status fulfillmentStatus');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipments = await Shipment.find({
+      order: order._id,
+      status: { $ne: 'voided' }
+    })
+    .populate('items.product', 'name images slug')
+    .select('-createdBy')
+    .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      order,
+      shipments
+    });
+  } catch (error) {
+    console.error('Error in getOrderShipments:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all shipments for an order, with remaining quantities (Admin)
+// @route   GET /api/shipments/admin/order/:orderId
+// @access  Private/Admin
+exports.getOrderShipmentsAdmin = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('items.product', 'name sku images');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipments = await Shipment.find({ order: order._id })
+      .populate('items.product', 'name sku')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    const shipped = shipmentService.getShippedQuantities(
+      shipments.filter(shipment => shipment.status !== 'voided')
+    );
+
+    const items = order.items.map(item => ({
+      orderItem: item._id,
+      product: item.product,
+      variant: item.variant,
+      ordered: item.quantity,
+      shipped: shipped[item._id.toString()] || 0,
+      remaining: Math.max(item.quantity - (shipped[item._id.toString()] || 0), 0)
+    }));
+
+    res.json({
+      success: true,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus
+      },
+      items,
+      shipments
+    });
+  } catch (error) {
+    console.error('Error in getOrderShipmentsAdmin:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create shipment (Admin)
+// @route   POST /api/shipments/admin/order/:orderId
+// @access  Private/Admin
+exports.createShipment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { items, carrier, service, trackingNumber, trackingUrl, notes } = req.body;
+
+    let shipment;
+    try {
+      shipment = await shipmentService.createShipment(order, {
+        items,
+        carrier,
+        service,
+        trackingNumber,
+        trackingUrl
+      }, {
+        actor: req.user.id,
+        actorType: 'admin',
+        note: notes
+      });
+    } catch (shipmentError) {
+      if (!shipmentError.statusCode) throw shipmentError;
+      return sendShipmentError(res, shipmentError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      shipment,
+      order: {
+        id: order._id,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        trackingNumber: order.trackingNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error in createShipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update shipment carrier details or tracking status (Admin)
+// @route   PUT /api/shipments/admin/:id
+// @access  Private/Admin
+exports.updateShipment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { shipment, order } = await findShipmentWithOrder(req.params.id);
+    if (!shipment || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    try {
+      await shipmentService.updateShipment(shipment, order, req.body, {
+        actor: req.user.id,
+        actorType: 'admin'
+      });
+    } catch (shipmentError) {
+      if (!shipmentError.statusCode) throw shipmentError;
+      return sendShipmentError(res, shipmentError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipment updated successfully',
+      shipment,
+      order: {
+        id: order._id,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        trackingNumber: order.trackingNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error in updateShipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void shipment (Admin)
+// @route   PATCH /api/shipments/admin/:id/void
+// @access  Private/Admin
+exports.voidShipment = async (req, res) => {
+  try {
+    const { shipment, order } = await findShipmentWithOrder(req.params.id);
+    if (!shipment || !order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    try {
+      await shipmentService.voidShipment(shipment, order, req.body.reason, {
+        actor: req.user.id,
+        actorType: 'admin'
+      });
+    } catch (shipmentError) {
+      if (!shipmentError.statusCode) throw shipmentError;
+      return sendShipmentError(res, shipmentError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipment voided successfully',
+      shipment,
+      order: {
+        id: order._id,
+        status: order.status,
+        fulfillmentStatus: order.fulfillmentStatus,
+        trackingNumber: order.trackingNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error in voidShipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,215 @@
+const Cart = require('../models/Cart');
+const ShippingZone = require('../models/ShippingZone');
+const { validationResult } = require('express-validator');
+const shippingService = require('../services/shippingService');
+const currencyService = require('../services/currencyService');
+
+// @desc    Get shipping options for the current cart and an address
+// @route   GET /api/shipping/rates
+// @access  Private/Public (with session)
+exports.getShippingRates = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const cartQuery = req.user
+      ? { user: req.user.id, isActive: true }
+      : { sessionId: req.headers['session-id'], isActive: true };
+
+    const cart = await Cart.findOne(cartQuery);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const { country, state, postalCode } = req.query;
+    const pricing = await cart.applyPromotions();
+    const currency = await cart.getCurrencyContext();
+
+    let rates;
+    try {
+      rates = await shippingService.getRates({
+        address: { country, state, postalCode },
+        items: cart.items,
+        subtotal: cart.getDiscountedSubtotal(),
+        currency
+      });
+    } catch (shippingError) {
+      if (!shippingError.statusCode) throw shippingError;
+
+      return res.status(shippingError.statusCode).json({
+        success: false,
+        message: shippingError.message
+      });
+    }
+
+    // A free shipping coupon on the cart makes every method free
+    if (pricing.freeShipping) {
+      rates = rates.map(rate => ({ ...rate, cost: 0, isFree: true }));
+    }
+
+    res.json({
+      success: true,
+      currency: currency.currency,
+      freeShippingThreshold: currencyService.convert(await shippingService.getFreeShippingThreshold(), currency),
+      rates
+    });
+  } catch (error) {
+    console.error('Error in getShippingRates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get all shipping zones (Admin)
+// @route   GET /api/shipping/admin/zones
+// @access  Private/Admin
+exports.getAllZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      zones
+    });
+  } catch (error) {
+    console.error('Error in getAllZones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create shipping zone (Admin)
+// @route   POST /api/shipping/admin/zones
+// @access  Private/Admin
+exports.createZone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Error in createZone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update shipping zone (Admin)
+// @route   PUT /api/shipping/admin/zones/:id
+// @access  Private/Admin
+exports.updateZone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    console.error('Error in updateZone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete shipping zone (Admin)
+// @route   DELETE /api/shipping/admin/zones/:id
+// @access  Private/Admin
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteZone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
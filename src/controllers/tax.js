@@ -0,0 +1,184 @@
+const TaxRate = require('../models/TaxRate');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { validationResult } = require('express-validator');
+const taxService = require('../services/taxService');
+
+// @desc    Get tax rates (Admin)
+// @route   GET /api/tax/admin/rates
+// @access  Private/Admin
+exports.getTaxRates = async (req, res) => {
+  try {
+    const { country, state, taxClass } = req.query;
+
+    const query = {};
+    if (country) query.country = country.toUpperCase();
+    if (state) query.state = state.toUpperCase();
+    if (taxClass) query.taxClass = taxClass;
+
+    const rates = await TaxRate.find(query).sort({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      config: await taxService.getConfig(),
+      rates
+    });
+  } catch (error) {
+    console.error('Error in getTaxRates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get tax classes in use (Admin)
+// @route   GET /api/tax/admin/classes
+// @access  Private/Admin
+exports.getTaxClasses = async (req, res) => {
+  try {
+    const [rateClasses, categoryClasses, productClasses] = await Promise.all([
+      TaxRate.distinct('taxClass'),
+      Category.distinct('taxClass'),
+      Product.distinct('taxClass')
+    ]);
+
+    const classes = [...new Set(['standard', ...rateClasses, ...categoryClasses, ...productClasses])]
+      .filter(Boolean)
+      .sort();
+
+    res.json({
+      success: true,
+      classes
+    });
+  } catch (error) {
+    console.error('Error in getTaxClasses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create tax rate (Admin)
+// @route   POST /api/tax/admin/rates
+// @access  Private/Admin
+exports.createTaxRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await TaxRate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      rate
+    });
+  } catch (error) {
+    console.error('Error in createTaxRate:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update tax rate (Admin)
+// @route   PUT /api/tax/admin/rates/:id
+// @access  Private/Admin
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await TaxRate.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      rate
+    });
+  } catch (error) {
+    console.error('Error in updateTaxRate:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete tax rate (Admin)
+// @route   DELETE /api/tax/admin/rates/:id
+// @access  Private/Admin
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const rate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteTaxRate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
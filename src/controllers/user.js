@@ -1,8 +1,10 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const Wishlist = require('../models/Wishlist');
 const { validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
+const currencyService = require('../services/currencyService');
+const tokenService = require('../services/tokenService');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -124,6 +126,11 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Other devices have to sign in with the new password
+    await tokenService.revokeUserSessions(user._id, 'password_changed', {
+      except: req.auth.sessionId
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -295,12 +302,12 @@ exports.getDashboardData = async (req, res) => {
 
     // Get order statistics
     const orderStats = await Order.aggregate([
-      { $match: { customer: mongoose.Types.ObjectId(req.user.id) } },
+      { $match: { customer: new mongoose.Types.ObjectId(req.user.id) } },
       {
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalSpent: { $sum: '$total' },
+          totalSpent: { $sum: currencyService.inBaseCurrency('$total') },
           pendingOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
           },
@@ -0,0 +1,64 @@
+const orderPaymentService = require('../services/orderPaymentService');
+const paymentService = require('../services/paymentService');
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/webhooks/stripe
+// @access  Public (signed by Stripe)
+exports.handleStripeWebhook = async (req, res) => {
+  let event;
+  try {
+    event = paymentService.constructStripeEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const result = await orderPaymentService.handleStripeEvent(event);
+
+    res.json({
+      received: true,
+      ...result
+    });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the event later
+    console.error('Error in handleStripeWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Receive PayPal webhook events
+// @route   POST /api/webhooks/paypal
+// @access  Public (signed by PayPal)
+exports.handlePaypalWebhook = async (req, res) => {
+  try {
+    const event = await paymentService.constructPaypalEvent(req.body, req.headers);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await orderPaymentService.handlePaypalEvent(event);
+
+    res.json({
+      received: true,
+      ...result
+    });
+  } catch (error) {
+    // A non-2xx response makes PayPal retry the event later
+    console.error('Error in handlePaypalWebhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
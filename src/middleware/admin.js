@@ -1,3 +1,5 @@
+const { authConfig } = require('../config/auth');
+
 const admin = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -13,6 +15,15 @@ const admin = (req, res, next) => {
     });
   }
 
+  // Admin sessions must have passed two-factor authentication at sign-in
+  if (authConfig.twoFactor.requiredRoles.includes(req.user.role) && !(req.auth && req.auth.mfa)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Two-factor authentication is required for admin access.',
+      twoFactorRequired: true
+    });
+  }
+
   next();
 };
 
@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
 
 module.exports = async (req, res, next) => {
   try {
@@ -12,7 +12,7 @@ module.exports = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await tokenService.verifyAccessToken(token);
     const user = await User.findById(decoded.id);
 
     if (!user) {
@@ -30,6 +30,12 @@ module.exports = async (req, res, next) => {
     }
 
     req.user = user;
+    req.auth = {
+      sessionId: decoded.sid,
+      tokenId: decoded.jti,
+      exp: decoded.exp,
+      mfa: !!decoded.mfa
+    };
     next();
   } catch (error) {
     res.status(401).json({
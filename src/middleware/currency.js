@@ -0,0 +1,30 @@
+const currencyService = require('../services/currencyService');
+
+// Read the shopper's currency from ?currency= or the X-Currency header and put its
+// rate and rounding rules on req.currency. Left unset when no currency is asked for,
+// so carts keep the currency they were started in.
+const currency = async (req, res, next) => {
+  const code = req.query.currency || req.get('X-Currency');
+  if (!code) return next();
+
+  try {
+    req.currency = await currencyService.getContext(code);
+    next();
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Currency middleware error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error',
+        error: error.message
+      });
+    }
+
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = currency;
\ No newline at end of file
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const settingService = require('../services/settingService');
+
+const idempotencyConfig = {
+  header: 'Idempotency-Key',
+  maxKeyLength: 255,
+  lockSeconds: 60 // How long a request may run before a retry can take its key over
+};
+
+// JSON with sorted keys, so the same payload always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+const ownerOf = (req) => (req.user
+  ? `user:${req.user.id}`
+  : `guest:${req.headers['session-id'] || req.ip}`);
+
+// Claim a key for this request, taking over one whose request died mid-way
+const claimKey = async ({ key, scope, owner, requestHash }) => {
+  const now = new Date();
+  const hours = Number(await settingService.get('idempotency_key_ttl_hours', 24));
+  const lockedUntil = new Date(now.getTime() + idempotencyConfig.lockSeconds * 1000);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      scope,
+      owner,
+      requestHash,
+      lockedUntil,
+      expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+    });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ key, scope, owner });
+  if (!existing) {
+    return claimKey({ key, scope, owner, requestHash });
+  }
+  if (existing.requestHash !== requestHash) {
+    return { conflict: 'mismatch' };
+  }
+  if (existing.status === 'completed') {
+    return { replay: existing.response };
+  }
+
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedUntil: { $lte: now } },
+    { lockedUntil },
+    { new: true }
+  );
+  return takenOver ? { claimed: true } : { conflict: 'in_progress' };
+};
+
+// Deduplicate retries of an unsafe request that carry an Idempotency-Key header.
+// The first response is stored and replayed for the same key and payload; server
+// errors are not stored, so the request can be retried with the same key.
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get(idempotencyConfig.header);
+  if (!key) return next();
+
+  if (key.length > idempotencyConfig.maxKeyLength) {
+    return res.status(400).json({
+      success: false,
+      message: `${idempotencyConfig.header} must be at most ${idempotencyConfig.maxKeyLength} characters`
+    });
+  }
+
+  const record = { key, scope, owner: ownerOf(req), requestHash: hashRequest(req) };
+
+  let claim;
+  try {
+    claim = await claimKey(record);
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+
+  if (claim.conflict === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      message: `${idempotencyConfig.header} was already used for a different request`
+    });
+  }
+  if (claim.conflict === 'in_progress') {
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+  if (claim.replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.statusCode).json(claim.replay.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const filter = { key: record.key, scope: record.scope, owner: record.owner };
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(filter)
+      : IdempotencyKey.updateOne(filter, {
+        status: 'completed',
+        response: { statusCode: res.statusCode, body },
+        $unset: { lockedUntil: 1 }
+      });
+
+    saved.catch(error => console.error('Idempotency key save error:', error));
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = idempotency;
\ No newline at end of file
@@ -1,5 +1,4 @@
 const notFound = (req, res, next) => {
-  const error = new Error(`Not Found - ${req.originalUrl}`);
   res.status(404).json({
     success: false,
     message: `Route ${req.originalUrl} not found`,
@@ -10,6 +9,13 @@ const notFound = (req, res, next) => {
       collections: '/api/collections',
       cart: '/api/cart',
       orders: '/api/orders',
+      shipments: '/api/shipments',
+      returns: '/api/returns',
+      shipping: '/api/shipping',
+      tax: '/api/tax',
+      currencies: '/api/currencies',
+      metalPricing: '/api/metal-pricing',
+      webhooks: '/api/webhooks',
       reviews: '/api/reviews',
       wishlist: '/api/wishlist',
       users: '/api/users',
@@ -17,6 +23,8 @@ const notFound = (req, res, next) => {
       newsletter: '/api/newsletter',
       blog: '/api/blog',
       coupons: '/api/coupons',
+      promotions: '/api/promotions',
+      giftCards: '/api/gift-cards',
       content: '/api/content',
       analytics: '/api/analytics',
       settings: '/api/settings',
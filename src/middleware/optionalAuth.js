@@ -1,16 +1,22 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
 
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await tokenService.verifyAccessToken(token);
       const user = await User.findById(decoded.id).select('-password');
 
       if (user && user.isActive) {
         req.user = user;
+        req.auth = {
+          sessionId: decoded.sid,
+          tokenId: decoded.jti,
+          exp: decoded.exp,
+          mfa: !!decoded.mfa
+        };
       }
     }
 
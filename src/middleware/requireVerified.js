@@ -0,0 +1,27 @@
+const settingService = require('../services/settingService');
+
+// Turn away signed-in customers who have not verified their email yet, when the
+// given setting asks for it. Guests are left to the route's own rules.
+const requireVerified = (settingKey) => async (req, res, next) => {
+  if (!req.user || req.user.isVerified) return next();
+
+  try {
+    const required = await settingService.get(settingKey, false);
+    if (!required) return next();
+
+    res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      requiresVerification: true
+    });
+  } catch (error) {
+    console.error('Verification check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = requireVerified;
\ No newline at end of file
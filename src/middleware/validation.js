@@ -23,7 +23,7 @@ const isValidColor = (value) => {
 };
 
 const isValidPhone = (value) => {
-  const phoneRegex = /^\+?[\d\s\-\(\)]{10,}$/;
+  const phoneRegex = /^\+?[\d\s\-()]{10,}$/;
   return phoneRegex.test(value);
 };
 
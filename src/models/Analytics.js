@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const analyticsSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['page_view', 'product_view', 'cart_add', 'cart_remove', 'checkout_start', 'purchase', 'search', 'newsletter_signup'],
+    enum: ['page_view', 'product_view', 'cart_add', 'cart_remove', 'checkout_start', 'purchase', 'search', 'newsletter_signup', 'cart_recovery_email', 'cart_recovered'],
     required: true
   },
   sessionId: String,
@@ -1,27 +1,33 @@
 const mongoose = require('mongoose');
+const variantSelectionSchema = require('./schemas/variantSelection');
+const Product = require('./Product');
+const shippingService = require('../services/shippingService');
+const taxService = require('../services/taxService');
+const promotionService = require('../services/promotionService');
+const currencyService = require('../services/currencyService');
 
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.sessionId; }
   },
   sessionId: {
     type: String, // For guest users
     sparse: true
   },
+  email: {
+    type: String, // Captured from a guest, for cart reminders
+    lowercase: true,
+    trim: true
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
-    variant: {
-      size: String,
-      metal: String,
-      gemstone: String,
-      color: String
-    },
+    variant: variantSelectionSchema,
     quantity: {
       type: Number,
       required: true,
@@ -32,6 +38,10 @@ const cartSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    discount: {
+      type: Number, // Promotion and coupon discount on this line
+      default: 0
+    },
     addedAt: {
       type: Date,
       default: Date.now
@@ -45,6 +55,10 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
   shipping: {
     type: Number,
     default: 0
@@ -64,10 +78,50 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  promotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number,
+    gifts: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      quantity: Number
+    }]
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  lastActivityAt: {
+    type: Date, // Last change to the items; reminders count idle time from here
+    default: Date.now
+  },
+  recovery: {
+    remindersSent: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date,
+    couponCode: String, // One-time coupon offered in the reminders
+    restoredAt: Date,
+    recoveredAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
   expiresAt: {
     type: Date,
     default: () => new Date(+new Date() + 30*24*60*60*1000) // 30 days from now
@@ -80,25 +134,117 @@ const cartSchema = new mongoose.Schema({
 cartSchema.index({ user: 1, isActive: 1 });
 cartSchema.index({ sessionId: 1, isActive: 1 });
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ isActive: 1, 'recovery.remindersSent': 1, lastActivityAt: 1 });
 
-// Calculate cart totals
-cartSchema.methods.calculateTotals = function() {
-  this.subtotal = this.items.reduce((total, item) => {
-    return total + (item.price * item.quantity);
-  }, 0);
-  
-  // Apply discount if coupon exists
-  const discountAmount = this.couponCode ? (this.subtotal * (this.discount / 100)) : 0;
-  const discountedSubtotal = this.subtotal - discountAmount;
+// Cart changes count as activity and start the reminder series over
+cartSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('items')) {
+    this.lastActivityAt = new Date();
+    this.recovery.remindersSent = 0;
+  }
+  next();
+});
+
+// Get the rate and rounding rules for the cart's currency. A cart in a currency
+// that has since been withdrawn is moved back to the base currency.
+cartSchema.methods.getCurrencyContext = async function() {
+  try {
+    return await currencyService.getContext(this.currency);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+
+    const context = await currencyService.getContext();
+    await this.setCurrency(context);
+    return context;
+  }
+};
+
+// Switch the cart to another currency, repricing each line from the catalog
+cartSchema.methods.setCurrency = async function(context) {
+  if (this.currency === context.currency) return;
+
+  const productIds = this.items.map(item => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  this.items.forEach(item => {
+    const product = products.find(candidate => candidate._id.equals(item.product._id || item.product));
+    if (!product) return;
+
+    const selection = {};
+    ((item.variant && item.variant.options) || []).forEach(option => {
+      selection[option.name] = option.value;
+    });
+
+    const resolved = product.resolveVariant(selection);
+    item.price = currencyService.getProductPrice(product, context, resolved.price);
+  });
+  this.currency = context.currency;
+};
+
+// Price the items with the running promotions and the cart's coupon. A coupon
+// that no longer applies (expired, used up, minimum not met) is dropped.
+cartSchema.methods.applyPromotions = async function() {
+  const pricing = await promotionService.evaluate({
+    items: this.items,
+    couponCode: this.couponCode,
+    userId: this.user,
+    currency: await this.getCurrencyContext()
+  });
+
+  if (pricing.couponError) {
+    this.couponCode = undefined;
+  }
+
+  this.items.forEach((item, index) => {
+    item.discount = pricing.lines[index].discount;
+  });
+  this.subtotal = pricing.subtotal;
+  this.discount = pricing.discount;
+  this.couponDiscount = pricing.couponDiscount;
+  this.promotions = pricing.promotions;
+
+  return pricing;
+};
+
+// Get the item subtotal after promotion and coupon discounts
+cartSchema.methods.getDiscountedSubtotal = function() {
+  return this.subtotal - this.discount;
+};
+
+// Calculate cart totals; shipping is estimated for the given address, or the
+// default shipping country, using the cheapest available method. Tax is only
+// estimated once a destination is known.
+cartSchema.methods.calculateTotals = async function(address = {}) {
+  const pricing = await this.applyPromotions();
+  const discountedSubtotal = this.getDiscountedSubtotal();
   
-  // Calculate tax (8% default)
-  this.tax = discountedSubtotal * 0.08;
+  // Calculate shipping
+  try {
+    const rate = await shippingService.calculateShipping({
+      address,
+      items: this.items,
+      subtotal: discountedSubtotal,
+      currency: await this.getCurrencyContext()
+    });
+    this.shipping = pricing.freeShipping ? 0 : rate.cost;
+  } catch (error) {
+    // Destination not served; the real rate is settled at checkout
+    if (!error.statusCode) throw error;
+    this.shipping = 0;
+  }
   
-  // Calculate shipping (free over $100)
-  this.shipping = discountedSubtotal >= 100 ? 0 : 10;
+  // Calculate tax
+  const taxResult = await taxService.calculateTax({
+    address,
+    items: this.items,
+    shippingCost: this.shipping,
+    currency: this.currency
+  });
+  this.tax = taxResult.total;
+  this.taxInclusive = taxResult.inclusive;
   
-  // Calculate total
-  this.total = discountedSubtotal + this.tax + this.shipping;
+  // Calculate total; inclusive prices already contain the tax
+  this.total = discountedSubtotal + this.shipping + (this.taxInclusive ? 0 : this.tax);
   
   return this;
 };
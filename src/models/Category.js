@@ -41,6 +41,11 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  taxClass: {
+    type: String, // e.g., "standard", "loose_gemstones"; see TaxRate.taxClass
+    default: 'standard',
+    trim: true
+  },
   seo: {
     metaTitle: String,
     metaDescription: String,
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers; sequences that restart each year or
+// month are stored per period, e.g. "order:2026"
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
\ No newline at end of file
@@ -87,6 +87,10 @@ const couponSchema = new mongoose.Schema({
   firstTimeUserOnly: {
     type: Boolean,
     default: false
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId, // Set on codes generated by a coupon batch
+    ref: 'CouponBatch'
   }
 }, {
   timestamps: true
@@ -95,6 +99,7 @@ const couponSchema = new mongoose.Schema({
 // Index for performance
 couponSchema.index({ code: 1 });
 couponSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+couponSchema.index({ batch: 1 });
 
 // Check if coupon is valid
 couponSchema.methods.isValid = function() {
@@ -109,8 +114,8 @@ couponSchema.methods.isValid = function() {
 
 // Check if user can use this coupon
 couponSchema.methods.canUserUse = function(userId) {
-  const userUsages = this.usedBy.filter(usage => 
-    usage.user.toString() === userId.toString()
+  const userUsages = this.usedBy.filter(usage =>
+    usage.user && usage.user.toString() === userId.toString()
   );
   return userUsages.length < this.userUsageLimit;
 };
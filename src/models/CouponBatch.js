@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A campaign of single-use coupon codes generated from one template
+const couponBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  prefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: ''
+  },
+  alphabet: {
+    type: String,
+    default: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // No 0/O or 1/I look-alikes
+  },
+  codeLength: {
+    type: Number, // Random characters after the prefix
+    min: 4,
+    max: 32,
+    default: 8
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  generatedCount: {
+    type: Number,
+    default: 0
+  },
+  // Settings copied onto every generated coupon
+  template: {
+    name: {
+      type: String,
+      required: true
+    },
+    description: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    minimumOrderAmount: {
+      type: Number,
+      default: 0
+    },
+    maximumDiscountAmount: Number,
+    startDate: {
+      type: Date,
+      default: Date.now
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    applicableCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    applicableProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    excludeCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    excludeProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    firstTimeUserOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+couponBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CouponBatch', couponBatchSchema);
\ No newline at end of file
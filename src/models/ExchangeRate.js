@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String, // ISO 4217, e.g. "EUR"
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number, // Units of this currency per one unit of the base currency
+    required: true,
+    validate: {
+      validator: (value) => value > 0,
+      message: 'Rate must be a positive number'
+    }
+  },
+  rounding: {
+    increment: {
+      type: Number, // Catalog prices are rounded to a multiple of this, e.g. 1 or 0.05
+      default: 0.01,
+      min: 0.01
+    },
+    ending: {
+      type: Number, // Fixed ending below the increment, e.g. 0.99 for 123.99
+      min: 0
+    },
+    mode: {
+      type: String,
+      enum: ['nearest', 'up', 'down'],
+      default: 'nearest'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+exchangeRateSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
\ No newline at end of file
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  number: {
+    type: String, // Sequential reference for support and accounting; not a secret like the code
+    unique: true,
+    sparse: true
+  },
+  initialValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  expiresAt: Date, // Never expires when empty
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  purchaser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId, // Order the card was bought in
+    ref: 'Order'
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId // Order.items._id
+  },
+  recipient: {
+    name: String,
+    email: String
+  },
+  senderName: String,
+  message: String,
+  deliveredAt: Date,
+  // Append-only: entries are pushed together with the balance they leave and never edited
+  transactions: [{
+    type: {
+      type: String,
+      enum: ['issue', 'redeem', 'restore', 'adjust', 'void'],
+      required: true
+    },
+    amount: {
+      type: Number, // Positive adds to the balance, negative takes from it
+      required: true
+    },
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for performance
+giftCardSchema.index({ order: 1, orderItem: 1 });
+giftCardSchema.index({ 'transactions.order': 1 });
+giftCardSchema.index({ 'recipient.email': 1 });
+
+// Check if the card can pay for an order right now
+giftCardSchema.methods.isRedeemable = function(now = new Date()) {
+  return this.isActive && this.balance > 0 && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String, // Idempotency-Key header as sent by the client
+    required: true
+  },
+  scope: {
+    type: String, // Endpoint the key was used on, e.g. "orders.create"
+    required: true
+  },
+  owner: {
+    type: String, // "user:<id>" or "guest:<session or ip>"; keys never cross owners
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedUntil: Date, // A crashed request's key can be retried after this
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+idempotencyKeySchema.index({ key: 1, scope: 1, owner: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
\ No newline at end of file
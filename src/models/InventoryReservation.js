@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const inventoryReservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantOptions: [{
+    _id: false,
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    option: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId, // Replacement held for an exchange
+    ref: 'Return'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tracked: {
+    type: Boolean,
+    default: true // false when the product does not track quantity; no stock is moved
+  },
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: String
+}, {
+  timestamps: true
+});
+
+// Index for performance
+inventoryReservationSchema.index({ product: 1, status: 1 });
+inventoryReservationSchema.index({ order: 1, status: 1 });
+inventoryReservationSchema.index({ returnRequest: 1, status: 1 });
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('InventoryReservation', inventoryReservationSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String, // "account:<email>" or "ip:<address>"
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number, // Failed attempts since the last lockout or success
+    default: 0
+  },
+  lockouts: {
+    type: Number, // Lockouts inside the window; each one lasts longer
+    default: 0
+  },
+  lastFailureAt: Date,
+  blockedUntil: Date, // Progressive delay before the next attempt
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockedUntil: 1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Spot price of a pure precious metal; the latest entry per metal drives formula pricing
+const metalPriceSchema = new mongoose.Schema({
+  metal: {
+    type: String,
+    enum: ['gold', 'platinum', 'silver', 'palladium'],
+    required: true
+  },
+  pricePerGram: {
+    type: Number, // Base currency, for the pure metal
+    required: true,
+    min: 0
+  },
+  source: String, // e.g. "LBMA PM fix"
+  note: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date // Set once product prices were repriced with it
+}, {
+  timestamps: true
+});
+
+// Index for performance
+metalPriceSchema.index({ metal: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MetalPrice', metalPriceSchema);
\ No newline at end of file
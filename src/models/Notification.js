@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['order_update', 'customer_story_submitted', 'review_submitted', 'low_inventory', 'new_customer', 'system'],
+    enum: ['new_order', 'order_update', 'order_cancelled', 'shipment_update', 'payment_dispute', 'return_requested', 'return_update', 'customer_story_submitted', 'review_submitted', 'low_inventory', 'new_customer', 'system'],
     required: true
   },
   title: {
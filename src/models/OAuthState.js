@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String, // SHA-256 of the state sent to the provider; each is used once
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: ['google', 'facebook'],
+    required: true
+  },
+  intent: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // Account being linked
+    ref: 'User'
+  },
+  codeVerifier: {
+    type: String, // PKCE verifier; the provider only ever sees its hash
+    required: true
+  },
+  redirectPath: String, // Frontend path to return to after signing in
+  usedAt: Date,
+  handoff: {
+    codeHash: String, // One-time code the frontend trades for the session tokens
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    isNewUser: Boolean,
+    expiresAt: Date,
+    usedAt: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+oauthStateSchema.index({ 'handoff.codeHash': 1 }, { unique: true, sparse: true });
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const variantSelectionSchema = require('./schemas/variantSelection');
+const counterService = require('../services/counterService');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -9,18 +11,26 @@ const orderSchema = new mongoose.Schema({
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.isGuest; }
+  },
+  email: {
+    type: String, // Contact email; how guest orders are found and claimed
+    lowercase: true,
+    trim: true
   },
+  isGuest: {
+    type: Boolean, // Placed without an account; stays true once claimed
+    default: false
+  },
+  sessionId: String, // Guest cart session the order came from
+  claimedAt: Date,
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
-    variant: {
-      name: String,
-      options: mongoose.Schema.Types.Mixed
-    },
+    variant: variantSelectionSchema,
     quantity: {
       type: Number,
       required: true,
@@ -33,6 +43,34 @@ const orderSchema = new mongoose.Schema({
     totalPrice: {
       type: Number,
       required: true
+    },
+    discount: {
+      type: Number, // Promotion and coupon discount on this line
+      default: 0
+    },
+    isGift: {
+      type: Boolean, // Free gift added by a promotion
+      default: false
+    },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    giftCard: {
+      recipientName: String, // Set on gift card lines only
+      recipientEmail: String,
+      senderName: String,
+      message: String
+    },
+    tax: {
+      taxClass: String,
+      jurisdiction: String,
+      rate: Number, // Percentage
+      taxableAmount: Number,
+      amount: {
+        type: Number,
+        default: 0
+      }
     }
   }],
   shippingAddress: {
@@ -71,18 +109,49 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxDetails: {
+    provider: String, // "local" or "stripe"
+    inclusive: {
+      type: Boolean, // Item prices already contained the tax
+      default: false
+    },
+    calculationId: String,
+    shipping: {
+      jurisdiction: String,
+      rate: Number,
+      taxableAmount: Number,
+      amount: Number
+    }
+  },
   discount: {
     type: Number,
     default: 0
   },
-  total: {
+  giftCards: [{
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    code: String, // Masked
+    amount: Number
+  }],
+  giftCardAmount: {
     type: Number,
+    default: 0
+  },
+  total: {
+    type: Number, // Left to pay after gift cards
     required: true
   },
   currency: {
     type: String,
     default: 'USD'
   },
+  baseCurrency: String,
+  exchangeRate: {
+    type: Number, // Rate from the base currency locked in when the order was placed
+    default: 1
+  },
   status: {
     type: String,
     enum: ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
@@ -95,20 +164,80 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['paypal', 'stripe', 'bank_transfer'],
+    enum: ['paypal', 'stripe', 'bank_transfer', 'gift_card'],
     required: true
   },
   paymentDetails: {
     transactionId: String,
     paymentId: String,
+    refundId: String,
     gatewayResponse: mongoose.Schema.Types.Mixed
   },
+  paymentEvents: [{
+    eventId: {
+      type: String, // Gateway webhook event id; each is applied once
+      required: true
+    },
+    provider: String,
+    type: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refunds: [{
+    refundId: String, // Gateway refund id; empty for manual refunds
+    provider: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  disputes: [{
+    disputeId: {
+      type: String,
+      required: true
+    },
+    provider: String,
+    chargeId: String,
+    amount: Number,
+    currency: String,
+    reason: String,
+    status: String,
+    evidenceDueBy: Date,
+    openedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  invoice: {
+    number: String, // Sequential and gap-free, unlike orderNumber
+    sequence: Number,
+    issuedAt: Date
+  },
   couponCode: String,
   couponDiscount: {
     type: Number,
     default: 0
   },
+  promotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  }],
   shippingMethod: {
+    code: String,
     name: String,
     cost: Number,
     estimatedDays: String
@@ -119,16 +248,70 @@ const orderSchema = new mongoose.Schema({
     type: String,
     enum: ['unfulfilled', 'partially_fulfilled', 'fulfilled'],
     default: 'unfulfilled'
-  }
+  },
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: ['status', 'paymentStatus', 'fulfillmentStatus'],
+      required: true
+    },
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
-orderSchema.pre('save', function(next) {
+// Index for performance
+orderSchema.index({ 'paymentDetails.paymentId': 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ email: 1, customer: 1 });
+
+// Number orders created without one from the order sequence
+orderSchema.pre('validate', async function() {
   if (!this.orderNumber) {
-    this.orderNumber = 'ORD-' + Date.now() + '-' + Math.floor(Math.random() * 1000);
+    this.orderNumber = (await counterService.next('order')).number;
   }
-  next();
 });
 
+// Who to contact about the order: the account holder, or the guest who placed it
+orderSchema.methods.getContact = async function() {
+  if (this.customer) {
+    await this.populate('customer', 'firstName lastName email');
+  }
+  if (this.customer) {
+    return {
+      user: this.customer._id,
+      email: this.customer.email,
+      firstName: this.customer.firstName,
+      lastName: this.customer.lastName
+    };
+  }
+
+  const address = this.billingAddress && this.billingAddress.firstName ? this.billingAddress : this.shippingAddress || {};
+  return {
+    user: null,
+    email: this.email,
+    firstName: address.firstName,
+    lastName: address.lastName
+  };
+};
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry per product price change
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  previousPrice: Number,
+  price: {
+    type: Number,
+    required: true
+  },
+  previousComparePrice: Number,
+  comparePrice: Number,
+  variantPrices: [{
+    _id: false,
+    variant: String, // e.g. "Metal"
+    option: String, // e.g. "18K Gold"
+    previousPrice: Number,
+    price: Number
+  }],
+  currencyPrices: [{
+    _id: false,
+    currency: String, // Per-currency price set on the product
+    previousPrice: Number,
+    price: Number
+  }],
+  source: {
+    type: String,
+    enum: ['metal_repricing', 'manual'],
+    default: 'manual'
+  },
+  spotPrices: [{
+    _id: false,
+    metal: String,
+    pricePerGram: Number,
+    metalPrice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalPrice'
+    }
+  }],
+  breakdown: mongoose.Schema.Types.Mixed, // Formula inputs behind a repriced price
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
\ No newline at end of file
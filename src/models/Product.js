@@ -33,6 +33,11 @@ const productSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
   },
+  productType: {
+    type: String,
+    enum: ['physical', 'gift_card'], // Gift cards are issued and emailed once paid
+    default: 'physical'
+  },
   price: {
     type: Number,
     required: true,
@@ -46,6 +51,50 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  pricingFormula: {
+    enabled: {
+      type: Boolean, // Price follows metal spot prices when they are applied
+      default: false
+    },
+    metal: String, // Overrides attributes.metal, e.g. "18K White Gold"
+    metalWeight: {
+      type: Number, // Grams; overrides attributes.weight
+      min: 0
+    },
+    laborCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    stoneCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    markupPercent: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastPricedAt: Date
+  },
+  prices: [{
+    currency: {
+      type: String, // Replaces the converted base price in this currency
+      required: true,
+      uppercase: true,
+      trim: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    comparePrice: {
+      type: Number,
+      min: 0
+    }
+  }],
   images: [{
     url: String,
     alt: String,
@@ -103,6 +152,17 @@ const productSchema = new mongoose.Schema({
       default: true
     }
   },
+  taxClass: {
+    type: String, // Overrides the category's tax class when set
+    trim: true
+  },
+  shipping: {
+    weight: {
+      type: Number, // Packed weight in grams
+      min: 0,
+      default: 0
+    }
+  },
   tags: [String],
   collections: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -154,6 +214,121 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Variant names as they appear on cart and order selections
+const variantFieldAliases = {
+  stone: 'gemstone',
+  gem: 'gemstone'
+};
+
+const toVariantField = (name) => {
+  const field = String(name || '').trim().toLowerCase();
+  return variantFieldAliases[field] || field;
+};
+
+// Resolve a size/metal/stone selection to the exact variant options
+productSchema.methods.resolveVariant = function(selection = {}) {
+  const requested = {};
+  Object.entries(selection || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+      requested[toVariantField(key)] = String(value).trim();
+    }
+  });
+
+  const resolved = {
+    selection: {},
+    options: [],
+    price: this.price,
+    sku: this.sku,
+    errors: []
+  };
+  const optionSkus = [];
+
+  for (const variant of this.variants) {
+    const field = toVariantField(variant.name);
+    const value = requested[field];
+    delete requested[field];
+
+    if (!value) {
+      resolved.errors.push(`Please select a ${variant.name}`);
+      continue;
+    }
+
+    const option = variant.options.find(opt =>
+      opt.name && opt.name.toLowerCase() === value.toLowerCase()
+    );
+
+    if (!option) {
+      resolved.errors.push(`"${value}" is not an available ${variant.name} for "${this.name}"`);
+      continue;
+    }
+
+    resolved.selection[field] = option.name;
+    resolved.options.push({
+      variant: variant._id,
+      option: option._id,
+      name: variant.name,
+      value: option.name,
+      sku: option.sku
+    });
+
+    // Option prices are full prices; stack them as adjustments on the base price
+    if (typeof option.price === 'number') {
+      resolved.price += option.price - this.price;
+    }
+
+    if (option.sku) {
+      optionSkus.push(option.sku);
+    }
+  }
+
+  Object.keys(requested).forEach(field => {
+    resolved.errors.push(`"${this.name}" has no ${field} option`);
+  });
+
+  if (optionSkus.length > 0) {
+    resolved.sku = optionSkus.join('-');
+  }
+
+  return resolved;
+};
+
+// Get the sellable quantity for a set of resolved variant options
+productSchema.methods.getStockFor = function(variantOptions = []) {
+  if (!this.inventory.trackQuantity) return Infinity;
+  if (variantOptions.length === 0) return this.inventory.quantity;
+
+  return Math.min(...variantOptions.map(selected => {
+    const variant = this.variants.id(selected.variant);
+    const option = variant && variant.options.id(selected.option);
+    return option ? option.inventory.quantity : 0;
+  }));
+};
+
+// Per-variant stock report, listing the options that are sold out
+productSchema.methods.getVariantAvailability = function() {
+  return this.variants.map(variant => {
+    const options = variant.options.map(option => {
+      const quantity = option.inventory.quantity;
+      return {
+        id: option._id,
+        name: option.name,
+        sku: option.sku,
+        price: typeof option.price === 'number' ? option.price : this.price,
+        quantity: this.inventory.trackQuantity ? quantity : null,
+        isInStock: !this.inventory.trackQuantity || quantity > 0,
+        isLowStock: this.inventory.trackQuantity && quantity > 0 && quantity <= option.inventory.lowStockThreshold
+      };
+    });
+
+    return {
+      id: variant._id,
+      name: variant.name,
+      options,
+      outOfStock: options.filter(option => !option.isInStock).map(option => option.name)
+    };
+  });
+};
+
 productSchema.virtual('isInStock').get(function() {
   return this.inventory.quantity > 0;
 });
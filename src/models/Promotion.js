@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'tiered_spend', 'percent_off', 'free_gift'],
+    required: true
+  },
+  // Which lines the promotion looks at; empty lists mean every product
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  minimumSubtotal: {
+    type: Number, // Spend on eligible lines needed to qualify
+    default: 0
+  },
+  // percent_off
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // buy_x_get_y: every buyQuantity + getQuantity eligible units, the cheapest
+  // getQuantity are discounted by getDiscountPercent
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  maxApplications: {
+    type: Number, // Times the offer can repeat in one cart; null means unlimited
+    default: null
+  },
+  // tiered_spend: the highest tier reached applies
+  tiers: [{
+    minimumSubtotal: {
+      type: Number,
+      required: true
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // free_gift
+  giftProduct: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  giftVariant: {
+    type: mongoose.Schema.Types.Mixed // Selection passed to Product.resolveVariant
+  },
+  giftQuantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Higher priority promotions are applied first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // A non-stackable promotion is only applied alone, and stops lower priority ones
+  stackable: {
+    type: Boolean,
+    default: true
+  },
+  combinableWithCoupons: {
+    type: Boolean,
+    default: true
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ priority: -1 });
+
+// Each type needs its own settings
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percent_off' && !this.percentOff) {
+    this.invalidate('percentOff', 'Percent off is required for percent_off promotions');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy_x_get_y promotions');
+  }
+  if (this.type === 'tiered_spend' && this.tiers.length === 0) {
+    this.invalidate('tiers', 'At least one tier is required for tiered_spend promotions');
+  }
+  if (this.type === 'free_gift' && !this.giftProduct) {
+    this.invalidate('giftProduct', 'A gift product is required for free_gift promotions');
+  }
+  next();
+});
+
+// Check if the promotion is running
+promotionSchema.methods.isRunning = function(now = new Date()) {
+  return (
+    this.isActive &&
+    (!this.startDate || now >= this.startDate) &&
+    (!this.endDate || now <= this.endDate)
+  );
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
\ No newline at end of file
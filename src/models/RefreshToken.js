@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String, // Shared by every token rotated from one sign-in; the session id
+    required: true
+  },
+  tokenHash: {
+    type: String, // SHA-256 of the token; the token itself is never stored
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  accessTokenExpiresAt: Date, // Expiry of the access token issued alongside
+  usedAt: Date, // Set when the token is exchanged; using it again means it leaked
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'session_revoked', 'password_changed', 'password_reset', 'two_factor_reset', 'reuse_detected', 'account_disabled', 'account_claimed']
+  },
+  mfa: {
+    type: Boolean, // Sign-in passed two-factor authentication
+    default: false
+  },
+  sessionStartedAt: {
+    type: Date, // When the family's first token was issued
+    default: Date.now
+  },
+  userAgent: String,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Index for performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1, usedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the token can still be exchanged for a new pair
+refreshTokenSchema.methods.isActive = function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const optionPriceSchema = new mongoose.Schema({
+  variantId: mongoose.Schema.Types.ObjectId,
+  optionId: mongoose.Schema.Types.ObjectId,
+  variant: String, // e.g. "Metal"
+  option: String, // e.g. "18K Gold"
+  previousPrice: Number,
+  price: Number
+}, { _id: false });
+
+const currencyPriceSchema = new mongoose.Schema({
+  entryId: mongoose.Schema.Types.ObjectId, // Entry in the product's prices list
+  currency: String,
+  previousPrice: Number,
+  price: Number,
+  previousComparePrice: Number,
+  comparePrice: Number
+}, { _id: false });
+
+// New product prices worked out from spot prices, kept so an admin applies
+// exactly what they reviewed rather than a fresh calculation
+const repricingPreviewSchema = new mongoose.Schema({
+  spotPrices: [{
+    _id: false,
+    metal: String,
+    pricePerGram: Number,
+    metalPrice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalPrice'
+    },
+    recordedAt: Date
+  }],
+  rounding: Number, // metal_price_rounding when the preview was worked out
+  changes: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    sku: String,
+    currentPrice: Number,
+    currentComparePrice: Number,
+    price: Number,
+    comparePrice: Number,
+    difference: Number,
+    variantPrices: [optionPriceSchema],
+    currencyPrices: [currencyPriceSchema],
+    breakdown: mongoose.Schema.Types.Mixed,
+    changed: Boolean,
+    error: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: Date,
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+repricingPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RepricingPreview', repricingPreviewSchema);
\ No newline at end of file
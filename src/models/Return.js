@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const variantSelectionSchema = require('./schemas/variantSelection');
+const counterService = require('../services/counterService');
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Not set for guest orders
+  },
+  email: String, // Where return updates are sent
+  type: {
+    type: String,
+    enum: ['refund', 'exchange'], // Exchanges cover resizing and swapping variants
+    default: 'refund'
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId, // Order.items._id
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reason: {
+      type: String,
+      enum: ['wrong_size', 'changed_mind', 'defective', 'damaged_in_transit', 'not_as_described', 'wrong_item', 'other'],
+      required: true
+    },
+    note: String,
+    exchangeVariant: variantSelectionSchema, // Requested replacement, e.g. a different ring size
+    inspection: {
+      status: {
+        type: String,
+        enum: ['pending', 'passed', 'failed'],
+        default: 'pending'
+      },
+      notes: String,
+      inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      inspectedAt: Date
+    },
+    restockDecision: {
+      type: String,
+      enum: ['pending', 'restock', 'repair', 'scrap'],
+      default: 'pending'
+    },
+    refundAmount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded', 'exchanged', 'cancelled'],
+    default: 'requested'
+  },
+  customerNote: String,
+  rejectionReason: String,
+  fees: {
+    restockingFeePercent: {
+      type: Number,
+      default: 0
+    },
+    restockingFee: {
+      type: Number,
+      default: 0
+    },
+    returnShipping: {
+      type: Number,
+      default: 0
+    }
+  },
+  refund: {
+    itemsAmount: Number,
+    taxAmount: Number,
+    feesAmount: Number,
+    amount: Number,
+    gatewayAmount: Number, // Paid back through the payment gateway
+    giftCardAmount: Number, // Put back on the gift cards the order was paid with
+    refundId: String,
+    provider: String,
+    manual: Boolean,
+    claimedAt: Date, // When the refund started; set while the return is refunding
+    refundedAt: Date
+  },
+  exchangeTrackingNumber: String,
+  history: [{
+    status: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for performance
+returnSchema.index({ order: 1, status: 1 });
+returnSchema.index({ customer: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+returnSchema.pre('validate', async function() {
+  if (!this.returnNumber) {
+    this.returnNumber = (await counterService.next('return')).number;
+  }
+});
+
+module.exports = mongoose.model('Return', returnSchema);
\ No newline at end of file
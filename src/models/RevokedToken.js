@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String, // Access token id (jti) or session id (sid)
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date, // When the last access token it covers expires
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'account_locked', 'ip_locked', 'account_unlocked', 'refresh_token_reuse',
+      'two_factor_enabled', 'two_factor_disabled', 'two_factor_reset', 'recovery_code_used',
+      'oauth_linked', 'oauth_unlinked', 'unverified_account_claimed'
+    ],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: String, // Sign-in email, also for attempts on unknown accounts
+  ipAddress: String,
+  userAgent: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId, // Admin who took the action
+    ref: 'User'
+  },
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Index for performance
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
\ No newline at end of file
@@ -14,7 +14,7 @@ const settingSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['general', 'payment', 'shipping', 'email', 'seo', 'social', 'appearance'],
+    enum: ['general', 'payment', 'shipping', 'tax', 'email', 'seo', 'social', 'appearance'],
     required: true
   },
   description: String,
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId, // Order.items._id
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  carrier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  service: String, // e.g., "Priority Overnight"
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: String,
+  status: {
+    type: String,
+    enum: ['pending', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'voided'],
+    default: 'pending'
+  },
+  trackingEvents: [{
+    status: {
+      type: String,
+      enum: ['pending', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'exception']
+    },
+    description: String,
+    location: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  shippedAt: Date,
+  deliveredAt: Date,
+  voidedAt: Date,
+  voidReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+shipmentSchema.index({ order: 1, status: 1 });
+shipmentSchema.index({ trackingNumber: 1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
\ No newline at end of file
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const bracketSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max: {
+    type: Number, // Exclusive; null means no upper limit
+    default: null
+  },
+  cost: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  countries: [{
+    type: String, // ISO 3166-1 alpha-2; empty means every country
+    uppercase: true,
+    trim: true
+  }],
+  states: [{
+    type: String, // State/province codes; empty means the whole country
+    uppercase: true,
+    trim: true
+  }],
+  methods: [{
+    code: {
+      type: String,
+      enum: ['standard', 'express', 'insured_overnight'],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    description: String,
+    rateType: {
+      type: String,
+      enum: ['flat', 'weight', 'value'],
+      default: 'flat'
+    },
+    flatCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    brackets: [bracketSchema], // Grams for weight rates, order value for value rates
+    estimatedDays: {
+      min: Number,
+      max: Number
+    },
+    freeShippingEligible: {
+      type: Boolean,
+      default: true // Honours the free_shipping_threshold setting
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  priority: {
+    type: Number,
+    default: 0 // Higher wins when several zones match
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+shippingZoneSchema.index({ isActive: 1, countries: 1 });
+
+// Check whether the zone covers an address
+shippingZoneSchema.methods.matches = function(address = {}) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+
+  if (this.countries.length > 0 && !this.countries.includes(country)) {
+    return false;
+  }
+
+  return this.states.length === 0 || this.states.includes(state);
+};
+
+// How specific the zone is, so state zones beat country zones beat catch-alls
+shippingZoneSchema.methods.getSpecificity = function() {
+  if (this.states.length > 0) return 2;
+  return this.countries.length > 0 ? 1 : 0;
+};
+
+// Price one method for a package; null when no bracket covers it
+shippingZoneSchema.methods.getMethodCost = function(method, { weight, value }) {
+  if (method.rateType === 'flat') {
+    return method.flatCost;
+  }
+
+  const measure = method.rateType === 'weight' ? weight : value;
+  const bracket = method.brackets.find(candidate =>
+    measure >= candidate.min && (candidate.max === null || candidate.max === undefined || measure < candidate.max)
+  );
+
+  return bracket ? bracket.cost : null;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g., "California Sales Tax"
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String, // ISO 3166-1 alpha-2
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String, // Empty applies to the whole country
+    uppercase: true,
+    trim: true
+  },
+  postalPrefix: {
+    type: String, // Empty applies to the whole state/country
+    uppercase: true,
+    trim: true
+  },
+  taxClass: {
+    type: String, // Matches Category.taxClass / Product.taxClass
+    default: 'standard',
+    trim: true
+  },
+  rate: {
+    type: Number, // Percentage, e.g. 7.25
+    required: true,
+    min: 0,
+    max: 100
+  },
+  appliesToShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for performance
+taxRateSchema.index({ country: 1, state: 1, isActive: 1 });
+taxRateSchema.index({ taxClass: 1 });
+
+// Check whether the rate covers an address
+taxRateSchema.methods.matches = function(address = {}) {
+  const country = String(address.country || '').toUpperCase();
+  const state = String(address.state || '').toUpperCase();
+  const postalCode = String(address.zipCode || address.postalCode || '').toUpperCase().replace(/\s+/g, '');
+
+  if (this.country !== country) return false;
+  if (this.state && this.state !== state) return false;
+  return !this.postalPrefix || postalCode.startsWith(this.postalPrefix.replace(/\s+/g, ''));
+};
+
+// Longer postal prefixes beat states, which beat whole countries
+taxRateSchema.methods.getSpecificity = function() {
+  if (this.postalPrefix) return 2 + this.postalPrefix.length;
+  return this.state ? 1 : 0;
+};
+
+// Human-readable jurisdiction, e.g. "US-CA-900"
+taxRateSchema.methods.getJurisdiction = function() {
+  return [this.country, this.state, this.postalPrefix].filter(Boolean).join('-');
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
\ No newline at end of file
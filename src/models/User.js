@@ -21,9 +21,29 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    required: function() { return !this.oauthAccounts || this.oauthAccounts.length === 0; }, // Social-only accounts have none
     minlength: 6
   },
+  oauthAccounts: [{
+    provider: {
+      type: String,
+      enum: ['google', 'facebook'],
+      required: true
+    },
+    providerId: {
+      type: String, // The provider's user id; emails can change, this can't
+      required: true
+    },
+    email: String,
+    emailVerified: {
+      type: Boolean, // The provider vouched for the email when it was linked
+      default: false
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   phone: {
     type: String,
     trim: true
@@ -66,9 +86,44 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String,
-  resetPasswordToken: String,
+  verificationToken: {
+    type: String, // SHA-256 of the emailed token
+    select: false
+  },
+  verificationTokenExpires: Date,
+  verificationSentAt: Date,
+  resetPasswordToken: {
+    type: String, // SHA-256 of the emailed token
+    select: false
+  },
   resetPasswordExpires: Date,
+  resetPasswordSentAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // Encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Encrypted secret waiting for its first code during enrollment
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String, // SHA-256; each code works once
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // Time step of the last accepted code; codes can't be replayed
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: Date,
   isActive: {
     type: Boolean,
@@ -78,13 +133,20 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for performance
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.providerId': { $exists: true } } }
+);
+
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   this.password = await bcrypt.hash(this.password, 12);
   next();
 });
 
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
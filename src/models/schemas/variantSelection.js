@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Resolved product variant selection, shared by cart and order line items
+const variantSelectionSchema = new mongoose.Schema({
+  size: String,
+  metal: String,
+  gemstone: String,
+  color: String,
+  sku: String,
+  options: [{
+    variant: {
+      type: mongoose.Schema.Types.ObjectId // Product.variants._id
+    },
+    option: {
+      type: mongoose.Schema.Types.ObjectId // Product.variants.options._id
+    },
+    name: String, // e.g., "Size"
+    value: String, // e.g., "6"
+    sku: String
+  }]
+}, {
+  _id: false
+});
+
+module.exports = variantSelectionSchema;
\ No newline at end of file
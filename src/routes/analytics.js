@@ -19,6 +19,7 @@ router.get('/admin/dashboard', [auth, admin], analyticsController.getDashboardAn
 router.get('/admin/products', [auth, admin], analyticsController.getProductAnalytics);
 router.get('/admin/users', [auth, admin], analyticsController.getUserAnalytics);
 router.get('/admin/realtime', [auth, admin], analyticsController.getRealtimeAnalytics);
+router.get('/admin/cart-recovery', [auth, admin], analyticsController.getCartRecoveryAnalytics);
 router.get('/admin/export', [auth, admin], analyticsController.exportAnalytics);
 
 module.exports = router;
\ No newline at end of file
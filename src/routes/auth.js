@@ -1,12 +1,25 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 const authController = require('../controllers/auth');
+const userController = require('../controllers/user');
+const securityController = require('../controllers/security');
 const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const { authConfig } = require('../config/auth');
 
 const router = express.Router();
 
+// Stricter per-IP limits for endpoints that take credentials or send email, one
+// per group. Repeated wrong passwords are handled by loginProtectionService.
+const { max: authLimits, ...authLimitOptions } = authConfig.authRateLimit;
+const authLimiters = Object.fromEntries(
+  Object.entries(authLimits).map(([group, max]) => [group, rateLimit({ ...authLimitOptions, max })])
+);
+
 // Register
-router.post('/register', [
+router.post('/register', authLimiters.register, [
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
@@ -14,20 +27,92 @@ router.post('/register', [
 ], authController.register);
 
 // Login
-router.post('/login', [
+router.post('/login', authLimiters.login, [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
 ], authController.login);
 
+// Refresh; the refresh token is rotated on every use
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], authController.refreshToken);
+
+// Email verification
+router.post('/verify-email', authLimiters.emailVerification, [
+  body('token').isString().trim().notEmpty().withMessage('Verification token is required')
+], authController.verifyEmail);
+router.post('/verify-email/resend', auth, authController.resendVerification);
+
+// Password reset
+router.post('/forgot-password', authLimiters.passwordReset, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], authController.forgotPassword);
+router.post('/reset-password', authLimiters.passwordReset, [
+  body('token').isString().trim().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], authController.resetPassword);
+
+// Two-factor authentication
+router.post('/2fa/login', authLimiters.twoFactor, [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists()).isString().trim().notEmpty().withMessage('Verification code is required'),
+  body('recoveryCode').optional().isString().trim()
+], authController.verifyTwoFactorLogin);
+router.get('/2fa', auth, authController.getTwoFactorStatus);
+// Setup and enable also accept the setup challenge from a sign-in that must enroll first
+router.post('/2fa/setup', optionalAuth, authController.setupTwoFactor);
+router.post('/2fa/enable', authLimiters.twoFactor, optionalAuth, [
+  body('code').isString().trim().notEmpty().withMessage('Verification code is required')
+], authController.enableTwoFactor);
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Verification code is required')
+], authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Verification code is required')
+], authController.regenerateRecoveryCodes);
+
+// Google and Facebook sign-in (authorization code with PKCE)
+router.get('/oauth/accounts', auth, authController.getOAuthAccounts);
+router.post('/oauth/exchange', authLimiters.oauth, [
+  body('code').isString().notEmpty().withMessage('Sign-in code is required')
+], authController.oauthExchange);
+router.get('/oauth/:provider', authLimiters.oauth, authController.oauthStart);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
+router.post('/oauth/:provider/link', auth, authController.oauthLink);
+router.delete('/oauth/:provider', auth, authController.unlinkOAuthAccount);
+
+// Social-only accounts add a password here; others use /api/users/change-password
+router.post('/password', auth, [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], authController.setPassword);
+
 // Get profile
-router.get('/profile', auth, authController.getProfile);
+router.get('/profile', auth, userController.getProfile);
 
 // Update profile
-router.put('/profile', auth, authController.updateProfile);
+router.put('/profile', auth, [
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('phone').optional().trim(),
+  body('dateOfBirth').optional().isISO8601()
+], userController.updateProfile);
+
+// Logout; revokes the session of the access token and/or refresh token sent
+router.post('/logout', optionalAuth, [
+  body('refreshToken').optional().isString()
+], authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+
+// Sessions (signed-in devices)
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', auth, authController.revokeSession);
 
-// Logout (client-side token removal)
-router.post('/logout', (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
-});
+// Admin routes
+router.get('/admin/security-events', [auth, admin], securityController.getSecurityEvents);
+router.get('/admin/lockouts', [auth, admin], securityController.getLockouts);
+router.post('/admin/users/:id/unlock', [auth, admin], securityController.unlockUser);
+router.post('/admin/users/:id/2fa/reset', [auth, admin], securityController.resetTwoFactor);
 
 module.exports = router;
\ No newline at end of file
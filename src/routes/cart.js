@@ -3,9 +3,13 @@ const { body } = require('express-validator');
 const cartController = require('../controllers/cart');
 const auth = require('../middleware/auth');
 const optionalAuth = require('../middleware/optionalAuth'); // You'll need to create this
+const currency = require('../middleware/currency');
 
 const router = express.Router();
 
+// ?currency= or X-Currency switches the cart's currency
+router.use(currency);
+
 // Cart routes (support both authenticated and guest users)
 router.get('/', optionalAuth, cartController.getCart);
 
@@ -28,6 +32,12 @@ router.post('/apply-coupon', optionalAuth, [
 
 router.delete('/remove-coupon', optionalAuth, cartController.removeCoupon);
 
+// Abandoned cart recovery
+router.put('/email', optionalAuth, [
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail()
+], cartController.captureCartEmail);
+router.get('/restore/:token', optionalAuth, cartController.restoreCart);
+
 // Authenticated user specific
 router.post('/merge', auth, [
   body('sessionId').optional().trim()
@@ -4,11 +4,24 @@ const couponController = require('../controllers/coupon');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 const optionalAuth = require('../middleware/optionalAuth');
+const currency = require('../middleware/currency');
 
 const router = express.Router();
 
+const scopeValidation = [
+  body('applicableCategories').optional().isArray(),
+  body('applicableCategories.*').isMongoId().withMessage('Invalid category ID'),
+  body('applicableProducts').optional().isArray(),
+  body('applicableProducts.*').isMongoId().withMessage('Invalid product ID'),
+  body('excludeCategories').optional().isArray(),
+  body('excludeCategories.*').isMongoId().withMessage('Invalid category ID'),
+  body('excludeProducts').optional().isArray(),
+  body('excludeProducts.*').isMongoId().withMessage('Invalid product ID'),
+  body('firstTimeUserOnly').optional().isBoolean()
+];
+
 // Public route for coupon validation
-router.post('/validate', optionalAuth, [
+router.post('/validate', optionalAuth, currency, [
   body('code').trim().notEmpty().withMessage('Coupon code is required'),
   body('orderAmount').optional().isNumeric().withMessage('Order amount must be numeric'),
   body('userId').optional().isMongoId().withMessage('Invalid user ID')
@@ -28,7 +41,8 @@ router.post('/admin/create', [auth, admin], [
   body('usageLimit').optional().isInt({ min: 1 }),
   body('userUsageLimit').optional().isInt({ min: 1 }),
   body('endDate').isISO8601().withMessage('Valid end date is required'),
-  body('startDate').optional().isISO8601()
+  body('startDate').optional().isISO8601(),
+  ...scopeValidation
 ], couponController.createCoupon);
 
 router.put('/admin/:id', [auth, admin], [
@@ -41,9 +55,31 @@ router.put('/admin/:id', [auth, admin], [
   body('usageLimit').optional().isInt({ min: 1 }),
   body('userUsageLimit').optional().isInt({ min: 1 }),
   body('endDate').optional().isISO8601().withMessage('Valid end date required'),
-  body('startDate').optional().isISO8601()
+  body('startDate').optional().isISO8601(),
+  ...scopeValidation
 ], couponController.updateCoupon);
 
+router.get('/admin/batches', [auth, admin], couponController.getCouponBatches);
+router.post('/admin/batches', [auth, admin], [
+  body('name').trim().notEmpty().withMessage('Batch name is required'),
+  body('quantity').isInt({ min: 1, max: 10000 }).withMessage('Quantity must be between 1 and 10000').toInt(),
+  body('prefix').optional().trim().isLength({ max: 20 }).withMessage('Prefix must be at most 20 characters'),
+  body('alphabet').optional().trim().isLength({ min: 2 }).withMessage('Alphabet must have at least 2 characters'),
+  body('codeLength').optional().isInt({ min: 4, max: 32 }).withMessage('Code length must be between 4 and 32').toInt(),
+  body('template.name').trim().notEmpty().withMessage('Template coupon name is required'),
+  body('template.type').isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Invalid coupon type'),
+  body('template.value').isNumeric().withMessage('Coupon value must be numeric'),
+  body('template.minimumOrderAmount').optional().isNumeric(),
+  body('template.maximumDiscountAmount').optional().isNumeric(),
+  body('template.endDate').isISO8601().withMessage('Valid end date is required'),
+  body('template.startDate').optional().isISO8601()
+], couponController.createCouponBatch);
+router.get('/admin/batches/:id/stats', [auth, admin], couponController.getCouponBatchStats);
+router.get('/admin/batches/:id/export', [auth, admin], couponController.exportCouponBatch);
+router.patch('/admin/batches/:id/deactivate', [auth, admin], [
+  body('unusedOnly').optional().isBoolean()
+], couponController.deactivateCouponBatch);
+
 router.delete('/admin/:id', [auth, admin], couponController.deleteCoupon);
 router.patch('/admin/:id/toggle-status', [auth, admin], couponController.toggleCouponStatus);
 
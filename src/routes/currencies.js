@@ -0,0 +1,23 @@
+const express = require('express');
+const { body } = require('express-validator');
+const currencyController = require('../controllers/currencies');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// Public route for the currency picker
+router.get('/', currencyController.getCurrencies);
+
+// Admin routes
+router.get('/admin/rates', [auth, admin], currencyController.getExchangeRates);
+router.put('/admin/rates/:currency', [auth, admin], [
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('rounding.increment').optional().isFloat({ min: 0.01 }).withMessage('Rounding increment must be at least 0.01'),
+  body('rounding.ending').optional().isFloat({ min: 0 }).withMessage('Price ending must be a positive number'),
+  body('rounding.mode').optional().isIn(['nearest', 'up', 'down']).withMessage('Invalid rounding mode'),
+  body('isActive').optional().isBoolean()
+], currencyController.setExchangeRate);
+router.delete('/admin/rates/:currency', [auth, admin], currencyController.deleteExchangeRate);
+
+module.exports = router;
\ No newline at end of file
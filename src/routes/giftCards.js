@@ -0,0 +1,23 @@
+const express = require('express');
+const { body } = require('express-validator');
+const giftCardController = require('../controllers/giftCards');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// Public route
+router.post('/balance', [
+  body('code').trim().notEmpty().withMessage('Gift card code is required')
+], giftCardController.checkBalance);
+
+// Admin routes
+router.get('/admin/all', [auth, admin], giftCardController.getAllGiftCards);
+router.get('/admin/:id', [auth, admin], giftCardController.getGiftCard);
+router.post('/admin/:id/adjust', [auth, admin], [
+  body('amount').isFloat().withMessage('Amount must be a number').toFloat(),
+  body('note').trim().notEmpty().withMessage('A note explaining the adjustment is required')
+], giftCardController.adjustGiftCard);
+router.patch('/admin/:id/toggle-status', [auth, admin], giftCardController.toggleGiftCardStatus);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const { body } = require('express-validator');
+const metalPricingController = require('../controllers/metalPricing');
+const metalPricingService = require('../services/metalPricingService');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// Admin routes
+router.get('/admin/spot-prices', [auth, admin], metalPricingController.getSpotPrices);
+router.post('/admin/spot-prices', [auth, admin], [
+  body('prices').isArray({ min: 1 }).withMessage('At least one spot price is required'),
+  body('prices.*.metal').isIn(metalPricingService.metals).withMessage(`Metal must be one of ${metalPricingService.metals.join(', ')}`),
+  body('prices.*.pricePerGram').isFloat({ gt: 0 }).withMessage('Price per gram must be a positive number'),
+  body('source').optional().trim(),
+  body('note').optional().trim()
+], metalPricingController.recordSpotPrices);
+router.get('/admin/preview', [auth, admin], metalPricingController.previewRepricing);
+router.post('/admin/apply', [auth, admin], [
+  body('previewId').isMongoId().withMessage('Preview id is required')
+], metalPricingController.applyRepricing);
+router.get('/admin/products/:id/history', [auth, admin], metalPricingController.getPriceHistory);
+
+module.exports = router;
\ No newline at end of file
@@ -3,21 +3,65 @@ const { body } = require('express-validator');
 const orderController = require('../controllers/orders');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const idempotency = require('../middleware/idempotency');
+const currency = require('../middleware/currency');
+const requireVerified = require('../middleware/requireVerified');
 
 const router = express.Router();
 
 // Customer routes
-router.post('/', [auth], [
+// Retries that send the same Idempotency-Key get the first response back
+router.post('/', optionalAuth, requireVerified('require_verified_email_checkout'), currency, idempotency('orders.create'), [
+  body('email').optional().isEmail().withMessage('Valid email is required').normalizeEmail(),
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('shippingAddress').notEmpty().withMessage('Shipping address is required'),
-  body('paymentMethod').notEmpty().withMessage('Payment method is required')
+  body('paymentMethod').notEmpty().withMessage('Payment method is required'),
+  body('giftCardCodes').optional().isArray({ max: 5 }).withMessage('Up to 5 gift cards can be used on an order'),
+  body('giftCardCodes.*').trim().notEmpty().withMessage('Gift card code cannot be empty'),
+  body('items.*.giftCard.recipientEmail').optional().isEmail().withMessage('Valid gift card recipient email is required').normalizeEmail(),
+  body('items.*.giftCard.recipientName').optional().trim().escape(),
+  body('items.*.giftCard.senderName').optional().trim().escape(),
+  body('items.*.giftCard.message').optional().trim().isLength({ max: 500 }).withMessage('Gift card message must be at most 500 characters').escape()
 ], orderController.createOrder);
 
+router.post('/lookup', [
+  body('orderNumber').trim().notEmpty().withMessage('Order number is required'),
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  body('token').trim().notEmpty().withMessage('Order token is required')
+], orderController.lookupGuestOrder);
+router.post('/claim', auth, [
+  body('orderNumber').trim().notEmpty().withMessage('Order number is required'),
+  body('token').trim().notEmpty().withMessage('Order token is required')
+], orderController.claimGuestOrder);
+
 router.get('/my-orders', auth, orderController.getUserOrders);
 router.get('/:id', auth, orderController.getOrderById);
+router.get('/:id/invoice.pdf', auth, orderController.getOrderInvoice);
+
+// Guests pay with the order-token header instead of signing in
+router.get('/:id/payment', optionalAuth, orderController.getOrderPayment);
+router.post('/:id/paypal', optionalAuth, idempotency('orders.paypal'), orderController.createPaypalPayment);
+router.post('/:id/paypal/execute', optionalAuth, idempotency('orders.paypal.execute'), [
+  body('paymentId').trim().notEmpty().withMessage('PayPal payment ID is required'),
+  body('payerId').trim().notEmpty().withMessage('PayPal payer ID is required')
+], orderController.executePaypalPayment);
+router.patch('/:id/cancel', auth, [
+  body('reason').optional().trim()
+], orderController.cancelOrder);
 
 // Admin routes
 router.get('/admin/all', [auth, admin], orderController.getAllOrders);
-router.put('/admin/:id/status', [auth, admin], orderController.updateOrderStatus);
+router.put('/admin/:id/status', [auth, admin], idempotency('orders.status'), [
+  body('status').optional().isIn(['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+    .withMessage('Invalid order status'),
+  body('paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'refunded'])
+    .withMessage('Invalid payment status'),
+  body('fulfillmentStatus').optional().isIn(['unfulfilled', 'partially_fulfilled', 'fulfilled'])
+    .withMessage('Invalid fulfillment status'),
+  body('notes').optional().trim()
+], orderController.updateOrderStatus);
+router.get('/admin/:id', [auth, admin], orderController.getOrderByIdAdmin);
+router.get('/admin/:id/packing-slip.pdf', [auth, admin], orderController.getPackingSlip);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,32 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const productController = require('../controllers/products');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const currency = require('../middleware/currency');
 
 const router = express.Router();
 
+const priceOverrideValidation = [
+  body('prices').optional().isArray().withMessage('Prices must be an array'),
+  body('prices.*.currency').trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter ISO code').toUpperCase(),
+  body('prices.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('prices.*.comparePrice').optional().isFloat({ min: 0 }).withMessage('Compare price must be a positive number')
+];
+
+const pricingFormulaValidation = [
+  body('pricingFormula.enabled').optional().isBoolean(),
+  body('pricingFormula.metalWeight').optional().isFloat({ gt: 0 }).withMessage('Metal weight must be a positive number of grams'),
+  body('pricingFormula.laborCost').optional().isFloat({ min: 0 }).withMessage('Labor cost must be a positive number'),
+  body('pricingFormula.stoneCost').optional().isFloat({ min: 0 }).withMessage('Stone cost must be a positive number'),
+  body('pricingFormula.markupPercent').optional().isFloat({ min: 0 }).withMessage('Markup must be a positive percentage')
+];
+
 // Public routes
-router.get('/', productController.getAllProducts);
-router.get('/:id', productController.getProductById);
-router.get('/slug/:slug', productController.getProductBySlug);
+// ?currency= or X-Currency shows prices in another currency
+router.get('/', currency, productController.getAllProducts);
+router.get('/:id', currency, productController.getProductById);
+router.get('/slug/:slug', currency, productController.getProductBySlug);
 
 // Admin routes
 router.post('/', [auth, admin], [
@@ -17,10 +34,17 @@ router.post('/', [auth, admin], [
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('price').isNumeric().withMessage('Price must be a number'),
   body('category').notEmpty().withMessage('Category is required'),
-  body('sku').trim().notEmpty().withMessage('SKU is required')
+  body('sku').trim().notEmpty().withMessage('SKU is required'),
+  body('productType').optional().isIn(['physical', 'gift_card']).withMessage('Invalid product type'),
+  ...priceOverrideValidation,
+  ...pricingFormulaValidation
 ], productController.createProduct);
 
-router.put('/:id', [auth, admin], productController.updateProduct);
+router.get('/admin/reservations', [auth, admin], [
+  query('productId').optional().isMongoId().withMessage('Invalid product ID')
+], productController.getInventoryReservations);
+
+router.put('/:id', [auth, admin], [...priceOverrideValidation, ...pricingFormulaValidation], productController.updateProduct);
 router.delete('/:id', [auth, admin], productController.deleteProduct);
 
 module.exports = router;
\ No newline at end of file
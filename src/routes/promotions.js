@@ -0,0 +1,56 @@
+const express = require('express');
+const { body } = require('express-validator');
+const promotionController = require('../controllers/promotions');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+const promotionTypes = ['buy_x_get_y', 'tiered_spend', 'percent_off', 'free_gift'];
+
+const promotionValidation = [
+  body('products').optional().isArray(),
+  body('products.*').isMongoId().withMessage('Invalid product ID'),
+  body('categories').optional().isArray(),
+  body('categories.*').isMongoId().withMessage('Invalid category ID'),
+  body('collections').optional().isArray(),
+  body('collections.*').isMongoId().withMessage('Invalid collection ID'),
+  body('minimumSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be positive'),
+  body('percentOff').optional().isFloat({ min: 0, max: 100 }).withMessage('Percent off must be between 0 and 100'),
+  body('buyQuantity').optional().isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('getQuantity').optional().isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('getDiscountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Get discount must be between 0 and 100'),
+  body('maxApplications').optional({ nullable: true }).isInt({ min: 1 }),
+  body('tiers').optional().isArray(),
+  body('tiers.*.minimumSubtotal').isFloat({ min: 0 }).withMessage('Tier minimum subtotal must be positive'),
+  body('tiers.*.discountType').isIn(['percentage', 'fixed']).withMessage('Invalid tier discount type'),
+  body('tiers.*.value').isFloat({ min: 0 }).withMessage('Tier value must be positive'),
+  body('giftProduct').optional().isMongoId().withMessage('Invalid gift product ID'),
+  body('giftQuantity').optional().isInt({ min: 1 }),
+  body('priority').optional().isInt(),
+  body('stackable').optional().isBoolean(),
+  body('combinableWithCoupons').optional().isBoolean(),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional({ nullable: true }).isISO8601()
+];
+
+// Public route for storefront banners
+router.get('/active', promotionController.getActivePromotions);
+
+// Admin routes
+router.get('/admin/all', [auth, admin], promotionController.getAllPromotions);
+router.get('/admin/:id', [auth, admin], promotionController.getPromotionById);
+router.post('/admin/create', [auth, admin], [
+  body('name').trim().notEmpty().withMessage('Promotion name is required'),
+  body('type').isIn(promotionTypes).withMessage('Invalid promotion type'),
+  ...promotionValidation
+], promotionController.createPromotion);
+router.put('/admin/:id', [auth, admin], [
+  body('name').optional().trim().notEmpty().withMessage('Promotion name cannot be empty'),
+  body('type').optional().isIn(promotionTypes).withMessage('Invalid promotion type'),
+  ...promotionValidation
+], promotionController.updatePromotion);
+router.delete('/admin/:id', [auth, admin], promotionController.deletePromotion);
+router.patch('/admin/:id/toggle-status', [auth, admin], promotionController.togglePromotionStatus);
+
+module.exports = router;
\ No newline at end of file
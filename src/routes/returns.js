@@ -0,0 +1,62 @@
+const express = require('express');
+const { body } = require('express-validator');
+const returnController = require('../controllers/returns');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+const reasons = ['wrong_size', 'changed_mind', 'defective', 'damaged_in_transit', 'not_as_described', 'wrong_item', 'other'];
+
+// Public route for the return policy
+router.get('/policy', returnController.getReturnPolicy);
+
+// Customer routes
+router.post('/', auth, [
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('type').optional().isIn(['refund', 'exchange']).withMessage('Invalid return type'),
+  body('items').isArray({ min: 1 }).withMessage('Return must contain at least one item'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('items.*.reason').isIn(reasons).withMessage('Invalid return reason'),
+  body('items.*.note').optional().trim(),
+  body('items.*.exchangeVariant').optional().isObject(),
+  body('customerNote').optional().trim()
+], returnController.requestReturn);
+
+router.get('/my-returns', auth, returnController.getUserReturns);
+router.get('/:id', auth, returnController.getReturnById);
+router.patch('/:id/cancel', auth, [
+  body('reason').optional().trim()
+], returnController.cancelReturn);
+
+// Admin routes
+router.get('/admin/all', [auth, admin], returnController.getAllReturns);
+router.get('/admin/:id', [auth, admin], returnController.getReturnByIdAdmin);
+router.patch('/admin/:id/approve', [auth, admin], [
+  body('restockingFeePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Restocking fee must be a percentage').toFloat(),
+  body('returnShipping').optional().isFloat({ min: 0 }).withMessage('Return shipping must be positive').toFloat(),
+  body('notes').optional().trim()
+], returnController.approveReturn);
+router.patch('/admin/:id/reject', [auth, admin], [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required')
+], returnController.rejectReturn);
+router.patch('/admin/:id/receive', [auth, admin], [
+  body('items').optional().isArray(),
+  body('items.*.itemId').isMongoId().withMessage('Invalid return item'),
+  body('items.*.inspectionStatus').optional().isIn(['pending', 'passed', 'failed']).withMessage('Invalid inspection status'),
+  body('items.*.inspectionNotes').optional().trim(),
+  body('items.*.restockDecision').optional().isIn(['pending', 'restock', 'repair', 'scrap']).withMessage('Invalid restock decision'),
+  body('notes').optional().trim()
+], returnController.receiveReturn);
+router.post('/admin/:id/refund', [auth, admin], idempotency('returns.refund'), [
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be positive').toFloat(),
+  body('notes').optional().trim()
+], returnController.refundReturn);
+router.patch('/admin/:id/complete-exchange', [auth, admin], [
+  body('trackingNumber').optional().trim(),
+  body('notes').optional().trim()
+], returnController.completeExchange);
+
+module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const reviewController = require('../controllers/reviews');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const requireVerified = require('../middleware/requireVerified');
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ const router = express.Router();
 router.get('/product/:productId', reviewController.getProductReviews);
 
 // Protected routes
-router.post('/', auth, [
+router.post('/', auth, requireVerified('require_verified_email_reviews'), [
   body('productId').isMongoId().withMessage('Valid product ID is required'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('title').trim().notEmpty().withMessage('Review title is required'),
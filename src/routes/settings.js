@@ -12,12 +12,13 @@ router.get('/public', settingsController.getPublicSettings);
 // Admin routes
 router.get('/admin/all', [auth, admin], settingsController.getAllSettings);
 router.get('/admin/category/:category', [auth, admin], settingsController.getSettingsByCategory);
+router.get('/admin/number-formats', [auth, admin], settingsController.getNumberFormats);
 
 router.post('/admin/create', [auth, admin], [
   body('key').trim().notEmpty().withMessage('Setting key is required'),
   body('value').notEmpty().withMessage('Setting value is required'),
   body('type').isIn(['string', 'number', 'boolean', 'object', 'array']).withMessage('Invalid setting type'),
-  body('category').isIn(['general', 'payment', 'shipping', 'email', 'seo', 'social', 'appearance'])
+  body('category').isIn(['general', 'payment', 'shipping', 'tax', 'email', 'seo', 'social', 'appearance'])
     .withMessage('Invalid setting category'),
   body('description').optional().trim(),
   body('isPublic').optional().isBoolean()
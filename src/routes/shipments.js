@@ -0,0 +1,40 @@
+const express = require('express');
+const { body } = require('express-validator');
+const shipmentController = require('../controllers/shipments');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+const trackingStatuses = ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+// Customer routes
+router.get('/order/:orderId', auth, shipmentController.getOrderShipments);
+
+// Admin routes
+router.get('/admin/order/:orderId', [auth, admin], shipmentController.getOrderShipmentsAdmin);
+router.post('/admin/order/:orderId', [auth, admin], [
+  body('carrier').trim().notEmpty().withMessage('Carrier is required'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.orderItem').isMongoId().withMessage('Invalid order item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+  body('service').optional().trim(),
+  body('trackingNumber').optional().trim(),
+  body('trackingUrl').optional().isURL().withMessage('Invalid tracking URL'),
+  body('notes').optional().trim()
+], shipmentController.createShipment);
+router.put('/admin/:id', [auth, admin], [
+  body('carrier').optional().trim().notEmpty().withMessage('Carrier cannot be empty'),
+  body('service').optional().trim(),
+  body('trackingNumber').optional().trim(),
+  body('trackingUrl').optional().isURL().withMessage('Invalid tracking URL'),
+  body('status').optional().isIn(trackingStatuses).withMessage('Invalid shipment status'),
+  body('description').optional().trim(),
+  body('location').optional().trim(),
+  body('occurredAt').optional().isISO8601().withMessage('Invalid event date').toDate()
+], shipmentController.updateShipment);
+router.patch('/admin/:id/void', [auth, admin], [
+  body('reason').optional().trim()
+], shipmentController.voidShipment);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const shippingController = require('../controllers/shipping');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+
+const router = express.Router();
+
+const zoneValidation = [
+  body('countries').optional().isArray().withMessage('Countries must be an array'),
+  body('countries.*').isLength({ min: 2, max: 2 }).withMessage('Countries must be 2-letter ISO codes'),
+  body('states').optional().isArray().withMessage('States must be an array'),
+  body('methods').optional().isArray().withMessage('Methods must be an array'),
+  body('methods.*.code').isIn(['standard', 'express', 'insured_overnight']).withMessage('Invalid shipping method'),
+  body('methods.*.name').trim().notEmpty().withMessage('Method name is required'),
+  body('methods.*.rateType').optional().isIn(['flat', 'weight', 'value']).withMessage('Invalid rate type'),
+  body('methods.*.flatCost').optional().isFloat({ min: 0 }).withMessage('Flat cost must be positive'),
+  body('methods.*.brackets').optional().isArray().withMessage('Brackets must be an array'),
+  body('methods.*.brackets.*.cost').isFloat({ min: 0 }).withMessage('Bracket cost must be positive'),
+  body('priority').optional().isInt(),
+  body('isActive').optional().isBoolean()
+];
+
+// Public route for shipping options
+router.get('/rates', optionalAuth, [
+  query('country').trim().isLength({ min: 2, max: 2 }).withMessage('Country must be a 2-letter ISO code'),
+  query('state').optional().trim(),
+  query('postalCode').optional().trim()
+], shippingController.getShippingRates);
+
+// Admin routes
+router.get('/admin/zones', [auth, admin], shippingController.getAllZones);
+router.post('/admin/zones', [auth, admin], [
+  body('name').trim().notEmpty().withMessage('Zone name is required'),
+  ...zoneValidation
+], shippingController.createZone);
+router.put('/admin/zones/:id', [auth, admin], [
+  body('name').optional().trim().notEmpty().withMessage('Zone name cannot be empty'),
+  ...zoneValidation
+], shippingController.updateZone);
+router.delete('/admin/zones/:id', [auth, admin], shippingController.deleteZone);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+const express = require('express');
+const { body } = require('express-validator');
+const taxController = require('../controllers/tax');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+const rateValidation = [
+  body('state').optional().trim(),
+  body('postalPrefix').optional().trim(),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty'),
+  body('appliesToShipping').optional().isBoolean(),
+  body('isActive').optional().isBoolean()
+];
+
+// Admin routes
+router.get('/admin/rates', [auth, admin], taxController.getTaxRates);
+router.get('/admin/classes', [auth, admin], taxController.getTaxClasses);
+router.post('/admin/rates', [auth, admin], [
+  body('name').trim().notEmpty().withMessage('Tax rate name is required'),
+  body('country').trim().isLength({ min: 2, max: 2 }).withMessage('Country must be a 2-letter ISO code'),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  ...rateValidation
+], taxController.createTaxRate);
+router.put('/admin/rates/:id', [auth, admin], [
+  body('name').optional().trim().notEmpty().withMessage('Tax rate name cannot be empty'),
+  body('country').optional().trim().isLength({ min: 2, max: 2 }).withMessage('Country must be a 2-letter ISO code'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  ...rateValidation
+], taxController.updateTaxRate);
+router.delete('/admin/rates/:id', [auth, admin], taxController.deleteTaxRate);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const webhookController = require('../controllers/webhooks');
+
+const router = express.Router();
+
+// Payment gateways sign the exact bytes they send, so these routes need the raw body
+router.post('/stripe', express.raw({ type: 'application/json' }), webhookController.handleStripeWebhook);
+router.post('/paypal', express.raw({ type: 'application/json' }), webhookController.handlePaypalWebhook);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const guestOrderService = require('./guestOrderService');
+const loginProtectionService = require('./loginProtectionService');
+const tokenService = require('./tokenService');
+const { emailUtils } = require('../config/email');
+const { authConfig, jwtUtils } = require('../config/auth');
+
+const createAccountError = (message, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Emailed tokens are random; only their hash is kept on the user
+const createEmailToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: jwtUtils.hashToken(token) };
+};
+
+// Seconds left before another email may be sent
+const getRetryAfter = (sentAt, intervalSeconds) => {
+  if (!sentAt) return 0;
+  const elapsed = (Date.now() - new Date(sentAt).getTime()) / 1000;
+  return Math.max(0, Math.ceil(intervalSeconds - elapsed));
+};
+
+const accountService = {
+  // Email a new verification link; earlier links stop working
+  sendVerification: async (user) => {
+    if (user.isVerified) {
+      throw createAccountError('Email address is already verified');
+    }
+
+    const retryAfter = getRetryAfter(user.verificationSentAt, authConfig.emailVerification.resendIntervalSeconds);
+    if (retryAfter > 0) {
+      throw createAccountError(`Please wait ${retryAfter} seconds before requesting another verification email`, 429, { retryAfter });
+    }
+
+    const { token, hash } = createEmailToken();
+    user.verificationToken = hash;
+    user.verificationTokenExpires = new Date(Date.now() + authConfig.emailVerification.expiresInHours * 60 * 60 * 1000);
+    user.verificationSentAt = new Date();
+    await user.save();
+
+    await emailService.sendVerificationEmail(user.email, token, user.firstName);
+    return { expiresAt: user.verificationTokenExpires };
+  },
+
+  // Mark the account verified and attach the guest orders placed with its email
+  verifyEmail: async (token) => {
+    const user = await User.findOne({
+      verificationToken: jwtUtils.hashToken(token),
+      verificationTokenExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      throw createAccountError('Verification link is invalid or has expired');
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
+    await user.save();
+
+    const claimedOrders = await guestOrderService.claimOrders(user);
+    return { user, claimedOrders };
+  },
+
+  // Email a password reset link. Unknown addresses and repeat requests are
+  // ignored silently so the endpoint does not reveal who has an account.
+  requestPasswordReset: async (email) => {
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim(), isActive: true });
+    if (!user) return;
+    if (getRetryAfter(user.resetPasswordSentAt, authConfig.passwordReset.resendIntervalSeconds) > 0) return;
+
+    const { token, hash } = createEmailToken();
+    user.resetPasswordToken = hash;
+    user.resetPasswordExpires = new Date(Date.now() + authConfig.passwordReset.expiresInMinutes * 60 * 1000);
+    user.resetPasswordSentAt = new Date();
+    await user.save();
+
+    await emailUtils.sendPasswordResetEmail(user.email, token, user.firstName);
+  },
+
+  // Set a new password from a reset link and sign out every session. The link
+  // went to the account's inbox, so it also proves the email address; social
+  // sign-ins linked before that without a vouched-for email are dropped, since
+  // whoever set them up never showed they own the address.
+  resetPassword: async (token, password) => {
+    const user = await User.findOne({
+      resetPasswordToken: jwtUtils.hashToken(token),
+      resetPasswordExpires: { $gt: new Date() },
+      isActive: true
+    });
+    if (!user) {
+      throw createAccountError('Password reset link is invalid or has expired');
+    }
+
+    const newlyVerified = !user.isVerified;
+    if (newlyVerified) {
+      user.oauthAccounts = user.oauthAccounts.filter(account => account.emailVerified);
+    }
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
+    await user.save();
+
+    await tokenService.revokeUserSessions(user._id, 'password_reset');
+
+    // Whoever could read the reset email owns the account, so its lockout is lifted
+    await loginProtectionService.recordSuccess({ email: user.email });
+
+    const claimedOrders = newlyVerified ? await guestOrderService.claimOrders(user) : 0;
+    return { user, claimedOrders };
+  }
+};
+
+module.exports = accountService;
\ No newline at end of file
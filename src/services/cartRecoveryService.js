@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Analytics = require('../models/Analytics');
+const settingService = require('./settingService');
+const emailService = require('./emailService');
+const orderStatusService = require('./orderStatusService');
+const { authConfig } = require('../config/auth');
+
+const recoveryConfig = {
+  sweepInterval: 10 * 60 * 1000, // 10 minutes
+  batchSize: 100,
+  linkExpiresIn: '30d',
+  attributionDays: 7 // An order this long after a reminder counts as recovered
+};
+
+const createRecoveryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const couponAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const randomCouponCode = () => {
+  let code = 'CART-';
+  for (let index = 0; index < 8; index++) {
+    code += couponAlphabet[crypto.randomInt(couponAlphabet.length)];
+  }
+  return code;
+};
+
+const cartRecoveryService = {
+  config: recoveryConfig,
+
+  // Reminder schedule and coupon offer, from settings
+  getSettings: async () => {
+    const intervals = await settingService.get('cart_recovery_intervals_hours', [1, 24, 72]);
+
+    return {
+      enabled: await settingService.get('cart_recovery_enabled', true),
+      intervals: intervals.map(Number).filter(hours => hours > 0).sort((a, b) => a - b),
+      couponPercent: Number(await settingService.get('cart_recovery_coupon_percent', 0)),
+      couponDays: Number(await settingService.get('cart_recovery_coupon_days', 7)),
+      couponFromReminder: Number(await settingService.get('cart_recovery_coupon_reminder', 2))
+    };
+  },
+
+  // Signed link that brings a customer back to their cart
+  createRestoreToken: (cart) => {
+    return jwt.sign({ cart: cart._id.toString(), purpose: 'cart_recovery' }, authConfig.jwt.secret, {
+      expiresIn: recoveryConfig.linkExpiresIn,
+      algorithm: authConfig.jwt.algorithm,
+      issuer: authConfig.jwt.issuer
+    });
+  },
+
+  getRestoreUrl: (cart) => {
+    return `${process.env.FRONTEND_URL}/cart/restore?token=${cartRecoveryService.createRestoreToken(cart)}`;
+  },
+
+  // Find the cart a restore link points to
+  restoreCart: async (token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, authConfig.jwt.secret, {
+        algorithms: [authConfig.jwt.algorithm],
+        issuer: authConfig.jwt.issuer
+      });
+    } catch (error) {
+      throw createRecoveryError('This cart link is invalid or has expired');
+    }
+
+    if (payload.purpose !== 'cart_recovery') {
+      throw createRecoveryError('This cart link is invalid or has expired');
+    }
+
+    const cart = await Cart.findOne({ _id: payload.cart, isActive: true });
+    if (!cart) {
+      throw createRecoveryError('This cart is no longer available', 404);
+    }
+
+    if (!cart.recovery.restoredAt) {
+      cart.recovery.restoredAt = new Date();
+      await Cart.updateOne({ _id: cart._id }, { 'recovery.restoredAt': cart.recovery.restoredAt }, { timestamps: false });
+    }
+
+    return cart;
+  },
+
+  // A customer who has ordered since last touching the cart is not chased
+  hasOrderedSince: async (cart) => {
+    return Boolean(await Order.exists({
+      ...(cart.user ? { customer: cart.user._id || cart.user } : { email: cart.email }),
+      createdAt: { $gte: cart.lastActivityAt }
+    }));
+  },
+
+  // One-time coupon for a cart, created the first time a reminder offers it
+  getRecoveryCoupon: async (cart, settings) => {
+    if (cart.recovery.couponCode) {
+      return Coupon.findOne({ code: cart.recovery.couponCode });
+    }
+
+    const now = new Date();
+    const coupon = await Coupon.create({
+      code: randomCouponCode(),
+      name: 'Cart recovery',
+      description: `${settings.couponPercent}% off to complete your order`,
+      type: 'percentage',
+      value: settings.couponPercent,
+      startDate: now,
+      endDate: new Date(now.getTime() + settings.couponDays * 24 * 60 * 60 * 1000),
+      usageLimit: 1,
+      userUsageLimit: 1
+    });
+
+    await Cart.updateOne({ _id: cart._id }, { 'recovery.couponCode': coupon.code }, { timestamps: false });
+    cart.recovery.couponCode = coupon.code;
+    return coupon;
+  },
+
+  // Send one reminder, claiming it first so two sweeps never send it twice
+  sendReminder: async (cart, reminder, settings) => {
+    const email = cart.user ? cart.user.email : cart.email;
+    if (!email) return false;
+
+    if (await cartRecoveryService.hasOrderedSince(cart)) {
+      await Cart.updateOne(
+        { _id: cart._id },
+        { 'recovery.remindersSent': settings.intervals.length },
+        { timestamps: false }
+      );
+      return false;
+    }
+
+    const now = new Date();
+    const claimed = await Cart.updateOne(
+      { _id: cart._id, isActive: true, 'recovery.remindersSent': reminder - 1 },
+      { 'recovery.remindersSent': reminder, 'recovery.lastReminderAt': now },
+      { timestamps: false }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const coupon = settings.couponPercent > 0 && reminder >= settings.couponFromReminder
+      ? await cartRecoveryService.getRecoveryCoupon(cart, settings)
+      : null;
+
+    await emailService.sendCartReminder(email, cart, {
+      reminder,
+      restoreUrl: cartRecoveryService.getRestoreUrl(cart),
+      coupon
+    });
+
+    await Analytics.create({
+      type: 'cart_recovery_email',
+      userId: cart.user ? cart.user._id : undefined,
+      sessionId: cart.sessionId,
+      data: {
+        cartId: cart._id,
+        reminder,
+        couponCode: coupon ? coupon.code : undefined
+      }
+    });
+
+    return true;
+  },
+
+  // Send every reminder that has come due
+  sendDueReminders: async (now = new Date()) => {
+    const settings = await cartRecoveryService.getSettings();
+    if (!settings.enabled) return 0;
+
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    let sent = 0;
+    for (const [index, hours] of settings.intervals.entries()) {
+      const query = {
+        isActive: true,
+        'items.0': { $exists: true },
+        'recovery.remindersSent': index,
+        lastActivityAt: { $lte: hoursAgo(hours) },
+        $or: [{ user: { $ne: null } }, { email: { $ne: null } }]
+      };
+
+      // Keep the spacing between reminders even for carts idle far longer
+      if (index > 0) {
+        query['recovery.lastReminderAt'] = { $lte: hoursAgo(hours - settings.intervals[index - 1]) };
+      }
+
+      const carts = await Cart.find(query)
+        .populate('user', 'firstName email isActive')
+        .populate('items.product', 'name images price isActive')
+        .limit(recoveryConfig.batchSize);
+
+      for (const cart of carts) {
+        if (cart.user && !cart.user.isActive) continue;
+
+        try {
+          if (await cartRecoveryService.sendReminder(cart, index + 1, settings)) {
+            sent += 1;
+          }
+        } catch (error) {
+          console.error(`Cart reminder error (${cart._id}):`, error);
+        }
+      }
+    }
+
+    return sent;
+  },
+
+  // Credit a paid order to the reminders that brought the customer back
+  recordConversion: async (order) => {
+    const since = new Date(Date.now() - recoveryConfig.attributionDays * 24 * 60 * 60 * 1000);
+    const cart = await Cart.findOne({
+      ...(order.customer ? { user: order.customer._id || order.customer } : { email: order.email }),
+      'recovery.remindersSent': { $gt: 0 },
+      'recovery.lastReminderAt': { $gte: since },
+      'recovery.recoveredAt': null
+    }).sort({ 'recovery.lastReminderAt': -1 });
+
+    if (!cart) return null;
+
+    const claimed = await Cart.updateOne(
+      { _id: cart._id, 'recovery.recoveredAt': null },
+      { 'recovery.recoveredAt': new Date(), 'recovery.order': order._id },
+      { timestamps: false }
+    );
+    if (claimed.modifiedCount === 0) return null;
+
+    return Analytics.create({
+      type: 'cart_recovered',
+      userId: order.customer ? order.customer._id || order.customer : undefined,
+      orderId: order._id,
+      revenue: roundCurrency(order.total / (order.exchangeRate || 1)), // Base currency
+      data: {
+        cartId: cart._id,
+        orderNumber: order.orderNumber,
+        remindersSent: cart.recovery.remindersSent,
+        couponUsed: Boolean(cart.recovery.couponCode && order.couponCode === cart.recovery.couponCode)
+      }
+    });
+  },
+
+  // Reminder and conversion figures since a date
+  getStats: async (startDate) => {
+    const reminders = await Analytics.aggregate([
+      { $match: { type: 'cart_recovery_email', timestamp: { $gte: startDate } } },
+      { $group: { _id: '$data.reminder', sent: { $sum: 1 }, carts: { $addToSet: '$data.cartId' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const [recovered] = await Analytics.aggregate([
+      { $match: { type: 'cart_recovered', timestamp: { $gte: startDate } } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          revenue: { $sum: '$revenue' },
+          withCoupon: { $sum: { $cond: ['$data.couponUsed', 1, 0] } }
+        }
+      }
+    ]);
+
+    const remindedCarts = new Set(reminders.flatMap(entry => entry.carts.map(String))).size;
+    const recoveredOrders = recovered ? recovered.orders : 0;
+
+    return {
+      remindedCarts,
+      remindersSent: reminders.map(entry => ({ reminder: entry._id, sent: entry.sent })),
+      recoveredOrders,
+      recoveredRevenue: recovered ? roundCurrency(recovered.revenue) : 0,
+      recoveredWithCoupon: recovered ? recovered.withCoupon : 0,
+      recoveryRate: remindedCarts > 0 ? roundCurrency(recoveredOrders / remindedCarts * 100) : 0
+    };
+  },
+
+  // Run the reminder sweep in the background
+  startRecoveryJob: () => {
+    const timer = setInterval(() => {
+      cartRecoveryService.sendDueReminders().catch(error => {
+        console.error('Cart recovery sweep error:', error);
+      });
+    }, recoveryConfig.sweepInterval);
+
+    timer.unref();
+    return timer;
+  }
+};
+
+// Credit the sale to an abandoned cart reminder when one brought the customer back
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  await cartRecoveryService.recordConversion(order);
+});
+
+module.exports = cartRecoveryService;
\ No newline at end of file
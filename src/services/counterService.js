@@ -0,0 +1,108 @@
+const Counter = require('../models/Counter');
+const settingService = require('./settingService');
+
+// Number formats per sequence. {YYYY}, {YY} and {MM} insert the date and make
+// the sequence restart each year or month; {SEQ:n} pads the number to n digits.
+const counterFormats = {
+  order: { setting: 'order_number_format', format: 'BJ-{YYYY}-{SEQ:6}' },
+  invoice: { setting: 'invoice_number_format', format: 'INV-{SEQ:6}' },
+  return: { setting: 'return_number_format', format: 'RMA-{YYYY}-{SEQ:6}' },
+  gift_card: { setting: 'gift_card_number_format', format: 'GC-{YYYY}-{SEQ:6}' }
+};
+
+const tokenPattern = /\{(YYYY|YY|MM|SEQ)(?::(\d{1,2}))?\}/g;
+
+const createCounterError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Date parts of a format, in UTC so every server agrees on the reset
+const getDateParts = (date) => ({
+  YYYY: String(date.getUTCFullYear()),
+  YY: String(date.getUTCFullYear()).slice(-2),
+  MM: String(date.getUTCMonth() + 1).padStart(2, '0')
+});
+
+// The period a number falls in; the counter restarts when it changes
+const getPeriod = (format, date) => {
+  const parts = getDateParts(date);
+  const tokens = Array.from(format.matchAll(tokenPattern), match => match[1]);
+
+  if (tokens.includes('MM')) return `${parts.YYYY}-${parts.MM}`;
+  if (tokens.includes('YYYY') || tokens.includes('YY')) return parts.YYYY;
+  return null;
+};
+
+const counterService = {
+  counterFormats,
+
+  // Check that a format has exactly one sequence token
+  isValidFormat: (format) => {
+    if (typeof format !== 'string' || !format.trim()) return false;
+    const tokens = Array.from(format.matchAll(tokenPattern), match => match[1]);
+    return tokens.filter(token => token === 'SEQ').length === 1;
+  },
+
+  // Get the configured format for a sequence, falling back to the default
+  getFormat: async (name) => {
+    const config = counterFormats[name];
+    if (!config) {
+      throw createCounterError(`Unknown counter "${name}"`, 500);
+    }
+
+    const format = await settingService.get(config.setting, config.format);
+    if (!counterService.isValidFormat(format)) {
+      console.error(`Invalid ${config.setting} "${format}", using ${config.format}`);
+      return config.format;
+    }
+    return format;
+  },
+
+  // Render a sequence number in a format
+  formatNumber: (format, sequence, date = new Date()) => {
+    const parts = getDateParts(date);
+    return format.replace(tokenPattern, (match, token, width) => {
+      if (token === 'SEQ') {
+        return String(sequence).padStart(Number(width) || 0, '0');
+      }
+      return parts[token];
+    });
+  },
+
+  // Atomically take the next number in a sequence
+  next: async (name, date = new Date()) => {
+    const format = await counterService.getFormat(name);
+    const period = getPeriod(format, date);
+
+    const counter = await Counter.findOneAndUpdate(
+      { name: period ? `${name}:${period}` : name },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+
+    return {
+      number: counterService.formatNumber(format, counter.seq, date),
+      sequence: counter.seq,
+      period
+    };
+  },
+
+  // Show what the next number would look like without taking it
+  preview: async (name, date = new Date()) => {
+    const format = await counterService.getFormat(name);
+    const period = getPeriod(format, date);
+    const counter = await Counter.findOne({ name: period ? `${name}:${period}` : name }).lean();
+    const sequence = (counter ? counter.seq : 0) + 1;
+
+    return {
+      format,
+      number: counterService.formatNumber(format, sequence, date),
+      sequence,
+      period
+    };
+  }
+};
+
+module.exports = counterService;
\ No newline at end of file
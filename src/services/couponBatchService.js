@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Coupon = require('../models/Coupon');
+const CouponBatch = require('../models/CouponBatch');
+const Order = require('../models/Order');
+const currencyService = require('./currencyService');
+
+const insertChunkSize = 500;
+
+// Keep far more possible codes than issued ones so codes cannot be guessed
+const minimumCodeSpaceRatio = 1000;
+
+// Rounds without a single new code before generation gives up
+const maxFruitlessRounds = 5;
+
+const createBatchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const randomCode = (prefix, alphabet, length) => {
+  let code = prefix;
+  for (let index = 0; index < length; index++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+};
+
+const csvValue = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+const couponBatchService = {
+  // Redemption figures for a set of coupon codes, from their paid orders
+  getRedemptionStats: async (codes) => {
+    const [totals] = await Order.aggregate([
+      { $match: { couponCode: { $in: codes }, paymentStatus: { $in: ['paid', 'refunded'] } } },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          revenue: { $sum: currencyService.inBaseCurrency('$total') },
+          discountGiven: { $sum: currencyService.inBaseCurrency('$couponDiscount') }
+        }
+      }
+    ]);
+
+    const orders = totals ? totals.orders : 0;
+    return {
+      orders,
+      revenue: totals ? roundCurrency(totals.revenue) : 0,
+      discountGiven: totals ? roundCurrency(totals.discountGiven) : 0,
+      averageOrderValue: orders > 0 ? roundCurrency(totals.revenue / orders) : 0
+    };
+  },
+
+  // Create a batch from a template and generate its codes
+  createBatch: async ({ name, description, prefix = '', alphabet, codeLength, quantity, template }, context = {}) => {
+    const batch = new CouponBatch({
+      name,
+      description,
+      prefix,
+      codeLength,
+      quantity,
+      template,
+      createdBy: context.actor
+    });
+
+    // Codes are stored uppercase, so the alphabet is too
+    if (alphabet) {
+      batch.alphabet = [...new Set(alphabet.toUpperCase())].join('');
+    }
+    if (!/^[A-Z0-9]{2,}$/.test(batch.alphabet)) {
+      throw createBatchError('Alphabet must contain at least two letters or digits');
+    }
+    if (batch.prefix && !/^[A-Z0-9_-]+$/.test(batch.prefix)) {
+      throw createBatchError('Prefix may only contain letters, digits, "-" and "_"');
+    }
+
+    const codeSpace = Math.pow(batch.alphabet.length, batch.codeLength);
+    if (codeSpace < batch.quantity * minimumCodeSpaceRatio) {
+      throw createBatchError(
+        `${batch.quantity} codes need a longer code or a larger alphabet: ` +
+        `${batch.alphabet.length}^${batch.codeLength} possible codes is too easy to guess`
+      );
+    }
+
+    await batch.save();
+    await couponBatchService.generateCodes(batch);
+
+    return batch;
+  },
+
+  // Generate the batch's missing codes as single-use coupons, skipping any that
+  // collide with an existing code. Safe to re-run after an interruption.
+  generateCodes: async (batch) => {
+    const template = batch.toObject().template;
+    let fruitlessRounds = 0;
+
+    while (batch.generatedCount < batch.quantity) {
+      const needed = Math.min(batch.quantity - batch.generatedCount, insertChunkSize);
+
+      const candidates = new Set();
+      while (candidates.size < needed) {
+        candidates.add(randomCode(batch.prefix, batch.alphabet, batch.codeLength));
+      }
+
+      const taken = await Coupon.find({ code: { $in: [...candidates] } }).distinct('code');
+      taken.forEach(code => candidates.delete(code));
+
+      let inserted = candidates.size;
+      try {
+        await Coupon.insertMany([...candidates].map(code => ({
+          ...template,
+          code,
+          usageLimit: 1,
+          userUsageLimit: 1,
+          batch: batch._id
+        })), { ordered: false });
+      } catch (error) {
+        // Codes taken by a concurrent insert are skipped; the rest were saved
+        if (!error.insertedDocs) throw error;
+        inserted = error.insertedDocs.length;
+      }
+
+      fruitlessRounds = inserted > 0 ? 0 : fruitlessRounds + 1;
+      if (fruitlessRounds >= maxFruitlessRounds) {
+        throw createBatchError('Could not generate enough unique codes; use a longer code length', 409);
+      }
+
+      batch.generatedCount += inserted;
+      await batch.save();
+    }
+
+    return batch;
+  },
+
+  // Aggregate redemption figures across every code in a batch
+  getBatchStats: async (batch) => {
+    const [counts] = await Coupon.aggregate([
+      { $match: { batch: batch._id } },
+      {
+        $group: {
+          _id: null,
+          codes: { $sum: 1 },
+          redeemed: { $sum: { $cond: [{ $gt: ['$usageCount', 0] }, 1, 0] } },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } }
+        }
+      }
+    ]);
+
+    const codes = counts ? counts.codes : 0;
+    const redeemed = counts ? counts.redeemed : 0;
+    const active = counts ? counts.active : 0;
+    const batchCodes = await Coupon.find({ batch: batch._id, usageCount: { $gt: 0 } }).distinct('code');
+
+    return {
+      codes,
+      redeemed,
+      unused: codes - redeemed,
+      active,
+      inactive: codes - active,
+      redemptionRate: codes > 0 ? roundCurrency(redeemed / codes * 100) : 0,
+      ...await couponBatchService.getRedemptionStats(batchCodes),
+      daysUntilExpiry: Math.ceil((batch.template.endDate - new Date()) / (1000 * 60 * 60 * 24))
+    };
+  },
+
+  // Export a batch's codes and their redemptions as CSV
+  exportCsv: async (batch) => {
+    const coupons = await Coupon.find({ batch: batch._id })
+      .select('code isActive usageCount usedBy')
+      .sort({ code: 1 })
+      .lean();
+
+    const orderIds = coupons.flatMap(coupon => coupon.usedBy.map(usage => usage.order)).filter(Boolean);
+    const orders = await Order.find({ _id: { $in: orderIds } }).select('orderNumber').lean();
+    const orderNumbers = orders.reduce((map, order) => {
+      map[order._id.toString()] = order.orderNumber;
+      return map;
+    }, {});
+
+    const rows = coupons.map(coupon => {
+      const usage = coupon.usedBy[0];
+      return [
+        coupon.code,
+        coupon.isActive ? 'active' : 'inactive',
+        coupon.usageCount > 0 ? 'yes' : 'no',
+        usage && usage.usedAt ? new Date(usage.usedAt).toISOString() : '',
+        usage && usage.order ? orderNumbers[usage.order.toString()] : ''
+      ].map(csvValue).join(',');
+    });
+
+    return [['Code', 'Status', 'Redeemed', 'Redeemed At', 'Order Number'].join(','), ...rows].join('\n');
+  },
+
+  // Switch off a batch's codes; with `unusedOnly` the batch itself stays active
+  deactivateBatch: async (batch, { unusedOnly = false } = {}) => {
+    const query = { batch: batch._id, isActive: true };
+    if (unusedOnly) {
+      query.usageCount = 0;
+    }
+
+    const result = await Coupon.updateMany(query, { $set: { isActive: false } });
+
+    if (!unusedOnly) {
+      batch.isActive = false;
+      batch.deactivatedAt = new Date();
+      await batch.save();
+    }
+
+    return result.modifiedCount;
+  }
+};
+
+module.exports = couponBatchService;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const settingService = require('./settingService');
+
+// Catalog prices, coupons, promotions and shipping rates are all kept in the
+// base currency and converted at the current rate when shown or charged
+const currencyConfig = {
+  baseCurrency: 'USD'
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createCurrencyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Round to a multiple of the increment in the given direction
+const roundToIncrement = (amount, increment, mode = 'nearest') => {
+  const steps = amount / increment;
+  let rounded;
+  if (mode === 'up') {
+    rounded = Math.ceil(steps - 1e-9);
+  } else if (mode === 'down') {
+    rounded = Math.floor(steps + 1e-9);
+  } else {
+    rounded = Math.round(steps);
+  }
+  return roundCurrency(rounded * increment);
+};
+
+const isBase = (context) => !context || context.currency === context.base;
+
+const findOverride = (product, context) => (product.prices || []).find(entry => entry.currency === context.currency);
+
+const currencyService = {
+  // Get the currency prices are entered in
+  getBaseCurrency: async () => {
+    return String(await settingService.get('base_currency', currencyConfig.baseCurrency)).toUpperCase();
+  },
+
+  // Get the rate and rounding rules for a currency; defaults to the base currency
+  getContext: async (code) => {
+    const base = await currencyService.getBaseCurrency();
+    const currency = String(code || base).trim().toUpperCase();
+
+    if (currency === base) {
+      return { currency, base, rate: 1, rounding: null };
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({ currency, isActive: true }).lean();
+    if (!exchangeRate) {
+      throw createCurrencyError(`Currency ${currency} is not supported`);
+    }
+
+    return {
+      currency,
+      base,
+      rate: exchangeRate.rate,
+      rounding: exchangeRate.rounding
+    };
+  },
+
+  // List the currencies shoppers can pick, base currency first
+  getSupportedCurrencies: async () => {
+    const base = await currencyService.getBaseCurrency();
+    const rates = await ExchangeRate.find({ isActive: true, currency: { $ne: base } })
+      .sort({ currency: 1 })
+      .lean();
+
+    return [
+      { currency: base, rate: 1, isBase: true },
+      ...rates.map(rate => ({ currency: rate.currency, rate: rate.rate, isBase: false, updatedAt: rate.updatedAt }))
+    ];
+  },
+
+  // Convert a base amount such as a shipping cost or coupon minimum, to the cent
+  convert: (amount, context) => {
+    if (isBase(context)) return roundCurrency(amount || 0);
+    return roundCurrency((amount || 0) * context.rate);
+  },
+
+  // Convert an amount in the context's currency back to the base currency
+  toBase: (amount, context) => {
+    if (isBase(context)) return roundCurrency(amount || 0);
+    return roundCurrency((amount || 0) / context.rate);
+  },
+
+  // Convert a catalog price and apply the currency's rounding rules, e.g. .99 endings
+  convertPrice: (amount, context) => {
+    if (isBase(context) || !amount || amount <= 0) return currencyService.convert(amount, context);
+
+    return currencyService.roundPrice(amount * context.rate, context);
+  },
+
+  // Apply the currency's rounding rules to an amount already in that currency
+  roundPrice: (amount, context) => {
+    const { increment = 0.01, ending, mode = 'nearest' } = (context && context.rounding) || {};
+
+    if (typeof ending !== 'number' || ending >= increment) {
+      return roundToIncrement(amount, increment, mode);
+    }
+    return roundCurrency(Math.max(roundToIncrement(amount - ending, increment, mode), 0) + ending);
+  },
+
+  // Price a product, or one of its variant combinations, in the context's currency.
+  // A per-currency override replaces the converted base price; variant surcharges on
+  // top of it are converted to a whole increment so the override's ending is kept.
+  getProductPrice: (product, context, basePrice = product.price) => {
+    if (isBase(context)) return basePrice;
+
+    const override = findOverride(product, context);
+    if (!override) return currencyService.convertPrice(basePrice, context);
+
+    const surcharge = basePrice - product.price;
+    if (!surcharge) return override.price;
+
+    const increment = (context.rounding && context.rounding.increment) || 0.01;
+    return Math.max(roundCurrency(override.price + roundToIncrement(surcharge * context.rate, increment)), 0);
+  },
+
+  // Get the compare-at price shown next to the product price
+  getCompareAtPrice: (product, context) => {
+    if (isBase(context)) return product.comparePrice;
+
+    const override = findOverride(product, context);
+    if (override && typeof override.comparePrice === 'number') return override.comparePrice;
+    return typeof product.comparePrice === 'number' ? currencyService.convertPrice(product.comparePrice, context) : undefined;
+  },
+
+  // Aggregation expression for an order amount converted back to the base
+  // currency at the order's locked-in rate, so reports can add orders up
+  inBaseCurrency: (path) => ({
+    $divide: [path, { $ifNull: ['$exchangeRate', 1] }]
+  }),
+
+  // Product data as a shopper sees it in the context's currency
+  localizeProduct: (product, context) => {
+    const data = typeof product.toJSON === 'function' ? product.toJSON() : { ...product };
+    data.currency = context.currency;
+    if (isBase(context)) return data;
+
+    if (typeof data.price === 'number') {
+      data.price = currencyService.getProductPrice(product, context);
+    }
+    if (typeof data.comparePrice === 'number' || findOverride(product, context)) {
+      data.comparePrice = currencyService.getCompareAtPrice(product, context);
+    }
+    if (Array.isArray(data.variants)) {
+      data.variants = data.variants.map(variant => ({
+        ...variant,
+        options: (variant.options || []).map(option => (typeof option.price === 'number'
+          ? { ...option, price: currencyService.getProductPrice(product, context, option.price) }
+          : option))
+      }));
+    }
+
+    return data;
+  },
+
+  // Convert the option prices in a product's variant availability report
+  localizeVariantAvailability: (availability, product, context) => {
+    if (isBase(context)) return availability;
+
+    return availability.map(variant => ({
+      ...variant,
+      options: variant.options.map(option => ({
+        ...option,
+        price: currencyService.getProductPrice(product, context, option.price)
+      }))
+    }));
+  }
+};
+
+module.exports = currencyService;
\ No newline at end of file
@@ -0,0 +1,238 @@
+const { emailConfig, emailUtils } = require('../config/email');
+const { authConfig } = require('../config/auth');
+const { formatCurrency } = require('../utils/helpers');
+const guestOrderService = require('./guestOrderService');
+
+const statusLabels = {
+  pending: 'Pending',
+  paid: 'Payment Received',
+  processing: 'Being Prepared',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+// Wrap message content in the standard email layout
+const layout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h1 style="color: #185181;">${title}</h1>
+    ${body}
+    <p>Best regards,<br>The ${emailConfig.from.name} Team</p>
+  </div>
+`;
+
+// Guests have no account, so their links carry the order lookup token
+const orderUrl = (order) => (order.isGuest && !order.customer
+  ? guestOrderService.getLookupUrl(order)
+  : `${process.env.FRONTEND_URL}/account/orders/${order._id}`);
+
+const returnStatusMessages = {
+  approved: 'Your return has been approved. Please send the items back using the instructions in your account.',
+  rejected: 'Unfortunately we cannot accept this return.',
+  received: 'We have received your items and are inspecting them.',
+  refunded: 'Your refund has been issued and will appear on your statement within 5-10 business days.',
+  exchanged: 'Your exchange is on its way back to you.',
+  cancelled: 'Your return request has been cancelled.'
+};
+
+const emailService = {
+  // Send order confirmation email
+  sendOrderConfirmation: async (userEmail, order, attachments = []) => {
+    if (!order.populated || !order.populated('items.product')) {
+      await order.populate('items.product', 'name');
+    }
+
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: `Order Confirmation - ${order.orderNumber}`,
+      attachments,
+      html: layout('Order Confirmation', `
+        <p>Thank you for your order! Your order <strong>${order.orderNumber}</strong> has been confirmed.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>Order Details:</h3>
+          <ul>
+            ${order.items.map(item => `
+              <li>${item.product ? item.product.name : 'Item'} - Quantity: ${item.quantity} - ${formatCurrency(item.totalPrice, order.currency)}</li>
+            `).join('')}
+          </ul>
+          ${order.giftCardAmount > 0 ? `<p>Paid by gift card: ${formatCurrency(order.giftCardAmount, order.currency)}</p>` : ''}
+          <p><strong>Total: ${formatCurrency(order.total, order.currency)}</strong></p>
+        </div>
+        <p>We'll send you another email when your order ships.</p>
+        <p><a href="${orderUrl(order)}">View your order</a></p>
+      `)
+    });
+  },
+
+  // Send order status update email
+  sendOrderStatusUpdate: async (userEmail, order, oldStatus) => {
+    const status = statusLabels[order.status] || order.status;
+
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: `Order ${order.orderNumber} - ${status}`,
+      html: layout('Order Update', `
+        <p>The status of your order <strong>${order.orderNumber}</strong> has changed
+          from <strong>${statusLabels[oldStatus] || oldStatus}</strong> to <strong>${status}</strong>.</p>
+        <p><a href="${orderUrl(order)}">View your order</a></p>
+      `)
+    });
+  },
+
+  // Send order cancellation email
+  sendOrderCancellation: async (userEmail, order, reason) => {
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: `Order Cancelled - ${order.orderNumber}`,
+      html: layout('Order Cancelled', `
+        <p>Your order <strong>${order.orderNumber}</strong> has been cancelled.</p>
+        ${reason ? `<p>Reason: ${reason}</p>` : ''}
+        <p>If a payment was taken, the refund will appear on your statement within 5-10 business days.</p>
+      `)
+    });
+  },
+
+  // Send return status update email
+  sendReturnUpdate: async (userEmail, ret, order) => {
+    const details = [];
+    if (ret.status === 'rejected' && ret.rejectionReason) {
+      details.push(`<p>Reason: ${ret.rejectionReason}</p>`);
+    }
+    if (ret.status === 'refunded' && ret.refund) {
+      details.push(`<p><strong>Refund: ${formatCurrency(ret.refund.amount, order.currency)}</strong></p>`);
+      if (ret.refund.feesAmount > 0) {
+        details.push(`<p>Fees deducted: ${formatCurrency(ret.refund.feesAmount, order.currency)}</p>`);
+      }
+    }
+    if (ret.status === 'exchanged' && ret.exchangeTrackingNumber) {
+      details.push(`<p>Tracking number: ${ret.exchangeTrackingNumber}</p>`);
+    }
+
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: `Return ${ret.returnNumber} - ${ret.status.charAt(0).toUpperCase()}${ret.status.slice(1)}`,
+      html: layout('Return Update', `
+        <p>An update on your return <strong>${ret.returnNumber}</strong> for order <strong>${order.orderNumber}</strong>.</p>
+        <p>${returnStatusMessages[ret.status] || `Your return is now ${ret.status}.`}</p>
+        ${details.join('')}
+        <p><a href="${orderUrl(order)}">View your order</a></p>
+      `)
+    });
+  },
+
+  // Send shipment notification email
+  sendShipmentNotification: async (userEmail, order, shipment) => {
+    if (!order.populated || !order.populated('items.product')) {
+      await order.populate('items.product', 'name');
+    }
+
+    const shippedItems = shipment.items.map(shipped => {
+      const orderItem = order.items.id(shipped.orderItem);
+      const name = orderItem && orderItem.product ? orderItem.product.name : 'Item';
+      return `<li>${name} - Quantity: ${shipped.quantity}</li>`;
+    }).join('');
+
+    const tracking = shipment.trackingUrl
+      ? `<a href="${shipment.trackingUrl}">${shipment.trackingNumber}</a>`
+      : shipment.trackingNumber;
+
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: `Your Order Has Shipped - ${order.orderNumber}`,
+      html: layout('Your Order Is On Its Way', `
+        <p>Items from your order <strong>${order.orderNumber}</strong> have shipped with ${shipment.carrier}${shipment.service ? ` (${shipment.service})` : ''}.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>In This Shipment:</h3>
+          <ul>${shippedItems}</ul>
+          ${tracking ? `<p><strong>Tracking number:</strong> ${tracking}</p>` : ''}
+        </div>
+        ${order.fulfillmentStatus === 'partially_fulfilled' ? '<p>The rest of your order will follow in a separate shipment.</p>' : ''}
+        <p><a href="${orderUrl(order)}">View your order</a></p>
+      `)
+    });
+  },
+
+  // Send an abandoned cart reminder with a link back to the cart
+  sendCartReminder: async (email, cart, { reminder, restoreUrl, coupon }) => {
+    const subjects = {
+      1: 'You left something behind',
+      2: 'Your cart is waiting for you'
+    };
+    const items = cart.items
+      .filter(item => item.product)
+      .map(item => `<li>${item.product.name} - Quantity: ${item.quantity} - ${formatCurrency(item.price * item.quantity, cart.currency)}</li>`)
+      .join('');
+    const greeting = cart.user && cart.user.firstName ? `Hi ${cart.user.firstName},` : 'Hello,';
+
+    return emailUtils.sendEmail({
+      to: email,
+      subject: subjects[reminder] || 'Last chance to complete your order',
+      html: layout('Still Thinking It Over?', `
+        <p>${greeting}</p>
+        <p>You left these pieces in your cart:</p>
+        <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <ul>${items}</ul>
+        </div>
+        ${coupon ? `<p>Complete your order with code <strong>${coupon.code}</strong> for ${coupon.value}% off, valid until ${coupon.endDate.toDateString()}.</p>` : ''}
+        <p><a href="${restoreUrl}">Return to your cart</a></p>
+      `)
+    });
+  },
+
+  // Send the link that confirms the account's email address
+  sendVerificationEmail: async (userEmail, verificationToken, userName) => {
+    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: 'Please verify your email address',
+      html: layout('Verify Your Email', `
+        <p>${userName ? `Hi ${userName},` : 'Hello,'}</p>
+        <p>Please confirm this is your email address to finish setting up your account.</p>
+        <p><a href="${verifyUrl}">Verify your email</a></p>
+        <p>This link expires in ${authConfig.emailVerification.expiresInHours} hours. If you didn't create an account, you can ignore this email.</p>
+      `)
+    });
+  },
+
+  // Warn an admin that their account was locked after repeated failed sign-ins
+  sendAccountLockedAlert: async (userEmail, { firstName, lockedUntil, ipAddress }) => {
+    return emailUtils.sendEmail({
+      to: userEmail,
+      subject: 'Your admin account has been locked',
+      html: layout('Account Locked', `
+        <p>${firstName ? `Hi ${firstName},` : 'Hello,'}</p>
+        <p>Your admin account was locked after too many failed sign-in attempts${ipAddress ? ` from IP address ${ipAddress}` : ''}.</p>
+        <p>It unlocks automatically at ${lockedUntil.toUTCString()}, or another admin can unlock it sooner.</p>
+        <p>If these attempts weren't you, someone may be trying to guess your password. Consider changing it once you are back in.</p>
+      `)
+    });
+  },
+
+  // Send a gift card code to its recipient
+  sendGiftCard: async (recipientEmail, giftCard) => {
+    const greeting = giftCard.recipient && giftCard.recipient.name ? `Hi ${giftCard.recipient.name},` : 'Hello,';
+    const from = giftCard.senderName || 'Someone special';
+
+    return emailUtils.sendEmail({
+      to: recipientEmail,
+      subject: `${from} sent you a ${formatCurrency(giftCard.initialValue, giftCard.currency)} gift card`,
+      html: layout('You Received a Gift Card', `
+        <p>${greeting}</p>
+        <p>${from} sent you a gift card worth <strong>${formatCurrency(giftCard.initialValue, giftCard.currency)}</strong>.</p>
+        ${giftCard.message ? `<p style="font-style: italic;">"${giftCard.message}"</p>` : ''}
+        <div style="background-color: #f8f9fa; padding: 20px; margin: 20px 0; border-radius: 5px; text-align: center;">
+          <p>Your gift card code:</p>
+          <p style="font-size: 24px; letter-spacing: 2px;"><strong>${giftCard.code}</strong></p>
+          ${giftCard.expiresAt ? `<p>Valid until ${giftCard.expiresAt.toDateString()}</p>` : ''}
+          ${giftCard.number ? `<p style="color: #666; font-size: 12px;">Card number ${giftCard.number}</p>` : ''}
+        </div>
+        <p>Enter the code at checkout to use it. Any balance left over stays on the card for your next order.</p>
+        <p><a href="${process.env.FRONTEND_URL}">Start shopping</a></p>
+      `)
+    });
+  }
+};
+
+module.exports = emailService;
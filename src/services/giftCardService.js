@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const GiftCard = require('../models/GiftCard');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const settingService = require('./settingService');
+const counterService = require('./counterService');
+const emailService = require('./emailService');
+const orderStatusService = require('./orderStatusService');
+
+// No 0/O or 1/I, so codes survive being read out or typed from an email
+const codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const codeGroups = 4;
+const codeGroupLength = 4;
+
+// Times a balance change is retried when another change lands first
+const maxBalanceAttempts = 5;
+
+const createGiftCardError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const randomCode = () => {
+  const groups = [];
+  for (let group = 0; group < codeGroups; group++) {
+    let part = '';
+    for (let index = 0; index < codeGroupLength; index++) {
+      part += codeAlphabet[crypto.randomInt(codeAlphabet.length)];
+    }
+    groups.push(part);
+  }
+  return groups.join('-');
+};
+
+const giftCardService = {
+  // Put a code typed by a customer into its stored XXXX-XXXX-XXXX-XXXX form
+  normalizeCode: (code) => {
+    const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (compact.match(new RegExp(`.{1,${codeGroupLength}}`, 'g')) || []).join('-');
+  },
+
+  // Show only the last group of a code
+  maskCode: (code) => `****-${String(code).slice(-codeGroupLength)}`,
+
+  // Expiry for a card issued now, from the gift_card_validity_months setting
+  getExpiryDate: async (from = new Date()) => {
+    const months = Number(await settingService.get('gift_card_validity_months', 60));
+    if (!months) return undefined;
+
+    const expiresAt = new Date(from);
+    expiresAt.setMonth(expiresAt.getMonth() + months);
+    return expiresAt;
+  },
+
+  // Change a card's balance and append the ledger entry in one write. The
+  // update only matches the balance it was computed from, so concurrent
+  // redemptions cannot both spend the same money.
+  applyEntry: async (card, entry) => {
+    let current = card;
+
+    for (let attempt = 0; attempt < maxBalanceAttempts; attempt++) {
+      const balanceAfter = roundCurrency(current.balance + entry.amount);
+      if (balanceAfter < 0) {
+        throw createGiftCardError(`Gift card ${giftCardService.maskCode(current.code)} only has ${current.balance} left`, 409);
+      }
+
+      const updated = await GiftCard.findOneAndUpdate(
+        { _id: current._id, balance: current.balance },
+        {
+          $set: { balance: balanceAfter },
+          $push: { transactions: { ...entry, amount: roundCurrency(entry.amount), balanceAfter } }
+        },
+        { new: true }
+      );
+      if (updated) return updated;
+
+      current = await GiftCard.findById(current._id);
+      if (!current) {
+        throw createGiftCardError('Gift card not found', 404);
+      }
+    }
+
+    throw createGiftCardError('Gift card is being used elsewhere, please try again', 409);
+  },
+
+  // Find a card by code and check it can pay in the given currency
+  findRedeemable: async (code, currency) => {
+    const card = await GiftCard.findOne({ code: giftCardService.normalizeCode(code) });
+
+    if (!card) {
+      throw createGiftCardError('Invalid gift card code', 404);
+    }
+    if (!card.isActive) {
+      throw createGiftCardError(`Gift card ${giftCardService.maskCode(card.code)} is no longer active`);
+    }
+    if (card.expiresAt && card.expiresAt <= new Date()) {
+      throw createGiftCardError(`Gift card ${giftCardService.maskCode(card.code)} has expired`);
+    }
+    if (card.balance <= 0) {
+      throw createGiftCardError(`Gift card ${giftCardService.maskCode(card.code)} has no balance left`);
+    }
+    if (currency && card.currency !== currency) {
+      throw createGiftCardError(`Gift card ${giftCardService.maskCode(card.code)} is in ${card.currency} and cannot pay for a ${currency} order`);
+    }
+
+    return card;
+  },
+
+  // Work out how much each card pays towards an amount, in the order given.
+  // Cards that are not needed once the amount is covered are left out.
+  planRedemption: async (codes, { amount, currency }) => {
+    const plan = [];
+    const seen = new Set();
+    let remaining = roundCurrency(amount);
+
+    for (const code of codes) {
+      const normalized = giftCardService.normalizeCode(code);
+      if (seen.has(normalized)) continue;
+      seen.add(normalized);
+
+      const card = await giftCardService.findRedeemable(normalized, currency);
+      if (remaining <= 0) continue;
+
+      const cardAmount = roundCurrency(Math.min(card.balance, remaining));
+      plan.push({ card, amount: cardAmount });
+      remaining = roundCurrency(remaining - cardAmount);
+    }
+
+    return plan;
+  },
+
+  // Take the planned amounts off the cards for an order; if one card fails,
+  // the cards already charged are given their money back
+  redeemForOrder: async (order, plan, context = {}) => {
+    const redeemed = [];
+
+    try {
+      for (const { card, amount } of plan) {
+        const updated = await giftCardService.applyEntry(card, {
+          type: 'redeem',
+          amount: -amount,
+          order: order._id,
+          actor: context.actor,
+          note: `Order ${order.orderNumber}`
+        });
+        redeemed.push({ card: updated, amount });
+      }
+    } catch (error) {
+      for (const { card, amount } of redeemed) {
+        await giftCardService.applyEntry(card, {
+          type: 'restore',
+          amount,
+          order: order._id,
+          note: `Order ${order.orderNumber} could not be placed`
+        });
+      }
+      throw error;
+    }
+
+    return redeemed.map(({ card, amount }) => ({
+      giftCard: card._id,
+      code: giftCardService.maskCode(card.code),
+      amount
+    }));
+  },
+
+  // Give back what an order still holds from each card, or at most `limit` of it
+  // for a partial refund. Safe to call more than once, since it only restores
+  // the net amount the order has taken.
+  restoreForOrder: async (order, note, limit) => {
+    const cards = await GiftCard.find({ 'transactions.order': order._id });
+    let restored = 0;
+
+    for (const card of cards) {
+      const held = -card.transactions
+        .filter(entry => entry.order && entry.order.toString() === order._id.toString())
+        .filter(entry => ['redeem', 'restore'].includes(entry.type))
+        .reduce((total, entry) => total + entry.amount, 0);
+
+      const amount = roundCurrency(limit === undefined ? held : Math.min(held, limit - restored));
+      if (amount <= 0) continue;
+
+      await giftCardService.applyEntry(card, {
+        type: 'restore',
+        amount,
+        order: order._id,
+        note: note || `Order ${order.orderNumber} voided`
+      });
+      restored = roundCurrency(restored + amount);
+    }
+
+    return restored;
+  },
+
+  // Create and email the cards bought in a paid order, one per unit
+  issueForOrder: async (order) => {
+    const productIds = order.items.map(item => item.product._id || item.product);
+    const giftCardProducts = await Product.find({ _id: { $in: productIds }, productType: 'gift_card' })
+      .select('_id')
+      .lean();
+    const giftCardProductIds = giftCardProducts.map(product => product._id.toString());
+
+    const issued = [];
+    for (const item of order.items) {
+      if (!giftCardProductIds.includes((item.product._id || item.product).toString())) continue;
+
+      // Cards already issued for this line, e.g. when the hook runs again
+      const existing = await GiftCard.countDocuments({ order: order._id, orderItem: item._id });
+      const details = item.giftCard || {};
+
+      for (let unit = existing; unit < item.quantity; unit++) {
+        const value = roundCurrency(item.price);
+        const card = await GiftCard.create({
+          code: randomCode(),
+          number: (await counterService.next('gift_card')).number,
+          initialValue: value,
+          balance: value,
+          currency: order.currency,
+          expiresAt: await giftCardService.getExpiryDate(),
+          purchaser: order.customer ? order.customer._id || order.customer : undefined,
+          order: order._id,
+          orderItem: item._id,
+          recipient: {
+            name: details.recipientName,
+            email: details.recipientEmail
+          },
+          senderName: details.senderName,
+          message: details.message,
+          transactions: [{
+            type: 'issue',
+            amount: value,
+            balanceAfter: value,
+            order: order._id,
+            note: `Bought in order ${order.orderNumber}`
+          }]
+        });
+        issued.push(card);
+      }
+    }
+
+    for (const card of issued) {
+      if (!card.recipient.email) continue;
+
+      try {
+        await emailService.sendGiftCard(card.recipient.email, card);
+        card.deliveredAt = new Date();
+        await card.save();
+      } catch (emailError) {
+        console.error(`Gift card email error (${giftCardService.maskCode(card.code)}):`, emailError);
+      }
+    }
+
+    return issued;
+  },
+
+  // Cards bought in an order, or in one of its lines, that have already paid
+  // for something. Their purchase price can no longer be refunded in full.
+  findSpentPurchases: async (order, orderItemId) => {
+    const query = { order: order._id, 'transactions.type': 'redeem' };
+    if (orderItemId) {
+      query.orderItem = orderItemId;
+    }
+    return GiftCard.find(query);
+  },
+
+  // Refuse to refund gift cards that have been spent from, since voiding them
+  // would only take back what is left on them
+  assertRefundable: async (order, orderItemId) => {
+    const spent = await giftCardService.findSpentPurchases(order, orderItemId);
+    if (spent.length > 0) {
+      throw createGiftCardError(
+        `Gift cards bought in order ${order.orderNumber} have already been used (${spent.map(card => giftCardService.maskCode(card.code)).join(', ')}) and cannot be refunded`,
+        409
+      );
+    }
+  },
+
+  // Empty and deactivate the cards bought in an order that was refunded, or
+  // `quantity` of those bought in one of its lines
+  voidForOrder: async (order, note, { orderItem, quantity } = {}) => {
+    const query = { order: order._id, isActive: true };
+    if (orderItem) {
+      query.orderItem = orderItem;
+    }
+
+    let cards = await GiftCard.find(query).sort({ createdAt: 1 });
+    if (quantity !== undefined) {
+      cards = cards.slice(0, quantity);
+    }
+
+    for (const card of cards) {
+      const updated = card.balance > 0
+        ? await giftCardService.applyEntry(card, {
+          type: 'void',
+          amount: -card.balance,
+          order: order._id,
+          note: note || `Order ${order.orderNumber} refunded`
+        })
+        : card;
+      await GiftCard.updateOne({ _id: updated._id }, { isActive: false });
+    }
+
+    return cards.length;
+  },
+
+  // Credit or debit a card by hand, leaving a ledger entry for the change
+  adjustBalance: async (card, { amount, note }, context = {}) => {
+    if (!amount) {
+      throw createGiftCardError('Adjustment amount cannot be zero');
+    }
+
+    return giftCardService.applyEntry(card, {
+      type: 'adjust',
+      amount,
+      actor: context.actor,
+      note
+    });
+  }
+};
+
+// Gift cards bought in the order can only be refunded while nobody has spent from them
+orderStatusService.onTransition('check', 'paymentStatus', 'refunded', async ({ order, context }) => {
+  if (context.skipRefund) return;
+
+  await giftCardService.assertRefundable(order);
+});
+
+// Issue and email the gift cards bought in the order
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  await giftCardService.issueForOrder(order);
+});
+
+// Give gift card payments back to their cards when the order is voided; paid
+// orders get them back with the refund
+orderStatusService.onTransition('after', 'status', 'cancelled', async ({ order }) => {
+  if (order.paymentStatus === 'refunded') return;
+
+  await giftCardService.restoreForOrder(order, `Order ${order.orderNumber} cancelled`);
+});
+
+// Refunded orders return what gift cards still hold for them and void the gift cards they bought
+orderStatusService.onTransition('after', 'paymentStatus', 'refunded', async ({ order }) => {
+  const restored = await giftCardService.restoreForOrder(order, `Order ${order.orderNumber} refunded`);
+  if (restored > 0) {
+    order.refunds.push({ provider: 'gift_card', amount: restored, reason: `Order ${order.orderNumber} refunded` });
+    await order.save();
+  }
+
+  // Refunds made at the gateway could not be stopped; flag cards already spent from
+  const spent = await giftCardService.findSpentPurchases(order);
+  if (spent.length > 0) {
+    await Notification.create({
+      type: 'system',
+      title: 'Refunded Gift Cards Were Used',
+      message: `Order ${order.orderNumber} was refunded but gift cards it bought had already been spent from: ${spent.map(card => giftCardService.maskCode(card.code)).join(', ')}`,
+      recipientType: 'all_admins',
+      priority: 'high',
+      actionUrl: `/admin/orders/${order._id}`,
+      data: { orderId: order._id, orderNumber: order.orderNumber, giftCards: spent.map(card => card._id) }
+    });
+  }
+
+  await giftCardService.voidForOrder(order, `Order ${order.orderNumber} refunded`);
+});
+
+module.exports = giftCardService;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+
+// Lookup tokens are derived from the order, so links can be rebuilt for any email
+const getSecret = () => process.env.ORDER_LOOKUP_SECRET || process.env.JWT_SECRET;
+
+// How long a lookup link keeps working; each new order email carries a fresh one
+const accessTokenExpiresInDays = parseInt(process.env.ORDER_LOOKUP_EXPIRE_DAYS) || 90;
+
+const signAccessToken = (order, expiresAt) => {
+  return crypto.createHmac('sha256', getSecret())
+    .update(`${order._id}:${order.orderNumber}:${order.email}:${expiresAt}`)
+    .digest('hex');
+};
+
+const guestOrderService = {
+  // Token that lets whoever holds the order's email link open it, as
+  // "<expiry in unix seconds>.<signature>"
+  createAccessToken: (order) => {
+    const expiresAt = Math.floor(Date.now() / 1000) + accessTokenExpiresInDays * 24 * 60 * 60;
+    return `${expiresAt}.${signAccessToken(order, expiresAt)}`;
+  },
+
+  // Check a token's expiry, then its signature in constant time
+  verifyAccessToken: (order, token) => {
+    if (!token || typeof token !== 'string' || !order.email) return false;
+
+    const [expiresAt, signature] = token.split('.');
+    if (!/^\d+$/.test(expiresAt) || !signature || Number(expiresAt) * 1000 <= Date.now()) return false;
+
+    const expected = Buffer.from(signAccessToken(order, expiresAt));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  },
+
+  // Link for order emails; guests have no account to sign in to
+  getLookupUrl: (order) => {
+    const params = new URLSearchParams({
+      orderNumber: order.orderNumber,
+      email: order.email,
+      token: guestOrderService.createAccessToken(order)
+    });
+    return `${process.env.FRONTEND_URL}/orders/lookup?${params}`;
+  },
+
+  // Find a guest order from the three parts of its lookup link
+  findByLookup: async ({ orderNumber, email, token }) => {
+    const order = await Order.findOne({
+      orderNumber,
+      email: String(email || '').toLowerCase().trim(),
+      isGuest: true
+    });
+
+    return order && guestOrderService.verifyAccessToken(order, token) ? order : null;
+  },
+
+  // Attach unclaimed guest orders to an account. Verified accounts get every
+  // order placed with their email; otherwise only orders from the guest
+  // session the shopper is signing in from.
+  claimOrders: async (user, { sessionId } = {}) => {
+    const query = {
+      email: user.email.toLowerCase(),
+      isGuest: true,
+      customer: null
+    };
+
+    if (!user.isVerified) {
+      if (!sessionId) return 0;
+      query.sessionId = sessionId;
+    }
+
+    const result = await Order.updateMany(query, {
+      customer: user._id,
+      claimedAt: new Date()
+    });
+    return result.modifiedCount;
+  },
+
+  // Attach one guest order to an account with the token from its lookup link
+  claimOrder: async (user, { orderNumber, token }) => {
+    const order = await Order.findOne({ orderNumber, isGuest: true, customer: null });
+    if (!order || !guestOrderService.verifyAccessToken(order, token)) return null;
+
+    order.customer = user._id;
+    order.claimedAt = new Date();
+    await order.save();
+    return order;
+  }
+};
+
+module.exports = guestOrderService;
\ No newline at end of file
@@ -0,0 +1,391 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryReservation = require('../models/InventoryReservation');
+
+// Inventory configuration
+const inventoryConfig = {
+  holdMinutes: parseInt(process.env.INVENTORY_HOLD_MINUTES) || 15,
+  sweepInterval: 60 * 1000 // 1 minute
+};
+
+const createStockError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Build an atomic stock update for a product, or for its selected variant options.
+// Negative deltas only match while enough stock is left.
+const buildStockUpdate = (productId, variantOptions = [], delta) => {
+  const filter = { _id: productId };
+  const update = { $inc: {} };
+  const options = { new: true };
+
+  if (variantOptions.length === 0) {
+    if (delta < 0) {
+      filter['inventory.quantity'] = { $gte: -delta };
+    }
+    update.$inc['inventory.quantity'] = delta;
+    return { filter, update, options };
+  }
+
+  filter.$and = [];
+  options.arrayFilters = [];
+  variantOptions.forEach((selected, index) => {
+    const optionMatch = { _id: selected.option };
+    if (delta < 0) {
+      optionMatch['inventory.quantity'] = { $gte: -delta };
+    }
+
+    filter.$and.push({
+      variants: { $elemMatch: { _id: selected.variant, options: { $elemMatch: optionMatch } } }
+    });
+    update.$inc[`variants.$[v${index}].options.$[o${index}].inventory.quantity`] = delta;
+    options.arrayFilters.push(
+      { [`v${index}._id`]: selected.variant },
+      { [`o${index}._id`]: selected.option }
+    );
+  });
+
+  return { filter, update, options };
+};
+
+// Take stock off the shelf; resolves to null when there is not enough left
+const takeStock = (productId, variantOptions, quantity) => {
+  const { filter, update, options } = buildStockUpdate(productId, variantOptions, -quantity);
+  return Product.findOneAndUpdate(filter, update, options);
+};
+
+const describeItem = (product, variantOptions = []) => {
+  const labels = variantOptions.map(selected => {
+    const variant = product.variants.id(selected.variant);
+    const option = variant && variant.options.id(selected.option);
+    return variant && option ? `${variant.name}: ${option.name}` : null;
+  }).filter(Boolean);
+
+  return labels.length > 0 ? `"${product.name}" (${labels.join(', ')})` : `"${product.name}"`;
+};
+
+// Put held stock back on the shelf and close the reservation
+const restoreReservation = async (reservation, status, reason) => {
+  const closed = await InventoryReservation.findOneAndUpdate(
+    { _id: reservation._id, status: reservation.status },
+    { status, releasedAt: new Date(), releaseReason: reason },
+    { new: true }
+  );
+
+  // Another process already closed this reservation
+  if (!closed) return false;
+
+  const productId = closed.product._id || closed.product;
+  const { filter, update, options } = closed.tracked
+    ? buildStockUpdate(productId, closed.variantOptions, closed.quantity)
+    : { filter: { _id: productId }, update: { $inc: {} }, options: {} };
+  if (reservation.status === 'committed') {
+    update.$inc.soldCount = -closed.quantity;
+  }
+
+  if (Object.keys(update.$inc).length > 0) {
+    await Product.updateOne(filter, update, options);
+  }
+
+  return true;
+};
+
+// Commit one hold. The status it was read with is part of the update, so a
+// hold the expiry sweep restocked meanwhile is reloaded and its stock taken
+// again rather than sold without stock. Resolves to what is needed to undo the
+// commit, or null when another process committed the hold first.
+const commitReservation = async (reservation) => {
+  let current = reservation;
+
+  while (current.status === 'active' || current.status === 'expired') {
+    // A hold that lapsed before it was committed has to be taken again
+    const retaken = current.status === 'expired' && current.tracked;
+    if (retaken) {
+      const updated = await takeStock(current.product._id, current.variantOptions, current.quantity);
+      if (!updated) {
+        throw createStockError(
+          `${describeItem(current.product, current.variantOptions)} sold out before the hold was committed`
+        );
+      }
+    }
+
+    const claimed = await InventoryReservation.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      { status: 'committed', committedAt: new Date() },
+      { new: true }
+    );
+
+    if (claimed) {
+      await Product.findByIdAndUpdate(current.product._id, {
+        $inc: { soldCount: current.quantity }
+      });
+      return { reservation: current, previousStatus: current.status, retaken };
+    }
+
+    if (retaken) {
+      const { filter, update, options } = buildStockUpdate(current.product._id, current.variantOptions, current.quantity);
+      await Product.updateOne(filter, update, options);
+    }
+
+    current = await InventoryReservation.findById(current._id).populate('product', 'name variants');
+    if (!current) {
+      throw createStockError('Stock hold not found', 404);
+    }
+  }
+
+  if (current.status === 'committed') return null;
+
+  throw createStockError(
+    `The hold for ${describeItem(current.product, current.variantOptions)} was released before it could be committed`
+  );
+};
+
+// Undo a commit made by commitReservation
+const uncommitReservation = async ({ reservation, previousStatus, retaken }) => {
+  const reverted = await InventoryReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'committed' },
+    { status: previousStatus, $unset: { committedAt: 1 } },
+    { new: true }
+  );
+  if (!reverted) return;
+
+  const productId = reservation.product._id;
+  if (!retaken) {
+    await Product.findByIdAndUpdate(productId, { $inc: { soldCount: -reservation.quantity } });
+    return;
+  }
+
+  const { filter, update, options } = buildStockUpdate(productId, reservation.variantOptions, reservation.quantity);
+  update.$inc.soldCount = -reservation.quantity;
+  await Product.updateOne(filter, update, options);
+};
+
+const inventoryService = {
+  config: inventoryConfig,
+
+  // Release holds whose time has run out
+  releaseExpired: async (filter = {}) => {
+    const expired = await InventoryReservation.find({
+      ...filter,
+      status: 'active',
+      expiresAt: { $lte: new Date() }
+    });
+
+    let released = 0;
+    for (const reservation of expired) {
+      if (await restoreReservation(reservation, 'expired', 'hold_expired')) {
+        released += 1;
+      }
+    }
+
+    return released;
+  },
+
+  // Get the quantity that can still be sold for a product or variant selection
+  getAvailableQuantity: async (productId, variantOptions = []) => {
+    await inventoryService.releaseExpired({ product: productId });
+
+    const product = await Product.findById(productId).select('inventory variants');
+    if (!product) return 0;
+
+    return product.getStockFor(variantOptions);
+  },
+
+  // Atomically hold stock for every item of an order, or for the replacements
+  // of an exchange
+  holdStock: async ({ items, order, returnRequest, user, expiresAt }) => {
+    expiresAt = expiresAt || new Date(Date.now() + inventoryConfig.holdMinutes * 60 * 1000);
+    const reservations = [];
+
+    try {
+      for (const item of items) {
+        const productId = item.product._id || item.product;
+        await inventoryService.releaseExpired({ product: productId });
+
+        const variantOptions = (item.variant && item.variant.options || []).map(selected => ({
+          variant: selected.variant,
+          option: selected.option
+        }));
+
+        const product = await Product.findById(productId).select('name inventory variants');
+        if (!product) {
+          throw createStockError(`Product not found: ${productId}`, 400);
+        }
+
+        const tracked = product.inventory.trackQuantity;
+        if (tracked) {
+          const updated = await takeStock(productId, variantOptions, item.quantity);
+
+          if (!updated) {
+            const current = await Product.findById(productId).select('inventory variants');
+            throw createStockError(
+              `Insufficient stock for ${describeItem(product, variantOptions)}. Available: ${current ? current.getStockFor(variantOptions) : 0}, Requested: ${item.quantity}`
+            );
+          }
+        }
+
+        const reservation = await InventoryReservation.create({
+          product: productId,
+          variantOptions,
+          quantity: item.quantity,
+          order,
+          returnRequest,
+          user,
+          tracked,
+          expiresAt
+        });
+        reservations.push(reservation);
+      }
+    } catch (error) {
+      // Give back whatever was already held for this order
+      for (const reservation of reservations) {
+        await restoreReservation(reservation, 'released', 'hold_failed');
+      }
+      throw error;
+    }
+
+    return reservations;
+  },
+
+  // Turn an order's holds into a sale once payment has succeeded
+  commitOrder: async (orderId) => inventoryService.commitReservations({ order: orderId }),
+
+  // Turn an exchange's holds into a sale once the replacement is sent
+  commitReturn: async (returnId) => inventoryService.commitReservations({ returnRequest: returnId }),
+
+  // Commit the active or lapsed holds matching a query. If one cannot be
+  // committed, the holds this call already committed are put back as they were.
+  commitReservations: async (query) => {
+    const reservations = await InventoryReservation.find({
+      ...query,
+      status: { $in: ['active', 'expired'] }
+    }).populate('product', 'name variants');
+
+    const committed = [];
+    try {
+      for (const reservation of reservations) {
+        const result = await commitReservation(reservation);
+        if (result) committed.push(result);
+      }
+    } catch (error) {
+      for (const result of committed) {
+        await uncommitReservation(result);
+      }
+      throw error;
+    }
+
+    return committed.length;
+  },
+
+  // Give stock back for a failed or cancelled order
+  releaseOrder: async (orderId, reason = 'order_cancelled') =>
+    inventoryService.releaseReservations({ order: orderId }, reason),
+
+  // Give back the replacements held for an exchange that was turned down or withdrawn
+  releaseReturn: async (returnId, reason = 'exchange_cancelled') =>
+    inventoryService.releaseReservations({ returnRequest: returnId }, reason),
+
+  // Release the active or committed holds matching a query
+  releaseReservations: async (query, reason) => {
+    const reservations = await InventoryReservation.find({
+      ...query,
+      status: { $in: ['active', 'committed'] }
+    });
+
+    let released = 0;
+    for (const reservation of reservations) {
+      if (await restoreReservation(reservation, 'released', reason)) {
+        released += 1;
+      }
+    }
+
+    return released;
+  },
+
+  // Put returned goods back on the shelf and take them off the sold count
+  restock: async (productId, variantOptions = [], quantity) => {
+    const product = await Product.findById(productId).select('inventory');
+    if (!product) return false;
+
+    const selected = variantOptions.map(option => ({ variant: option.variant, option: option.option }));
+    const { filter, update, options } = product.inventory.trackQuantity
+      ? buildStockUpdate(productId, selected, quantity)
+      : { filter: { _id: productId }, update: { $inc: {} }, options: {} };
+    update.$inc.soldCount = -quantity;
+
+    await Product.updateOne(filter, update, options);
+    return true;
+  },
+
+  // Summarise active holds per product
+  getActiveHolds: async ({ productId } = {}) => {
+    await inventoryService.releaseExpired(productId ? { product: productId } : {});
+
+    const match = { status: 'active' };
+    if (productId) {
+      match.product = new mongoose.Types.ObjectId(productId);
+    }
+
+    return InventoryReservation.aggregate([
+      { $match: match },
+      { $sort: { expiresAt: 1 } },
+      {
+        $group: {
+          _id: '$product',
+          heldQuantity: { $sum: '$quantity' },
+          holdCount: { $sum: 1 },
+          nextExpiry: { $min: '$expiresAt' },
+          holds: {
+            $push: {
+              id: '$_id',
+              quantity: '$quantity',
+              variantOptions: '$variantOptions',
+              order: '$order',
+              user: '$user',
+              expiresAt: '$expiresAt',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $project: {
+          productId: '$_id',
+          productName: '$product.name',
+          sku: '$product.sku',
+          availableQuantity: '$product.inventory.quantity',
+          heldQuantity: 1,
+          holdCount: 1,
+          nextExpiry: 1,
+          holds: 1
+        }
+      },
+      { $sort: { heldQuantity: -1 } }
+    ]);
+  },
+
+  // Periodically release expired holds
+  startExpirySweeper: () => {
+    const timer = setInterval(() => {
+      inventoryService.releaseExpired().catch(error => {
+        console.error('Inventory hold sweep error:', error);
+      });
+    }, inventoryConfig.sweepInterval);
+
+    timer.unref();
+    return timer;
+  }
+};
+
+module.exports = inventoryService;
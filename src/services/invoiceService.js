@@ -0,0 +1,394 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const settingService = require('./settingService');
+const counterService = require('./counterService');
+const orderStatusService = require('./orderStatusService');
+const { emailConfig } = require('../config/email');
+const { describeVariant, formatCurrency } = require('../utils/helpers');
+
+// Orders with a captured payment have an invoice
+const invoicedPaymentStatuses = ['paid', 'refunded'];
+
+// How long an unfinished invoice claim blocks other requests
+const invoiceClaimTimeout = 60 * 1000; // 1 minute
+
+const paymentMethodLabels = {
+  stripe: 'Card',
+  paypal: 'PayPal',
+  bank_transfer: 'Bank Transfer',
+  gift_card: 'Gift Card'
+};
+
+const createInvoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const formatAddress = (address = {}) => [
+  [address.firstName, address.lastName].filter(Boolean).join(' '),
+  address.company,
+  address.address1,
+  address.address2,
+  [[address.city, address.state].filter(Boolean).join(', '), address.zipCode].filter(Boolean).join(' '),
+  address.country,
+  address.phone
+].filter(Boolean);
+
+// Render a PDF into a buffer
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Business name and address on the left, document title and details on the right
+const drawHeader = (doc, business, title, details) => {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+  const width = contentWidth(doc);
+
+  doc.fillColor('#185181').font('Helvetica-Bold').fontSize(18).text(business.name, left, top, { width: width / 2 });
+  doc.fillColor('#555555').font('Helvetica').fontSize(9).text(business.address.join('\n'), { width: width / 2 });
+  const businessBottom = doc.y;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16).text(title, left, top, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9).moveDown(0.5);
+  details.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, { width, align: 'right' });
+  });
+
+  doc.x = left;
+  doc.y = Math.max(businessBottom, doc.y) + 25;
+};
+
+// Side-by-side address blocks
+const drawAddresses = (doc, blocks) => {
+  const left = doc.page.margins.left;
+  const top = doc.y;
+  const columnWidth = contentWidth(doc) / blocks.length;
+  let bottom = top;
+
+  blocks.forEach(([label, lines], index) => {
+    const x = left + index * columnWidth;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, x, top, { width: columnWidth - 10 });
+    doc.font('Helvetica').fontSize(9).text(lines.length > 0 ? lines.join('\n') : '-', { width: columnWidth - 10 });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = left;
+  doc.y = bottom + 20;
+};
+
+// Table with a bold header row; rows move to a new page when they do not fit
+const drawTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const texts = cells.map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+    const height = Math.max(...columns.map((column, index) =>
+      doc.heightOfString(texts[index], { width: column.width - 8 })
+    )) + 10;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    let x = left;
+    columns.forEach((column, index) => {
+      doc.text(texts[index], x + 4, top + 5, { width: column.width - 8, align: column.align || 'left' });
+      x += column.width;
+    });
+
+    doc.moveTo(left, top + height).lineTo(x, top + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+  doc.moveDown();
+};
+
+// Right-aligned label/amount pairs under the item table
+const drawTotals = (doc, rows) => {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const labelX = left + width - 260;
+
+  rows.forEach(([label, value, bold]) => {
+    if (doc.y + 20 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    doc.text(label, labelX, top, { width: 170, align: 'right' });
+    doc.text(value, labelX + 170, top, { width: 90, align: 'right' });
+    doc.x = left;
+    doc.y = top + (bold ? 18 : 14);
+  });
+};
+
+const describeItem = (item) => {
+  const name = `${item.product && item.product.name ? item.product.name : 'Item'}${item.isGift ? ' (free gift)' : ''}`;
+  const variant = describeVariant(item.variant);
+  return variant ? `${name}\n${variant}` : name;
+};
+
+const itemSku = (item) => (item.variant && item.variant.sku) || (item.product && item.product.sku) || '';
+
+const invoiceService = {
+  // Get the seller details printed on documents
+  getBusinessDetails: async () => {
+    const address = await settingService.get('business_address', '');
+
+    let lines;
+    if (Array.isArray(address)) {
+      lines = address;
+    } else if (address && typeof address === 'object') {
+      lines = formatAddress(address);
+    } else {
+      lines = String(address).split('\n');
+    }
+
+    return {
+      name: await settingService.get('site_name', emailConfig.from.name),
+      address: lines.map(line => String(line).trim()).filter(Boolean)
+    };
+  },
+
+  // Check whether an invoice can be issued for the order yet
+  isInvoiceable: (order) => invoicedPaymentStatuses.includes(order.paymentStatus),
+
+  // Give the order its invoice number. The order is claimed before a number is
+  // drawn, so each order takes exactly one number and the sequence has no holes.
+  // A claim that fails is released; one left behind by a crashed process can be
+  // taken over once it is older than invoiceClaimTimeout.
+  issueInvoice: async (order) => {
+    if (order.invoice && order.invoice.number) return order.invoice;
+
+    if (!invoiceService.isInvoiceable(order)) {
+      throw createInvoiceError('An invoice is issued once the order has been paid');
+    }
+
+    const issuedAt = new Date();
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        'invoice.number': { $exists: false },
+        $or: [
+          { 'invoice.issuedAt': { $exists: false } },
+          { 'invoice.issuedAt': { $lte: new Date(issuedAt.getTime() - invoiceClaimTimeout) } }
+        ]
+      },
+      { $set: { 'invoice.issuedAt': issuedAt } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      // Another request is issuing it; wait briefly for its number
+      for (let attempt = 0; attempt < 5; attempt++) {
+        const current = await Order.findById(order._id).select('invoice').lean();
+        if (current && current.invoice && current.invoice.number) {
+          order.invoice = current.invoice;
+          return order.invoice;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+      throw createInvoiceError('The invoice is still being issued, please try again', 409);
+    }
+
+    // Only the request holding the claim may finish or release it
+    const ownClaim = { _id: order._id, 'invoice.issuedAt': issuedAt, 'invoice.number': { $exists: false } };
+
+    try {
+      const { number, sequence } = await counterService.next('invoice', issuedAt);
+      const invoice = {
+        number,
+        sequence,
+        issuedAt
+      };
+
+      const saved = await Order.updateOne(ownClaim, { $set: { invoice } });
+      if (saved.modifiedCount === 0) {
+        throw createInvoiceError('The invoice is still being issued, please try again', 409);
+      }
+
+      order.invoice = invoice;
+      return order.invoice;
+    } catch (error) {
+      await Order.updateOne(ownClaim, { $unset: { 'invoice.issuedAt': 1 } });
+      throw error;
+    }
+  },
+
+  // Render the invoice PDF, issuing the invoice number if needed
+  renderInvoice: async (order) => {
+    const invoice = await invoiceService.issueInvoice(order);
+    await order.populate([
+      { path: 'items.product', select: 'name sku' },
+      { path: 'customer', select: 'firstName lastName email' }
+    ]);
+    const business = await invoiceService.getBusinessDetails();
+    const money = (amount) => formatCurrency(amount, order.currency);
+    const taxDetails = order.taxDetails || {};
+
+    const totals = [['Subtotal', money(order.subtotal)]];
+    order.promotions.filter(promotion => promotion.discount > 0).forEach(promotion => {
+      totals.push([promotion.name, `-${money(promotion.discount)}`]);
+    });
+    if (order.couponDiscount > 0) {
+      totals.push([`Coupon (${order.couponCode})`, `-${money(order.couponDiscount)}`]);
+    } else if (order.promotions.length === 0 && order.discount > 0) {
+      totals.push([order.couponCode ? `Discount (${order.couponCode})` : 'Discount', `-${money(order.discount)}`]);
+    }
+    totals.push([
+      order.shippingMethod && order.shippingMethod.name ? `Shipping (${order.shippingMethod.name})` : 'Shipping',
+      money(order.shippingCost)
+    ]);
+    totals.push([taxDetails.inclusive ? 'Tax (included in prices)' : 'Tax', money(order.tax)]);
+    order.giftCards.forEach(giftCard => {
+      totals.push([`Gift card (${giftCard.code})`, `-${money(giftCard.amount)}`]);
+    });
+    totals.push(['Total', money(order.total), true]);
+
+    const refunded = order.refunds
+      .filter(refund => refund.provider !== 'gift_card')
+      .reduce((total, refund) => total + refund.amount, 0);
+    const giftCardRefunded = order.refunds
+      .filter(refund => refund.provider === 'gift_card')
+      .reduce((total, refund) => total + refund.amount, 0);
+    if (refunded > 0) {
+      totals.push(['Refunded', `-${money(refunded)}`]);
+      totals.push(['Net paid', money(order.total - refunded), true]);
+    }
+    if (giftCardRefunded > 0) {
+      totals.push(['Returned to gift cards', money(giftCardRefunded)]);
+    }
+
+    return renderPdf(doc => {
+      drawHeader(doc, business, 'INVOICE', [
+        ['Invoice number', invoice.number],
+        ['Invoice date', formatDate(invoice.issuedAt)],
+        ['Order number', order.orderNumber],
+        ['Order date', formatDate(order.createdAt)],
+        ['Payment', `${paymentMethodLabels[order.paymentMethod] || order.paymentMethod} (${order.paymentStatus})`]
+      ]);
+
+      const billTo = formatAddress(order.billingAddress);
+      drawAddresses(doc, [
+        ['Bill To', billTo.length > 0 ? billTo : formatAddress(order.shippingAddress)],
+        ['Ship To', formatAddress(order.shippingAddress)]
+      ]);
+
+      drawTable(doc, [
+        { label: 'Item', width: 185 },
+        { label: 'SKU', width: 95 },
+        { label: 'Qty', width: 35, align: 'right' },
+        { label: 'Unit Price', width: 65, align: 'right' },
+        { label: 'Tax', width: 50, align: 'right' },
+        { label: 'Amount', width: 65, align: 'right' }
+      ], order.items.map(item => [
+        describeItem(item),
+        itemSku(item),
+        item.quantity,
+        money(item.price),
+        item.tax && item.tax.rate ? `${item.tax.rate}%` : '-',
+        money(item.totalPrice)
+      ]));
+
+      drawTotals(doc, totals);
+
+      const issuedTo = order.customer && order.customer.email ? order.customer.email : order.email;
+      if (issuedTo) {
+        doc.moveDown(2).font('Helvetica').fontSize(8).fillColor('#555555')
+          .text(`Issued to ${issuedTo}. Thank you for shopping with ${business.name}.`, { align: 'center' });
+      }
+    });
+  },
+
+  // Render a packing slip for the whole order or for one shipment's items
+  renderPackingSlip: async (order, shipment) => {
+    await order.populate('items.product', 'name sku');
+    const business = await invoiceService.getBusinessDetails();
+
+    const lines = shipment
+      ? shipment.items.map(shipped => {
+        const item = order.items.id(shipped.orderItem);
+        return item ? { item, quantity: shipped.quantity } : null;
+      }).filter(Boolean)
+      : order.items.map(item => ({ item, quantity: item.quantity }));
+
+    const details = [
+      ['Order number', order.orderNumber],
+      ['Order date', formatDate(order.createdAt)]
+    ];
+    if (order.shippingMethod && order.shippingMethod.name) {
+      details.push(['Shipping', order.shippingMethod.name]);
+    }
+    if (shipment && shipment.trackingNumber) {
+      details.push(['Tracking', `${shipment.carrier ? `${shipment.carrier.toUpperCase()} ` : ''}${shipment.trackingNumber}`]);
+    }
+
+    return renderPdf(doc => {
+      drawHeader(doc, business, 'PACKING SLIP', details);
+      drawAddresses(doc, [['Ship To', formatAddress(order.shippingAddress)]]);
+
+      drawTable(doc, [
+        { label: 'Item', width: 245 },
+        { label: 'SKU', width: 130 },
+        { label: 'Qty', width: 60, align: 'right' },
+        { label: 'Packed', width: 60, align: 'center' }
+      ], lines.map(({ item, quantity }) => [
+        describeItem(item),
+        itemSku(item),
+        quantity,
+        '[   ]'
+      ]));
+
+      if (order.notes) {
+        doc.font('Helvetica-Bold').fontSize(10).text('Notes');
+        doc.font('Helvetica').fontSize(9).text(order.notes);
+      }
+    });
+  },
+
+  // Invoice as an email attachment
+  getInvoiceAttachment: async (order) => {
+    const content = await invoiceService.renderInvoice(order);
+    return {
+      filename: `invoice-${order.invoice.number}.pdf`,
+      content,
+      contentType: 'application/pdf'
+    };
+  }
+};
+
+// Issue the invoice number once the order is paid
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  await invoiceService.issueInvoice(order);
+});
+
+module.exports = invoiceService;
\ No newline at end of file
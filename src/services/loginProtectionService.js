@@ -0,0 +1,187 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const emailService = require('./emailService');
+const { authConfig } = require('../config/auth');
+
+const protection = authConfig.loginProtection;
+
+const createLoginError = (message, statusCode = 429, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Emails are tracked whether or not an account exists, so lockouts don't reveal which do
+const accountKey = (email) => `account:${String(email || '').toLowerCase().trim()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+const describeWait = (seconds) => (seconds >= 120
+  ? `${Math.ceil(seconds / 60)} minutes`
+  : `${seconds} second${seconds === 1 ? '' : 's'}`);
+
+// Count one failure against a key, then set the delay or lockout it has earned
+const registerFailure = async (key, limits) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - protection.windowMinutes * 60 * 1000);
+  const recent = { $gt: ['$lastFailureAt', windowStart] };
+
+  const record = await LoginThrottle.findOneAndUpdate({ key }, [
+    {
+      $set: {
+        failures: { $cond: [recent, { $add: ['$failures', 1] }, 1] },
+        lockouts: { $cond: [{ $or: [recent, { $gt: ['$lockedUntil', windowStart] }] }, '$lockouts', 0] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + protection.windowMinutes * 60 * 1000)
+      }
+    }
+  ], { upsert: true, new: true });
+
+  const update = {};
+  if (record.failures >= limits.maxAttempts) {
+    const minutes = Math.min(protection.lockoutMinutes * 2 ** (record.lockouts || 0), protection.maxLockoutMinutes);
+    update.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    update.blockedUntil = null;
+    update.failures = 0;
+    update.lockouts = (record.lockouts || 0) + 1;
+    update.expiresAt = new Date(update.lockedUntil.getTime() + protection.windowMinutes * 60 * 1000);
+  } else if (record.failures > limits.freeAttempts) {
+    const seconds = Math.min(
+      protection.baseDelaySeconds * 2 ** (record.failures - limits.freeAttempts - 1),
+      protection.maxDelaySeconds
+    );
+    update.blockedUntil = new Date(now.getTime() + seconds * 1000);
+  }
+
+  if (Object.keys(update).length > 0) {
+    await LoginThrottle.updateOne({ _id: record._id }, { $set: update });
+  }
+
+  return {
+    failures: record.failures,
+    lockouts: update.lockouts || record.lockouts || 0,
+    lockedUntil: update.lockedUntil,
+    blockedUntil: update.blockedUntil
+  };
+};
+
+// Turn a throttle record into the error for an attempt made too soon
+const getBlockError = (record) => {
+  if (!record) return null;
+
+  if (record.lockedUntil && record.lockedUntil > new Date()) {
+    const retryAfter = secondsUntil(record.lockedUntil);
+    return createLoginError(`Too many failed sign-in attempts. Please try again in ${describeWait(retryAfter)}.`, 429, {
+      retryAfter,
+      locked: true
+    });
+  }
+  if (record.blockedUntil && record.blockedUntil > new Date()) {
+    const retryAfter = secondsUntil(record.blockedUntil);
+    return createLoginError(`Please wait ${describeWait(retryAfter)} before trying again.`, 429, { retryAfter });
+  }
+  return null;
+};
+
+const loginProtectionService = {
+  // Reject a sign-in attempt while the account or IP is delayed or locked out
+  check: async ({ email, ipAddress }) => {
+    const records = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ipAddress)] } });
+
+    // A lockout outranks a short delay
+    const errors = records.map(getBlockError).filter(Boolean)
+      .sort((a, b) => Number(!!b.locked) - Number(!!a.locked) || b.retryAfter - a.retryAfter);
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+  },
+
+  // Count a failed sign-in against the account and the IP. Returns the seconds
+  // to wait before the next attempt is accepted.
+  recordFailure: async ({ email, ipAddress, userAgent, user }) => {
+    const account = await registerFailure(accountKey(email), protection.account);
+    const ip = await registerFailure(ipKey(ipAddress), protection.ip);
+
+    if (account.lockedUntil) {
+      await SecurityEvent.create({
+        type: 'account_locked',
+        user: user && user._id,
+        email: String(email || '').toLowerCase().trim(),
+        ipAddress,
+        userAgent,
+        details: { lockedUntil: account.lockedUntil, lockouts: account.lockouts }
+      });
+
+      // Admins hear about it; a locked admin account may be under targeted attack
+      if (user && user.role === 'admin') {
+        try {
+          await emailService.sendAccountLockedAlert(user.email, {
+            firstName: user.firstName,
+            lockedUntil: account.lockedUntil,
+            ipAddress
+          });
+        } catch (emailError) {
+          console.error('Lockout alert email error:', emailError);
+        }
+      }
+    }
+
+    if (ip.lockedUntil) {
+      await SecurityEvent.create({
+        type: 'ip_locked',
+        email: String(email || '').toLowerCase().trim(),
+        ipAddress,
+        userAgent,
+        details: { lockedUntil: ip.lockedUntil, lockouts: ip.lockouts }
+      });
+    }
+
+    const waits = [account, ip]
+      .map(state => state.lockedUntil || state.blockedUntil)
+      .filter(Boolean)
+      .map(secondsUntil);
+    return waits.length > 0 ? Math.max(...waits) : 0;
+  },
+
+  // A successful sign-in clears the account's failures; the IP's are kept
+  recordSuccess: async ({ email }) => {
+    await LoginThrottle.deleteOne({ key: accountKey(email) });
+  },
+
+  // Lift an account's lockout and delays
+  unlockAccount: async (user, { actor, ipAddress } = {}) => {
+    const record = await LoginThrottle.findOneAndDelete({ key: accountKey(user.email) });
+    const wasLocked = !!(record && record.lockedUntil && record.lockedUntil > new Date());
+
+    await SecurityEvent.create({
+      type: 'account_unlocked',
+      user: user._id,
+      email: user.email,
+      ipAddress,
+      actor,
+      details: { wasLocked, failures: record ? record.failures : 0 }
+    });
+
+    return wasLocked;
+  },
+
+  // Accounts and IPs currently locked out
+  getActiveLockouts: async () => {
+    const records = await LoginThrottle.find({ lockedUntil: { $gt: new Date() } }).sort({ lockedUntil: -1 }).lean();
+
+    return records.map(record => {
+      const [type, ...rest] = record.key.split(':');
+      return {
+        type,
+        value: rest.join(':'),
+        lockedUntil: record.lockedUntil,
+        lockouts: record.lockouts,
+        lastFailureAt: record.lastFailureAt
+      };
+    });
+  }
+};
+
+module.exports = loginProtectionService;
\ No newline at end of file
@@ -0,0 +1,415 @@
+const Product = require('../models/Product');
+const MetalPrice = require('../models/MetalPrice');
+const PriceHistory = require('../models/PriceHistory');
+const RepricingPreview = require('../models/RepricingPreview');
+const settingService = require('./settingService');
+const currencyService = require('./currencyService');
+
+const metals = ['gold', 'platinum', 'silver', 'palladium'];
+
+// How long a preview can be applied for before prices must be worked out again
+const previewExpiresInHours = 24;
+
+// Fineness assumed when the description names the metal but not its purity
+const defaultPurity = {
+  platinum: 0.95,
+  silver: 0.925,
+  palladium: 0.95
+};
+
+// Grams per unit for weights such as "3.2 g", "0.1 oz" or "2 dwt"
+const weightUnits = {
+  g: 1,
+  gr: 1,
+  gram: 1,
+  grams: 1,
+  oz: 31.1035, // Troy ounce
+  ozt: 31.1035,
+  dwt: 1.55517 // Pennyweight
+};
+
+const createPricingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const roundTo = (amount, increment) => roundCurrency(Math.round(amount / increment) * increment);
+
+const metalPricingService = {
+  metals,
+
+  // Read the metal and its purity from a description such as "14K Yellow Gold",
+  // "Platinum 950" or "Sterling Silver"; null when it is not a priced metal
+  parseMetal: (text) => {
+    const value = String(text || '').toLowerCase();
+    const metal = metals.find(candidate => value.includes(candidate)) ||
+      (/\bsterling\b/.test(value) ? 'silver' : null);
+    if (!metal) return null;
+
+    if (metal === 'gold') {
+      const karat = value.match(/(\d{1,2})\s*(k|kt|karat|carat)\b/);
+      if (!karat) return null;
+      return { metal, purity: Math.min(Number(karat[1]), 24) / 24 };
+    }
+
+    const fineness = value.match(/\b(\d{3})\b/);
+    return { metal, purity: fineness ? Number(fineness[1]) / 1000 : defaultPurity[metal] };
+  },
+
+  // Read a weight such as "3.5g" or "0.25 oz" in grams; null when it cannot be read
+  parseWeight: (text) => {
+    const match = String(text || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+    if (!match) return null;
+
+    const factor = weightUnits[match[2] || 'g'];
+    return factor ? Number(match[1]) * factor : null;
+  },
+
+  // Get the latest recorded spot price for each metal
+  getSpotPrices: async () => {
+    const latest = await MetalPrice.aggregate([
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$metal', entry: { $first: '$$ROOT' } } }
+    ]);
+
+    return latest.reduce((prices, { _id, entry }) => {
+      prices[_id] = entry;
+      return prices;
+    }, {});
+  },
+
+  // Price a metal description with the formula's costs and markup
+  calculatePrice: (formula, metalText, weight, spotPrices, increment) => {
+    const parsed = metalPricingService.parseMetal(metalText);
+    if (!parsed) {
+      throw createPricingError(`Cannot tell the metal and purity of "${metalText || ''}"`);
+    }
+
+    const spot = spotPrices[parsed.metal];
+    if (!spot) {
+      throw createPricingError(`No spot price has been recorded for ${parsed.metal}`);
+    }
+
+    const metalCost = roundCurrency(weight * parsed.purity * spot.pricePerGram);
+    const cost = metalCost + (formula.laborCost || 0) + (formula.stoneCost || 0);
+    const price = roundTo(cost * (1 + (formula.markupPercent || 0) / 100), increment);
+
+    return {
+      price,
+      breakdown: {
+        metal: parsed.metal,
+        purity: parsed.purity,
+        weight,
+        spotPricePerGram: spot.pricePerGram,
+        metalCost,
+        laborCost: formula.laborCost || 0,
+        stoneCost: formula.stoneCost || 0,
+        markupPercent: formula.markupPercent || 0
+      }
+    };
+  },
+
+  // Work out a product's new prices. Metal variant options are priced with their
+  // own metal; other options keep their surcharge over the base price. The compare
+  // price and per-currency prices keep their ratio to the price, so the shown
+  // saving stays the same.
+  priceProduct: (product, spotPrices, increment, currencyContexts = {}) => {
+    const formula = product.pricingFormula || {};
+    const attributes = product.attributes || {};
+    const weight = formula.metalWeight || metalPricingService.parseWeight(attributes.weight);
+    if (!weight) {
+      throw createPricingError(`Cannot read the metal weight "${attributes.weight || ''}"`);
+    }
+
+    const { price, breakdown } = metalPricingService.calculatePrice(
+      formula,
+      formula.metal || attributes.metal,
+      weight,
+      spotPrices,
+      increment
+    );
+
+    const comparePrice = product.comparePrice && product.price > 0
+      ? roundTo(product.comparePrice * price / product.price, increment)
+      : product.comparePrice;
+
+    const variantPrices = [];
+    (product.variants || []).forEach(variant => {
+      const isMetal = /^metal$/i.test(String(variant.name || '').trim());
+
+      variant.options.forEach(option => {
+        if (typeof option.price !== 'number') return;
+
+        const optionPrice = isMetal
+          ? metalPricingService.calculatePrice(formula, option.name, weight, spotPrices, increment).price
+          : roundCurrency(option.price - product.price + price);
+
+        if (optionPrice !== option.price) {
+          variantPrices.push({
+            variantId: variant._id,
+            optionId: option._id,
+            variant: variant.name,
+            option: option.name,
+            previousPrice: option.price,
+            price: optionPrice
+          });
+        }
+      });
+    });
+
+    const currencyPrices = [];
+    if (product.price > 0) {
+      (product.prices || []).forEach(entry => {
+        const context = currencyContexts[entry.currency];
+        const ratio = price / product.price;
+        const entryPrice = currencyService.roundPrice(entry.price * ratio, context);
+        const entryComparePrice = typeof entry.comparePrice === 'number'
+          ? currencyService.roundPrice(entry.comparePrice * ratio, context)
+          : undefined;
+
+        if (entryPrice !== entry.price || entryComparePrice !== entry.comparePrice) {
+          currencyPrices.push({
+            entryId: entry._id,
+            currency: entry.currency,
+            previousPrice: entry.price,
+            price: entryPrice,
+            previousComparePrice: entry.comparePrice,
+            comparePrice: entryComparePrice > entryPrice ? entryComparePrice : undefined
+          });
+        }
+      });
+    }
+
+    return {
+      price,
+      comparePrice: comparePrice > price ? comparePrice : undefined,
+      variantPrices,
+      currencyPrices,
+      breakdown
+    };
+  },
+
+  // Rounding rules for the currencies products have their own prices in
+  getCurrencyContexts: async (products) => {
+    const currencies = new Set();
+    products.forEach(product => (product.prices || []).forEach(entry => currencies.add(entry.currency)));
+
+    const contexts = {};
+    for (const currency of currencies) {
+      try {
+        contexts[currency] = await currencyService.getContext(currency);
+      } catch (currencyError) {
+        if (!currencyError.statusCode) throw currencyError;
+        contexts[currency] = null; // No longer offered; round to the cent
+      }
+    }
+    return contexts;
+  },
+
+  // Work out the new price of every formula-priced product with the latest spot
+  // prices and keep the result, so exactly this preview can be applied later
+  previewRepricing: async ({ actor } = {}) => {
+    const spotPrices = await metalPricingService.getSpotPrices();
+    const increment = Number(await settingService.get('metal_price_rounding', 1)) || 0.01;
+    const products = await Product.find({ 'pricingFormula.enabled': true })
+      .select('name sku price comparePrice prices attributes variants pricingFormula')
+      .lean();
+    const currencyContexts = await metalPricingService.getCurrencyContexts(products);
+
+    const changes = products.map(product => {
+      const change = {
+        product: product._id,
+        name: product.name,
+        sku: product.sku,
+        currentPrice: product.price,
+        currentComparePrice: product.comparePrice
+      };
+
+      try {
+        const priced = metalPricingService.priceProduct(product, spotPrices, increment, currencyContexts);
+        return {
+          ...change,
+          ...priced,
+          difference: roundCurrency(priced.price - product.price),
+          changed: priced.price !== product.price ||
+            priced.comparePrice !== product.comparePrice ||
+            priced.variantPrices.length > 0 ||
+            priced.currencyPrices.length > 0
+        };
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return { ...change, error: error.message, changed: false };
+      }
+    });
+
+    const preview = await RepricingPreview.create({
+      spotPrices: Object.values(spotPrices).map(spot => ({
+        metal: spot.metal,
+        pricePerGram: spot.pricePerGram,
+        metalPrice: spot._id,
+        recordedAt: spot.createdAt
+      })),
+      rounding: increment,
+      changes,
+      createdBy: actor,
+      expiresAt: new Date(Date.now() + previewExpiresInHours * 60 * 60 * 1000)
+    });
+
+    return {
+      id: preview._id,
+      expiresAt: preview.expiresAt,
+      spotPrices: Object.values(spotPrices).map(spot => ({
+        id: spot._id,
+        metal: spot.metal,
+        pricePerGram: spot.pricePerGram,
+        recordedAt: spot.createdAt,
+        appliedAt: spot.appliedAt
+      })),
+      changes,
+      summary: {
+        products: changes.length,
+        changed: changes.filter(change => change.changed).length,
+        errors: changes.filter(change => change.error).length
+      }
+    };
+  },
+
+  // Build the update for one change. Only price paths are written, so stock
+  // moves on the same variant options made meanwhile are kept.
+  buildPriceUpdate: (change, now) => {
+    const update = {
+      $set: {
+        price: change.price,
+        'pricingFormula.lastPricedAt': now
+      },
+      $unset: {}
+    };
+    const arrayFilters = [];
+
+    if (change.comparePrice === undefined || change.comparePrice === null) {
+      update.$unset.comparePrice = 1;
+    } else {
+      update.$set.comparePrice = change.comparePrice;
+    }
+
+    const variantIds = [];
+    change.variantPrices.forEach(entry => {
+      let variantIndex = variantIds.findIndex(id => id.toString() === entry.variantId.toString());
+      if (variantIndex === -1) {
+        variantIndex = variantIds.push(entry.variantId) - 1;
+        arrayFilters.push({ [`v${variantIndex}._id`]: entry.variantId });
+      }
+
+      const optionKey = `v${variantIndex}o${arrayFilters.length}`;
+      update.$set[`variants.$[v${variantIndex}].options.$[${optionKey}].price`] = entry.price;
+      arrayFilters.push({ [`${optionKey}._id`]: entry.optionId });
+    });
+
+    change.currencyPrices.forEach((entry, index) => {
+      update.$set[`prices.$[p${index}].price`] = entry.price;
+      if (entry.comparePrice === undefined || entry.comparePrice === null) {
+        update.$unset[`prices.$[p${index}].comparePrice`] = 1;
+      } else {
+        update.$set[`prices.$[p${index}].comparePrice`] = entry.comparePrice;
+      }
+      arrayFilters.push({ [`p${index}._id`]: entry.entryId });
+    });
+
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+
+    return { update, arrayFilters };
+  },
+
+  // Apply a stored preview and write a history entry per changed product. A
+  // preview is applied once; a product whose price was edited since it was
+  // worked out is skipped.
+  applyRepricing: async (previewId, { actor } = {}) => {
+    const now = new Date();
+    const preview = await RepricingPreview.findOneAndUpdate(
+      { _id: previewId, appliedAt: null, expiresAt: { $gt: now } },
+      { appliedAt: now, appliedBy: actor },
+      { new: true }
+    );
+
+    if (!preview) {
+      const existing = await RepricingPreview.findById(previewId).select('appliedAt');
+      throw existing && existing.appliedAt
+        ? createPricingError('This preview has already been applied', 409)
+        : createPricingError('Preview not found or expired; preview the prices again', 404);
+    }
+
+    const spotPrices = preview.spotPrices.map(spot => ({
+      metal: spot.metal,
+      pricePerGram: spot.pricePerGram,
+      metalPrice: spot.metalPrice
+    }));
+
+    const applied = [];
+    const skipped = [];
+    for (const change of preview.changes.filter(candidate => candidate.changed)) {
+      const { update, arrayFilters } = metalPricingService.buildPriceUpdate(change, now);
+
+      const result = await Product.updateOne(
+        { _id: change.product, price: change.currentPrice },
+        update,
+        arrayFilters.length > 0 ? { arrayFilters } : {}
+      );
+      if (result.modifiedCount === 0) {
+        skipped.push({ product: change.product, name: change.name, reason: 'Price changed since the preview' });
+        continue;
+      }
+
+      await PriceHistory.create({
+        product: change.product,
+        previousPrice: change.currentPrice,
+        price: change.price,
+        previousComparePrice: change.currentComparePrice,
+        comparePrice: change.comparePrice,
+        variantPrices: change.variantPrices.map(({ variant, option, previousPrice, price }) => ({
+          variant, option, previousPrice, price
+        })),
+        currencyPrices: change.currencyPrices.map(({ currency, previousPrice, price }) => ({
+          currency, previousPrice, price
+        })),
+        source: 'metal_repricing',
+        spotPrices,
+        breakdown: change.breakdown,
+        changedBy: actor
+      });
+      applied.push({ product: change.product, name: change.name, previousPrice: change.currentPrice, price: change.price });
+    }
+
+    await MetalPrice.updateMany(
+      { _id: { $in: spotPrices.map(spot => spot.metalPrice) }, appliedAt: null },
+      { appliedAt: now }
+    );
+
+    return {
+      applied,
+      skipped,
+      errors: preview.changes.filter(change => change.error).map(({ product, name, error }) => ({ product, name, error }))
+    };
+  },
+
+  // Record a manual price change made from the product editor
+  recordManualChange: async (previous, product, actor) => {
+    if (previous.price === product.price && previous.comparePrice === product.comparePrice) return null;
+
+    return PriceHistory.create({
+      product: product._id,
+      previousPrice: previous.price,
+      price: product.price,
+      previousComparePrice: previous.comparePrice,
+      comparePrice: product.comparePrice,
+      source: 'manual',
+      changedBy: actor
+    });
+  }
+};
+
+module.exports = metalPricingService;
\ No newline at end of file
@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const SecurityEvent = require('../models/SecurityEvent');
+const accountService = require('./accountService');
+const tokenService = require('./tokenService');
+const twoFactorService = require('./twoFactorService');
+const { authConfig, jwtUtils } = require('../config/auth');
+
+const FACEBOOK_GRAPH_URL = 'https://graph.facebook.com/v19.0';
+
+const providerLabels = {
+  google: 'Google',
+  facebook: 'Facebook'
+};
+
+const createOAuthError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fetch JSON from a provider; provider failures surface as a bad gateway
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const detail = body.error_description || (body.error && body.error.message) || body.error || response.statusText;
+    throw createOAuthError(`Sign-in provider error: ${detail}`, 502);
+  }
+  return body;
+};
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Only paths on our own frontend; anything else could send the user off-site
+const sanitizeRedirectPath = (path) => {
+  return typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.includes('\\')
+    ? path
+    : undefined;
+};
+
+// Each provider builds its consent URL, trades the code for a token and reads a
+// profile normalized to { id, email, emailVerified, firstName, lastName, avatar }.
+// Swap one out with registerProvider, e.g. to stub the token exchange in tests.
+const providers = {
+  google: {
+    getConfig: () => authConfig.oauth.google,
+
+    getAuthorizationUrl: ({ state, codeChallenge }) => {
+      const config = authConfig.oauth.google;
+      const params = new URLSearchParams({
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        response_type: 'code',
+        scope: config.scopes.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        prompt: 'select_account'
+      });
+      return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+    },
+
+    exchangeCode: async ({ code, codeVerifier }) => {
+      const config = authConfig.oauth.google;
+      const tokens = await requestJson('https://oauth2.googleapis.com/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          code,
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          redirect_uri: config.redirectUri,
+          grant_type: 'authorization_code',
+          code_verifier: codeVerifier
+        })
+      });
+      return { accessToken: tokens.access_token };
+    },
+
+    fetchProfile: async ({ accessToken }) => {
+      const profile = await requestJson('https://www.googleapis.com/oauth2/v3/userinfo', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+      return {
+        id: profile.sub,
+        email: profile.email,
+        emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+        firstName: profile.given_name,
+        lastName: profile.family_name,
+        avatar: profile.picture
+      };
+    }
+  },
+
+  facebook: {
+    getConfig: () => ({
+      clientId: authConfig.oauth.facebook.appId,
+      clientSecret: authConfig.oauth.facebook.appSecret,
+      redirectUri: authConfig.oauth.facebook.redirectUri
+    }),
+
+    getAuthorizationUrl: ({ state, codeChallenge }) => {
+      const config = authConfig.oauth.facebook;
+      const params = new URLSearchParams({
+        client_id: config.appId,
+        redirect_uri: config.redirectUri,
+        response_type: 'code',
+        scope: config.scopes.join(','),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+      return `https://www.facebook.com/v19.0/dialog/oauth?${params}`;
+    },
+
+    exchangeCode: async ({ code, codeVerifier }) => {
+      const config = authConfig.oauth.facebook;
+      const params = new URLSearchParams({
+        client_id: config.appId,
+        client_secret: config.appSecret,
+        redirect_uri: config.redirectUri,
+        code,
+        code_verifier: codeVerifier
+      });
+      const tokens = await requestJson(`${FACEBOOK_GRAPH_URL}/oauth/access_token?${params}`);
+      return { accessToken: tokens.access_token };
+    },
+
+    fetchProfile: async ({ accessToken }) => {
+      const params = new URLSearchParams({
+        fields: 'id,email,first_name,last_name,picture.type(large)',
+        access_token: accessToken
+      });
+      const profile = await requestJson(`${FACEBOOK_GRAPH_URL}/me?${params}`);
+      return {
+        id: profile.id,
+        email: profile.email,
+        // Facebook does not say whether the email was confirmed, so it never
+        // vouches for an email on its own
+        emailVerified: false,
+        firstName: profile.first_name,
+        lastName: profile.last_name,
+        avatar: profile.picture && profile.picture.data && profile.picture.data.url
+      };
+    }
+  }
+};
+
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+  if (!provider) {
+    throw createOAuthError(`Sign-in with "${name}" is not supported`, 404);
+  }
+
+  const config = provider.getConfig();
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    throw createOAuthError(`${providerLabels[name] || name} sign-in is not configured`, 503);
+  }
+  return provider;
+};
+
+const recordLink = (type, user, provider, context = {}) => SecurityEvent.create({
+  type,
+  user: user._id,
+  email: user.email,
+  ipAddress: context.ipAddress,
+  userAgent: context.userAgent,
+  details: { provider }
+});
+
+// Whoever registered an unverified account never proved the email was theirs.
+// When its real owner arrives through a provider that vouches for the email,
+// the password, 2FA and social sign-ins set up before are dropped; linking then
+// verifies the account and its old sessions are signed out.
+const claimUnverifiedAccount = async (user, context = {}) => {
+  user.password = undefined;
+  user.oauthAccounts = user.oauthAccounts.filter(account => account.emailVerified);
+  user.verificationToken = undefined;
+  user.verificationTokenExpires = undefined;
+
+  await twoFactorService.clear(user._id);
+  user.set('twoFactor.enabled', false);
+
+  await SecurityEvent.create({
+    type: 'unverified_account_claimed',
+    user: user._id,
+    email: user.email,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent
+  });
+};
+
+const oauthService = {
+  providers,
+  providerLabels,
+  sanitizeRedirectPath,
+
+  // Replace a provider's implementation
+  registerProvider: (name, provider) => {
+    providers[name] = provider;
+  },
+
+  // Start the authorization-code flow: remember a single-use state and PKCE
+  // verifier, and build the provider's consent URL
+  startAuthorization: async (providerName, { intent = 'login', user, redirectPath } = {}) => {
+    const provider = getProvider(providerName);
+
+    const state = base64Url(crypto.randomBytes(32));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OAuthState.create({
+      stateHash: jwtUtils.hashToken(state),
+      provider: providerName,
+      intent,
+      user: user && user._id,
+      codeVerifier,
+      redirectPath: sanitizeRedirectPath(redirectPath),
+      expiresAt: new Date(Date.now() + authConfig.oauth.stateExpiresInMinutes * 60 * 1000)
+    });
+
+    return {
+      state,
+      authorizationUrl: provider.getAuthorizationUrl({ state, codeChallenge })
+    };
+  },
+
+  // Take the provider's redirect back: spend the state, trade the code for a
+  // profile, then sign in or link. Sign-ins get a one-time handoff code.
+  handleCallback: async (providerName, { state, code, browserState }, context = {}) => {
+    const provider = getProvider(providerName);
+    if (!state || !code) {
+      throw createOAuthError('Sign-in was cancelled or is missing its authorization code');
+    }
+
+    const record = await OAuthState.findOneAndUpdate(
+      {
+        stateHash: jwtUtils.hashToken(state),
+        provider: providerName,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!record) {
+      throw createOAuthError('Sign-in link is invalid or has expired; please try again');
+    }
+
+    // The flow must come back to the browser that started it, so a forwarded
+    // callback URL can neither sign a victim into the attacker's account nor
+    // link the victim's provider identity to it
+    if (browserState !== state) {
+      throw createOAuthError(`${record.intent === 'link' ? 'Linking' : 'Sign-in'} was started in another browser; please try again`);
+    }
+
+    const tokens = await provider.exchangeCode({ code, codeVerifier: record.codeVerifier });
+    const profile = await provider.fetchProfile(tokens);
+    if (!profile || !profile.id) {
+      throw createOAuthError(`${providerLabels[providerName]} did not return an account`, 502);
+    }
+
+    if (record.intent === 'link') {
+      const user = await User.findById(record.user);
+      if (!user || !user.isActive) {
+        throw createOAuthError('Account not found', 404);
+      }
+      await oauthService.linkAccount(user, providerName, profile, context);
+      return { intent: 'link', redirectPath: record.redirectPath };
+    }
+
+    const { user, isNewUser } = await oauthService.findOrCreateUser(providerName, profile, context);
+
+    const handoffCode = base64Url(crypto.randomBytes(32));
+    record.handoff = {
+      codeHash: jwtUtils.hashToken(handoffCode),
+      user: user._id,
+      isNewUser,
+      expiresAt: new Date(Date.now() + authConfig.oauth.handoffExpiresInSeconds * 1000)
+    };
+    await record.save();
+
+    return { intent: 'login', handoffCode, redirectPath: record.redirectPath, isNewUser };
+  },
+
+  // Trade a handoff code for the user it signed in; each code works once
+  redeemHandoff: async (handoffCode) => {
+    const record = await OAuthState.findOneAndUpdate(
+      {
+        'handoff.codeHash': jwtUtils.hashToken(String(handoffCode || '')),
+        'handoff.usedAt': null,
+        'handoff.expiresAt': { $gt: new Date() }
+      },
+      { 'handoff.usedAt': new Date() },
+      { new: true }
+    );
+    if (!record) {
+      throw createOAuthError('Sign-in code is invalid or has expired; please try again', 401);
+    }
+
+    const user = await User.findById(record.handoff.user);
+    if (!user || !user.isActive) {
+      throw createOAuthError('Account has been deactivated', 401);
+    }
+    return { user, isNewUser: record.handoff.isNewUser, provider: record.provider };
+  },
+
+  // Find the account a provider identity signs in to. Known identities sign
+  // straight in; otherwise an account with the same verified email is linked,
+  // or a new social-only account is created.
+  findOrCreateUser: async (providerName, profile, context = {}) => {
+    const linked = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider: providerName, providerId: String(profile.id) } }
+    });
+    if (linked) {
+      if (!linked.isActive) {
+        throw createOAuthError('Account has been deactivated', 401);
+      }
+      return { user: linked, isNewUser: false };
+    }
+
+    const label = providerLabels[providerName];
+    if (!profile.email) {
+      throw createOAuthError(`${label} did not share an email address; please allow email access or sign up with your email`);
+    }
+
+    const email = profile.email.toLowerCase().trim();
+    const existing = await User.findOne({ email });
+    if (existing) {
+      // An unverified provider email could belong to anyone
+      if (!profile.emailVerified) {
+        throw createOAuthError(`An account already uses this email. Sign in with your password and link ${label} from your profile.`, 409);
+      }
+      if (!existing.isActive) {
+        throw createOAuthError('Account has been deactivated', 401);
+      }
+      const claimed = !existing.isVerified;
+      if (claimed) {
+        await claimUnverifiedAccount(existing, context);
+      }
+      await oauthService.linkAccount(existing, providerName, profile, context);
+      if (claimed) {
+        await tokenService.revokeUserSessions(existing._id, 'account_claimed');
+      }
+      return { user: existing, isNewUser: false };
+    }
+
+    // An email the provider does not vouch for still has to be confirmed by link
+    const user = new User({
+      firstName: profile.firstName || email.split('@')[0],
+      lastName: profile.lastName || '-',
+      email,
+      avatar: profile.avatar,
+      isVerified: !!profile.emailVerified,
+      oauthAccounts: [{
+        provider: providerName,
+        providerId: String(profile.id),
+        email,
+        emailVerified: !!profile.emailVerified
+      }]
+    });
+    await user.save();
+    await recordLink('oauth_linked', user, providerName, context);
+
+    if (!user.isVerified) {
+      try {
+        await accountService.sendVerification(user);
+      } catch (emailError) {
+        console.error('Email sending error:', emailError);
+      }
+    }
+
+    return { user, isNewUser: true };
+  },
+
+  // Attach a provider identity to an account. A verified provider email that
+  // matches the account's also verifies the account.
+  linkAccount: async (user, providerName, profile, context = {}) => {
+    const providerId = String(profile.id);
+    const label = providerLabels[providerName];
+
+    const owner = await User.findOne({
+      oauthAccounts: { $elemMatch: { provider: providerName, providerId } }
+    }).select('_id');
+    if (owner && !owner._id.equals(user._id)) {
+      throw createOAuthError(`This ${label} account is already linked to another user`, 409);
+    }
+    if (owner) return user;
+
+    if (user.oauthAccounts.some(account => account.provider === providerName)) {
+      throw createOAuthError(`A different ${label} account is already linked; unlink it first`, 409);
+    }
+
+    user.oauthAccounts.push({
+      provider: providerName,
+      providerId,
+      email: profile.email,
+      emailVerified: !!profile.emailVerified
+    });
+    if (!user.isVerified && profile.emailVerified && profile.email && profile.email.toLowerCase() === user.email) {
+      user.isVerified = true;
+    }
+    await user.save();
+    await recordLink('oauth_linked', user, providerName, context);
+
+    return user;
+  },
+
+  // Detach a provider. The account must keep a way to sign in.
+  unlinkAccount: async (userId, providerName, context = {}) => {
+    const user = await User.findById(userId);
+    const account = user.oauthAccounts.find(entry => entry.provider === providerName);
+    if (!account) {
+      throw createOAuthError(`No ${providerLabels[providerName] || providerName} account is linked`, 404);
+    }
+    if (!user.password && user.oauthAccounts.length === 1) {
+      throw createOAuthError('Set a password before unlinking your only sign-in method');
+    }
+
+    user.oauthAccounts.pull(account._id);
+    await user.save();
+    await recordLink('oauth_unlinked', user, providerName, context);
+  },
+
+  // Give a social-only account a password of its own
+  setPassword: async (userId, password) => {
+    const user = await User.findById(userId);
+    if (user.password) {
+      throw createOAuthError('Your account already has a password; use change password instead');
+    }
+
+    user.password = password;
+    await user.save();
+  },
+
+  // Sign-in methods on an account, for the profile page
+  getAccounts: async (userId) => {
+    const user = await User.findById(userId);
+
+    return {
+      hasPassword: !!user.password,
+      providers: Object.keys(providers).map(name => {
+        const account = user.oauthAccounts.find(entry => entry.provider === name);
+        return {
+          provider: name,
+          linked: !!account,
+          email: account ? account.email : undefined,
+          linkedAt: account ? account.linkedAt : undefined
+        };
+      })
+    };
+  }
+};
+
+module.exports = oauthService;
\ No newline at end of file
@@ -0,0 +1,427 @@
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Analytics = require('../models/Analytics');
+const Notification = require('../models/Notification');
+const orderStatusService = require('./orderStatusService');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+const invoiceService = require('./invoiceService');
+const { formatCurrency } = require('../utils/helpers');
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const orderPaymentService = {
+  // Atomically record a gateway event on an order. Resolves to the order when the
+  // event is new, or null when it was already applied (or the order is unknown).
+  claimEvent: async (query, event) => {
+    return Order.findOneAndUpdate(
+      { ...query, 'paymentEvents.eventId': { $ne: event.id } },
+      {
+        $push: {
+          paymentEvents: { eventId: event.id, provider: event.provider, type: event.type }
+        }
+      },
+      { new: true }
+    );
+  },
+
+  // Forget a claimed event so the gateway's retry is processed again
+  releaseEvent: async (orderId, eventId) => {
+    await Order.updateOne({ _id: orderId }, { $pull: { paymentEvents: { eventId } } });
+  },
+
+  // Run a handler for a gateway event at most once per order
+  applyEvent: async (query, event, handler) => {
+    const order = await orderPaymentService.claimEvent(query, event);
+    if (!order) {
+      const exists = await Order.exists(query);
+      return { handled: false, reason: exists ? 'duplicate' : 'order_not_found' };
+    }
+
+    try {
+      const result = await handler(order);
+      return { handled: true, orderId: order._id, ...result };
+    } catch (error) {
+      await orderPaymentService.releaseEvent(order._id, event.id);
+      throw error;
+    }
+  },
+
+  // Mark an order paid; repeated calls are no-ops
+  markPaid: async (order, { transactionId, paymentId, gatewayResponse, note }) => {
+    if (['paid', 'refunded'].includes(order.paymentStatus)) {
+      return { outcome: 'already_paid' };
+    }
+
+    // Claim the payment in the database first: a PayPal execute and its webhook
+    // can arrive together with the same unpaid order loaded
+    const unpaid = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $nin: ['paid', 'refunded'] } },
+      { paymentStatus: 'paid' },
+      { projection: { paymentStatus: 1 } }
+    );
+    if (!unpaid) {
+      return { outcome: 'already_paid' };
+    }
+
+    // Hand the claim back when the payment could not be recorded
+    const releaseClaim = () => Order.updateOne(
+      { _id: order._id, paymentStatus: 'paid' },
+      { paymentStatus: unpaid.paymentStatus }
+    );
+
+    order.set('paymentDetails.transactionId', transactionId);
+    order.set('paymentDetails.paymentId', paymentId || order.paymentDetails.paymentId);
+    order.set('paymentDetails.gatewayResponse', gatewayResponse);
+
+    // Payment arrived after the order was cancelled: take it, then hand it back
+    if (order.status === 'cancelled') {
+      try {
+        await orderStatusService.applyTransition(order, { paymentStatus: 'paid' }, {
+          actorType: 'system',
+          note: note || 'Payment captured after cancellation'
+        });
+      } catch (error) {
+        await releaseClaim();
+        throw error;
+      }
+      await orderStatusService.applyTransition(order, { paymentStatus: 'refunded' }, {
+        actorType: 'system',
+        note: 'Refund for payment on cancelled order',
+        notifyCustomer: false
+      });
+      return { outcome: 'refunded_cancelled_order' };
+    }
+
+    try {
+      await orderStatusService.applyTransition(order, {
+        status: orderStatusService.canTransition('status', order.status, 'paid') ? 'paid' : undefined,
+        paymentStatus: 'paid'
+      }, {
+        actorType: 'system',
+        note: note || 'Payment captured',
+        notifyCustomer: false
+      });
+    } catch (error) {
+      await releaseClaim();
+
+      // Stock ran out while the customer was paying; leave it to an admin
+      if (error.statusCode !== 409) throw error;
+
+      await Notification.create({
+        type: 'system',
+        title: 'Paid Order Needs Attention',
+        message: `Payment for order ${order.orderNumber} succeeded but: ${error.message}`,
+        recipientType: 'all_admins',
+        priority: 'urgent',
+        actionUrl: `/admin/orders/${order._id}`,
+        data: { orderId: order._id, orderNumber: order.orderNumber, transactionId }
+      });
+      await order.save();
+      return { outcome: 'stock_unavailable' };
+    }
+
+    return { outcome: 'paid' };
+  },
+
+  // Record a failed payment attempt; the customer may still retry
+  markFailed: async (order, { reason, gatewayResponse }) => {
+    if (order.paymentStatus !== 'pending') {
+      return { outcome: `ignored_${order.paymentStatus}` };
+    }
+
+    order.set('paymentDetails.gatewayResponse', gatewayResponse);
+    await orderStatusService.applyTransition(order, { paymentStatus: 'failed' }, {
+      actorType: 'system',
+      note: reason ? `Payment failed: ${reason}` : 'Payment failed'
+    });
+
+    return { outcome: 'failed' };
+  },
+
+  // Record a chargeback and alert the admins
+  recordDispute: async (order, dispute) => {
+    if (!order.disputes.some(existing => existing.disputeId === dispute.disputeId)) {
+      order.disputes.push(dispute);
+      await order.save();
+    }
+
+    await Notification.create({
+      type: 'payment_dispute',
+      title: 'Payment Disputed',
+      message: `The payment for order ${order.orderNumber} has been disputed (${dispute.reason || 'no reason given'}) for ${dispute.amount} ${dispute.currency}`,
+      recipientType: 'all_admins',
+      priority: 'urgent',
+      actionUrl: `/admin/orders/${order._id}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        disputeId: dispute.disputeId,
+        evidenceDueBy: dispute.evidenceDueBy
+      }
+    });
+
+    return { outcome: 'dispute_recorded' };
+  },
+
+  // Sum what has gone back to each tender: the payment gateway and gift cards
+  getRefundTotals: (order) => {
+    const totals = order.refunds.reduce((sums, entry) => {
+      if (entry.provider === 'gift_card') {
+        sums.giftCards += entry.amount;
+      } else {
+        sums.gateway += entry.amount;
+      }
+      return sums;
+    }, { gateway: 0, giftCards: 0 });
+
+    return {
+      gateway: toCents(totals.gateway) / 100,
+      giftCards: toCents(totals.giftCards) / 100,
+      total: toCents(totals.gateway + totals.giftCards) / 100
+    };
+  },
+
+  // What can still be refunded to each tender
+  getRefundable: (order) => {
+    const refunded = orderPaymentService.getRefundTotals(order);
+    const gateway = Math.max(0, toCents(order.total) - toCents(refunded.gateway)) / 100;
+    const giftCards = Math.max(0, toCents(order.giftCardAmount || 0) - toCents(refunded.giftCards)) / 100;
+
+    return { gateway, giftCards, total: toCents(gateway + giftCards) / 100 };
+  },
+
+  // Record a refund made at the gateway; refunding everything paid refunds the order
+  recordGatewayRefund: async (order, refund) => {
+    if (refund.refundId && order.refunds.some(existing => existing.refundId === refund.refundId)) {
+      return { outcome: 'refund_already_recorded' };
+    }
+
+    order.refunds.push(refund);
+    return orderPaymentService.settleRefunds(order, refund.reason || 'Refunded at payment gateway');
+  },
+
+  // Mark the order refunded once every tender has been paid back in full;
+  // until then the refunds recorded so far are only saved
+  settleRefunds: async (order, note) => {
+    const refunded = orderPaymentService.getRefundTotals(order);
+
+    if (order.paymentStatus !== 'paid' || orderPaymentService.getRefundable(order).total > 0) {
+      await order.save();
+      return { outcome: 'partial_refund_recorded', refunded: refunded.total };
+    }
+
+    await orderStatusService.applyTransition(order, orderStatusService.canTransition('status', order.status, 'refunded')
+      ? { status: 'refunded' }
+      : { paymentStatus: 'refunded' }, {
+      actorType: 'system',
+      note,
+      skipRefund: true
+    });
+
+    return { outcome: 'refunded', refunded: refunded.total };
+  },
+
+  // Settle an order from an executed PayPal payment
+  completePaypalPayment: async (order, execution) => {
+    const sale = execution.sale;
+    const gatewayResponse = { state: execution.state, saleState: sale && sale.state };
+
+    if (!sale || execution.state !== 'approved') {
+      return orderPaymentService.markFailed(order, {
+        reason: `PayPal payment is ${execution.state}`,
+        gatewayResponse
+      });
+    }
+
+    if (sale.state === 'completed') {
+      return orderPaymentService.markPaid(order, {
+        transactionId: sale.id,
+        paymentId: execution.paymentId,
+        gatewayResponse
+      });
+    }
+
+    if (sale.state === 'denied') {
+      return orderPaymentService.markFailed(order, { reason: 'PayPal sale denied', gatewayResponse });
+    }
+
+    // Pending sales (e.g. eCheck) are completed later by webhook
+    order.set('paymentDetails.transactionId', sale.id);
+    order.set('paymentDetails.gatewayResponse', gatewayResponse);
+    await order.save();
+    return { outcome: 'pending' };
+  },
+
+  // Apply a verified PayPal webhook event to its order
+  handlePaypalEvent: async (event) => {
+    const paypalEvent = { id: event.id, type: event.type, provider: 'paypal' };
+    const query = { 'paymentDetails.paymentId': event.paymentId };
+    const amount = Number(event.amount && event.amount.total);
+
+    switch (event.type) {
+      case 'PAYMENT.SALE.COMPLETED':
+        return orderPaymentService.applyEvent(query, paypalEvent, (order) => {
+          if (toCents(amount) < toCents(order.total)) {
+            return orderPaymentService.markFailed(order, {
+              reason: `Amount received ${amount} is less than the order total ${order.total}`,
+              gatewayResponse: { saleState: event.state }
+            });
+          }
+
+          return orderPaymentService.markPaid(order, {
+            transactionId: event.saleId,
+            paymentId: event.paymentId,
+            gatewayResponse: { saleState: event.state }
+          });
+        });
+
+      case 'PAYMENT.SALE.DENIED':
+        return orderPaymentService.applyEvent(query, paypalEvent, (order) =>
+          orderPaymentService.markFailed(order, {
+            reason: 'PayPal sale denied',
+            gatewayResponse: { saleState: event.state }
+          })
+        );
+
+      case 'PAYMENT.SALE.REFUNDED':
+      case 'PAYMENT.SALE.REVERSED':
+        return orderPaymentService.applyEvent(query, paypalEvent, (order) =>
+          orderPaymentService.recordGatewayRefund(order, {
+            refundId: event.resource.id,
+            provider: 'paypal',
+            amount: Math.abs(amount), // Reversals report a negative amount
+            reason: event.type === 'PAYMENT.SALE.REVERSED' ? 'Payment reversed by PayPal' : event.summary
+          })
+        );
+
+      default:
+        return { handled: false, reason: 'ignored_event_type' };
+    }
+  },
+
+  // Apply a verified Stripe webhook event to its order
+  handleStripeEvent: async (event) => {
+    const classified = await paymentService.classifyStripeEvent(event);
+    const stripeEvent = { id: event.id, type: event.type, provider: 'stripe' };
+
+    switch (classified.type) {
+      case 'payment_success': {
+        const intent = classified.paymentIntent;
+        return orderPaymentService.applyEvent({ 'paymentDetails.paymentId': intent.id }, stripeEvent, async (order) => {
+          if (intent.amount_received < toCents(order.total)) {
+            return orderPaymentService.markFailed(order, {
+              reason: `Amount received ${intent.amount_received / 100} is less than the order total ${order.total}`,
+              gatewayResponse: { status: intent.status, amountReceived: intent.amount_received }
+            });
+          }
+
+          return orderPaymentService.markPaid(order, {
+            transactionId: intent.latest_charge,
+            paymentId: intent.id,
+            gatewayResponse: { status: intent.status, amountReceived: intent.amount_received }
+          });
+        });
+      }
+
+      case 'payment_failed': {
+        const intent = classified.paymentIntent;
+        const lastError = intent.last_payment_error || {};
+        return orderPaymentService.applyEvent({ 'paymentDetails.paymentId': intent.id }, stripeEvent, (order) =>
+          orderPaymentService.markFailed(order, {
+            reason: lastError.message,
+            gatewayResponse: { status: intent.status, code: lastError.code, declineCode: lastError.decline_code }
+          })
+        );
+      }
+
+      case 'dispute_created': {
+        const dispute = classified.dispute;
+        return orderPaymentService.applyEvent({ 'paymentDetails.paymentId': dispute.payment_intent }, stripeEvent, (order) =>
+          orderPaymentService.recordDispute(order, {
+            disputeId: dispute.id,
+            provider: 'stripe',
+            chargeId: dispute.charge,
+            amount: dispute.amount / 100,
+            currency: String(dispute.currency || '').toUpperCase(),
+            reason: dispute.reason,
+            status: dispute.status,
+            evidenceDueBy: dispute.evidence_details && dispute.evidence_details.due_by
+              ? new Date(dispute.evidence_details.due_by * 1000)
+              : undefined
+          })
+        );
+      }
+
+      default:
+        return { handled: false, reason: 'ignored_event_type' };
+    }
+  }
+};
+
+// Empty the customer's cart once the order is paid
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  const cartQuery = order.customer
+    ? { user: order.customer._id || order.customer, isActive: true }
+    : { sessionId: order.sessionId, isActive: true };
+  if (!order.customer && !order.sessionId) return;
+
+  await Cart.findOneAndUpdate(cartQuery, { isActive: false });
+});
+
+// Send the order confirmation with the invoice attached
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  const contact = await order.getContact();
+
+  let attachments = [];
+  try {
+    attachments = [await invoiceService.getInvoiceAttachment(order)];
+  } catch (invoiceError) {
+    console.error('Invoice generation error:', invoiceError);
+  }
+
+  await emailService.sendOrderConfirmation(contact.email, order, attachments);
+});
+
+// Tell the admins about the new order and track the sale
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (order.status === 'cancelled') return;
+
+  const contact = await order.getContact();
+  await Notification.create({
+    type: 'new_order',
+    title: 'New Order Received',
+    message: `Order ${order.orderNumber} for ${formatCurrency(order.total, order.currency)} has been placed`,
+    recipientType: 'all_admins',
+    actionUrl: `/admin/orders/${order._id}`,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerName: `${contact.firstName} ${contact.lastName}${contact.user ? '' : ' (guest)'}`,
+      total: order.total,
+      currency: order.currency
+    }
+  });
+
+  // Revenue is reported in the base currency at the order's locked-in rate
+  await Analytics.create({
+    type: 'purchase',
+    userId: contact.user,
+    orderId: order._id,
+    revenue: Math.round(order.total / (order.exchangeRate || 1) * 100) / 100,
+    data: {
+      orderNumber: order.orderNumber,
+      itemCount: order.items.length,
+      paymentMethod: order.paymentMethod,
+      couponUsed: !!order.couponCode,
+      currency: order.currency,
+      total: order.total
+    }
+  });
+});
+
+module.exports = orderPaymentService;
\ No newline at end of file
@@ -0,0 +1,260 @@
+const Notification = require('../models/Notification');
+const inventoryService = require('./inventoryService');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+
+// Allowed moves for each order status field
+const transitions = {
+  status: {
+    pending: ['paid', 'processing', 'cancelled'],
+    paid: ['processing', 'shipped', 'cancelled', 'refunded'],
+    processing: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+  },
+  paymentStatus: {
+    pending: ['paid', 'failed'],
+    failed: ['pending', 'paid'],
+    paid: ['refunded'],
+    refunded: []
+  },
+  fulfillmentStatus: {
+    unfulfilled: ['partially_fulfilled', 'fulfilled'],
+    partially_fulfilled: ['unfulfilled', 'fulfilled'],
+    fulfilled: ['unfulfilled', 'partially_fulfilled']
+  }
+};
+
+// Changes that follow from another change unless requested explicitly
+const cascades = {
+  status: {
+    refunded: (order) => (order.paymentStatus === 'paid' ? { paymentStatus: 'refunded' } : {}),
+    // Paid orders are refunded as part of the cancellation, so a failed refund stops it
+    cancelled: (order) => (order.paymentStatus === 'paid' ? { paymentStatus: 'refunded' } : {})
+  }
+};
+
+const fieldLabels = {
+  status: 'order status',
+  paymentStatus: 'payment status',
+  fulfillmentStatus: 'fulfillment status'
+};
+
+// Side effects keyed by phase. "check" hooks only validate and run before any
+// "before" hook, so a refusal comes before anything irreversible such as a refund.
+// Both abort the transition by throwing before the order is saved; "after" hooks
+// are best-effort. Services register their own side effects when they load.
+const hooks = {
+  check: [],
+  before: [],
+  after: []
+};
+
+const createTransitionError = (message, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+const orderStatusService = {
+  transitions,
+
+  // Register a side effect for a transition; `to` may be '*' for any target
+  onTransition: (phase, field, to, handler) => {
+    hooks[phase].push({ field, to, handler });
+  },
+
+  // Check whether a field may move from one value to another
+  canTransition: (field, from, to) => {
+    const allowed = transitions[field] && transitions[field][from];
+    return Array.isArray(allowed) && allowed.includes(to);
+  },
+
+  // Get the values a field may move to from the order's current state
+  getAllowedTransitions: (order) => {
+    return Object.keys(transitions).reduce((allowed, field) => {
+      allowed[field] = transitions[field][order[field]] || [];
+      return allowed;
+    }, {});
+  },
+
+  // Record the first timeline entry for a newly placed order
+  recordCreation: (order, context = {}) => {
+    order.statusHistory.push({
+      field: 'status',
+      from: null,
+      to: order.status,
+      actor: context.actor,
+      actorType: context.actorType || 'customer',
+      note: context.note || 'Order placed'
+    });
+  },
+
+  // Validate, apply and record one or more status changes, then run side effects
+  applyTransition: async (order, changes, context = {}) => {
+    const requested = {};
+    Object.entries(changes).forEach(([field, to]) => {
+      if (transitions[field] && to !== undefined && to !== null && to !== order[field]) {
+        requested[field] = to;
+      }
+    });
+
+    Object.entries({ ...requested }).forEach(([field, to]) => {
+      const cascade = cascades[field] && cascades[field][to];
+      if (!cascade) return;
+
+      Object.entries(cascade(order)).forEach(([impliedField, impliedTo]) => {
+        if (requested[impliedField] === undefined && order[impliedField] !== impliedTo) {
+          requested[impliedField] = impliedTo;
+        }
+      });
+    });
+
+    const applied = Object.entries(requested).map(([field, to]) => ({
+      field,
+      from: order[field],
+      to
+    }));
+
+    for (const { field, from, to } of applied) {
+      if (!orderStatusService.canTransition(field, from, to)) {
+        const allowed = transitions[field][from] || [];
+        throw createTransitionError(
+          `Cannot change ${fieldLabels[field]} from "${from}" to "${to}"`,
+          400,
+          { allowed }
+        );
+      }
+    }
+
+    const matching = (phase, change) => hooks[phase].filter(hook =>
+      hook.field === change.field && (hook.to === '*' || hook.to === change.to)
+    );
+
+    for (const phase of ['check', 'before']) {
+      for (const change of applied) {
+        for (const hook of matching(phase, change)) {
+          await hook.handler({ order, ...change, context });
+        }
+      }
+    }
+
+    applied.forEach(({ field, from, to }) => {
+      order[field] = to;
+      order.statusHistory.push({
+        field,
+        from,
+        to,
+        actor: context.actor,
+        actorType: context.actorType || 'system',
+        note: context.note
+      });
+    });
+
+    await order.save();
+
+    for (const change of applied) {
+      for (const hook of matching('after', change)) {
+        try {
+          await hook.handler({ order, ...change, context });
+        } catch (error) {
+          console.error(`Order transition hook error (${change.field} -> ${change.to}):`, error);
+        }
+      }
+    }
+
+    return applied;
+  }
+};
+
+// Commit held stock once payment is captured
+orderStatusService.onTransition('before', 'paymentStatus', 'paid', async ({ order }) => {
+  await inventoryService.commitOrder(order._id);
+});
+
+// Shipped items cannot be put back on the shelf by cancelling; they have to be returned
+orderStatusService.onTransition('check', 'status', 'cancelled', async ({ order }) => {
+  if (order.fulfillmentStatus !== 'unfulfilled') {
+    throw createTransitionError(
+      `Order ${order.orderNumber} is ${order.fulfillmentStatus.replace('_', ' ')} and can no longer be cancelled`,
+      409
+    );
+  }
+});
+
+// Refund the payment; a failed refund blocks the transition
+orderStatusService.onTransition('before', 'paymentStatus', 'refunded', async ({ order, context }) => {
+  if (context.skipRefund) return;
+
+  // Only what the gateway has not already paid back, e.g. after a partial return;
+  // orders paid in full by gift card have nothing to refund there
+  const gatewayRefunded = order.refunds
+    .filter(entry => entry.provider !== 'gift_card')
+    .reduce((total, entry) => total + entry.amount, 0);
+  const amount = context.refundAmount || Math.round((order.total - gatewayRefunded) * 100) / 100;
+  if (amount <= 0) return;
+
+  const refundResult = await paymentService.processRefund({
+    order,
+    transactionId: order.paymentDetails && order.paymentDetails.transactionId,
+    amount,
+    reason: context.note
+  });
+
+  if (!refundResult || !refundResult.success) {
+    throw createTransitionError(
+      `Refund failed: ${refundResult && refundResult.error ? refundResult.error : 'payment gateway error'}`,
+      502
+    );
+  }
+
+  order.set('paymentDetails.refundId', refundResult.refundId);
+  order.refunds.push({
+    refundId: refundResult.refundId,
+    provider: order.paymentMethod,
+    amount,
+    reason: context.note
+  });
+});
+
+// Restock cancelled orders
+orderStatusService.onTransition('after', 'status', 'cancelled', async ({ order, context }) => {
+  await inventoryService.releaseOrder(order._id, context.releaseReason || 'order_cancelled');
+});
+
+// Email the customer about the change
+orderStatusService.onTransition('after', 'status', '*', async ({ order, from, to, context }) => {
+  if (context.notifyCustomer === false) return;
+
+  const contact = await order.getContact();
+  if (to === 'cancelled') {
+    await emailService.sendOrderCancellation(contact.email, order, context.note);
+  } else {
+    await emailService.sendOrderStatusUpdate(contact.email, order, from);
+  }
+});
+
+// Create customer notification; guests only get the email
+orderStatusService.onTransition('after', 'status', '*', async ({ order, from, to, context }) => {
+  if (context.notifyCustomer === false || !order.customer) return;
+
+  await Notification.create({
+    type: 'order_update',
+    title: 'Order Status Updated',
+    message: `Your order ${order.orderNumber} status has been updated to ${to}`,
+    recipient: order.customer._id || order.customer,
+    recipientType: 'customer',
+    actionUrl: `/orders/${order._id}`,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      newStatus: to,
+      oldStatus: from
+    }
+  });
+});
+
+module.exports = orderStatusService;
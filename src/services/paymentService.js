@@ -0,0 +1,198 @@
+// Gateway configs are loaded on first use so the API can start without every
+// provider's credentials configured
+const getStripe = () => require('../config/stripe');
+const getPaypal = () => require('../config/paypal');
+
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+
+// The completed sale inside an executed or fetched PayPal payment
+const findPaypalSale = (payment) => {
+  const transaction = payment.transactions && payment.transactions[0];
+  const resource = transaction && (transaction.related_resources || []).find(related => related.sale);
+  return resource ? resource.sale : null;
+};
+
+const paymentService = {
+  // Start collecting payment for a newly placed order.
+  // Stripe returns a PaymentIntent client secret for the browser to confirm.
+  startPayment: async (order, { customerEmail } = {}) => {
+    if (order.paymentMethod === 'stripe') {
+      const { stripeUtils, stripeConfig } = getStripe();
+      const intent = await stripeUtils.createPaymentIntent({
+        amount: order.total,
+        currency: order.currency,
+        description: `Order ${order.orderNumber}`,
+        receiptEmail: customerEmail,
+        metadata: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber
+        },
+        idempotencyKey: `order_${order._id}`
+      });
+
+      return {
+        provider: 'stripe',
+        paymentId: intent.id,
+        clientSecret: intent.client_secret,
+        publishableKey: stripeConfig.publishableKey
+      };
+    }
+
+    // Other methods are paid later (PayPal approval, bank transfer)
+    return {
+      provider: order.paymentMethod,
+      status: 'awaiting_payment'
+    };
+  },
+
+  // Get the client secret again for an order still awaiting card payment
+  getStripeClientSecret: async (order) => {
+    const { stripeUtils, stripeConfig } = getStripe();
+    const intent = await stripeUtils.getPaymentIntent(order.paymentDetails.paymentId);
+
+    return {
+      provider: 'stripe',
+      paymentId: intent.id,
+      clientSecret: intent.client_secret,
+      publishableKey: stripeConfig.publishableKey,
+      status: intent.status
+    };
+  },
+
+  // Create a PayPal payment for an order and get the URL the customer approves it at.
+  // A payment that was already created and not yet approved is reused.
+  createPaypalPayment: async (order) => {
+    const { paypalUtils } = getPaypal();
+
+    if (order.paymentDetails && order.paymentDetails.paymentId) {
+      const existing = await paypalUtils.getPayment(order.paymentDetails.paymentId);
+      if (existing.state === 'created') {
+        return {
+          provider: 'paypal',
+          paymentId: existing.id,
+          approvalUrl: paypalUtils.getApprovalUrl(existing),
+          state: existing.state
+        };
+      }
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const tax = order.taxDetails && order.taxDetails.inclusive ? 0 : order.tax;
+    const payment = await paypalUtils.createPayment({
+      amount: formatAmount(order.total),
+      currency: order.currency,
+      description: `Order ${order.orderNumber}`,
+      returnUrl: `${frontendUrl}/checkout/paypal/return?orderId=${order._id}`,
+      cancelUrl: `${frontendUrl}/checkout/paypal/cancel?orderId=${order._id}`,
+      subtotal: formatAmount(order.total - order.shippingCost - tax),
+      tax: formatAmount(tax),
+      shipping: formatAmount(order.shippingCost),
+      orderId: order._id.toString(),
+      invoiceNumber: order.orderNumber
+    });
+
+    return {
+      provider: 'paypal',
+      paymentId: payment.id,
+      approvalUrl: paypalUtils.getApprovalUrl(payment),
+      state: payment.state
+    };
+  },
+
+  // Execute an approved PayPal payment. If it was already executed (e.g. the
+  // return page was reloaded), the current state is fetched instead.
+  executePaypalPayment: async (order, payerId) => {
+    const { paypalUtils } = getPaypal();
+    const paymentId = order.paymentDetails.paymentId;
+
+    let payment;
+    try {
+      payment = await paypalUtils.executePayment(paymentId, payerId, formatAmount(order.total), order.currency);
+    } catch (error) {
+      payment = await paypalUtils.getPayment(paymentId);
+      if (payment.state !== 'approved') throw error;
+    }
+
+    const sale = findPaypalSale(payment);
+    return {
+      paymentId: payment.id,
+      state: payment.state,
+      sale: sale ? { id: sale.id, state: sale.state, amount: Number(sale.amount && sale.amount.total) } : null
+    };
+  },
+
+  // Verify a PayPal webhook; resolves to the parsed event, or null when the signature is invalid
+  constructPaypalEvent: async (rawBody, headers) => {
+    const { paypalUtils } = getPaypal();
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+
+    if (!(await paypalUtils.verifyWebhookSignature(headers, body))) {
+      return null;
+    }
+
+    return paypalUtils.parseWebhookEvent(JSON.parse(body));
+  },
+
+  // Verify a Stripe webhook and classify it
+  constructStripeEvent: (rawBody, signature) => {
+    const { stripeUtils, stripeConfig } = getStripe();
+    return stripeUtils.verifyWebhookSignature(rawBody, signature, stripeConfig.webhookSecret);
+  },
+
+  // Map a Stripe event to the outcome it represents
+  classifyStripeEvent: (event) => {
+    return getStripe().stripeUtils.processWebhookEvent(event);
+  },
+
+  // Refund all or part of an order's payment
+  processRefund: async ({ order, transactionId, amount, reason }) => {
+    try {
+      if (order.paymentMethod === 'stripe') {
+        const { stripeUtils } = getStripe();
+
+        let chargeId = transactionId;
+        if (!chargeId && order.paymentDetails && order.paymentDetails.paymentId) {
+          const intent = await stripeUtils.getPaymentIntent(order.paymentDetails.paymentId);
+          chargeId = intent.latest_charge;
+        }
+        if (!chargeId) {
+          return { success: false, error: 'No captured charge to refund' };
+        }
+
+        const refund = await stripeUtils.createRefund(chargeId, {
+          amount,
+          metadata: {
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            note: reason ? String(reason).slice(0, 500) : undefined
+          }
+        });
+
+        return { success: true, refundId: refund.id, amount, details: { status: refund.status } };
+      }
+
+      if (order.paymentMethod === 'paypal') {
+        if (!transactionId) {
+          return { success: false, error: 'No completed sale to refund' };
+        }
+
+        const { paypalUtils } = getPaypal();
+        const refund = await paypalUtils.createRefund(transactionId, {
+          amount,
+          currency: order.currency,
+          reason: reason ? String(reason).slice(0, 255) : undefined
+        });
+
+        return { success: true, refundId: refund.id, amount, details: { state: refund.state } };
+      }
+
+      // Bank transfers are refunded by hand
+      return { success: true, manual: true, amount };
+    } catch (error) {
+      console.error('Refund processing error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+module.exports = paymentService;
\ No newline at end of file
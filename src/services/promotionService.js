@@ -0,0 +1,506 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Collection = require('../models/Collection');
+const inventoryService = require('./inventoryService');
+const currencyService = require('./currencyService');
+const orderStatusService = require('./orderStatusService');
+const { toVariantSelection, formatCurrency } = require('../utils/helpers');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createPromotionError = (message, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Spread an amount over lines in proportion to their weights
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!amount || total <= 0) return weights.map(() => 0);
+
+  let remaining = roundCurrency(Math.min(amount, total));
+  const lastIndex = weights.reduce((last, weight, index) => (weight > 0 ? index : last), -1);
+
+  return weights.map((weight, index) => {
+    if (weight <= 0) return 0;
+    const share = index === lastIndex
+      ? remaining
+      : roundCurrency(Math.min(remaining, amount * weight / total));
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+const remainingOf = (line) => roundCurrency(line.subtotal - line.discount);
+
+// Each rule returns per-line discounts for the lines it covers, plus any gifts,
+// or null when the cart does not qualify. Fixed amounts are set in the base
+// currency and converted to the cart's currency.
+const rules = {
+  percent_off: (promotion, eligible) => ({
+    discounts: eligible.map(line => roundCurrency(remainingOf(line) * (promotion.percentOff || 0) / 100)),
+    gifts: []
+  }),
+
+  tiered_spend: (promotion, eligible, eligibleSubtotal, currency) => {
+    const tier = promotion.tiers
+      .filter(candidate => eligibleSubtotal >= currencyService.convert(candidate.minimumSubtotal, currency))
+      .sort((a, b) => b.minimumSubtotal - a.minimumSubtotal)[0];
+    if (!tier) return null;
+
+    const amount = tier.discountType === 'percentage'
+      ? eligibleSubtotal * tier.value / 100
+      : Math.min(currencyService.convert(tier.value, currency), eligibleSubtotal);
+
+    return {
+      discounts: allocate(amount, eligible.map(remainingOf)),
+      gifts: []
+    };
+  },
+
+  buy_x_get_y: (promotion, eligible) => {
+    const groupSize = (promotion.buyQuantity || 0) + (promotion.getQuantity || 0);
+    if (!promotion.buyQuantity || !promotion.getQuantity) return null;
+
+    // Line up every unit, dearest first; in each full group the cheapest units are discounted
+    const units = [];
+    eligible.forEach((line, position) => {
+      const unitPrice = remainingOf(line) / line.quantity;
+      for (let unit = 0; unit < line.quantity; unit++) {
+        units.push({ position, unitPrice });
+      }
+    });
+    units.sort((a, b) => b.unitPrice - a.unitPrice);
+
+    let groups = Math.floor(units.length / groupSize);
+    if (promotion.maxApplications) {
+      groups = Math.min(groups, promotion.maxApplications);
+    }
+    if (groups === 0) return null;
+
+    const discounts = eligible.map(() => 0);
+    for (let group = 0; group < groups; group++) {
+      const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+      groupUnits.slice(promotion.buyQuantity).forEach(unit => {
+        discounts[unit.position] += unit.unitPrice * promotion.getDiscountPercent / 100;
+      });
+    }
+
+    return {
+      discounts: discounts.map(roundCurrency),
+      gifts: []
+    };
+  },
+
+  free_gift: (promotion) => {
+    if (!promotion.giftProduct) return null;
+
+    return {
+      discounts: [],
+      gifts: [{
+        product: promotion.giftProduct,
+        variant: promotion.giftVariant,
+        quantity: promotion.giftQuantity || 1,
+        promotion: promotion._id
+      }]
+    };
+  }
+};
+
+const promotionService = {
+  rules,
+
+  // Get the promotions running now, in the order they are applied
+  getActivePromotions: async (now = new Date()) => {
+    return Promotion.find({
+      isActive: true,
+      startDate: { $lte: now },
+      $or: [{ endDate: null }, { endDate: { $gte: now } }]
+    }).sort({ priority: -1, createdAt: 1 });
+  },
+
+  // Load what promotions target on each line: product, categories and collections
+  buildLines: async (items, promotions) => {
+    const productIds = items.map(item => toId(item.product)).filter(Boolean);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('name category subcategory collections productType')
+      .lean();
+    const productMap = products.reduce((map, product) => {
+      map[product._id.toString()] = product;
+      return map;
+    }, {});
+
+    // Collections also list their products, so membership can be set from either side
+    const collectionIds = [...new Set(promotions.flatMap(promotion => promotion.collections.map(String)))];
+    const collections = collectionIds.length > 0
+      ? await Collection.find({ _id: { $in: collectionIds } }).select('products').lean()
+      : [];
+
+    return items.map((item, index) => {
+      const productId = toId(item.product) ? toId(item.product).toString() : null;
+      const product = productId ? productMap[productId] : null;
+
+      const lineCollections = new Set(product ? (product.collections || []).map(String) : []);
+      collections.forEach(collection => {
+        if (productId && collection.products.some(id => id.toString() === productId)) {
+          lineCollections.add(collection._id.toString());
+        }
+      });
+
+      const subtotal = roundCurrency(item.totalPrice !== undefined ? item.totalPrice : item.price * item.quantity);
+      return {
+        index,
+        productId,
+        name: product ? product.name : 'Item',
+        isGiftCard: Boolean(product && product.productType === 'gift_card'),
+        categories: product ? [product.category, product.subcategory].filter(Boolean).map(String) : [],
+        collections: lineCollections,
+        quantity: item.quantity,
+        subtotal,
+        discount: 0,
+        allocations: []
+      };
+    });
+  },
+
+  // Check whether a promotion looks at a line
+  matchesLine: (promotion, line) => {
+    // Gift cards are sold at face value
+    if (line.isGiftCard) return false;
+
+    const targeted = promotion.products.length > 0 ||
+      promotion.categories.length > 0 ||
+      promotion.collections.length > 0;
+    if (!targeted) return true;
+
+    return promotion.products.some(id => id.toString() === line.productId) ||
+      promotion.categories.some(id => line.categories.includes(id.toString())) ||
+      promotion.collections.some(id => line.collections.has(id.toString()));
+  },
+
+  // Work out whether a coupon's product and category scoping covers a line
+  checkCouponLine: (coupon, line) => {
+    const has = (ids, value) => ids.some(id => id.toString() === value);
+    const inCategories = (ids) => line.categories.some(category => has(ids, category));
+
+    if (line.isGiftCard) {
+      return `"${line.name}" is a gift card and cannot be discounted`;
+    }
+    if (line.productId && has(coupon.excludeProducts, line.productId)) {
+      return `"${line.name}" is excluded from this coupon`;
+    }
+    if (inCategories(coupon.excludeCategories)) {
+      return `"${line.name}" is in a category excluded from this coupon`;
+    }
+
+    const scoped = coupon.applicableProducts.length > 0 || coupon.applicableCategories.length > 0;
+    if (scoped && !has(coupon.applicableProducts, line.productId) && !inCategories(coupon.applicableCategories)) {
+      return `"${line.name}" is not one of the products this coupon applies to`;
+    }
+
+    return null;
+  },
+
+  // Find the coupon for a code, check the customer may use it and split the
+  // lines into those it covers and those it does not (with the reason why)
+  checkCoupon: async (code, { userId, lines = [], appliedPromotions = [], currency }) => {
+    const coupon = await Coupon.findOne({
+      code: code.toUpperCase(),
+      isActive: true
+    });
+
+    if (!coupon) {
+      throw createPromotionError('Invalid coupon code', 404);
+    }
+
+    if (!coupon.isValid()) {
+      throw createPromotionError('Coupon has expired or reached usage limit');
+    }
+
+    if (userId && !coupon.canUserUse(userId)) {
+      throw createPromotionError('You have already used this coupon');
+    }
+
+    if (coupon.firstTimeUserOnly) {
+      if (!userId) {
+        throw createPromotionError('Please sign in to use this coupon');
+      }
+
+      const previousOrders = await Order.countDocuments({
+        customer: userId,
+        paymentStatus: { $in: ['paid', 'refunded'] }
+      });
+      if (previousOrders > 0) {
+        throw createPromotionError('This coupon is only available on your first order');
+      }
+    }
+
+    const blocking = appliedPromotions.find(applied => !applied.combinableWithCoupons);
+    if (blocking) {
+      throw createPromotionError(`Coupons cannot be combined with the "${blocking.name}" promotion`);
+    }
+
+    const eligibleLines = [];
+    const ineligibleItems = [];
+    lines.forEach(line => {
+      const reason = promotionService.checkCouponLine(coupon, line);
+      if (reason) {
+        ineligibleItems.push({ index: line.index, product: line.productId, name: line.name, reason });
+      } else {
+        eligibleLines.push(line);
+      }
+    });
+
+    if (eligibleLines.length === 0) {
+      throw createPromotionError(
+        `Coupon ${coupon.code} does not apply to any item in your cart: ${ineligibleItems.map(item => item.reason).join('; ')}`,
+        400,
+        { ineligibleItems }
+      );
+    }
+
+    const eligibleSubtotal = roundCurrency(eligibleLines.reduce((total, line) => total + line.subtotal, 0));
+    const minimumOrderAmount = currencyService.convert(coupon.minimumOrderAmount, currency);
+    if (eligibleSubtotal < minimumOrderAmount) {
+      const minimum = formatCurrency(minimumOrderAmount, currency ? currency.currency : undefined);
+      throw createPromotionError(
+        ineligibleItems.length > 0
+          ? `Minimum order amount for this coupon is ${minimum} of eligible items; ${ineligibleItems.map(item => item.reason).join('; ')}`
+          : `Minimum order amount for this coupon is ${minimum}`,
+        400,
+        { ineligibleItems }
+      );
+    }
+
+    return { coupon, eligibleLines, ineligibleItems };
+  },
+
+  // Take one use of a coupon for an order as it is placed. The limits are checked
+  // in the same write, so parallel checkouts cannot spend a single-use code twice.
+  reserveCoupon: async (couponId, order, userId) => {
+    const withinLimits = [
+      { $or: [{ $eq: ['$usageLimit', null] }, { $lt: ['$usageCount', '$usageLimit'] }] }
+    ];
+    if (userId) {
+      // Aggregation expressions are not cast, so compare against a real ObjectId
+      const user = new mongoose.Types.ObjectId(String(toId(userId)));
+      withinLimits.push({
+        $lt: [
+          { $size: { $filter: { input: '$usedBy', cond: { $eq: ['$$this.user', user] } } } },
+          '$userUsageLimit'
+        ]
+      });
+    }
+
+    const reserved = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        isActive: true,
+        'usedBy.order': { $ne: order._id },
+        $expr: { $and: withinLimits }
+      },
+      {
+        $inc: { usageCount: 1 },
+        $push: { usedBy: { user: userId || undefined, order: order._id } }
+      },
+      { new: true }
+    );
+
+    if (!reserved) {
+      throw createPromotionError('Coupon has reached its usage limit', 409);
+    }
+    return reserved;
+  },
+
+  // Hand back the use an order took, e.g. when it is cancelled
+  releaseCoupon: async (order) => {
+    if (!order.couponCode) return;
+
+    await Coupon.updateOne(
+      { code: order.couponCode.toUpperCase(), 'usedBy.order': order._id },
+      {
+        $inc: { usageCount: -1 },
+        $pull: { usedBy: { order: order._id } }
+      }
+    );
+  },
+
+  // Price a set of cart or order lines: apply running promotions, then the coupon.
+  // Lines carry `product`, `quantity` and `price` (or `totalPrice`) in the currency
+  // of `currency` (a currencyService context; base currency when omitted). Returns
+  // each line's discount with the promotions and coupon that make it up, so cart,
+  // coupon validation and checkout all agree on the numbers.
+  evaluate: async ({ items = [], couponCode, userId, currency, now = new Date() }) => {
+    const promotions = items.length > 0 ? await promotionService.getActivePromotions(now) : [];
+    const lines = await promotionService.buildLines(items, promotions);
+    const subtotal = roundCurrency(lines.reduce((total, line) => total + line.subtotal, 0));
+
+    const applied = [];
+    for (const promotion of promotions) {
+      if (!promotion.stackable && applied.length > 0) continue;
+
+      const eligible = lines.filter(line => promotionService.matchesLine(promotion, line));
+      const eligibleSubtotal = roundCurrency(eligible.reduce((total, line) => total + remainingOf(line), 0));
+      if (eligible.length === 0 || eligibleSubtotal < currencyService.convert(promotion.minimumSubtotal || 0, currency)) continue;
+
+      const rule = rules[promotion.type];
+      const result = rule && rule(promotion, eligible, eligibleSubtotal, currency);
+      if (!result) continue;
+
+      let amount = 0;
+      result.discounts.forEach((discount, position) => {
+        const line = eligible[position];
+        const share = roundCurrency(Math.min(discount, remainingOf(line)));
+        if (share <= 0) return;
+
+        line.discount = roundCurrency(line.discount + share);
+        line.allocations.push({ source: 'promotion', id: promotion._id, name: promotion.name, amount: share });
+        amount += share;
+      });
+
+      if (amount <= 0 && result.gifts.length === 0) continue;
+
+      applied.push({
+        promotion: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        discount: roundCurrency(amount),
+        gifts: result.gifts,
+        combinableWithCoupons: promotion.combinableWithCoupons
+      });
+
+      if (!promotion.stackable) break;
+    }
+
+    let coupon = null;
+    let couponError = null;
+    if (couponCode && items.length > 0) {
+      try {
+        const { coupon: found, eligibleLines, ineligibleItems } = await promotionService.checkCoupon(couponCode, {
+          userId,
+          lines,
+          appliedPromotions: applied,
+          currency
+        });
+        const remaining = eligibleLines.map(remainingOf);
+        const remainingTotal = remaining.reduce((total, amount) => total + amount, 0);
+
+        let amount = 0;
+        if (found.type === 'percentage') {
+          amount = remainingTotal * found.value / 100;
+          if (found.maximumDiscountAmount) {
+            amount = Math.min(amount, currencyService.convert(found.maximumDiscountAmount, currency));
+          }
+        } else if (found.type === 'fixed') {
+          amount = Math.min(currencyService.convert(found.value, currency), remainingTotal);
+        }
+
+        // Only the lines the coupon covers share its discount
+        allocate(roundCurrency(amount), remaining).forEach((share, position) => {
+          if (share <= 0) return;
+          const line = eligibleLines[position];
+          line.discount = roundCurrency(line.discount + share);
+          line.allocations.push({ source: 'coupon', id: found._id, name: found.code, amount: share });
+        });
+
+        coupon = {
+          id: found._id,
+          code: found.code,
+          name: found.name,
+          description: found.description,
+          type: found.type,
+          value: found.type === 'fixed' ? currencyService.convert(found.value, currency) : found.value,
+          minimumOrderAmount: currencyService.convert(found.minimumOrderAmount, currency),
+          discount: roundCurrency(Math.min(amount, remainingTotal)),
+          freeShipping: found.type === 'free_shipping',
+          ineligibleItems
+        };
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        couponError = {
+          message: error.message,
+          statusCode: error.statusCode,
+          ineligibleItems: error.ineligibleItems
+        };
+      }
+    }
+
+    const promotionDiscount = roundCurrency(applied.reduce((total, promotion) => total + promotion.discount, 0));
+    const couponDiscount = coupon ? coupon.discount : 0;
+
+    return {
+      subtotal,
+      lines: lines.map(line => ({
+        discount: line.discount,
+        allocations: line.allocations
+      })),
+      promotions: applied.map(({ combinableWithCoupons, ...promotion }) => promotion),
+      gifts: applied.flatMap(promotion => promotion.gifts),
+      coupon,
+      couponError,
+      freeShipping: Boolean(coupon && coupon.freeShipping),
+      promotionDiscount,
+      couponDiscount,
+      discount: roundCurrency(promotionDiscount + couponDiscount)
+    };
+  },
+
+  // Turn free gifts into zero-priced order lines, skipping gifts that cannot be supplied
+  resolveGifts: async (gifts = []) => {
+    const lines = [];
+
+    for (const gift of gifts) {
+      const product = await Product.findById(gift.product);
+      if (!product || !product.isActive) continue;
+
+      const resolved = product.resolveVariant(gift.variant || {});
+      if (resolved.errors.length > 0) {
+        console.error(`Free gift ${product._id} skipped: ${resolved.errors.join('. ')}`);
+        continue;
+      }
+
+      const available = await inventoryService.getAvailableQuantity(product._id, resolved.options);
+      if (available < gift.quantity) continue;
+
+      lines.push({
+        product: product._id,
+        quantity: gift.quantity,
+        price: 0,
+        totalPrice: 0,
+        discount: 0,
+        variant: toVariantSelection(resolved),
+        isGift: true,
+        promotion: gift.promotion
+      });
+    }
+
+    return lines;
+  }
+};
+
+// Count the coupon as used once the order is paid, if checkout did not already
+orderStatusService.onTransition('after', 'paymentStatus', 'paid', async ({ order }) => {
+  if (!order.couponCode || order.status === 'cancelled') return;
+
+  await Coupon.updateOne(
+    { code: order.couponCode.toUpperCase(), 'usedBy.order': { $ne: order._id } },
+    {
+      $inc: { usageCount: 1 },
+      $push: { usedBy: { user: order.customer ? order.customer._id || order.customer : undefined, order: order._id } }
+    }
+  );
+});
+
+// Free the coupon use a cancelled order took
+orderStatusService.onTransition('after', 'status', 'cancelled', async ({ order }) => {
+  await promotionService.releaseCoupon(order);
+});
+
+module.exports = promotionService;
\ No newline at end of file
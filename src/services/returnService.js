@@ -0,0 +1,514 @@
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const Product = require('../models/Product');
+const Notification = require('../models/Notification');
+const inventoryService = require('./inventoryService');
+const paymentService = require('./paymentService');
+const orderPaymentService = require('./orderPaymentService');
+const giftCardService = require('./giftCardService');
+const emailService = require('./emailService');
+const settingService = require('./settingService');
+const { toVariantSelection } = require('../utils/helpers');
+
+// Used when the return settings have not been configured
+const returnDefaults = {
+  windowDays: 30,
+  restockingFeePercent: 0,
+  returnShippingFee: 0
+};
+
+// Reasons that are not the store's fault and so carry restocking/return shipping fees
+const customerReasons = ['wrong_size', 'changed_mind', 'other'];
+
+// Allowed moves for a return's status
+const transitions = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['refunded', 'exchanged'],
+  refunding: ['refunded'], // Set by refund() while the money is being paid back
+  rejected: [],
+  refunded: [],
+  exchanged: [],
+  cancelled: []
+};
+
+const openStatuses = ['requested', 'approved', 'received', 'refunding', 'refunded', 'exchanged'];
+
+// How long a refund in progress blocks another attempt at it
+const refundClaimTimeout = 5 * 60 * 1000; // 5 minutes
+
+// How long replacement stock stays held while the original piece comes back
+const exchangeHoldDays = 30;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createReturnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// When the order was delivered, from its status timeline
+const getDeliveredAt = (order) => {
+  const delivered = order.statusHistory
+    .filter(entry => entry.field === 'status' && entry.to === 'delivered')
+    .pop();
+  return delivered ? delivered.timestamp : null;
+};
+
+const returnService = {
+  transitions,
+
+  // Get the return policy from settings
+  getPolicy: async () => ({
+    windowDays: Number(await settingService.get('return_window_days', returnDefaults.windowDays)),
+    restockingFeePercent: Number(await settingService.get('restocking_fee_percent', returnDefaults.restockingFeePercent)),
+    returnShippingFee: Number(await settingService.get('return_shipping_fee', returnDefaults.returnShippingFee))
+  }),
+
+  // Sum the quantity of each order item already covered by a return
+  getReturnedQuantities: async (orderId, excludeReturnId) => {
+    const query = { order: orderId, status: { $in: openStatuses } };
+    if (excludeReturnId) {
+      query._id = { $ne: excludeReturnId };
+    }
+
+    const returns = await Return.find(query).lean();
+    return returns.reduce((returned, existing) => {
+      existing.items.forEach(item => {
+        const key = item.orderItem.toString();
+        returned[key] = (returned[key] || 0) + item.quantity;
+      });
+      return returned;
+    }, {});
+  },
+
+  // Open a return for delivered items within the return window
+  requestReturn: async (order, { type = 'refund', items = [], customerNote }, context = {}) => {
+    if (order.status !== 'delivered') {
+      throw createReturnError('Only delivered orders can be returned');
+    }
+
+    const policy = await returnService.getPolicy();
+    const deliveredAt = getDeliveredAt(order) || order.updatedAt;
+    const closesAt = new Date(deliveredAt.getTime() + policy.windowDays * 24 * 60 * 60 * 1000);
+    if (closesAt < new Date()) {
+      throw createReturnError(`The ${policy.windowDays}-day return window closed on ${closesAt.toDateString()}`);
+    }
+
+    const returned = await returnService.getReturnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const requested of items) {
+      const orderItem = order.items.id(requested.orderItem);
+      if (!orderItem) {
+        throw createReturnError(`Order item not found: ${requested.orderItem}`);
+      }
+
+      const remaining = orderItem.quantity - (returned[orderItem._id.toString()] || 0);
+      if (requested.quantity > remaining) {
+        throw createReturnError(
+          `Only ${remaining} of order item ${orderItem._id} can still be returned, requested ${requested.quantity}`
+        );
+      }
+
+      await giftCardService.assertRefundable(order, orderItem._id);
+
+      const returnItem = {
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        quantity: requested.quantity,
+        reason: requested.reason,
+        note: requested.note
+      };
+
+      if (type === 'exchange') {
+        const product = await Product.findById(orderItem.product);
+        const resolved = product && product.resolveVariant(requested.exchangeVariant);
+        if (!resolved || resolved.errors.length > 0) {
+          throw createReturnError(
+            resolved ? `Exchange: ${resolved.errors.join('. ')}` : `Product not found: ${orderItem.product}`
+          );
+        }
+        returnItem.exchangeVariant = toVariantSelection(resolved);
+      }
+
+      returnItems.push(returnItem);
+    }
+
+    const returnId = new mongoose.Types.ObjectId();
+    const contact = await order.getContact();
+
+    // Set the replacements aside so they are not sold before the exchange is sent
+    if (type === 'exchange') {
+      await inventoryService.holdStock({
+        items: returnItems.map(item => ({
+          product: item.product,
+          variant: item.exchangeVariant,
+          quantity: item.quantity
+        })),
+        returnRequest: returnId,
+        user: contact.user,
+        expiresAt: new Date(Date.now() + exchangeHoldDays * 24 * 60 * 60 * 1000)
+      });
+    }
+
+    let ret;
+    try {
+      ret = await Return.create({
+        _id: returnId,
+        order: order._id,
+        customer: contact.user,
+        email: contact.email,
+        type,
+        items: returnItems,
+        customerNote,
+        history: [{
+          status: 'requested',
+          actor: context.actor,
+          actorType: context.actorType || 'customer',
+          note: customerNote
+        }]
+      });
+    } catch (error) {
+      await inventoryService.releaseReturn(returnId, 'return_failed');
+      throw error;
+    }
+
+    await Notification.create({
+      type: 'return_requested',
+      title: 'Return Requested',
+      message: `Return ${ret.returnNumber} was requested for order ${order.orderNumber}`,
+      recipientType: 'all_admins',
+      actionUrl: `/admin/returns/${ret._id}`,
+      data: {
+        returnId: ret._id,
+        returnNumber: ret.returnNumber,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        type
+      }
+    });
+
+    return ret;
+  },
+
+  // Move a return to a new status, record it and tell the customer
+  transition: async (ret, order, to, context = {}) => {
+    if (!transitions[ret.status].includes(to)) {
+      const error = createReturnError(`Cannot change return status from "${ret.status}" to "${to}"`);
+      error.allowed = transitions[ret.status];
+      throw error;
+    }
+
+    if (ret.type === 'exchange') {
+      if (to === 'exchanged') {
+        await inventoryService.commitReturn(ret._id);
+      } else if (to === 'rejected' || to === 'cancelled') {
+        await inventoryService.releaseReturn(ret._id, `exchange_${to}`);
+      }
+    }
+
+    ret.status = to;
+    ret.history.push({
+      status: to,
+      actor: context.actor,
+      actorType: context.actorType || 'system',
+      note: context.note
+    });
+    await ret.save();
+
+    if (context.notifyCustomer !== false) {
+      await returnService.notifyCustomer(ret, order);
+    }
+
+    return ret;
+  },
+
+  // Accept a return, setting the fees that will be deducted from the refund
+  approve: async (ret, order, { restockingFeePercent, returnShipping, note }, context = {}) => {
+    const policy = await returnService.getPolicy();
+    const customerFault = ret.items.some(item => customerReasons.includes(item.reason));
+
+    ret.fees.restockingFeePercent = restockingFeePercent !== undefined
+      ? restockingFeePercent
+      : (customerFault ? policy.restockingFeePercent : 0);
+    ret.fees.returnShipping = returnShipping !== undefined
+      ? returnShipping
+      : (customerFault ? policy.returnShippingFee : 0);
+
+    return returnService.transition(ret, order, 'approved', { ...context, note });
+  },
+
+  // Turn a return down
+  reject: async (ret, order, reason, context = {}) => {
+    ret.rejectionReason = reason;
+    return returnService.transition(ret, order, 'rejected', { ...context, note: reason });
+  },
+
+  // Record the inspection of the goods that came back and restock what can be sold again
+  receive: async (ret, order, { items = [], note }, context = {}) => {
+    if (ret.status !== 'approved') {
+      throw createReturnError(`Cannot receive a return that is ${ret.status}`);
+    }
+
+    items.forEach(inspected => {
+      const item = ret.items.id(inspected.itemId);
+      if (!item) {
+        throw createReturnError(`Return item not found: ${inspected.itemId}`);
+      }
+
+      item.inspection.status = inspected.inspectionStatus || item.inspection.status;
+      item.inspection.notes = inspected.inspectionNotes;
+      item.inspection.inspectedBy = context.actor;
+      item.inspection.inspectedAt = new Date();
+      item.restockDecision = inspected.restockDecision || item.restockDecision;
+    });
+
+    // Exchanges are sent from held stock, so returned pieces can go back on the shelf too
+    for (const item of ret.items) {
+      if (item.restockDecision !== 'restock') continue;
+
+      const orderItem = order.items.id(item.orderItem);
+      await inventoryService.restock(
+        item.product,
+        orderItem && orderItem.variant ? orderItem.variant.options : [],
+        item.quantity
+      );
+    }
+
+    return returnService.transition(ret, order, 'received', { ...context, note });
+  },
+
+  // Work out what to refund: each line's share of what was paid, less fees
+  calculateRefund: (ret, order) => {
+    const inclusive = order.taxDetails && order.taxDetails.inclusive;
+    const hasLineDiscounts = order.items.some(orderItem => orderItem.discount > 0);
+    let itemsAmount = 0;
+    let taxAmount = 0;
+    let feeBase = 0;
+
+    ret.items.forEach(item => {
+      const orderItem = order.items.id(item.orderItem);
+      if (!orderItem || item.inspection.status === 'failed') {
+        item.refundAmount = 0;
+        return;
+      }
+
+      // Orders placed before line-level discounts spread the discount by value
+      const discountShare = hasLineDiscounts
+        ? orderItem.discount
+        : (order.subtotal > 0 ? order.discount * orderItem.totalPrice / order.subtotal : 0);
+      const unitPaid = (orderItem.totalPrice - discountShare) / orderItem.quantity;
+      const unitTax = !inclusive && orderItem.tax && orderItem.tax.amount
+        ? orderItem.tax.amount / orderItem.quantity
+        : 0;
+
+      const lineAmount = roundCurrency(unitPaid * item.quantity);
+      const lineTax = roundCurrency(unitTax * item.quantity);
+      item.refundAmount = roundCurrency(lineAmount + lineTax);
+
+      itemsAmount += lineAmount;
+      taxAmount += lineTax;
+      if (customerReasons.includes(item.reason)) {
+        feeBase += lineAmount;
+      }
+    });
+
+    ret.fees.restockingFee = roundCurrency(feeBase * (ret.fees.restockingFeePercent || 0) / 100);
+    const feesAmount = roundCurrency(ret.fees.restockingFee + (ret.fees.returnShipping || 0));
+
+    // What was paid by card or gateway and by gift card can both be refunded
+    const amount = Math.max(0, Math.min(
+      roundCurrency(itemsAmount + taxAmount - feesAmount),
+      orderPaymentService.getRefundable(order).total
+    ));
+
+    return {
+      itemsAmount: roundCurrency(itemsAmount),
+      taxAmount: roundCurrency(taxAmount),
+      feesAmount,
+      amount
+    };
+  },
+
+  // Refund a received return, to the payment gateway first and then to the gift
+  // cards the order was paid with. The return is claimed before any money moves
+  // and each tender is recorded on it as soon as it is paid, so a retry after a
+  // failure resumes where the last attempt stopped instead of paying out twice.
+  refund: async (ret, order, { amount, note }, context = {}) => {
+    if (!['received', 'refunding'].includes(ret.status)) {
+      throw createReturnError(`Cannot refund a return that is ${ret.status}`);
+    }
+    if (ret.type !== 'refund') {
+      throw createReturnError('Exchanges are completed, not refunded');
+    }
+
+    const resuming = ret.status === 'refunding';
+    let claim;
+
+    if (resuming) {
+      // Leave a refund that may still be in progress alone
+      if (ret.refund.claimedAt > new Date(Date.now() - refundClaimTimeout)) {
+        throw createReturnError('This return is already being refunded, please try again shortly', 409);
+      }
+
+      claim = {
+        filter: { _id: ret._id, status: 'refunding', 'refund.claimedAt': ret.refund.claimedAt },
+        update: { 'refund.claimedAt': new Date() }
+      };
+    } else {
+      if (order.paymentStatus !== 'paid') {
+        throw createReturnError(`Order payment is ${order.paymentStatus} and cannot be refunded`);
+      }
+
+      const breakdown = returnService.calculateRefund(ret, order);
+      if (amount !== undefined) {
+        if (amount > breakdown.amount) {
+          throw createReturnError(`Refund cannot exceed ${breakdown.amount}`);
+        }
+        breakdown.amount = roundCurrency(amount);
+      }
+
+      // Gift cards may have been spent from since the return was requested
+      for (const item of ret.items) {
+        await giftCardService.assertRefundable(order, item.orderItem);
+      }
+
+      claim = {
+        filter: { _id: ret._id, status: 'received' },
+        update: { status: 'refunding', refund: { ...breakdown, claimedAt: new Date() } }
+      };
+    }
+
+    const claimed = await Return.findOneAndUpdate(claim.filter, claim.update, { new: true });
+    if (!claimed) {
+      throw createReturnError('This return is already being refunded', 409);
+    }
+    ret.status = 'refunding';
+    ret.refund = claimed.refund.toObject();
+
+    const refundNote = `Return ${ret.returnNumber}`;
+    const reason = note || refundNote;
+    const isRecorded = (giftCard) => order.refunds.some(entry =>
+      (entry.provider === 'gift_card') === giftCard && entry.reason === refundNote
+    );
+
+    if (ret.refund.gatewayAmount === undefined) {
+      const gatewayAmount = roundCurrency(Math.min(ret.refund.amount, orderPaymentService.getRefundable(order).gateway));
+      let result = { success: true, manual: true };
+
+      if (gatewayAmount > 0) {
+        result = await paymentService.processRefund({
+          order,
+          transactionId: order.paymentDetails && order.paymentDetails.transactionId,
+          amount: gatewayAmount,
+          reason
+        });
+
+        if (!result.success) {
+          // Nothing was paid out, so the return can be refunded again from the start
+          await Return.updateOne(
+            { _id: ret._id, status: 'refunding', 'refund.claimedAt': ret.refund.claimedAt },
+            { status: 'received', $unset: { refund: 1 } }
+          );
+          ret.status = 'received';
+          throw createReturnError(`Refund failed: ${result.error || 'payment gateway error'}`, 502);
+        }
+      }
+
+      ret.refund.gatewayAmount = gatewayAmount;
+      ret.refund.refundId = result.refundId;
+      ret.refund.provider = order.paymentMethod;
+      ret.refund.manual = Boolean(result.manual);
+      await ret.save();
+    }
+
+    // Saved before the gift cards are touched so the gateway refund is never lost
+    if (ret.refund.gatewayAmount > 0 && !isRecorded(false)) {
+      order.refunds.push({
+        refundId: ret.refund.refundId,
+        provider: order.paymentMethod,
+        amount: ret.refund.gatewayAmount,
+        reason: refundNote
+      });
+      await order.save();
+    }
+
+    if (ret.refund.giftCardAmount === undefined) {
+      let giftCardAmount = roundCurrency(ret.refund.amount - ret.refund.gatewayAmount);
+      if (giftCardAmount > 0) {
+        giftCardAmount = await giftCardService.restoreForOrder(order, refundNote, giftCardAmount);
+      }
+
+      ret.refund.giftCardAmount = giftCardAmount;
+      await ret.save();
+    }
+
+    if (ret.refund.giftCardAmount > 0 && !isRecorded(true)) {
+      order.refunds.push({
+        provider: 'gift_card',
+        amount: ret.refund.giftCardAmount,
+        reason: refundNote
+      });
+    }
+
+    // Gift cards bought on the returned lines stop working
+    for (const item of ret.items) {
+      await giftCardService.voidForOrder(order, refundNote, {
+        orderItem: item.orderItem,
+        quantity: item.quantity
+      });
+    }
+
+    if (ret.refund.gatewayAmount > 0 || ret.refund.giftCardAmount > 0) {
+      await orderPaymentService.settleRefunds(order, refundNote);
+    }
+
+    ret.refund.amount = roundCurrency(ret.refund.gatewayAmount + ret.refund.giftCardAmount);
+    ret.refund.refundedAt = new Date();
+
+    return returnService.transition(ret, order, 'refunded', { ...context, note: reason });
+  },
+
+  // Close an exchange once the replacement or resized piece has been sent
+  completeExchange: async (ret, order, { trackingNumber, note }, context = {}) => {
+    if (ret.type !== 'exchange') {
+      throw createReturnError('Only exchanges can be completed');
+    }
+
+    ret.exchangeTrackingNumber = trackingNumber;
+    return returnService.transition(ret, order, 'exchanged', { ...context, note });
+  },
+
+  // Tell the customer their return has moved on
+  notifyCustomer: async (ret, order) => {
+    const contact = await order.getContact();
+
+    try {
+      await emailService.sendReturnUpdate(contact.email, ret, order);
+    } catch (emailError) {
+      console.error('Email sending error:', emailError);
+    }
+
+    // Guests only hear by email
+    if (!contact.user) return;
+
+    await Notification.create({
+      type: 'return_update',
+      title: 'Return Updated',
+      message: `Your return ${ret.returnNumber} is now ${ret.status}`,
+      recipient: contact.user,
+      recipientType: 'customer',
+      actionUrl: `/returns/${ret._id}`,
+      data: {
+        returnId: ret._id,
+        returnNumber: ret.returnNumber,
+        orderId: order._id,
+        status: ret.status
+      }
+    });
+  }
+};
+
+module.exports = returnService;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const Setting = require('../models/Setting');
+
+const settingService = {
+  // Get a setting's value, or the fallback when it is missing or empty
+  get: async (key, fallback) => {
+    const setting = await Setting.findOne({ key }).lean();
+    return setting && setting.value !== undefined && setting.value !== null ? setting.value : fallback;
+  }
+};
+
+module.exports = settingService;
\ No newline at end of file
@@ -0,0 +1,266 @@
+const Shipment = require('../models/Shipment');
+const Notification = require('../models/Notification');
+const orderStatusService = require('./orderStatusService');
+const emailService = require('./emailService');
+
+// Tracking page templates for the carriers we use most
+const carrierTrackingUrls = {
+  ups: 'https://www.ups.com/track?tracknum=',
+  fedex: 'https://www.fedex.com/fedextrack/?trknbr=',
+  usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+  dhl: 'https://www.dhl.com/en/express/tracking.html?AWB='
+};
+
+const createShipmentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const buildTrackingUrl = (carrier, trackingNumber) => {
+  const base = carrierTrackingUrls[String(carrier || '').toLowerCase()];
+  return base && trackingNumber ? `${base}${encodeURIComponent(trackingNumber)}` : undefined;
+};
+
+const shipmentService = {
+  // Get the shipments of an order that were not voided
+  getActiveShipments: (orderId) => {
+    return Shipment.find({ order: orderId, status: { $ne: 'voided' } }).lean();
+  },
+
+  // Sum shipped quantity per order item
+  getShippedQuantities: (shipments) => {
+    return shipments.reduce((shipped, shipment) => {
+      shipment.items.forEach(item => {
+        const key = item.orderItem.toString();
+        shipped[key] = (shipped[key] || 0) + item.quantity;
+      });
+      return shipped;
+    }, {});
+  },
+
+  // Derive the order's fulfillment status from its shipments
+  syncFulfillment: async (order, context = {}) => {
+    const shipments = await shipmentService.getActiveShipments(order._id);
+    const shipped = shipmentService.getShippedQuantities(shipments);
+
+    const orderedTotal = order.items.reduce((total, item) => total + item.quantity, 0);
+    const shippedTotal = order.items.reduce((total, item) =>
+      total + Math.min(shipped[item._id.toString()] || 0, item.quantity), 0);
+
+    let fulfillmentStatus = 'unfulfilled';
+    if (shippedTotal >= orderedTotal && orderedTotal > 0) {
+      fulfillmentStatus = 'fulfilled';
+    } else if (shippedTotal > 0) {
+      fulfillmentStatus = 'partially_fulfilled';
+    }
+
+    const changes = { fulfillmentStatus };
+    const allDelivered = shipments.length > 0 && shipments.every(shipment => shipment.status === 'delivered');
+
+    if (fulfillmentStatus === 'fulfilled' && allDelivered &&
+        orderStatusService.canTransition('status', order.status, 'delivered')) {
+      changes.status = 'delivered';
+    } else if (fulfillmentStatus === 'fulfilled' &&
+        orderStatusService.canTransition('status', order.status, 'shipped')) {
+      changes.status = 'shipped';
+    }
+
+    return orderStatusService.applyTransition(order, changes, {
+      actor: context.actor,
+      actorType: context.actorType || 'system',
+      note: context.note,
+      notifyCustomer: context.notifyCustomer
+    });
+  },
+
+  // Create a shipment for some or all of an order's items
+  createShipment: async (order, data, context = {}) => {
+    if (['pending', 'cancelled', 'refunded'].includes(order.status)) {
+      throw createShipmentError(`Cannot ship an order that is ${order.status}`);
+    }
+
+    const shipped = shipmentService.getShippedQuantities(
+      await shipmentService.getActiveShipments(order._id)
+    );
+    const requestedItems = data.items && data.items.length > 0
+      ? data.items
+      : order.items.map(item => ({
+        orderItem: item._id,
+        quantity: item.quantity - (shipped[item._id.toString()] || 0)
+      })).filter(item => item.quantity > 0);
+
+    if (requestedItems.length === 0) {
+      throw createShipmentError('All items in this order have already been shipped');
+    }
+
+    const items = requestedItems.map(requested => {
+      const orderItem = order.items.id(requested.orderItem);
+      if (!orderItem) {
+        throw createShipmentError(`Order item not found: ${requested.orderItem}`);
+      }
+
+      const remaining = orderItem.quantity - (shipped[orderItem._id.toString()] || 0);
+      if (requested.quantity > remaining) {
+        throw createShipmentError(
+          `Only ${remaining} of order item ${orderItem._id} left to ship, requested ${requested.quantity}`
+        );
+      }
+
+      return {
+        orderItem: orderItem._id,
+        product: orderItem.product._id || orderItem.product,
+        quantity: requested.quantity
+      };
+    });
+
+    const status = data.trackingNumber ? 'shipped' : 'pending';
+    const shipment = await Shipment.create({
+      order: order._id,
+      items,
+      carrier: data.carrier,
+      service: data.service,
+      trackingNumber: data.trackingNumber,
+      trackingUrl: data.trackingUrl || buildTrackingUrl(data.carrier, data.trackingNumber),
+      status,
+      shippedAt: status === 'shipped' ? new Date() : undefined,
+      trackingEvents: status === 'shipped'
+        ? [{ status: 'shipped', description: `Handed to ${data.carrier}` }]
+        : [],
+      createdBy: context.actor
+    });
+
+    if (shipment.trackingNumber) {
+      order.trackingNumber = shipment.trackingNumber;
+    }
+
+    // The shipment email replaces the generic status update
+    await shipmentService.syncFulfillment(order, {
+      ...context,
+      notifyCustomer: shipment.status === 'shipped' ? false : context.notifyCustomer,
+      note: context.note || `Shipment ${shipment._id} created (${items.length} item${items.length === 1 ? '' : 's'})`
+    });
+
+    if (shipment.status === 'shipped') {
+      await shipmentService.notifyCustomer(order, shipment);
+    }
+
+    return shipment;
+  },
+
+  // Update carrier details or record a tracking event
+  updateShipment: async (shipment, order, data, context = {}) => {
+    if (shipment.status === 'voided') {
+      throw createShipmentError('Voided shipments cannot be updated');
+    }
+
+    const wasShipped = shipment.status !== 'pending';
+
+    ['carrier', 'service', 'trackingNumber', 'trackingUrl'].forEach(field => {
+      if (data[field] !== undefined) {
+        shipment[field] = data[field];
+      }
+    });
+
+    if ((data.carrier || data.trackingNumber) && !data.trackingUrl) {
+      shipment.trackingUrl = buildTrackingUrl(shipment.carrier, shipment.trackingNumber) || shipment.trackingUrl;
+    }
+
+    const eventStatus = data.status || (data.trackingNumber && !wasShipped ? 'shipped' : undefined);
+    if (eventStatus) {
+      shipment.status = eventStatus;
+      shipment.trackingEvents.push({
+        status: eventStatus,
+        description: data.description,
+        location: data.location,
+        occurredAt: data.occurredAt || new Date()
+      });
+
+      if (eventStatus === 'shipped' && !shipment.shippedAt) {
+        shipment.shippedAt = new Date();
+      }
+      if (eventStatus === 'delivered') {
+        shipment.deliveredAt = data.occurredAt || new Date();
+      }
+    }
+
+    await shipment.save();
+
+    if (shipment.trackingNumber) {
+      order.trackingNumber = shipment.trackingNumber;
+    }
+
+    const justShipped = !wasShipped && shipment.status !== 'pending';
+    await shipmentService.syncFulfillment(order, {
+      ...context,
+      notifyCustomer: justShipped ? false : context.notifyCustomer
+    });
+
+    if (justShipped) {
+      await shipmentService.notifyCustomer(order, shipment);
+    }
+
+    return shipment;
+  },
+
+  // Void a shipment, returning its items to the unfulfilled pool
+  voidShipment: async (shipment, order, reason, context = {}) => {
+    if (shipment.status === 'voided') {
+      throw createShipmentError('Shipment is already voided');
+    }
+    if (shipment.status === 'delivered') {
+      throw createShipmentError('Delivered shipments cannot be voided');
+    }
+
+    shipment.status = 'voided';
+    shipment.voidedAt = new Date();
+    shipment.voidReason = reason;
+    await shipment.save();
+
+    const latest = await Shipment.findOne({
+      order: order._id,
+      status: { $ne: 'voided' },
+      trackingNumber: { $exists: true }
+    }).sort({ createdAt: -1 });
+    order.trackingNumber = latest ? latest.trackingNumber : undefined;
+
+    await shipmentService.syncFulfillment(order, {
+      ...context,
+      note: reason ? `Shipment ${shipment._id} voided: ${reason}` : `Shipment ${shipment._id} voided`
+    });
+
+    return shipment;
+  },
+
+  // Tell the customer a shipment is on its way
+  notifyCustomer: async (order, shipment) => {
+    const contact = await order.getContact();
+
+    try {
+      await emailService.sendShipmentNotification(contact.email, order, shipment);
+    } catch (emailError) {
+      console.error('Email sending error:', emailError);
+    }
+
+    if (!contact.user) return;
+
+    await Notification.create({
+      type: 'shipment_update',
+      title: 'Your Order Has Shipped',
+      message: `Part of your order ${order.orderNumber} has shipped with ${shipment.carrier}`,
+      recipient: order.customer._id,
+      recipientType: 'customer',
+      actionUrl: `/orders/${order._id}`,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        shipmentId: shipment._id,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        trackingUrl: shipment.trackingUrl
+      }
+    });
+  }
+};
+
+module.exports = shipmentService;
\ No newline at end of file
@@ -0,0 +1,135 @@
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const settingService = require('./settingService');
+const currencyService = require('./currencyService');
+
+// Used when no zones have been configured yet
+const defaultRateConfig = {
+  country: process.env.DEFAULT_SHIPPING_COUNTRY || 'US',
+  cost: 10,
+  freeShippingThreshold: 100
+};
+
+const createShippingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const shippingService = {
+  // Get the free shipping threshold; 0 or less disables free shipping
+  getFreeShippingThreshold: async () => {
+    return Number(await settingService.get('free_shipping_threshold', defaultRateConfig.freeShippingThreshold));
+  },
+
+  // Total the weight and value of a set of cart or order lines
+  getPackageMetrics: async (items = []) => {
+    const productIds = items.map(item => item.product && (item.product._id || item.product));
+    const products = await Product.find({ _id: { $in: productIds } }).select('shipping').lean();
+    const weights = products.reduce((map, product) => {
+      map[product._id.toString()] = (product.shipping && product.shipping.weight) || 0;
+      return map;
+    }, {});
+
+    return items.reduce((metrics, item) => {
+      const productId = (item.product._id || item.product).toString();
+      metrics.weight += (weights[productId] || 0) * item.quantity;
+      metrics.value += item.totalPrice !== undefined ? item.totalPrice : item.price * item.quantity;
+      metrics.quantity += item.quantity;
+      return metrics;
+    }, { weight: 0, value: 0, quantity: 0 });
+  },
+
+  // Find the most specific active zone covering an address
+  findZone: async (address = {}) => {
+    const zones = await ShippingZone.find({ isActive: true });
+    if (zones.length === 0) return undefined;
+
+    const matching = zones
+      .filter(zone => zone.matches(address))
+      .sort((a, b) => (b.getSpecificity() - a.getSpecificity()) || (b.priority - a.priority));
+
+    return matching[0] || null;
+  },
+
+  // Get every shipping option for a set of items and an address, cheapest first.
+  // `subtotal` is the discounted merchandise value used for value brackets and free shipping.
+  // Amounts are in the currency of `currency` (a currencyService context); zone
+  // costs, brackets and the free shipping threshold are set in the base currency.
+  getRates: async ({ address = {}, items = [], subtotal, currency } = {}) => {
+    if (items.length === 0) return [];
+
+    const destination = { ...address, country: address.country || defaultRateConfig.country };
+    const metrics = await shippingService.getPackageMetrics(items);
+    const value = currencyService.toBase(subtotal !== undefined ? subtotal : metrics.value, currency);
+    const freeShippingThreshold = await shippingService.getFreeShippingThreshold();
+    const qualifiesForFree = freeShippingThreshold > 0 && value >= freeShippingThreshold;
+
+    const zone = await shippingService.findZone(destination);
+
+    // No zones configured: keep the flat default rate
+    if (zone === undefined) {
+      const cost = Number(await settingService.get('default_shipping_cost', defaultRateConfig.cost));
+      return [{
+        code: 'standard',
+        name: 'Standard Shipping',
+        cost: qualifiesForFree ? 0 : currencyService.convert(cost, currency),
+        isFree: qualifiesForFree,
+        estimatedDays: undefined,
+        zone: null
+      }];
+    }
+
+    if (!zone) {
+      throw createShippingError(`We do not ship to ${destination.state ? `${destination.state}, ` : ''}${destination.country}`);
+    }
+
+    return zone.methods
+      .filter(method => method.isActive)
+      .map(method => {
+        const cost = zone.getMethodCost(method, { weight: metrics.weight, value });
+        if (cost === null) return null;
+
+        const isFree = method.freeShippingEligible && qualifiesForFree;
+        return {
+          code: method.code,
+          name: method.name,
+          description: method.description,
+          cost: isFree ? 0 : currencyService.convert(cost, currency),
+          isFree,
+          estimatedDays: method.estimatedDays && method.estimatedDays.min !== undefined
+            ? { min: method.estimatedDays.min, max: method.estimatedDays.max || method.estimatedDays.min }
+            : undefined,
+          zone: { id: zone._id, name: zone.name }
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.cost - b.cost);
+  },
+
+  // Price the chosen method, or the cheapest one when none is chosen.
+  // `method` may be a method code or a { code } / { name } object from the checkout form.
+  calculateShipping: async ({ address, items, method, subtotal, currency }) => {
+    const rates = await shippingService.getRates({ address, items, subtotal, currency });
+    if (rates.length === 0) {
+      if (items && items.length > 0) {
+        throw createShippingError('No shipping method is available for this order');
+      }
+      return { code: null, name: null, cost: 0, isFree: false };
+    }
+
+    if (!method) return rates[0];
+
+    const wanted = typeof method === 'string' ? method : (method.code || method.name);
+    const rate = rates.find(candidate => candidate.code === wanted || candidate.name === wanted);
+    if (!rate) {
+      throw createShippingError(
+        `Shipping method "${wanted}" is not available for this address. Available: ${rates.map(candidate => candidate.code).join(', ')}`
+      );
+    }
+
+    return rate;
+  }
+};
+
+module.exports = shippingService;
\ No newline at end of file
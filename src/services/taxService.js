@@ -0,0 +1,225 @@
+const Product = require('../models/Product');
+const TaxRate = require('../models/TaxRate');
+const settingService = require('./settingService');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Tax on an amount at a percentage rate; inclusive amounts already contain the tax
+const taxOn = (amount, rate, inclusive) => {
+  if (!rate || amount <= 0) return 0;
+  return roundCurrency(inclusive ? amount - amount / (1 + rate / 100) : amount * rate / 100);
+};
+
+// Spread an order-level discount over the lines in proportion to their value
+const allocateDiscount = (amounts, discount) => {
+  const gross = amounts.reduce((total, amount) => total + amount, 0);
+  if (!discount || gross <= 0) return amounts.map(() => 0);
+
+  let remaining = roundCurrency(Math.min(discount, gross));
+  return amounts.map((amount, index) => {
+    const share = index === amounts.length - 1
+      ? remaining
+      : roundCurrency(Math.min(remaining, discount * amount / gross));
+    remaining = roundCurrency(remaining - share);
+    return share;
+  });
+};
+
+// Tax providers share one interface:
+// calculate({ address, lines: [{ taxClass, amount, quantity, reference }], shippingCost, inclusive, currency })
+// -> { lines: [{ taxClass, jurisdiction, rate, taxableAmount, amount }], shipping, calculationId }
+const providers = {
+  // Admin-managed rate table; works offline
+  local: {
+    calculate: async ({ address, lines, shippingCost, inclusive }) => {
+      const country = String(address.country || '').toUpperCase();
+      const rates = (await TaxRate.find({ isActive: true, country }))
+        .filter(rate => rate.matches(address));
+
+      // A rate for the exact class wins; otherwise the most specific standard rate
+      const findRate = (taxClass) => rates
+        .filter(rate => rate.taxClass === taxClass || rate.taxClass === 'standard')
+        .sort((a, b) => ((b.taxClass === taxClass) - (a.taxClass === taxClass)) ||
+          (b.getSpecificity() - a.getSpecificity()))[0];
+
+      const taxedLines = lines.map(line => {
+        const rate = findRate(line.taxClass);
+        return {
+          taxClass: line.taxClass,
+          jurisdiction: rate ? rate.getJurisdiction() : undefined,
+          rate: rate ? rate.rate : 0,
+          taxableAmount: roundCurrency(line.amount),
+          amount: rate ? taxOn(line.amount, rate.rate, inclusive) : 0
+        };
+      });
+
+      const shippingRate = findRate('standard');
+      const taxShipping = shippingRate && shippingRate.appliesToShipping && shippingCost > 0;
+
+      return {
+        lines: taxedLines,
+        shipping: {
+          jurisdiction: taxShipping ? shippingRate.getJurisdiction() : undefined,
+          rate: taxShipping ? shippingRate.rate : 0,
+          taxableAmount: roundCurrency(shippingCost || 0),
+          amount: taxShipping ? taxOn(shippingCost, shippingRate.rate, inclusive) : 0
+        }
+      };
+    }
+  },
+
+  // Stripe Tax, through stripeUtils.calculateTax
+  stripe: {
+    calculate: async ({ address, lines, shippingCost, inclusive, currency }) => {
+      const { stripeUtils } = require('../config/stripe');
+      const taxCodes = await settingService.get('stripe_tax_codes', {});
+      const taxBehavior = inclusive ? 'inclusive' : 'exclusive';
+
+      const calculation = await stripeUtils.calculateTax({
+        currency,
+        customerDetails: {
+          address: {
+            line1: address.address1,
+            city: address.city,
+            state: address.state,
+            postal_code: address.zipCode || address.postalCode,
+            country: address.country
+          },
+          address_source: 'shipping'
+        },
+        lineItems: lines.map(line => ({
+          amount: stripeUtils.amountToCents(line.amount),
+          quantity: line.quantity,
+          reference: line.reference,
+          tax_behavior: taxBehavior,
+          tax_code: taxCodes[line.taxClass]
+        })),
+        shipping: shippingCost > 0 ? { amount: shippingCost } : undefined,
+        taxBehavior
+      });
+
+      const describe = (breakdown = []) => {
+        const taxed = breakdown.filter(entry => entry.amount > 0);
+        return {
+          jurisdiction: taxed.map(entry => entry.jurisdiction && entry.jurisdiction.display_name).filter(Boolean).join(', ') || undefined,
+          rate: taxed.reduce((total, entry) =>
+            total + Number((entry.tax_rate_details && entry.tax_rate_details.percentage_decimal) || 0), 0)
+        };
+      };
+
+      const stripeLines = calculation.line_items ? calculation.line_items.data : [];
+      const taxedLines = lines.map(line => {
+        const stripeLine = stripeLines.find(candidate => candidate.reference === line.reference) || {};
+        return {
+          taxClass: line.taxClass,
+          ...describe(stripeLine.tax_breakdown),
+          taxableAmount: roundCurrency(line.amount),
+          amount: stripeUtils.centsToAmount(stripeLine.amount_tax || 0)
+        };
+      });
+
+      const shippingTax = calculation.shipping_cost || {};
+      return {
+        lines: taxedLines,
+        shipping: {
+          ...describe(shippingTax.tax_breakdown),
+          taxableAmount: roundCurrency(shippingCost || 0),
+          amount: stripeUtils.centsToAmount(shippingTax.amount_tax || 0)
+        },
+        calculationId: calculation.id
+      };
+    }
+  }
+};
+
+const taxService = {
+  providers,
+
+  // Get the active provider and pricing mode from settings
+  getConfig: async () => {
+    const provider = await settingService.get('tax_provider', 'local');
+    return {
+      provider: providers[provider] ? provider : 'local',
+      inclusive: Boolean(await settingService.get('tax_inclusive_pricing', false))
+    };
+  },
+
+  // Map product ids to their tax class, falling back to the category's class
+  getTaxClasses: async (productIds) => {
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('taxClass category')
+      .populate('category', 'taxClass')
+      .lean();
+
+    return products.reduce((classes, product) => {
+      classes[product._id.toString()] = product.taxClass ||
+        (product.category && product.category.taxClass) || 'standard';
+      return classes;
+    }, {});
+  },
+
+  // Calculate tax for cart or order lines shipped to an address.
+  // Lines carry `product`, `quantity` and `totalPrice` (or `price`), and their own
+  // `discount` when promotions priced them; otherwise the order discount is spread
+  // over them before tax. Without a destination country no tax is charged yet.
+  calculateTax: async ({ address = {}, items = [], discount = 0, shippingCost = 0, currency = 'USD' }) => {
+    const config = await taxService.getConfig();
+    const empty = {
+      provider: config.provider,
+      inclusive: config.inclusive,
+      lines: items.map(() => ({ taxClass: undefined, rate: 0, taxableAmount: 0, amount: 0 })),
+      shipping: { rate: 0, taxableAmount: shippingCost, amount: 0 },
+      total: 0
+    };
+
+    if (items.length === 0 || !address.country) return empty;
+
+    const productIds = items.map(item => item.product._id || item.product);
+    const taxClasses = await taxService.getTaxClasses(productIds);
+    const amounts = items.map(item => (item.totalPrice !== undefined ? item.totalPrice : item.price * item.quantity));
+    const discounts = items.some(item => item.discount !== undefined)
+      ? items.map(item => item.discount || 0)
+      : allocateDiscount(amounts, discount);
+
+    const request = {
+      address,
+      currency,
+      inclusive: config.inclusive,
+      shippingCost,
+      lines: items.map((item, index) => ({
+        reference: `line_${index}`,
+        taxClass: taxClasses[(item.product._id || item.product).toString()] || 'standard',
+        quantity: item.quantity,
+        amount: Math.max(amounts[index] - discounts[index], 0)
+      }))
+    };
+
+    let provider = config.provider;
+    let result;
+    try {
+      result = await providers[provider].calculate(request);
+    } catch (error) {
+      if (provider === 'local') throw error;
+
+      // Keep checkout working when the remote provider is unavailable
+      console.error(`Tax provider "${provider}" failed, using local rates:`, error);
+      provider = 'local';
+      result = await providers.local.calculate(request);
+    }
+
+    const total = roundCurrency(
+      result.lines.reduce((sum, line) => sum + line.amount, 0) + result.shipping.amount
+    );
+
+    return {
+      provider,
+      inclusive: config.inclusive,
+      lines: result.lines,
+      shipping: result.shipping,
+      calculationId: result.calculationId,
+      total
+    };
+  }
+};
+
+module.exports = taxService;
\ No newline at end of file
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const { authConfig, jwtUtils } = require('../config/auth');
+
+const createTokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + authConfig.refreshToken.expiresInDays * 24 * 60 * 60 * 1000);
+};
+
+// Record revoked token or session ids in the database so every instance sees
+// them; each is dropped by its TTL index once the tokens it covers have expired
+const revokeIds = async (entries) => {
+  const operations = entries.filter(entry => entry.id).map(entry => ({
+    updateOne: {
+      filter: { tokenId: String(entry.id) },
+      update: { $max: { expiresAt: entry.expiresAt || getRefreshExpiry() } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await RevokedToken.bulkWrite(operations, { ordered: false });
+  }
+};
+
+// Revoked sessions stay blacklisted until the last access token issued for them expires
+const blacklistFamilies = async (query) => {
+  const families = await RefreshToken.aggregate([
+    { $match: query },
+    { $group: { _id: '$family', accessTokenExpiresAt: { $max: '$accessTokenExpiresAt' } } }
+  ]);
+
+  await revokeIds(families.map(family => ({ id: family._id, expiresAt: family.accessTokenExpiresAt })));
+
+  return families.map(family => family._id);
+};
+
+const tokenService = {
+  // Issue an access token and a refresh token. Without a family this starts a
+  // new session; with one it continues the session being refreshed.
+  issueTokens: async (user, { family, sessionStartedAt, mfa = false, userAgent, ipAddress } = {}) => {
+    const sessionId = family || crypto.randomUUID();
+    const token = jwtUtils.generateToken({
+      id: user._id.toString(),
+      sid: sessionId,
+      jti: crypto.randomUUID(),
+      mfa
+    });
+    const accessTokenExpiresAt = jwtUtils.getTokenExpiration(token);
+
+    const refreshToken = jwtUtils.generateRefreshToken();
+    const record = await RefreshToken.create({
+      user: user._id,
+      family: sessionId,
+      tokenHash: jwtUtils.hashToken(refreshToken),
+      expiresAt: getRefreshExpiry(),
+      accessTokenExpiresAt,
+      mfa,
+      sessionStartedAt: sessionStartedAt || new Date(),
+      userAgent,
+      ipAddress
+    });
+
+    return {
+      token,
+      expiresAt: accessTokenExpiresAt,
+      refreshToken,
+      refreshTokenExpiresAt: record.expiresAt,
+      sessionId,
+      record
+    };
+  },
+
+  // Exchange a refresh token for a new pair. Each token works once; presenting
+  // a used or revoked one means it was copied, so the whole session is ended.
+  rotate: async (refreshToken, { userAgent, ipAddress } = {}) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw createTokenError('Refresh token is required', 400);
+    }
+
+    const tokenHash = jwtUtils.hashToken(refreshToken);
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    ).populate('user');
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (existing && existing.expiresAt > new Date()) {
+        await tokenService.revokeFamily(existing.family, 'reuse_detected');
+        await SecurityEvent.create({
+          type: 'refresh_token_reuse',
+          user: existing.user,
+          ipAddress,
+          userAgent,
+          details: { sessionId: existing.family }
+        });
+      }
+      throw createTokenError('Refresh token is invalid or has expired; please sign in again');
+    }
+
+    const user = current.user;
+    if (!user || !user.isActive) {
+      await tokenService.revokeFamily(current.family, 'account_disabled');
+      throw createTokenError('Account has been deactivated');
+    }
+
+    const issued = await tokenService.issueTokens(user, {
+      family: current.family,
+      sessionStartedAt: current.sessionStartedAt,
+      mfa: current.mfa,
+      userAgent: userAgent || current.userAgent,
+      ipAddress: ipAddress || current.ipAddress
+    });
+
+    current.replacedBy = issued.record._id;
+    await current.save();
+
+    return { ...issued, user };
+  },
+
+  // Check an access token's signature, expiry and revocation
+  verifyAccessToken: async (token) => {
+    const decoded = jwtUtils.verifyToken(token);
+
+    if (!decoded.id || !decoded.sid) {
+      throw new Error('Invalid token');
+    }
+
+    // The TTL monitor runs about once a minute, so lapsed entries are skipped here
+    const revoked = await RevokedToken.exists({
+      tokenId: { $in: [decoded.jti, decoded.sid].filter(Boolean) },
+      expiresAt: { $gt: new Date() }
+    });
+    if (revoked) {
+      throw new Error('Token has been revoked');
+    }
+
+    return decoded;
+  },
+
+  // Revoke one access token before it expires
+  revokeAccessToken: async (decoded) => {
+    await revokeIds([{ id: decoded.jti, expiresAt: new Date(decoded.exp * 1000) }]);
+  },
+
+  // End a session: its refresh tokens stop working and its access tokens are blacklisted
+  revokeFamily: async (family, reason) => {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    await blacklistFamilies({ family });
+  },
+
+  // End all of a user's sessions, optionally keeping the current one
+  revokeUserSessions: async (userId, reason, { except } = {}) => {
+    const query = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (except) {
+      query.family = { $ne: except };
+    }
+
+    const families = await blacklistFamilies(query);
+    await RefreshToken.updateMany(
+      { user: userId, family: { $in: families }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return families.length;
+  },
+
+  // Find the session a refresh token belongs to, if it is still active
+  findSession: async (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+    const record = await RefreshToken.findOne({ tokenHash: jwtUtils.hashToken(refreshToken) });
+    return record && record.isActive() ? record : null;
+  },
+
+  // List a user's signed-in devices, one entry per session
+  listSessions: async (userId, currentSessionId) => {
+    const tokens = await RefreshToken.find({
+      user: userId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    return tokens.map(record => ({
+      id: record.family,
+      userAgent: record.userAgent,
+      ipAddress: record.ipAddress,
+      signedInAt: record.sessionStartedAt,
+      lastActiveAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      twoFactorVerified: record.mfa,
+      current: record.family === currentSessionId
+    }));
+  },
+
+  // Sign one of the user's devices out
+  revokeSession: async (userId, sessionId) => {
+    const exists = await RefreshToken.exists({
+      user: userId,
+      family: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!exists) {
+      throw createTokenError('Session not found', 404);
+    }
+
+    await tokenService.revokeFamily(sessionId, 'session_revoked');
+  }
+};
+
+module.exports = tokenService;
\ No newline at end of file
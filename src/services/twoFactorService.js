@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const tokenService = require('./tokenService');
+const totp = require('../utils/totp');
+const { authConfig, jwtUtils } = require('../config/auth');
+
+const settings = authConfig.twoFactor;
+const secretFields = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const challengeAudience = 'angara-2fa';
+
+const createTwoFactorError = (message, statusCode = 400, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// TOTP secrets have to be read back, so they are encrypted rather than hashed.
+// The AES key is derived from TWO_FACTOR_ENCRYPTION_KEY for this purpose only.
+const getEncryptionKey = () => {
+  if (!settings.encryptionKey) {
+    throw createTwoFactorError('Two-factor authentication is not configured', 500);
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', settings.encryptionKey, '', 'angara-2fa-totp-secret', 32));
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; case and dashes are ignored when entered
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: settings.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: jwtUtils.hashToken(normalizeRecoveryCode(code)) }))
+  };
+};
+
+const loadUser = (userId) => User.findById(userId).select(secretFields);
+
+// Accept a TOTP code once: its time step must be newer than the last one used
+const acceptTotp = async (user, secret, code) => {
+  const step = totp.verifyTotp(secret, code, {
+    period: settings.period,
+    digits: settings.digits,
+    window: settings.window
+  });
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Spend one unused recovery code
+const acceptRecoveryCode = async (user, code, context = {}) => {
+  const hash = jwtUtils.hashToken(normalizeRecoveryCode(code));
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  const remaining = (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt && entry.hash !== hash).length;
+  await SecurityEvent.create({
+    type: 'recovery_code_used',
+    user: user._id,
+    email: user.email,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    details: { remaining }
+  });
+  return true;
+};
+
+const twoFactorService = {
+  // Check at startup that TOTP secrets have an encryption key of their own
+  assertConfigured: () => {
+    if (!settings.encryptionKey) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be set for two-factor authentication');
+    }
+    if (settings.encryptionKey === authConfig.jwt.secret) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must not be the same as JWT_SECRET');
+    }
+  },
+
+  // Whether the user's role has to use two-factor authentication
+  isRequired: (user) => settings.requiredRoles.includes(user.role),
+
+  // What a password sign-in still needs: a code, enrollment first, or nothing
+  getLoginStep: (user) => {
+    if (user.twoFactor && user.twoFactor.enabled) return 'verify';
+    if (twoFactorService.isRequired(user)) return 'setup';
+    return null;
+  },
+
+  // Short-lived token proving the password step passed; it is not an access token
+  createChallenge: (user, step) => {
+    return jwt.sign({ id: user._id.toString(), step }, authConfig.jwt.secret, {
+      expiresIn: settings.challengeExpiresIn,
+      algorithm: authConfig.jwt.algorithm,
+      issuer: authConfig.jwt.issuer,
+      audience: challengeAudience
+    });
+  },
+
+  // Load the user a challenge token was issued to
+  verifyChallenge: async (challengeToken, step) => {
+    let payload;
+    try {
+      payload = jwt.verify(String(challengeToken || ''), authConfig.jwt.secret, {
+        algorithms: [authConfig.jwt.algorithm],
+        issuer: authConfig.jwt.issuer,
+        audience: challengeAudience
+      });
+    } catch (error) {
+      throw createTwoFactorError('Sign-in has expired; please sign in again', 401);
+    }
+
+    const user = payload.step === step ? await loadUser(payload.id) : null;
+    if (!user || !user.isActive) {
+      throw createTwoFactorError('Sign-in has expired; please sign in again', 401);
+    }
+    return user;
+  },
+
+  // Check a sign-in code, or a recovery code when the authenticator is lost
+  verifyLogin: async (user, { code, recoveryCode }, context = {}) => {
+    if (!user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    if (recoveryCode) {
+      return acceptRecoveryCode(user, recoveryCode, context);
+    }
+    return acceptTotp(user, decryptSecret(user.twoFactor.secret), code);
+  },
+
+  // Start enrollment with a new secret for the authenticator app. Nothing
+  // changes for sign-in until a code from the app is confirmed.
+  startEnrollment: async (userId) => {
+    const user = await loadUser(userId);
+    if (user.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      // Rendered as a QR code by the client
+      otpauthUrl: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: settings.issuer,
+        period: settings.period,
+        digits: settings.digits
+      })
+    };
+  },
+
+  // Confirm enrollment with a code from the app and hand out recovery codes,
+  // which are only ever shown here
+  completeEnrollment: async (userId, code, context = {}) => {
+    const user = await loadUser(userId);
+    if (user.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw createTwoFactorError('Start two-factor setup first');
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    if (!(await acceptTotp(user, secret, code))) {
+      throw createTwoFactorError('Invalid verification code');
+    }
+
+    const recovery = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recovery.stored;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await SecurityEvent.create({
+      type: 'two_factor_enabled',
+      user: user._id,
+      email: user.email,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    return { user, recoveryCodes: recovery.codes };
+  },
+
+  // Replace the recovery codes; the old ones stop working
+  regenerateRecoveryCodes: async (userId, code) => {
+    const user = await loadUser(userId);
+    if (!user.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (!(await acceptTotp(user, decryptSecret(user.twoFactor.secret), code))) {
+      throw createTwoFactorError('Invalid verification code');
+    }
+
+    const recovery = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recovery.stored } });
+    return recovery.codes;
+  },
+
+  // Turn two-factor authentication off; roles that require it can't
+  disable: async (userId, { password, code }, context = {}) => {
+    const user = await loadUser(userId);
+    if (!user.twoFactor.enabled) {
+      throw createTwoFactorError('Two-factor authentication is not enabled');
+    }
+    if (twoFactorService.isRequired(user)) {
+      throw createTwoFactorError('Two-factor authentication is required for your account', 403);
+    }
+    if (!(await user.comparePassword(password))) {
+      throw createTwoFactorError('Password is incorrect');
+    }
+    if (!(await twoFactorService.verifyLogin(user, { code }, context))) {
+      throw createTwoFactorError('Invalid verification code');
+    }
+
+    await twoFactorService.clear(user._id);
+    await SecurityEvent.create({
+      type: 'two_factor_disabled',
+      user: user._id,
+      email: user.email,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+  },
+
+  // Admin reset for a lost authenticator: 2FA is cleared and every session
+  // signed out. Roles that require 2FA enroll again at their next sign-in.
+  reset: async (user, { actor, ipAddress } = {}) => {
+    const wasEnabled = !!(user.twoFactor && user.twoFactor.enabled);
+
+    await twoFactorService.clear(user._id);
+    await tokenService.revokeUserSessions(user._id, 'two_factor_reset');
+    await SecurityEvent.create({
+      type: 'two_factor_reset',
+      user: user._id,
+      email: user.email,
+      ipAddress,
+      actor,
+      details: { wasEnabled }
+    });
+
+    return wasEnabled;
+  },
+
+  // Remove the secret, recovery codes and enrollment state
+  clear: async (userId) => {
+    await User.updateOne({ _id: userId }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+  },
+
+  // Enrollment state for the account page
+  getStatus: async (userId) => {
+    const user = await loadUser(userId);
+    const codes = user.twoFactor.recoveryCodes || [];
+
+    return {
+      enabled: user.twoFactor.enabled,
+      required: twoFactorService.isRequired(user),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? codes.filter(entry => !entry.usedAt).length : 0
+    };
+  }
+};
+
+module.exports = twoFactorService;
\ No newline at end of file
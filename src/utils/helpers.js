@@ -0,0 +1,32 @@
+// Identify a line item by its resolved variant options rather than the raw selection
+const variantKey = (variant) => {
+  const options = (variant && variant.options) || [];
+  return options.map(selected => String(selected.option)).sort().join('|');
+};
+
+// Shape a resolved product variant for storage on a cart or order line
+const toVariantSelection = (resolved) => ({
+  ...resolved.selection,
+  sku: resolved.sku,
+  options: resolved.options
+});
+
+// Describe a stored variant selection for people, e.g. "Size: 6, Metal: 14K Gold"
+const describeVariant = (variant) => {
+  const options = (variant && variant.options) || [];
+  return options.map(selected => `${selected.name}: ${selected.value}`).join(', ');
+};
+
+const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency
+  }).format(amount || 0);
+};
+
+module.exports = {
+  variantKey,
+  toVariantSelection,
+  describeVariant,
+  formatCurrency
+};
\ No newline at end of file
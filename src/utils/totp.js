@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the encoding authenticator apps expect for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  const clean = String(encoded || '').toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Random secret; 20 bytes matches the HMAC-SHA1 block the codes are cut from
+const generateSecret = (length = 20) => base32Encode(crypto.randomBytes(length));
+
+// RFC 4226 HOTP code for one counter value
+const generateHotp = (secret, counter, digits = 6) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// RFC 6238 time step a moment falls in
+const getTimeStep = (time = Date.now(), period = 30) => Math.floor(time / 1000 / period);
+
+const generateTotp = (secret, { time = Date.now(), period = 30, digits = 6 } = {}) => {
+  return generateHotp(secret, getTimeStep(time, period), digits);
+};
+
+// Check a code against the current step and `window` steps either side for clock
+// drift. Returns the matching step, so callers can refuse a code used before, or null.
+const verifyTotp = (secret, code, { time = Date.now(), period = 30, digits = 6, window = 1 } = {}) => {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(given)) return null;
+
+  const current = getTimeStep(time, period);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Key URI that authenticator apps read from a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer, period = 30, digits = 6 }) => {
+  // Percent-encoded throughout; some apps show a "+" for a space literally
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = Object.entries({ secret, issuer, algorithm: 'SHA1', digits, period })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri
+};
\ No newline at end of file
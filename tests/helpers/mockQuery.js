@@ -0,0 +1,17 @@
+// A stand-in for a mongoose query: chainable like one and awaitable to the given value
+const mockQuery = (value) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    skip: () => query,
+    lean: () => query,
+    session: () => query,
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return query;
+};
+
+module.exports = mockQuery;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const mongoose = require('mongoose');
+
+// Tests never connect to MongoDB; queries a test forgot to mock fail straight away
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || 'test-two-factor-key';
+process.env.FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
\ No newline at end of file
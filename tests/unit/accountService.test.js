@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const emailService = require('../../src/services/emailService');
+const guestOrderService = require('../../src/services/guestOrderService');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const tokenService = require('../../src/services/tokenService');
+const settingService = require('../../src/services/settingService');
+const { emailUtils } = require('../../src/config/email');
+const { jwtUtils } = require('../../src/config/auth');
+const accountService = require('../../src/services/accountService');
+const requireVerified = require('../../src/middleware/requireVerified');
+
+const customer = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'ada@example.com',
+  firstName: 'Ada',
+  isVerified: false,
+  oauthAccounts: [],
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+describe('accountService', () => {
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue();
+    jest.spyOn(emailUtils, 'sendPasswordResetEmail').mockResolvedValue();
+    jest.spyOn(guestOrderService, 'claimOrders').mockResolvedValue(2);
+    jest.spyOn(tokenService, 'revokeUserSessions').mockResolvedValue(1);
+    jest.spyOn(loginProtectionService, 'recordSuccess').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verification', () => {
+    it('emails a link and keeps only its hash', async () => {
+      const user = customer();
+
+      await accountService.sendVerification(user);
+
+      const [email, token] = emailService.sendVerificationEmail.mock.calls[0];
+      expect(email).toBe('ada@example.com');
+      expect(user.verificationToken).toBe(jwtUtils.hashToken(token));
+      expect(user.verificationTokenExpires.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('makes customers wait before sending another link', async () => {
+      const user = customer({ verificationSentAt: new Date(Date.now() - 20 * 1000) });
+
+      await expect(accountService.sendVerification(user)).rejects.toMatchObject({ statusCode: 429, retryAfter: 40 });
+      await expect(accountService.sendVerification(customer({ isVerified: true })))
+        .rejects.toThrow('Email address is already verified');
+      expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('verifies the account and claims its guest orders', async () => {
+      const user = customer({ verificationToken: 'hash' });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const result = await accountService.verifyEmail('token-1');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        verificationToken: jwtUtils.hashToken('token-1'),
+        verificationTokenExpires: { $gt: expect.any(Date) }
+      });
+      expect(user.isVerified).toBe(true);
+      expect(user.verificationToken).toBeUndefined();
+      expect(result).toEqual({ user, claimedOrders: 2 });
+    });
+
+    it('refuses unknown or expired links', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+      await expect(accountService.verifyEmail('stale')).rejects.toThrow('Verification link is invalid or has expired');
+    });
+  });
+
+  describe('password reset', () => {
+    it('says nothing about unknown addresses or repeat requests', async () => {
+      jest.spyOn(User, 'findOne')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(customer({ resetPasswordSentAt: new Date() }));
+
+      await accountService.requestPasswordReset('nobody@example.com');
+      await accountService.requestPasswordReset('ada@example.com');
+
+      expect(emailUtils.sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    it('emails an hour-long reset link', async () => {
+      const user = customer();
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      await accountService.requestPasswordReset(' Ada@Example.com ');
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'ada@example.com', isActive: true });
+      const [, token] = emailUtils.sendPasswordResetEmail.mock.calls[0];
+      expect(user.resetPasswordToken).toBe(jwtUtils.hashToken(token));
+      expect(user.resetPasswordExpires.getTime() - Date.now()).toBeLessThanOrEqual(60 * 60 * 1000);
+    });
+
+    it('sets the password, signs out every session and lifts the lockout', async () => {
+      const user = customer({ isVerified: true });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const result = await accountService.resetPassword('token-1', 'new-password');
+
+      expect(user.password).toBe('new-password');
+      expect(user.resetPasswordToken).toBeUndefined();
+      expect(tokenService.revokeUserSessions).toHaveBeenCalledWith(user._id, 'password_reset');
+      expect(loginProtectionService.recordSuccess).toHaveBeenCalledWith({ email: 'ada@example.com' });
+      expect(result.claimedOrders).toBe(0);
+    });
+
+    it('verifies the email and drops unvouched social sign-ins', async () => {
+      const user = customer({
+        oauthAccounts: [
+          { provider: 'google', emailVerified: true },
+          { provider: 'facebook', emailVerified: false }
+        ]
+      });
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+      const result = await accountService.resetPassword('token-1', 'new-password');
+
+      expect(user.isVerified).toBe(true);
+      expect(user.oauthAccounts.map(account => account.provider)).toEqual(['google']);
+      expect(result.claimedOrders).toBe(2);
+    });
+  });
+});
+
+describe('requireVerified middleware', () => {
+  const run = async (user, required) => {
+    jest.spyOn(settingService, 'get').mockResolvedValue(required);
+    const req = { user };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await requireVerified('require_verified_email_checkout')(req, res, next);
+    return { res, next };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('turns away unverified customers when the setting asks for it', async () => {
+    const { res, next } = await run(customer(), true);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiresVerification: true }));
+  });
+
+  it('lets guests and verified customers through, and everyone when it is off', async () => {
+    expect((await run(undefined, true)).next).toHaveBeenCalled();
+    expect((await run(customer({ isVerified: true }), true)).next).toHaveBeenCalled();
+    expect((await run(customer(), false)).next).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const request = require('supertest');
+const { authConfig } = require('../../src/config/auth');
+const authRoutes = require('../../src/routes/auth');
+
+describe('auth routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  it('counts each group of endpoints against its own limit', async () => {
+    // Invalid bodies are turned away by validation, after the limiter has counted them
+    for (let attempt = 0; attempt < authConfig.authRateLimit.max.login; attempt++) {
+      await request(app).post('/api/auth/login').send({}).expect(400);
+    }
+
+    await request(app).post('/api/auth/login').send({}).expect(429);
+    await request(app).post('/api/auth/register').send({}).expect(400);
+    await request(app).post('/api/auth/forgot-password').send({}).expect(400);
+  });
+});
\ No newline at end of file
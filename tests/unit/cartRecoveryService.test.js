@@ -0,0 +1,182 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Cart = require('../../src/models/Cart');
+const Coupon = require('../../src/models/Coupon');
+const Order = require('../../src/models/Order');
+const Analytics = require('../../src/models/Analytics');
+const { authConfig } = require('../../src/config/auth');
+const settingService = require('../../src/services/settingService');
+const emailService = require('../../src/services/emailService');
+const inventoryService = require('../../src/services/inventoryService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const cartRecoveryService = require('../../src/services/cartRecoveryService');
+const mockQuery = require('../helpers/mockQuery');
+
+const hours = (count) => count * 60 * 60 * 1000;
+
+const guestCart = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'guest@example.com',
+  sessionId: 'session-1',
+  lastActivityAt: new Date(Date.now() - hours(30)),
+  recovery: { remindersSent: 0 },
+  ...fields
+});
+
+describe('cartRecoveryService', () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = {};
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) =>
+      (settings[key] !== undefined ? settings[key] : fallback)
+    );
+    jest.spyOn(Cart, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendCartReminder').mockResolvedValue();
+    jest.spyOn(Analytics, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads a sorted reminder schedule from settings', async () => {
+    settings.cart_recovery_intervals_hours = ['72', 0, 1, 24];
+
+    expect((await cartRecoveryService.getSettings()).intervals).toEqual([1, 24, 72]);
+  });
+
+  describe('restore links', () => {
+    it('bring the customer back to their cart and record the visit once', async () => {
+      const cart = guestCart({ isActive: true });
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      const restored = await cartRecoveryService.restoreCart(cartRecoveryService.createRestoreToken(cart));
+
+      expect(Cart.findOne).toHaveBeenCalledWith({ _id: cart._id.toString(), isActive: true });
+      expect(restored.recovery.restoredAt).toBeInstanceOf(Date);
+      expect(Cart.updateOne).toHaveBeenCalledTimes(1);
+
+      await cartRecoveryService.restoreCart(cartRecoveryService.createRestoreToken(cart));
+      expect(Cart.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuse tokens signed for something else', async () => {
+      const other = jwt.sign({ cart: 'x', purpose: 'password_reset' }, authConfig.jwt.secret, {
+        algorithm: authConfig.jwt.algorithm,
+        issuer: authConfig.jwt.issuer
+      });
+
+      await expect(cartRecoveryService.restoreCart(other)).rejects.toThrow('This cart link is invalid or has expired');
+      await expect(cartRecoveryService.restoreCart('not-a-token')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('sendReminder', () => {
+    const schedule = { intervals: [1, 24, 72], couponPercent: 10, couponDays: 7, couponFromReminder: 2 };
+
+    it('claims the reminder before emailing it', async () => {
+      const cart = guestCart();
+
+      expect(await cartRecoveryService.sendReminder(cart, 1, schedule)).toBe(true);
+
+      expect(Cart.updateOne).toHaveBeenCalledWith(
+        { _id: cart._id, isActive: true, 'recovery.remindersSent': 0 },
+        expect.objectContaining({ 'recovery.remindersSent': 1 }),
+        { timestamps: false }
+      );
+      expect(emailService.sendCartReminder).toHaveBeenCalledWith('guest@example.com', cart, expect.objectContaining({
+        reminder: 1,
+        restoreUrl: expect.stringMatching(/^http.*\/cart\/restore\?token=/),
+        coupon: null
+      }));
+    });
+
+    it('does not send a reminder another sweep already claimed', async () => {
+      Cart.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await cartRecoveryService.sendReminder(guestCart(), 1, schedule)).toBe(false);
+      expect(emailService.sendCartReminder).not.toHaveBeenCalled();
+    });
+
+    it('stops chasing a customer who has ordered since', async () => {
+      const cart = guestCart();
+      Order.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      expect(await cartRecoveryService.sendReminder(cart, 1, schedule)).toBe(false);
+      expect(Cart.updateOne).toHaveBeenCalledWith({ _id: cart._id }, { 'recovery.remindersSent': 3 }, { timestamps: false });
+      expect(emailService.sendCartReminder).not.toHaveBeenCalled();
+    });
+
+    it('offers a single-use coupon from the configured reminder on', async () => {
+      const cart = guestCart({ recovery: { remindersSent: 1 } });
+      jest.spyOn(Coupon, 'create').mockImplementation(async (fields) => fields);
+
+      await cartRecoveryService.sendReminder(cart, 2, schedule);
+
+      const coupon = await Coupon.create.mock.results[0].value;
+      expect(coupon).toEqual(expect.objectContaining({
+        code: expect.stringMatching(/^CART-[A-Z2-9]{8}$/),
+        type: 'percentage',
+        value: 10,
+        usageLimit: 1
+      }));
+      expect(cart.recovery.couponCode).toBe(coupon.code);
+      expect(emailService.sendCartReminder.mock.calls[0][2].coupon).toBe(coupon);
+      expect(Analytics.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'cart_recovery_email',
+        data: { cartId: cart._id, reminder: 2, couponCode: coupon.code }
+      }));
+    });
+  });
+
+  it('sends each due reminder, keeping the spacing between them', async () => {
+    const now = new Date();
+    const carts = [guestCart(), guestCart({ user: { _id: new mongoose.Types.ObjectId(), email: 'gone@example.com', isActive: false } })];
+    jest.spyOn(Cart, 'find').mockImplementation((query) => mockQuery(query['recovery.remindersSent'] === 0 ? carts : []));
+
+    expect(await cartRecoveryService.sendDueReminders(now)).toBe(1);
+
+    const queries = Cart.find.mock.calls.map(([query]) => query);
+    expect(queries).toHaveLength(3);
+    expect(queries[0].lastActivityAt.$lte).toEqual(new Date(now.getTime() - hours(1)));
+    expect(queries[2]['recovery.lastReminderAt'].$lte).toEqual(new Date(now.getTime() - hours(48)));
+  });
+
+  it('sends nothing while recovery is switched off', async () => {
+    settings.cart_recovery_enabled = false;
+    jest.spyOn(Cart, 'find');
+
+    expect(await cartRecoveryService.sendDueReminders()).toBe(0);
+    expect(Cart.find).not.toHaveBeenCalled();
+  });
+
+  it('credits a paid order to the reminded cart once', async () => {
+    const cart = guestCart({ recovery: { remindersSent: 2, couponCode: 'CART-ABCDEFGH' } });
+    const order = { _id: new mongoose.Types.ObjectId(), email: 'guest@example.com', orderNumber: 'ORD-2026-000011', total: 180, exchangeRate: 0.9, couponCode: 'CART-ABCDEFGH' };
+    jest.spyOn(Cart, 'findOne').mockReturnValue(mockQuery(cart));
+
+    const recorded = await cartRecoveryService.recordConversion(order);
+
+    expect(recorded).toEqual(expect.objectContaining({
+      type: 'cart_recovered',
+      revenue: 200,
+      data: expect.objectContaining({ remindersSent: 2, couponUsed: true })
+    }));
+
+    Cart.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    expect(await cartRecoveryService.recordConversion(order)).toBeNull();
+  });
+
+  it('credits the reminder once a recovered order is paid', async () => {
+    jest.spyOn(inventoryService, 'commitOrder').mockResolvedValue(1);
+    const record = jest.spyOn(cartRecoveryService, 'recordConversion').mockResolvedValue(null);
+    const order = new Order({ orderNumber: 'ORD-2026-000007', email: 'ada@example.com', total: 100 });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+
+    await orderStatusService.applyTransition(order, { paymentStatus: 'paid' });
+
+    expect(record).toHaveBeenCalledWith(order);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+const Counter = require('../../src/models/Counter');
+const settingService = require('../../src/services/settingService');
+const counterService = require('../../src/services/counterService');
+const mockQuery = require('../helpers/mockQuery');
+
+describe('counterService', () => {
+  let settings;
+  let counters;
+
+  beforeEach(() => {
+    settings = {};
+    counters = {};
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) =>
+      (settings[key] !== undefined ? settings[key] : fallback)
+    );
+    jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async ({ name }, { $inc }) => {
+      counters[name] = (counters[name] || 0) + $inc.seq;
+      return { name, seq: counters[name] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders date tokens and pads the sequence', () => {
+    const date = new Date('2026-03-05T12:00:00Z');
+
+    expect(counterService.formatNumber('BJ-{YYYY}-{SEQ:6}', 42, date)).toBe('BJ-2026-000042');
+    expect(counterService.formatNumber('{YY}{MM}/{SEQ}', 7, date)).toBe('2603/7');
+    expect(counterService.formatNumber('INV-{SEQ:3}', 12345, date)).toBe('INV-12345');
+  });
+
+  it('accepts only formats with exactly one sequence token', () => {
+    expect(counterService.isValidFormat('ORD-{SEQ:5}')).toBe(true);
+    expect(counterService.isValidFormat('ORD-{YYYY}')).toBe(false);
+    expect(counterService.isValidFormat('{SEQ}-{SEQ}')).toBe(false);
+    expect(counterService.isValidFormat('')).toBe(false);
+  });
+
+  it('hands out consecutive numbers', async () => {
+    const date = new Date('2026-03-05T12:00:00Z');
+
+    const first = await counterService.next('order', date);
+    const second = await counterService.next('order', date);
+
+    expect([first.number, second.number]).toEqual(['BJ-2026-000001', 'BJ-2026-000002']);
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'order:2026' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('restarts yearly and monthly sequences in each period, in UTC', async () => {
+    settings.return_number_format = 'RMA-{YYYY}{MM}-{SEQ:4}';
+
+    await counterService.next('return', new Date('2026-01-31T23:00:00Z'));
+    const february = await counterService.next('return', new Date('2026-02-01T00:30:00Z'));
+    const nextYear = await counterService.next('order', new Date('2027-01-01T00:00:00Z'));
+
+    expect(february).toEqual({ number: 'RMA-202602-0001', sequence: 1, period: '2026-02' });
+    expect(nextYear.number).toBe('BJ-2027-000001');
+  });
+
+  it('keeps one running sequence for formats without a date', async () => {
+    const invoice = await counterService.next('invoice');
+
+    expect(invoice).toEqual({ number: 'INV-000001', sequence: 1, period: null });
+    expect(Counter.findOneAndUpdate.mock.calls[0][0]).toEqual({ name: 'invoice' });
+  });
+
+  it('falls back to the default format when the setting is broken', async () => {
+    settings.invoice_number_format = 'INV-{YYYY}';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await counterService.next('invoice')).number).toBe('INV-000001');
+    expect(console.error).toHaveBeenCalledWith('Invalid invoice_number_format "INV-{YYYY}", using INV-{SEQ:6}');
+  });
+
+  it('refuses unknown sequences', async () => {
+    await expect(counterService.next('shipment')).rejects.toMatchObject({ statusCode: 500 });
+  });
+
+  it('previews the next number without taking it', async () => {
+    jest.spyOn(Counter, 'findOne').mockReturnValue(mockQuery({ name: 'order:2026', seq: 41 }));
+
+    const preview = await counterService.preview('order', new Date('2026-06-01T00:00:00Z'));
+
+    expect(preview).toEqual({ format: 'BJ-{YYYY}-{SEQ:6}', number: 'BJ-2026-000042', sequence: 42, period: '2026' });
+    expect(Counter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
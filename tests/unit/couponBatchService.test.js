@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Coupon = require('../../src/models/Coupon');
+const CouponBatch = require('../../src/models/CouponBatch');
+const Order = require('../../src/models/Order');
+const couponBatchService = require('../../src/services/couponBatchService');
+const mockQuery = require('../helpers/mockQuery');
+
+const template = {
+  name: 'Bridal fair',
+  type: 'percentage',
+  value: 15,
+  endDate: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000)
+};
+
+// Coupon.find(...).distinct(...) resolving to the codes `taken` picks from the candidates
+const mockTakenCodes = (taken) => jest.spyOn(Coupon, 'find').mockImplementation((query) => ({
+  distinct: async () => taken(query.code.$in)
+}));
+
+describe('couponBatchService', () => {
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    jest.spyOn(CouponBatch.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Coupon, 'insertMany').mockImplementation(async (docs) => {
+      inserted.push(...docs);
+      return docs;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createBatch', () => {
+    it('generates single-use codes from the template with the prefix and alphabet', async () => {
+      mockTakenCodes(() => []);
+
+      const batch = await couponBatchService.createBatch({
+        name: 'Bridal fair 2026',
+        prefix: 'bride-',
+        alphabet: 'abcdefgh',
+        codeLength: 6,
+        quantity: 20,
+        template
+      });
+
+      expect(batch.generatedCount).toBe(20);
+      expect(inserted).toHaveLength(20);
+      expect(new Set(inserted.map(coupon => coupon.code)).size).toBe(20);
+      inserted.forEach(coupon => {
+        expect(coupon.code).toMatch(/^BRIDE-[A-H]{6}$/);
+        expect(coupon).toEqual(expect.objectContaining({ usageLimit: 1, userUsageLimit: 1, batch: batch._id, value: 15 }));
+      });
+    });
+
+    it('refuses a code space small enough to guess', async () => {
+      await expect(couponBatchService.createBatch({ name: 'Tiny', alphabet: 'AB', codeLength: 4, quantity: 5, template }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^5 codes need a longer code/) });
+      expect(CouponBatch.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses an alphabet or prefix with other characters', async () => {
+      await expect(couponBatchService.createBatch({ name: 'Bad', alphabet: '!', quantity: 1, template }))
+        .rejects.toThrow('Alphabet must contain at least two letters or digits');
+      await expect(couponBatchService.createBatch({ name: 'Bad', prefix: 'VIP!', quantity: 1, template }))
+        .rejects.toThrow('Prefix may only contain letters, digits, "-" and "_"');
+    });
+  });
+
+  describe('generateCodes', () => {
+    const newBatch = (fields) => new CouponBatch({ name: 'Influencers', quantity: 10, template, ...fields });
+
+    it('replaces codes that already exist', async () => {
+      let calls = 0;
+      mockTakenCodes((candidates) => (calls++ === 0 ? candidates.slice(0, 3) : []));
+
+      const batch = await couponBatchService.generateCodes(newBatch());
+
+      expect(batch.generatedCount).toBe(10);
+      expect(Coupon.insertMany).toHaveBeenCalledTimes(2);
+      expect(Coupon.insertMany.mock.calls[1][0]).toHaveLength(3);
+    });
+
+    it('counts only the codes saved when a concurrent insert takes some', async () => {
+      mockTakenCodes(() => []);
+      Coupon.insertMany.mockImplementationOnce(async (docs) => {
+        const error = new Error('E11000 duplicate key error');
+        error.insertedDocs = docs.slice(1);
+        inserted.push(...error.insertedDocs);
+        throw error;
+      });
+
+      const batch = await couponBatchService.generateCodes(newBatch());
+
+      expect(batch.generatedCount).toBe(10);
+      expect(inserted).toHaveLength(10);
+    });
+
+    it('gives up when no new code can be found', async () => {
+      mockTakenCodes((candidates) => candidates);
+
+      await expect(couponBatchService.generateCodes(newBatch()))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Coupon.find).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  it('reports redemptions across a batch', async () => {
+    const batch = new CouponBatch({ name: 'Influencers', quantity: 4, template });
+    jest.spyOn(Coupon, 'aggregate').mockResolvedValue([{ codes: 4, redeemed: 1, active: 3 }]);
+    jest.spyOn(Coupon, 'find').mockReturnValue({ distinct: async () => ['INF-AAAA'] });
+    jest.spyOn(Order, 'aggregate').mockResolvedValue([{ orders: 1, revenue: 340, discountGiven: 60 }]);
+
+    const stats = await couponBatchService.getBatchStats(batch);
+
+    expect(stats).toEqual(expect.objectContaining({
+      codes: 4,
+      redeemed: 1,
+      unused: 3,
+      inactive: 1,
+      redemptionRate: 25,
+      orders: 1,
+      revenue: 340,
+      discountGiven: 60,
+      averageOrderValue: 340,
+      daysUntilExpiry: 10
+    }));
+  });
+
+  it('exports codes with their redeeming order', async () => {
+    const batch = new CouponBatch({ name: 'Influencers', quantity: 2, template });
+    const orderId = new mongoose.Types.ObjectId();
+    jest.spyOn(Coupon, 'find').mockReturnValue(mockQuery([
+      { code: 'INF-AAAA', isActive: false, usageCount: 1, usedBy: [{ order: orderId, usedAt: new Date('2026-05-01T10:00:00Z') }] },
+      { code: 'INF-BBBB', isActive: true, usageCount: 0, usedBy: [] }
+    ]));
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([{ _id: orderId, orderNumber: 'ORD-2026-000042' }]));
+
+    const csv = await couponBatchService.exportCsv(batch);
+
+    expect(csv.split('\n')).toEqual([
+      'Code,Status,Redeemed,Redeemed At,Order Number',
+      '"INF-AAAA","inactive","yes","2026-05-01T10:00:00.000Z","ORD-2026-000042"',
+      '"INF-BBBB","active","no","",""'
+    ]);
+  });
+
+  it('deactivates a whole batch, or only its unused codes', async () => {
+    const batch = new CouponBatch({ name: 'Influencers', quantity: 4, template });
+    jest.spyOn(Coupon, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await couponBatchService.deactivateBatch(batch, { unusedOnly: true })).toBe(3);
+    expect(Coupon.updateMany).toHaveBeenLastCalledWith(
+      { batch: batch._id, isActive: true, usageCount: 0 },
+      { $set: { isActive: false } }
+    );
+    expect(batch.isActive).toBe(true);
+
+    await couponBatchService.deactivateBatch(batch);
+    expect(batch.isActive).toBe(false);
+    expect(batch.deactivatedAt).toBeInstanceOf(Date);
+  });
+});
\ No newline at end of file
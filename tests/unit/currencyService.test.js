@@ -0,0 +1,110 @@
+const ExchangeRate = require('../../src/models/ExchangeRate');
+const settingService = require('../../src/services/settingService');
+const currencyService = require('../../src/services/currencyService');
+const mockQuery = require('../helpers/mockQuery');
+
+const eur = { currency: 'EUR', base: 'USD', rate: 0.9, rounding: { increment: 1, ending: 0.99, mode: 'up' } };
+const chf = { currency: 'CHF', base: 'USD', rate: 0.88, rounding: { increment: 0.05, mode: 'nearest' } };
+
+describe('currencyService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) => fallback);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getContext', () => {
+    it('needs no rate for the base currency', async () => {
+      jest.spyOn(ExchangeRate, 'findOne');
+
+      expect(await currencyService.getContext()).toEqual({ currency: 'USD', base: 'USD', rate: 1, rounding: null });
+      expect(ExchangeRate.findOne).not.toHaveBeenCalled();
+    });
+
+    it('loads the rate and rounding of an active currency', async () => {
+      jest.spyOn(ExchangeRate, 'findOne').mockReturnValue(mockQuery({ currency: 'EUR', rate: 0.9, rounding: eur.rounding }));
+
+      expect(await currencyService.getContext(' eur ')).toEqual(eur);
+      expect(ExchangeRate.findOne).toHaveBeenCalledWith({ currency: 'EUR', isActive: true });
+    });
+
+    it('refuses currencies without an active rate', async () => {
+      jest.spyOn(ExchangeRate, 'findOne').mockReturnValue(mockQuery(null));
+
+      await expect(currencyService.getContext('JPY')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Currency JPY is not supported'
+      });
+    });
+  });
+
+  describe('rounding', () => {
+    it('keeps a fixed price ending, rounding in the configured direction', () => {
+      expect(currencyService.roundPrice(112.1, eur)).toBe(112.99);
+      expect(currencyService.roundPrice(112.99, eur)).toBe(112.99);
+      expect(currencyService.roundPrice(0.5, eur)).toBe(0.99);
+    });
+
+    it('rounds to the nearest increment', () => {
+      expect(currencyService.roundPrice(10.02, chf)).toBe(10);
+      expect(currencyService.roundPrice(10.03, chf)).toBe(10.05);
+    });
+
+    it('converts catalog prices with rounding and other amounts to the cent', () => {
+      expect(currencyService.convertPrice(125, eur)).toBe(112.99);
+      expect(currencyService.convert(125, eur)).toBe(112.5);
+      expect(currencyService.toBase(112.5, eur)).toBe(125);
+      expect(currencyService.convertPrice(125)).toBe(125);
+    });
+  });
+
+  describe('getProductPrice', () => {
+    const product = { price: 1000, comparePrice: 1200, prices: [{ currency: 'EUR', price: 949, comparePrice: 1099 }] };
+
+    it('prefers a per-currency override to the converted price', () => {
+      expect(currencyService.getProductPrice(product, eur)).toBe(949);
+      expect(currencyService.getProductPrice(product, chf)).toBe(880);
+    });
+
+    it('adds variant surcharges on top of the override in whole increments', () => {
+      // 150 surcharge is 135 EUR, kept whole so the override's ending stays
+      expect(currencyService.getProductPrice(product, eur, 1150)).toBe(1084);
+    });
+
+    it('uses the override compare-at price, or converts the base one', () => {
+      expect(currencyService.getCompareAtPrice(product, eur)).toBe(1099);
+      expect(currencyService.getCompareAtPrice(product, chf)).toBe(1056);
+    });
+  });
+
+  it('localizes product and variant prices', () => {
+    const product = {
+      price: 100,
+      variants: [{ name: 'Size', options: [{ name: '6', price: 110 }, { name: '7' }] }]
+    };
+
+    const localized = currencyService.localizeProduct(product, eur);
+
+    expect(localized.currency).toBe('EUR');
+    expect(localized.price).toBe(90.99);
+    expect(localized.variants[0].options).toEqual([{ name: '6', price: 99.99 }, { name: '7' }]);
+  });
+
+  it('lists the base currency first', async () => {
+    jest.spyOn(ExchangeRate, 'find').mockReturnValue(mockQuery([{ currency: 'EUR', rate: 0.9 }]));
+
+    expect(await currencyService.getSupportedCurrencies()).toEqual([
+      { currency: 'USD', rate: 1, isBase: true },
+      { currency: 'EUR', rate: 0.9, isBase: false, updatedAt: undefined }
+    ]);
+  });
+
+  it('only accepts positive exchange rates', () => {
+    expect(new ExchangeRate({ currency: 'EUR', rate: 0 }).validateSync().errors.rate.message)
+      .toBe('Rate must be a positive number');
+    expect(new ExchangeRate({ currency: 'EUR', rate: -1 }).validateSync().errors.rate).toBeDefined();
+    expect(new ExchangeRate({ currency: 'EUR', rate: 0.9 }).validateSync()).toBeUndefined();
+  });
+});
\ No newline at end of file
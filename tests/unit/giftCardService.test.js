@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../../src/models/GiftCard');
+const Product = require('../../src/models/Product');
+const counterService = require('../../src/services/counterService');
+const paymentService = require('../../src/services/paymentService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const emailService = require('../../src/services/emailService');
+const settingService = require('../../src/services/settingService');
+const giftCardService = require('../../src/services/giftCardService');
+const mockQuery = require('../helpers/mockQuery');
+
+const giftCard = (fields) => new GiftCard({
+  code: 'ABCD-EFGH-JKLM-NPQR',
+  initialValue: 100,
+  balance: 100,
+  ...fields
+});
+
+// GiftCard.findOneAndUpdate applying the update to a copy of the card it matches
+const applyUpdate = (card, update) => giftCard({
+  ...card.toObject(),
+  balance: update.$set.balance,
+  transactions: [...card.transactions.map(entry => entry.toObject()), update.$push.transactions]
+});
+
+describe('giftCardService', () => {
+  const order = { _id: new mongoose.Types.ObjectId(), orderNumber: 'ORD-2026-000007', currency: 'USD' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes typed codes and masks stored ones', () => {
+    expect(giftCardService.normalizeCode(' abcd efgh-jklm npqr ')).toBe('ABCD-EFGH-JKLM-NPQR');
+    expect(giftCardService.maskCode('ABCD-EFGH-JKLM-NPQR')).toBe('****-NPQR');
+  });
+
+  describe('applyEntry', () => {
+    it('only writes against the balance it was computed from', async () => {
+      const card = giftCard({ balance: 50 });
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => applyUpdate(card, update));
+
+      const updated = await giftCardService.applyEntry(card, { type: 'redeem', amount: -20.004, order: order._id });
+
+      expect(GiftCard.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: card._id, balance: 50 });
+      expect(updated.balance).toBe(30);
+      expect(updated.transactions[0]).toEqual(expect.objectContaining({ type: 'redeem', amount: -20, balanceAfter: 30 }));
+    });
+
+    it('re-reads the card when another change landed first', async () => {
+      const card = giftCard({ balance: 50 });
+      const reloaded = giftCard({ _id: card._id, balance: 10 });
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValueOnce(null);
+      jest.spyOn(GiftCard, 'findById').mockResolvedValue(reloaded);
+
+      await expect(giftCardService.applyEntry(card, { type: 'redeem', amount: -20 }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Gift card ****-NPQR only has 10 left' });
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after repeated conflicts', async () => {
+      const card = giftCard();
+      jest.spyOn(GiftCard, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(GiftCard, 'findById').mockResolvedValue(card);
+
+      await expect(giftCardService.applyEntry(card, { type: 'redeem', amount: -5 }))
+        .rejects.toThrow('Gift card is being used elsewhere, please try again');
+      expect(GiftCard.findOneAndUpdate).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('planRedemption', () => {
+    it('takes from each card in turn until the amount is covered', async () => {
+      const first = giftCard({ code: 'AAAA-AAAA-AAAA-AAAA', balance: 30 });
+      const second = giftCard({ code: 'BBBB-BBBB-BBBB-BBBB', balance: 100 });
+      const third = giftCard({ code: 'CCCC-CCCC-CCCC-CCCC', balance: 100 });
+      const cards = [first, second, third];
+      jest.spyOn(GiftCard, 'findOne').mockImplementation(async ({ code }) => cards.find(card => card.code === code));
+
+      const plan = await giftCardService.planRedemption(
+        ['aaaaaaaaaaaaaaaa', 'AAAA-AAAA-AAAA-AAAA', 'BBBB-BBBB-BBBB-BBBB', 'CCCC-CCCC-CCCC-CCCC'],
+        { amount: 80, currency: 'USD' }
+      );
+
+      expect(plan.map(entry => [entry.card.code, entry.amount])).toEqual([
+        ['AAAA-AAAA-AAAA-AAAA', 30],
+        ['BBBB-BBBB-BBBB-BBBB', 50]
+      ]);
+    });
+
+    it('refuses cards that are expired or in another currency', async () => {
+      jest.spyOn(GiftCard, 'findOne')
+        .mockResolvedValueOnce(giftCard({ expiresAt: new Date(Date.now() - 1000) }))
+        .mockResolvedValueOnce(giftCard({ currency: 'EUR' }))
+        .mockResolvedValueOnce(null);
+
+      await expect(giftCardService.planRedemption(['ABCD-EFGH-JKLM-NPQR'], { amount: 10 }))
+        .rejects.toThrow('Gift card ****-NPQR has expired');
+      await expect(giftCardService.planRedemption(['ABCD-EFGH-JKLM-NPQR'], { amount: 10, currency: 'USD' }))
+        .rejects.toThrow('Gift card ****-NPQR is in EUR and cannot pay for a USD order');
+      await expect(giftCardService.planRedemption(['ZZZZ'], { amount: 10 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  it('gives back what was already charged when a card in the plan fails', async () => {
+    const first = giftCard({ code: 'AAAA-AAAA-AAAA-AAAA', balance: 30 });
+    const second = giftCard({ code: 'BBBB-BBBB-BBBB-BBBB', balance: 100 });
+    const entries = [];
+    jest.spyOn(giftCardService, 'applyEntry').mockImplementation(async (card, entry) => {
+      entries.push([card.code, entry.type, entry.amount]);
+      if (card === second) throw Object.assign(new Error('Gift card ****-BBBB only has 0 left'), { statusCode: 409 });
+      return card;
+    });
+
+    await expect(giftCardService.redeemForOrder(order, [{ card: first, amount: 30 }, { card: second, amount: 20 }]))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(entries).toEqual([
+      ['AAAA-AAAA-AAAA-AAAA', 'redeem', -30],
+      ['BBBB-BBBB-BBBB-BBBB', 'redeem', -20],
+      ['AAAA-AAAA-AAAA-AAAA', 'restore', 30]
+    ]);
+  });
+
+  describe('restoreForOrder', () => {
+    const spentCard = (code, redeemed, restored) => giftCard({
+      code,
+      balance: 0,
+      transactions: [
+        { type: 'issue', amount: 100, balanceAfter: 100 },
+        { type: 'redeem', amount: -redeemed, balanceAfter: 100 - redeemed, order: order._id },
+        ...(restored ? [{ type: 'restore', amount: restored, balanceAfter: 100 - redeemed + restored, order: order._id }] : [])
+      ]
+    });
+
+    it('only restores what the order still holds', async () => {
+      jest.spyOn(GiftCard, 'find').mockResolvedValue([spentCard('AAAA-AAAA-AAAA-AAAA', 60, 20)]);
+      jest.spyOn(giftCardService, 'applyEntry').mockImplementation(async (card) => card);
+
+      expect(await giftCardService.restoreForOrder(order)).toBe(40);
+      expect(giftCardService.applyEntry).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        type: 'restore',
+        amount: 40,
+        note: 'Order ORD-2026-000007 voided'
+      }));
+    });
+
+    it('stops at the limit of a partial refund', async () => {
+      jest.spyOn(GiftCard, 'find').mockResolvedValue([
+        spentCard('AAAA-AAAA-AAAA-AAAA', 30),
+        spentCard('BBBB-BBBB-BBBB-BBBB', 50)
+      ]);
+      jest.spyOn(giftCardService, 'applyEntry').mockImplementation(async (card) => card);
+
+      expect(await giftCardService.restoreForOrder(order, 'Partial refund', 45)).toBe(45);
+      expect(giftCardService.applyEntry.mock.calls.map(([, entry]) => entry.amount)).toEqual([30, 15]);
+    });
+  });
+
+  it('issues one card per unit bought and emails the recipient', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const itemId = new mongoose.Types.ObjectId();
+    const paidOrder = {
+      ...order,
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        { _id: itemId, product: productId, quantity: 3, price: 50, giftCard: { recipientEmail: 'friend@example.com' } },
+        { _id: new mongoose.Types.ObjectId(), product: new mongoose.Types.ObjectId(), quantity: 1, price: 900 }
+      ]
+    };
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery([{ _id: productId }]));
+    jest.spyOn(GiftCard, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(GiftCard, 'create').mockImplementation(async (fields) => giftCard(fields));
+    jest.spyOn(GiftCard.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(counterService, 'next').mockResolvedValue({ number: 'GC-000001' });
+    jest.spyOn(settingService, 'get').mockResolvedValue(12);
+    jest.spyOn(emailService, 'sendGiftCard').mockResolvedValue();
+
+    const issued = await giftCardService.issueForOrder(paidOrder);
+
+    // One card was already issued for this line
+    expect(issued).toHaveLength(2);
+    issued.forEach(card => {
+      expect(card.code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+      expect(card.balance).toBe(50);
+      expect(card.transactions[0].type).toBe('issue');
+      expect(card.deliveredAt).toBeInstanceOf(Date);
+    });
+    expect(emailService.sendGiftCard).toHaveBeenCalledTimes(2);
+    expect(emailService.sendGiftCard).toHaveBeenCalledWith('friend@example.com', issued[0]);
+  });
+
+  it('refuses to refund cards that have already been spent from', async () => {
+    jest.spyOn(GiftCard, 'find').mockResolvedValue([giftCard()]);
+
+    await expect(giftCardService.assertRefundable(order)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Gift cards bought in order ORD-2026-000007 have already been used (****-NPQR) and cannot be refunded'
+    });
+    expect(GiftCard.find).toHaveBeenCalledWith({ order: order._id, 'transactions.type': 'redeem' });
+  });
+
+  it('empties and deactivates the refunded cards', async () => {
+    const cards = [giftCard({ balance: 40 }), giftCard({ balance: 0 }), giftCard({ balance: 25 })];
+    jest.spyOn(GiftCard, 'find').mockReturnValue(mockQuery(cards));
+    jest.spyOn(giftCardService, 'applyEntry').mockImplementation(async (card) => card);
+    jest.spyOn(GiftCard, 'updateOne').mockResolvedValue({});
+
+    expect(await giftCardService.voidForOrder(order, undefined, { quantity: 2 })).toBe(2);
+    expect(giftCardService.applyEntry).toHaveBeenCalledTimes(1);
+    expect(giftCardService.applyEntry).toHaveBeenCalledWith(cards[0], expect.objectContaining({ type: 'void', amount: -40 }));
+    expect(GiftCard.updateOne.mock.calls.map(([filter, update]) => [filter._id, update])).toEqual([
+      [cards[0]._id, { isActive: false }],
+      [cards[1]._id, { isActive: false }]
+    ]);
+  });
+
+  describe('order status hooks', () => {
+    const orderFor = (overrides = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD-2026-000007',
+      status: 'pending',
+      paymentStatus: 'pending',
+      fulfillmentStatus: 'unfulfilled',
+      paymentMethod: 'stripe',
+      total: 100,
+      refunds: [],
+      statusHistory: [],
+      save: jest.fn().mockResolvedValue(),
+      set: jest.fn(),
+      getContact: jest.fn().mockResolvedValue({ email: 'ada@example.com' }),
+      ...overrides
+    });
+
+    it('refuses to refund spent gift cards before the payment is refunded', async () => {
+      jest.spyOn(GiftCard, 'find').mockResolvedValue([giftCard({ transactions: [{ type: 'redeem', amount: -20 }] })]);
+      const refund = jest.spyOn(paymentService, 'processRefund');
+      const order = orderFor({ status: 'paid', paymentStatus: 'paid' });
+
+      await expect(orderStatusService.applyTransition(order, { status: 'refunded' })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Gift cards bought in order ORD-2026-000007 have already been used (****-NPQR) and cannot be refunded'
+      });
+      expect(refund).not.toHaveBeenCalled();
+      expect(order.save).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
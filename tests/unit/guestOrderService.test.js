@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const guestOrderService = require('../../src/services/guestOrderService');
+
+const day = 24 * 60 * 60 * 1000;
+
+const guestOrder = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD-2026-000123',
+  email: 'guest@example.com',
+  isGuest: true,
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('guestOrderService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('access tokens', () => {
+    it('open the order they were made for', () => {
+      const order = guestOrder();
+      const token = guestOrderService.createAccessToken(order);
+
+      expect(token).toMatch(/^\d+\.[0-9a-f]{64}$/);
+      expect(guestOrderService.verifyAccessToken(order, token)).toBe(true);
+    });
+
+    it('do not open another order or an order whose email changed', () => {
+      const order = guestOrder();
+      const token = guestOrderService.createAccessToken(order);
+
+      expect(guestOrderService.verifyAccessToken(guestOrder(), token)).toBe(false);
+      expect(guestOrderService.verifyAccessToken({ ...order, email: 'someone@example.com' }, token)).toBe(false);
+    });
+
+    it('stop working after they expire', () => {
+      jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+      const order = guestOrder();
+      const token = guestOrderService.createAccessToken(order);
+
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z').getTime() + 89 * day);
+      expect(guestOrderService.verifyAccessToken(order, token)).toBe(true);
+
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z').getTime() + 91 * day);
+      expect(guestOrderService.verifyAccessToken(order, token)).toBe(false);
+    });
+
+    it('cannot have their expiry pushed back', () => {
+      const order = guestOrder();
+      const [expiresAt, signature] = guestOrderService.createAccessToken(order).split('.');
+
+      expect(guestOrderService.verifyAccessToken(order, `${Number(expiresAt) + 365 * 24 * 60 * 60}.${signature}`)).toBe(false);
+      expect(guestOrderService.verifyAccessToken(order, signature)).toBe(false);
+      expect(guestOrderService.verifyAccessToken(order, `${expiresAt}.${signature.slice(1)}`)).toBe(false);
+      expect(guestOrderService.verifyAccessToken(order, undefined)).toBe(false);
+    });
+  });
+
+  it('finds a guest order from its lookup link', async () => {
+    const order = guestOrder();
+    const params = new URL(guestOrderService.getLookupUrl(order)).searchParams;
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    const found = await guestOrderService.findByLookup({
+      orderNumber: params.get('orderNumber'),
+      email: ' Guest@Example.com ',
+      token: params.get('token')
+    });
+
+    expect(found).toBe(order);
+    expect(Order.findOne).toHaveBeenCalledWith({ orderNumber: 'ORD-2026-000123', email: 'guest@example.com', isGuest: true });
+    expect(await guestOrderService.findByLookup({ orderNumber: 'ORD-2026-000123', email: 'guest@example.com', token: 'bad' }))
+      .toBeNull();
+  });
+
+  describe('claimOrders', () => {
+    beforeEach(() => {
+      jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    });
+
+    it('gives verified accounts every unclaimed order placed with their email', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), email: 'Guest@Example.com', isVerified: true };
+
+      expect(await guestOrderService.claimOrders(user)).toBe(2);
+      expect(Order.updateMany).toHaveBeenCalledWith(
+        { email: 'guest@example.com', isGuest: true, customer: null },
+        { customer: user._id, claimedAt: expect.any(Date) }
+      );
+    });
+
+    it('gives unverified accounts only the orders from their own guest session', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), email: 'guest@example.com', isVerified: false };
+
+      expect(await guestOrderService.claimOrders(user)).toBe(0);
+      expect(Order.updateMany).not.toHaveBeenCalled();
+
+      await guestOrderService.claimOrders(user, { sessionId: 'session-1' });
+      expect(Order.updateMany.mock.calls[0][0]).toEqual(expect.objectContaining({ sessionId: 'session-1' }));
+    });
+  });
+
+  it('claims a single order with the token from its link', async () => {
+    const order = guestOrder();
+    const user = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    expect(await guestOrderService.claimOrder(user, { orderNumber: order.orderNumber, token: 'forged' })).toBeNull();
+    expect(order.save).not.toHaveBeenCalled();
+
+    const claimed = await guestOrderService.claimOrder(user, {
+      orderNumber: order.orderNumber,
+      token: guestOrderService.createAccessToken(order)
+    });
+    expect(claimed.customer).toBe(user._id);
+    expect(order.save).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
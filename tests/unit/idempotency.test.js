@@ -0,0 +1,169 @@
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const settingService = require('../../src/services/settingService');
+const idempotency = require('../../src/middleware/idempotency');
+
+// Keys kept in memory, behind the IdempotencyKey calls the middleware makes
+const mockKeyStore = () => {
+  const keys = new Map();
+  const id = ({ key, scope, owner }) => `${key}|${scope}|${owner}`;
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (fields) => {
+    if (keys.has(id(fields))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { _id: id(fields), status: 'processing', ...fields };
+    keys.set(id(fields), record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) => keys.get(id(filter)) || null);
+  jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = keys.get(filter._id);
+    if (!record || record.status !== filter.status || record.lockedUntil > filter.lockedUntil.$lte) return null;
+    return Object.assign(record, update);
+  });
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (filter, { $unset, ...update }) => {
+    const record = keys.get(id(filter));
+    Object.assign(record, update);
+    Object.keys($unset || {}).forEach(field => delete record[field]);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (filter) => {
+    keys.delete(id(filter));
+    return { deletedCount: 1 };
+  });
+
+  return keys;
+};
+
+describe('idempotency middleware', () => {
+  let app;
+  let keys;
+  let created;
+  let failNext;
+
+  beforeEach(() => {
+    keys = mockKeyStore();
+    created = 0;
+    failNext = false;
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) => fallback);
+
+    app = express();
+    app.use(express.json());
+    app.post('/orders', idempotency('orders.create'), (req, res) => {
+      if (failNext) {
+        failNext = false;
+        return res.status(500).json({ success: false, message: 'Server error' });
+      }
+      created += 1;
+      res.status(201).json({ success: true, data: { orderNumber: `ORD-${created}` } });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const placeOrder = (key, body = { items: [{ product: 'ring', quantity: 1 }] }, sessionId = 'session-1') => {
+    const req = request(app).post('/orders').set('session-id', sessionId).send(body);
+    return key ? req.set('Idempotency-Key', key) : req;
+  };
+
+  it('handles requests without a key as usual', async () => {
+    await placeOrder();
+    await placeOrder();
+
+    expect(created).toBe(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('replays the first response for a retry with the same key and payload', async () => {
+    const first = await placeOrder('checkout-1');
+    // The same payload with its keys in another order
+    const retry = await placeOrder('checkout-1', { items: [{ quantity: 1, product: 'ring' }] });
+
+    expect(created).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+  });
+
+  it('rejects a reused key with a different payload', async () => {
+    await placeOrder('checkout-1');
+    const reused = await placeOrder('checkout-1', { items: [{ product: 'ring', quantity: 2 }] });
+
+    expect(reused.status).toBe(422);
+    expect(created).toBe(1);
+  });
+
+  it('keeps keys apart for different shoppers', async () => {
+    await placeOrder('checkout-1', undefined, 'session-1');
+    const other = await placeOrder('checkout-1', undefined, 'session-2');
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(created).toBe(2);
+  });
+
+  it('refuses a retry while the first request is still running', async () => {
+    await placeOrder('probe');
+    const { requestHash } = keys.get('probe|orders.create|guest:session-1');
+    await IdempotencyKey.create({
+      key: 'checkout-1',
+      scope: 'orders.create',
+      owner: 'guest:session-1',
+      requestHash,
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    const retry = await placeOrder('checkout-1');
+
+    expect(retry.status).toBe(409);
+    expect(created).toBe(1);
+  });
+
+  it('lets a retry take over a key whose request died', async () => {
+    await placeOrder('probe');
+    const { requestHash } = keys.get('probe|orders.create|guest:session-1');
+    await IdempotencyKey.create({
+      key: 'checkout-1',
+      scope: 'orders.create',
+      owner: 'guest:session-1',
+      requestHash,
+      lockedUntil: new Date(Date.now() - 1000)
+    });
+
+    const retry = await placeOrder('checkout-1');
+
+    expect(retry.status).toBe(201);
+    expect(keys.get('checkout-1|orders.create|guest:session-1').status).toBe('completed');
+  });
+
+  it('forgets server errors so the request can be retried with the same key', async () => {
+    failNext = true;
+    const failed = await placeOrder('checkout-1');
+    const retry = await placeOrder('checkout-1');
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(created).toBe(1);
+  });
+
+  it('expires keys after the configured window', async () => {
+    settingService.get.mockImplementation(async (key, fallback) => (key === 'idempotency_key_ttl_hours' ? 2 : fallback));
+
+    await placeOrder('checkout-1');
+
+    const { expiresAt } = IdempotencyKey.create.mock.calls[0][0];
+    expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(2 * 60 * 60 * 1000 - 5000);
+    expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(2 * 60 * 60 * 1000);
+  });
+
+  it('rejects overlong keys', async () => {
+    const response = await placeOrder('k'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect(created).toBe(0);
+  });
+});
\ No newline at end of file
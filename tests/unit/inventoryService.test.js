@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const InventoryReservation = require('../../src/models/InventoryReservation');
+const inventoryService = require('../../src/services/inventoryService');
+const mockQuery = require('../helpers/mockQuery');
+
+const buildProduct = (overrides = {}) => new Product({
+  name: 'Solitaire Ring',
+  description: 'A ring',
+  price: 1000,
+  category: new mongoose.Types.ObjectId(),
+  sku: 'RING-1',
+  inventory: { quantity: 5, trackQuantity: true },
+  variants: [{
+    name: 'Size',
+    options: [
+      { name: '6', inventory: { quantity: 2 } },
+      { name: '7', inventory: { quantity: 0 } }
+    ]
+  }],
+  ...overrides
+});
+
+const reservationFor = (product, overrides = {}) => new InventoryReservation({
+  product: product._id,
+  quantity: 1,
+  expiresAt: new Date(Date.now() + 60000),
+  ...overrides
+});
+
+describe('inventoryService', () => {
+  beforeEach(() => {
+    jest.spyOn(InventoryReservation, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Product, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('holdStock', () => {
+    it('takes variant stock with a conditional update and records a hold', async () => {
+      const product = buildProduct();
+      const [variant] = product.variants;
+      const [size6] = variant.options;
+      const order = new mongoose.Types.ObjectId();
+
+      jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(product));
+      const take = jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(product));
+      const create = jest.spyOn(InventoryReservation, 'create').mockImplementation(async (data) => data);
+
+      const reservations = await inventoryService.holdStock({
+        items: [{ product: product._id, variant: { options: [{ variant: variant._id, option: size6._id }] }, quantity: 2 }],
+        order
+      });
+
+      const [filter, update, options] = take.mock.calls[0];
+      expect(filter.$and[0].variants.$elemMatch.options.$elemMatch).toEqual({
+        _id: size6._id,
+        'inventory.quantity': { $gte: 2 }
+      });
+      expect(update.$inc).toEqual({ 'variants.$[v0].options.$[o0].inventory.quantity': -2 });
+      expect(options.arrayFilters).toEqual([{ 'v0._id': variant._id }, { 'o0._id': size6._id }]);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ order, quantity: 2, tracked: true }));
+      expect(reservations[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('moves no stock for products that do not track quantity', async () => {
+      const product = buildProduct({ inventory: { quantity: 0, trackQuantity: false }, variants: [] });
+      jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(product));
+      const take = jest.spyOn(Product, 'findOneAndUpdate');
+      jest.spyOn(InventoryReservation, 'create').mockImplementation(async (data) => data);
+
+      const [reservation] = await inventoryService.holdStock({ items: [{ product: product._id, quantity: 3 }] });
+
+      expect(take).not.toHaveBeenCalled();
+      expect(reservation.tracked).toBe(false);
+    });
+
+    it('gives back earlier holds when a later item is out of stock', async () => {
+      const ring = buildProduct({ variants: [] });
+      const pendant = buildProduct({ name: 'Pendant', sku: 'PEND-1', inventory: { quantity: 0, trackQuantity: true }, variants: [] });
+      const held = reservationFor(ring, { quantity: 1 });
+
+      jest.spyOn(Product, 'findById').mockImplementation(id => mockQuery(id.equals(ring._id) ? ring : pendant));
+      jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(filter =>
+        mockQuery(filter._id.equals(ring._id) ? ring : null)
+      );
+      jest.spyOn(InventoryReservation, 'create').mockResolvedValue(held);
+      const close = jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(held);
+
+      await expect(inventoryService.holdStock({
+        items: [{ product: ring._id, quantity: 1 }, { product: pendant._id, quantity: 1 }]
+      })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Insufficient stock for "Pendant". Available: 0, Requested: 1'
+      });
+
+      expect(close).toHaveBeenCalledWith(
+        { _id: held._id, status: 'active' },
+        expect.objectContaining({ status: 'released', releaseReason: 'hold_failed' }),
+        { new: true }
+      );
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: ring._id },
+        { $inc: { 'inventory.quantity': 1 } },
+        { new: true }
+      );
+    });
+
+    it('holds exchange replacements against the return until the given time', async () => {
+      const product = buildProduct({ variants: [] });
+      const returnRequest = new mongoose.Types.ObjectId();
+      const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+      jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(product));
+      jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(product));
+      const create = jest.spyOn(InventoryReservation, 'create').mockImplementation(async (data) => data);
+
+      await inventoryService.holdStock({ items: [{ product: product._id, quantity: 1 }], returnRequest, expiresAt });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ returnRequest, expiresAt, order: undefined }));
+    });
+  });
+
+  describe('commitReservations', () => {
+    it('retakes stock for holds that lapsed and counts the sale', async () => {
+      const product = buildProduct({ variants: [] });
+      const lapsed = reservationFor(product, { status: 'expired', quantity: 2 });
+      lapsed.product = product;
+
+      InventoryReservation.find.mockReturnValue(mockQuery([lapsed]));
+      const take = jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(product));
+      const commit = jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(lapsed);
+
+      await expect(inventoryService.commitOrder(lapsed.order)).resolves.toBe(1);
+
+      expect(take.mock.calls[0][0]).toEqual({ _id: product._id, 'inventory.quantity': { $gte: 2 } });
+      expect(commit).toHaveBeenCalledWith(
+        { _id: lapsed._id, status: 'expired' },
+        expect.objectContaining({ status: 'committed' }),
+        { new: true }
+      );
+      expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(product._id, { $inc: { soldCount: 2 } });
+    });
+
+    it('takes stock again for a hold the sweep expired while it was being committed', async () => {
+      const product = buildProduct({ variants: [] });
+      const held = reservationFor(product, { quantity: 2 });
+      held.product = product;
+      const lapsed = reservationFor(product, { _id: held._id, status: 'expired', quantity: 2 });
+      lapsed.product = product;
+
+      InventoryReservation.find.mockReturnValue(mockQuery([held]));
+      const commit = jest.spyOn(InventoryReservation, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(lapsed);
+      jest.spyOn(InventoryReservation, 'findById').mockReturnValue(mockQuery(lapsed));
+      const take = jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(product));
+
+      await expect(inventoryService.commitOrder(held.order)).resolves.toBe(1);
+
+      expect(commit.mock.calls.map(([filter]) => filter.status)).toEqual(['active', 'expired']);
+      expect(take.mock.calls[0][0]).toEqual({ _id: product._id, 'inventory.quantity': { $gte: 2 } });
+      expect(Product.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('skips holds another process committed first', async () => {
+      const product = buildProduct({ variants: [] });
+      const held = reservationFor(product);
+      held.product = product;
+
+      InventoryReservation.find.mockReturnValue(mockQuery([held]));
+      jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(InventoryReservation, 'findById').mockReturnValue(
+        mockQuery(Object.assign(reservationFor(product, { status: 'committed' }), { product }))
+      );
+
+      await expect(inventoryService.commitOrder(held.order)).resolves.toBe(0);
+      expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('puts earlier holds back when a later one cannot be committed', async () => {
+      const ring = buildProduct({ variants: [] });
+      const pendant = buildProduct({ name: 'Pendant', sku: 'PEND-1', variants: [] });
+      const lapsed = reservationFor(ring, { status: 'expired', quantity: 2 });
+      lapsed.product = ring;
+      const soldOut = reservationFor(pendant, { status: 'expired' });
+      soldOut.product = pendant;
+
+      InventoryReservation.find.mockReturnValue(mockQuery([lapsed, soldOut]));
+      jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(filter =>
+        mockQuery(filter._id.equals(ring._id) ? ring : null)
+      );
+      const update = jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(lapsed);
+
+      await expect(inventoryService.commitOrder(lapsed.order)).rejects.toMatchObject({
+        statusCode: 409,
+        message: '"Pendant" sold out before the hold was committed'
+      });
+
+      expect(update).toHaveBeenLastCalledWith(
+        { _id: lapsed._id, status: 'committed' },
+        { status: 'expired', $unset: { committedAt: 1 } },
+        { new: true }
+      );
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: ring._id },
+        { $inc: { 'inventory.quantity': 2, soldCount: -2 } },
+        { new: true }
+      );
+    });
+
+    it('refuses to commit a lapsed hold whose stock has sold out', async () => {
+      const product = buildProduct({ variants: [] });
+      const lapsed = reservationFor(product, { status: 'expired' });
+      lapsed.product = product;
+
+      InventoryReservation.find.mockReturnValue(mockQuery([lapsed]));
+      jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+      await expect(inventoryService.commitReturn(new mongoose.Types.ObjectId())).rejects.toMatchObject({
+        statusCode: 409,
+        message: '"Solitaire Ring" sold out before the hold was committed'
+      });
+    });
+
+    it('looks exchange holds up by their return', async () => {
+      const returnId = new mongoose.Types.ObjectId();
+
+      await inventoryService.commitReturn(returnId);
+
+      expect(InventoryReservation.find).toHaveBeenCalledWith({
+        returnRequest: returnId,
+        status: { $in: ['active', 'expired'] }
+      });
+    });
+  });
+
+  describe('releaseReservations', () => {
+    it('puts committed stock back and takes it off the sold count', async () => {
+      const product = buildProduct({ variants: [] });
+      const committed = reservationFor(product, { status: 'committed', quantity: 2 });
+
+      InventoryReservation.find.mockReturnValue(mockQuery([committed]));
+      jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(committed);
+
+      await expect(inventoryService.releaseOrder(committed.order, 'payment_failed')).resolves.toBe(1);
+
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: product._id },
+        { $inc: { 'inventory.quantity': 2, soldCount: -2 } },
+        { new: true }
+      );
+    });
+
+    it('skips holds another process already closed', async () => {
+      const product = buildProduct({ variants: [] });
+      InventoryReservation.find.mockReturnValue(mockQuery([reservationFor(product)]));
+      jest.spyOn(InventoryReservation, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(inventoryService.releaseReturn(new mongoose.Types.ObjectId())).resolves.toBe(0);
+      expect(Product.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
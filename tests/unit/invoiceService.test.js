@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Shipment = require('../../src/models/Shipment');
+const counterService = require('../../src/services/counterService');
+const inventoryService = require('../../src/services/inventoryService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const settingService = require('../../src/services/settingService');
+const invoiceService = require('../../src/services/invoiceService');
+const mockQuery = require('../helpers/mockQuery');
+
+const buildOrder = (overrides = {}) => {
+  const order = new Order({
+    orderNumber: 'BJ-2026-000042',
+    email: 'ada@example.com',
+    status: 'paid',
+    paymentStatus: 'paid',
+    paymentMethod: 'stripe',
+    subtotal: 200,
+    shippingCost: 10,
+    tax: 16,
+    total: 226,
+    shippingAddress: { firstName: 'Ada', lastName: 'Lovelace', address1: '1 Main St', city: 'Boston', country: 'US' },
+    items: [
+      { product: new mongoose.Types.ObjectId(), name: 'Halo Ring', quantity: 2, price: 100, totalPrice: 200 }
+    ],
+    ...overrides
+  });
+  jest.spyOn(order, 'populate').mockResolvedValue(order);
+  return order;
+};
+
+describe('invoiceService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) =>
+      (key === 'business_address' ? '1 Jewel Row\nNew York, NY' : fallback)
+    );
+    jest.spyOn(counterService, 'next').mockResolvedValue({ number: 'INV-000007', sequence: 7 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issueInvoice', () => {
+    it('will not invoice an unpaid order', async () => {
+      await expect(invoiceService.issueInvoice(buildOrder({ paymentStatus: 'pending' })))
+        .rejects.toThrow('An invoice is issued once the order has been paid');
+    });
+
+    it('claims the order before drawing a number', async () => {
+      const order = buildOrder();
+      const update = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const invoice = await invoiceService.issueInvoice(order);
+
+      const [filter, claim] = update.mock.calls[0];
+      expect(filter).toMatchObject({ _id: order._id, 'invoice.number': { $exists: false } });
+      expect(filter.$or[0]).toEqual({ 'invoice.issuedAt': { $exists: false } });
+      expect(invoice).toMatchObject({ number: 'INV-000007', sequence: 7, issuedAt: claim.$set['invoice.issuedAt'] });
+      expect(update.mock.calls[1][0]).toMatchObject({ 'invoice.issuedAt': claim.$set['invoice.issuedAt'] });
+      expect(update.mock.calls[1][1].$set.invoice.number).toBe('INV-000007');
+    });
+
+    it('lets a claim left behind by a crashed request be taken over', async () => {
+      const order = buildOrder();
+      const update = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await invoiceService.issueInvoice(order);
+
+      const staleBefore = update.mock.calls[0][0].$or[1]['invoice.issuedAt'].$lte;
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(60 * 1000);
+    });
+
+    it('releases the claim when no number could be drawn', async () => {
+      const order = buildOrder();
+      const update = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      counterService.next.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(invoiceService.issueInvoice(order)).rejects.toThrow('Database unavailable');
+
+      const issuedAt = update.mock.calls[0][1].$set['invoice.issuedAt'];
+      expect(update).toHaveBeenLastCalledWith(
+        { _id: order._id, 'invoice.issuedAt': issuedAt, 'invoice.number': { $exists: false } },
+        { $unset: { 'invoice.issuedAt': 1 } }
+      );
+      expect(order.invoice.number).toBeUndefined();
+    });
+
+    it('waits for the number another request is issuing', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ invoice: { number: 'INV-000006', sequence: 6 } }));
+
+      await expect(invoiceService.issueInvoice(order)).resolves.toEqual({ number: 'INV-000006', sequence: 6 });
+      expect(counterService.next).not.toHaveBeenCalled();
+    });
+
+    it('keeps the number an order already has', async () => {
+      const order = buildOrder({ invoice: { number: 'INV-000001', sequence: 1, issuedAt: new Date() } });
+      const update = jest.spyOn(Order, 'updateOne');
+
+      await expect(invoiceService.issueInvoice(order)).resolves.toMatchObject({ number: 'INV-000001' });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  it('renders the invoice as a PDF attachment', async () => {
+    const order = buildOrder({ invoice: { number: 'INV-000001', sequence: 1, issuedAt: new Date() } });
+
+    const attachment = await invoiceService.getInvoiceAttachment(order);
+
+    expect(attachment.filename).toBe('invoice-INV-000001.pdf');
+    expect(attachment.contentType).toBe('application/pdf');
+    expect(attachment.content.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('renders a packing slip for one shipment', async () => {
+    const order = buildOrder();
+    const shipment = new Shipment({ order: order._id, items: [{ orderItem: order.items[0]._id, quantity: 1 }], carrier: 'ups', trackingNumber: '1Z' });
+
+    const pdf = await invoiceService.renderPackingSlip(order, shipment);
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('issues the invoice once the order is paid', async () => {
+    jest.spyOn(inventoryService, 'commitOrder').mockResolvedValue(1);
+    const issue = jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue({});
+    const order = buildOrder({ status: 'pending', paymentStatus: 'pending' });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+
+    await orderStatusService.applyTransition(order, { paymentStatus: 'paid' }, { notifyCustomer: false });
+
+    expect(issue).toHaveBeenCalledWith(order);
+  });
+});
\ No newline at end of file
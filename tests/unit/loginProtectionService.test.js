@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const emailService = require('../../src/services/emailService');
+const loginProtectionService = require('../../src/services/loginProtectionService');
+const mockQuery = require('../helpers/mockQuery');
+
+const minutes = (count) => count * 60 * 1000;
+
+// Throttle records as they stand after the failure being counted
+const mockFailures = (account, ip = { failures: 1 }) => {
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+    .mockResolvedValueOnce({ _id: 'account', lockouts: 0, ...account })
+    .mockResolvedValueOnce({ _id: 'ip', lockouts: 0, ...ip });
+};
+
+describe('loginProtectionService', () => {
+  const attempt = { email: ' Ada@Example.com ', ipAddress: '203.0.113.9', userAgent: 'test' };
+
+  beforeEach(() => {
+    jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordFailure', () => {
+    it('counts failures against the account and the IP without delaying the first few', async () => {
+      mockFailures({ failures: 3 });
+
+      expect(await loginProtectionService.recordFailure(attempt)).toBe(0);
+
+      expect(LoginThrottle.findOneAndUpdate.mock.calls.map(([filter]) => filter.key))
+        .toEqual(['account:ada@example.com', 'ip:203.0.113.9']);
+      // The failure count resets once the last failure falls out of the window
+      const [{ $set }] = LoginThrottle.findOneAndUpdate.mock.calls[0][1];
+      expect($set.failures.$cond[2]).toBe(1);
+      expect(LoginThrottle.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('doubles the delay with each failure past the free attempts', async () => {
+      mockFailures({ failures: 6 });
+
+      expect(await loginProtectionService.recordFailure(attempt)).toBe(4);
+      expect(LoginThrottle.updateOne).toHaveBeenCalledWith(
+        { _id: 'account' },
+        { $set: { blockedUntil: expect.any(Date) } }
+      );
+    });
+
+    it('locks the account out, for longer after each lockout', async () => {
+      mockFailures({ failures: 10, lockouts: 2 });
+
+      const wait = await loginProtectionService.recordFailure(attempt);
+
+      // 15 minutes, doubled for each earlier lockout
+      expect(wait).toBe(60 * 60);
+      const [, { $set }] = LoginThrottle.updateOne.mock.calls[0];
+      expect($set).toEqual(expect.objectContaining({ failures: 0, lockouts: 3, blockedUntil: null }));
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'account_locked',
+        email: 'ada@example.com',
+        details: { lockedUntil: $set.lockedUntil, lockouts: 3 }
+      }));
+    });
+
+    it('caps lockouts at a day', async () => {
+      mockFailures({ failures: 10, lockouts: 12 });
+
+      expect(await loginProtectionService.recordFailure(attempt)).toBe(24 * 60 * 60);
+    });
+
+    it('alerts admins whose account is locked', async () => {
+      jest.spyOn(emailService, 'sendAccountLockedAlert').mockResolvedValue();
+      mockFailures({ failures: 10 });
+      const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com', firstName: 'Grace' };
+
+      await loginProtectionService.recordFailure({ ...attempt, user: admin });
+
+      expect(emailService.sendAccountLockedAlert).toHaveBeenCalledWith('admin@example.com', expect.objectContaining({
+        firstName: 'Grace',
+        ipAddress: '203.0.113.9'
+      }));
+    });
+
+    it('locks out an IP that fails across many accounts', async () => {
+      mockFailures({ failures: 1 }, { failures: 50 });
+
+      expect(await loginProtectionService.recordFailure(attempt)).toBe(15 * 60);
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'ip_locked' }));
+    });
+  });
+
+  describe('check', () => {
+    it('lets attempts through when nothing is held against them', async () => {
+      jest.spyOn(LoginThrottle, 'find').mockResolvedValue([{ key: 'account:ada@example.com', failures: 2 }]);
+
+      await expect(loginProtectionService.check(attempt)).resolves.toBeUndefined();
+    });
+
+    it('reports a lockout ahead of a longer delay', async () => {
+      jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+        { key: 'ip:203.0.113.9', blockedUntil: new Date(Date.now() + minutes(30)) },
+        { key: 'account:ada@example.com', lockedUntil: new Date(Date.now() + minutes(15)) }
+      ]);
+
+      await expect(loginProtectionService.check(attempt)).rejects.toMatchObject({
+        statusCode: 429,
+        locked: true,
+        retryAfter: 15 * 60,
+        message: 'Too many failed sign-in attempts. Please try again in 15 minutes.'
+      });
+    });
+
+    it('asks for a short wait while delayed', async () => {
+      jest.spyOn(LoginThrottle, 'find').mockResolvedValue([{ key: 'account:ada@example.com', blockedUntil: new Date(Date.now() + 1000) }]);
+
+      await expect(loginProtectionService.check(attempt)).rejects.toThrow('Please wait 1 second before trying again.');
+    });
+  });
+
+  it('clears only the account failures on a successful sign-in', async () => {
+    jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({});
+
+    await loginProtectionService.recordSuccess(attempt);
+
+    expect(LoginThrottle.deleteOne).toHaveBeenCalledWith({ key: 'account:ada@example.com' });
+  });
+
+  it('lets an admin unlock an account and records it', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com' };
+    jest.spyOn(LoginThrottle, 'findOneAndDelete').mockResolvedValue({ failures: 0, lockedUntil: new Date(Date.now() + minutes(5)) });
+
+    expect(await loginProtectionService.unlockAccount(user, { actor: 'admin-1' })).toBe(true);
+    expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'account_unlocked',
+      actor: 'admin-1',
+      details: { wasLocked: true, failures: 0 }
+    }));
+  });
+
+  it('lists active lockouts by type', async () => {
+    const lockedUntil = new Date(Date.now() + minutes(5));
+    jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([
+      { key: 'ip:2001:db8::1', lockedUntil, lockouts: 1 }
+    ]));
+
+    expect(await loginProtectionService.getActiveLockouts()).toEqual([
+      { type: 'ip', value: '2001:db8::1', lockedUntil, lockouts: 1, lastFailureAt: undefined }
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const MetalPrice = require('../../src/models/MetalPrice');
+const PriceHistory = require('../../src/models/PriceHistory');
+const RepricingPreview = require('../../src/models/RepricingPreview');
+const settingService = require('../../src/services/settingService');
+const currencyService = require('../../src/services/currencyService');
+const metalPricingService = require('../../src/services/metalPricingService');
+const mockQuery = require('../helpers/mockQuery');
+
+const goldId = new mongoose.Types.ObjectId();
+const spotPrices = {
+  gold: { _id: goldId, metal: 'gold', pricePerGram: 80, createdAt: new Date('2026-05-01T09:00:00Z') }
+};
+
+const eur = { currency: 'EUR', base: 'USD', rate: 0.9, rounding: { increment: 1, ending: 0.99, mode: 'up' } };
+
+const ring = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Signet Ring',
+  sku: 'RING-1',
+  price: 350,
+  comparePrice: 420,
+  attributes: { metal: '14K Yellow Gold', weight: '3 g' },
+  pricingFormula: { enabled: true, laborCost: 60, markupPercent: 100 },
+  prices: [{ _id: new mongoose.Types.ObjectId(), currency: 'EUR', price: 320.99, comparePrice: 384.99 }],
+  variants: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Metal',
+      options: [
+        { _id: new mongoose.Types.ObjectId(), name: '14K Yellow Gold', price: 350 },
+        { _id: new mongoose.Types.ObjectId(), name: '18K Yellow Gold', price: 450 }
+      ]
+    },
+    {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Size',
+      options: [
+        { _id: new mongoose.Types.ObjectId(), name: '6' },
+        { _id: new mongoose.Types.ObjectId(), name: '12', price: 360 }
+      ]
+    }
+  ]
+});
+
+describe('metalPricingService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads metal, purity and weight from product attributes', () => {
+    expect(metalPricingService.parseMetal('14K Yellow Gold')).toEqual({ metal: 'gold', purity: 14 / 24 });
+    expect(metalPricingService.parseMetal('Platinum 950')).toEqual({ metal: 'platinum', purity: 0.95 });
+    expect(metalPricingService.parseMetal('Sterling')).toEqual({ metal: 'silver', purity: 0.925 });
+    expect(metalPricingService.parseMetal('Yellow Gold')).toBeNull();
+    expect(metalPricingService.parseMetal('Titanium')).toBeNull();
+
+    expect(metalPricingService.parseWeight('3.5g')).toBe(3.5);
+    expect(metalPricingService.parseWeight('2 dwt')).toBeCloseTo(3.11034);
+    expect(metalPricingService.parseWeight('heavy')).toBeNull();
+    expect(metalPricingService.parseWeight('3 lb')).toBeNull();
+  });
+
+  it('prices metal, labour and markup, rounded to the increment', () => {
+    const { price, breakdown } = metalPricingService.calculatePrice(
+      { laborCost: 60, stoneCost: 15.5, markupPercent: 50 }, '18K Gold', 3, spotPrices, 5
+    );
+
+    // 3 g x 0.75 x 80 = 180, plus 75.50 of labour and stones, plus half again
+    expect(breakdown.metalCost).toBe(180);
+    expect(price).toBe(385);
+  });
+
+  it('refuses metals without a spot price', () => {
+    expect(() => metalPricingService.calculatePrice({}, 'Platinum', 3, spotPrices, 1))
+      .toThrow('No spot price has been recorded for platinum');
+  });
+
+  describe('priceProduct', () => {
+    it('reprices metal options with their own metal and keeps other surcharges', () => {
+      const priced = metalPricingService.priceProduct(ring(), spotPrices, 1, { EUR: eur });
+
+      expect(priced.price).toBe(400);
+      // The compare price keeps its ratio to the price
+      expect(priced.comparePrice).toBe(480);
+      expect(priced.variantPrices.map(entry => [entry.option, entry.previousPrice, entry.price])).toEqual([
+        ['14K Yellow Gold', 350, 400],
+        ['18K Yellow Gold', 450, 480],
+        ['12', 360, 410]
+      ]);
+      expect(priced.currencyPrices).toEqual([expect.objectContaining({
+        currency: 'EUR',
+        previousPrice: 320.99,
+        price: 366.99,
+        comparePrice: 439.99
+      })]);
+    });
+
+    it('refuses products whose weight cannot be read', () => {
+      const product = { ...ring(), attributes: { metal: '14K Gold', weight: 'about three grams' } };
+
+      expect(() => metalPricingService.priceProduct(product, spotPrices, 1))
+        .toThrow('Cannot read the metal weight "about three grams"');
+    });
+  });
+
+  it('writes only price paths when applying a change', () => {
+    const product = ring();
+    const change = { ...metalPricingService.priceProduct(product, spotPrices, 1, { EUR: eur }), comparePrice: undefined };
+    const now = new Date();
+
+    const { update, arrayFilters } = metalPricingService.buildPriceUpdate(change, now);
+
+    const [metal, size] = product.variants;
+    expect(update.$set).toEqual({
+      price: 400,
+      'pricingFormula.lastPricedAt': now,
+      'variants.$[v0].options.$[v0o1].price': 400,
+      'variants.$[v0].options.$[v0o2].price': 480,
+      'variants.$[v1].options.$[v1o4].price': 410,
+      'prices.$[p0].price': 366.99,
+      'prices.$[p0].comparePrice': 439.99
+    });
+    expect(update.$unset).toEqual({ comparePrice: 1 });
+    expect(arrayFilters).toEqual([
+      { 'v0._id': metal._id },
+      { 'v0o1._id': metal.options[0]._id },
+      { 'v0o2._id': metal.options[1]._id },
+      { 'v1._id': size._id },
+      { 'v1o4._id': size.options[1]._id },
+      { 'p0._id': product.prices[0]._id }
+    ]);
+  });
+
+  it('keeps a preview of every formula-priced product, noting the ones it cannot price', async () => {
+    const broken = { ...ring(), name: 'Mystery Band', attributes: { metal: 'Titanium', weight: '4 g' } };
+    jest.spyOn(MetalPrice, 'aggregate').mockResolvedValue([{ _id: 'gold', entry: spotPrices.gold }]);
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) => fallback);
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery([ring(), broken]));
+    jest.spyOn(RepricingPreview, 'create').mockImplementation(async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+    jest.spyOn(currencyService, 'getContext').mockResolvedValue(eur);
+
+    const preview = await metalPricingService.previewRepricing();
+
+    expect(preview.summary).toEqual({ products: 2, changed: 1, errors: 1 });
+    expect(preview.changes[0]).toEqual(expect.objectContaining({ currentPrice: 350, price: 400, difference: 50, changed: true }));
+    expect(preview.changes[1]).toEqual(expect.objectContaining({
+      name: 'Mystery Band',
+      error: 'Cannot tell the metal and purity of "Titanium"',
+      changed: false
+    }));
+    expect(RepricingPreview.create.mock.calls[0][0].spotPrices).toEqual([
+      { metal: 'gold', pricePerGram: 80, metalPrice: goldId, recordedAt: spotPrices.gold.createdAt }
+    ]);
+  });
+
+  describe('applyRepricing', () => {
+    const storedPreview = (changes) => ({
+      _id: new mongoose.Types.ObjectId(),
+      spotPrices: [{ metal: 'gold', pricePerGram: 80, metalPrice: goldId }],
+      changes
+    });
+
+    beforeEach(() => {
+      jest.spyOn(PriceHistory, 'create').mockResolvedValue({});
+      jest.spyOn(MetalPrice, 'updateMany').mockResolvedValue({});
+    });
+
+    it('applies each change once, skipping products edited since the preview', async () => {
+      const priced = metalPricingService.priceProduct(ring(), spotPrices, 1);
+      const edited = { ...priced, product: new mongoose.Types.ObjectId(), name: 'Edited', currentPrice: 300, changed: true };
+      const current = { ...priced, product: new mongoose.Types.ObjectId(), name: 'Signet Ring', currentPrice: 350, changed: true };
+      jest.spyOn(RepricingPreview, 'findOneAndUpdate').mockResolvedValue(storedPreview([current, edited]));
+      jest.spyOn(Product, 'updateOne').mockImplementation(async (filter) => ({ modifiedCount: filter.price === 350 ? 1 : 0 }));
+
+      const result = await metalPricingService.applyRepricing('preview-1', { actor: 'admin-1' });
+
+      expect(RepricingPreview.findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({ _id: 'preview-1', appliedAt: null }));
+      expect(result.applied).toEqual([expect.objectContaining({ name: 'Signet Ring', previousPrice: 350, price: 400 })]);
+      expect(result.skipped).toEqual([expect.objectContaining({ name: 'Edited', reason: 'Price changed since the preview' })]);
+      expect(PriceHistory.create).toHaveBeenCalledTimes(1);
+      expect(PriceHistory.create).toHaveBeenCalledWith(expect.objectContaining({ source: 'metal_repricing', changedBy: 'admin-1' }));
+      expect(MetalPrice.updateMany).toHaveBeenCalledWith({ _id: { $in: [goldId] }, appliedAt: null }, { appliedAt: expect.any(Date) });
+    });
+
+    it('refuses a preview that was already applied or has expired', async () => {
+      jest.spyOn(RepricingPreview, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Product, 'updateOne');
+      jest.spyOn(RepricingPreview, 'findById')
+        .mockReturnValueOnce(mockQuery({ appliedAt: new Date() }))
+        .mockReturnValueOnce(mockQuery(null));
+
+      await expect(metalPricingService.applyRepricing('preview-1')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(metalPricingService.applyRepricing('preview-1')).rejects.toMatchObject({ statusCode: 404 });
+      expect(Product.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const OAuthState = require('../../src/models/OAuthState');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const accountService = require('../../src/services/accountService');
+const tokenService = require('../../src/services/tokenService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const oauthService = require('../../src/services/oauthService');
+const { authConfig, jwtUtils } = require('../../src/config/auth');
+const mockQuery = require('../helpers/mockQuery');
+
+const google = oauthService.providers.google;
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const profile = (fields) => ({
+  id: 'google-123',
+  email: 'Ada@Example.com',
+  emailVerified: true,
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  ...fields
+});
+
+const member = (fields) => new User({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: 'hashed-password',
+  isVerified: true,
+  ...fields
+});
+
+// User.findOne answering provider identity lookups and email lookups separately
+const mockUsers = ({ linked = null, byEmail = null } = {}) => {
+  jest.spyOn(User, 'findOne').mockImplementation((query) => mockQuery(query.oauthAccounts ? linked : byEmail));
+};
+
+describe('oauthService', () => {
+  const originalGoogle = { ...authConfig.oauth.google };
+
+  beforeAll(() => {
+    Object.assign(authConfig.oauth.google, {
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      redirectUri: 'https://shop.example.com/api/auth/oauth/google/callback'
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(authConfig.oauth.google, originalGoogle);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(OAuthState, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startAuthorization', () => {
+    it('keeps only the state hash and sends the S256 challenge of the PKCE verifier', async () => {
+      const { state, authorizationUrl } = await oauthService.startAuthorization('google', { redirectPath: '/account/orders' });
+
+      const stored = OAuthState.create.mock.calls[0][0];
+      expect(stored.stateHash).toBe(jwtUtils.hashToken(state));
+      expect(stored).not.toHaveProperty('state');
+      expect(stored.redirectPath).toBe('/account/orders');
+
+      const params = new URL(authorizationUrl).searchParams;
+      expect(params.get('state')).toBe(state);
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBe(base64Url(crypto.createHash('sha256').update(stored.codeVerifier).digest()));
+      expect(params.get('code_challenge')).not.toBe(stored.codeVerifier);
+    });
+
+    it('drops redirect paths that leave the site', async () => {
+      for (const redirectPath of ['//evil.example.com', 'https://evil.example.com', '/\\evil.example.com']) {
+        await oauthService.startAuthorization('google', { redirectPath });
+      }
+
+      expect(OAuthState.create.mock.calls.map(([fields]) => fields.redirectPath)).toEqual([undefined, undefined, undefined]);
+    });
+
+    it('refuses unknown or unconfigured providers', async () => {
+      await expect(oauthService.startAuthorization('myspace')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(oauthService.startAuthorization('constructor')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(oauthService.startAuthorization('facebook')).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'Facebook sign-in is not configured'
+      });
+    });
+  });
+
+  describe('handleCallback', () => {
+    const stateRecord = (fields) => ({
+      intent: 'login',
+      codeVerifier: 'verifier-1',
+      redirectPath: '/account',
+      save: jest.fn().mockResolvedValue(),
+      ...fields
+    });
+
+    beforeEach(() => {
+      jest.spyOn(google, 'exchangeCode').mockResolvedValue({ accessToken: 'access-1' });
+      jest.spyOn(google, 'fetchProfile').mockResolvedValue(profile());
+    });
+
+    it('spends the state once and hands the sign-in over with a one-time code', async () => {
+      const record = stateRecord();
+      const user = member({ oauthAccounts: [{ provider: 'google', providerId: 'google-123' }] });
+      jest.spyOn(OAuthState, 'findOneAndUpdate').mockResolvedValue(record);
+      mockUsers({ linked: user });
+
+      const result = await oauthService.handleCallback('google', { state: 'state-1', code: 'code-1', browserState: 'state-1' });
+
+      expect(OAuthState.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        stateHash: jwtUtils.hashToken('state-1'),
+        provider: 'google',
+        usedAt: null,
+        expiresAt: { $gt: expect.any(Date) }
+      });
+      expect(google.exchangeCode).toHaveBeenCalledWith({ code: 'code-1', codeVerifier: 'verifier-1' });
+      expect(result).toEqual({ intent: 'login', handoffCode: expect.any(String), redirectPath: '/account', isNewUser: false });
+      expect(record.handoff).toEqual(expect.objectContaining({ codeHash: jwtUtils.hashToken(result.handoffCode), user: user._id }));
+    });
+
+    it('refuses a callback finished in another browser before trading the code', async () => {
+      jest.spyOn(OAuthState, 'findOneAndUpdate')
+        .mockResolvedValueOnce(stateRecord())
+        .mockResolvedValueOnce(stateRecord({ intent: 'link' }));
+
+      await expect(oauthService.handleCallback('google', { state: 'state-1', code: 'code-1' }))
+        .rejects.toThrow('Sign-in was started in another browser; please try again');
+      await expect(oauthService.handleCallback('google', { state: 'state-1', code: 'code-1', browserState: 'state-2' }))
+        .rejects.toThrow('Linking was started in another browser; please try again');
+      expect(google.exchangeCode).not.toHaveBeenCalled();
+    });
+
+    it('refuses a spent or expired state', async () => {
+      jest.spyOn(OAuthState, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(oauthService.handleCallback('google', { state: 'state-1', code: 'code-1', browserState: 'state-1' }))
+        .rejects.toThrow('Sign-in link is invalid or has expired; please try again');
+    });
+  });
+
+  it('redeems a handoff code once', async () => {
+    const user = member();
+    jest.spyOn(OAuthState, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ provider: 'google', handoff: { user: user._id, isNewUser: true } })
+      .mockResolvedValueOnce(null);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    expect(await oauthService.redeemHandoff('handoff-1')).toEqual({ user, isNewUser: true, provider: 'google' });
+    expect(OAuthState.findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+      'handoff.codeHash': jwtUtils.hashToken('handoff-1'),
+      'handoff.usedAt': null
+    }));
+    await expect(oauthService.redeemHandoff('handoff-1')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  describe('findOrCreateUser', () => {
+    it('will not link to an existing account on an email the provider does not vouch for', async () => {
+      mockUsers({ byEmail: member() });
+
+      await expect(oauthService.findOrCreateUser('google', profile({ emailVerified: false })))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('links a vouched-for email to the verified account that has it', async () => {
+      const existing = member();
+      mockUsers({ byEmail: existing });
+      jest.spyOn(twoFactorService, 'clear');
+
+      const { user, isNewUser } = await oauthService.findOrCreateUser('google', profile());
+
+      expect(user).toBe(existing);
+      expect(isNewUser).toBe(false);
+      expect(existing.password).toBe('hashed-password');
+      expect(existing.oauthAccounts.map(account => account.providerId)).toEqual(['google-123']);
+      expect(twoFactorService.clear).not.toHaveBeenCalled();
+    });
+
+    it('takes an unverified account back for the owner of the email', async () => {
+      const existing = member({
+        isVerified: false,
+        twoFactor: { enabled: true },
+        oauthAccounts: [{ provider: 'facebook', providerId: 'fb-squatter', emailVerified: false }]
+      });
+      mockUsers({ byEmail: existing });
+      jest.spyOn(twoFactorService, 'clear').mockResolvedValue();
+      jest.spyOn(tokenService, 'revokeUserSessions').mockResolvedValue(1);
+
+      await oauthService.findOrCreateUser('google', profile(), { ipAddress: '203.0.113.1' });
+
+      expect(existing.password).toBeUndefined();
+      expect(existing.twoFactor.enabled).toBe(false);
+      expect(existing.oauthAccounts.map(account => account.provider)).toEqual(['google']);
+      expect(existing.isVerified).toBe(true);
+      expect(twoFactorService.clear).toHaveBeenCalledWith(existing._id);
+      expect(tokenService.revokeUserSessions).toHaveBeenCalledWith(existing._id, 'account_claimed');
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'unverified_account_claimed' }));
+    });
+
+    it('creates an unverified account and emails a link when the provider does not vouch for the email', async () => {
+      mockUsers();
+      jest.spyOn(accountService, 'sendVerification').mockResolvedValue({});
+
+      const { user, isNewUser } = await oauthService.findOrCreateUser('google', profile({ emailVerified: false }));
+
+      expect(isNewUser).toBe(true);
+      expect(user.email).toBe('ada@example.com');
+      expect(user.isVerified).toBe(false);
+      expect(accountService.sendVerification).toHaveBeenCalledWith(user);
+    });
+
+    it('refuses identities linked to a deactivated account', async () => {
+      const linked = member({ isActive: false });
+      mockUsers({ linked });
+
+      await expect(oauthService.findOrCreateUser('google', profile())).rejects.toThrow('Account has been deactivated');
+    });
+  });
+
+  describe('linking', () => {
+    it('refuses an identity already linked to someone else', async () => {
+      mockUsers({ linked: { _id: new mongoose.Types.ObjectId() } });
+
+      await expect(oauthService.linkAccount(member(), 'google', profile())).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'This Google account is already linked to another user'
+      });
+    });
+
+    it('keeps a way to sign in when unlinking', async () => {
+      const socialOnly = member({ password: undefined, oauthAccounts: [{ provider: 'google', providerId: 'google-123' }] });
+      jest.spyOn(User, 'findById').mockResolvedValue(socialOnly);
+
+      await expect(oauthService.unlinkAccount(socialOnly._id, 'google'))
+        .rejects.toThrow('Set a password before unlinking your only sign-in method');
+
+      socialOnly.password = 'hashed-password';
+      await oauthService.unlinkAccount(socialOnly._id, 'google');
+      expect(socialOnly.oauthAccounts).toHaveLength(0);
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'oauth_unlinked' }));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,331 @@
+jest.mock('../../src/services/orderStatusService', () => ({
+  ...jest.requireActual('../../src/services/orderStatusService'),
+  applyTransition: jest.fn()
+}));
+jest.mock('../../src/services/paymentService');
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Cart = require('../../src/models/Cart');
+const Analytics = require('../../src/models/Analytics');
+const Notification = require('../../src/models/Notification');
+const orderStatusService = require('../../src/services/orderStatusService');
+const paymentService = require('../../src/services/paymentService');
+const inventoryService = require('../../src/services/inventoryService');
+const emailService = require('../../src/services/emailService');
+const invoiceService = require('../../src/services/invoiceService');
+const orderPaymentService = require('../../src/services/orderPaymentService');
+
+const buildOrder = (overrides = {}) => {
+  const order = new Order({
+    orderNumber: 'ORD-1001',
+    status: 'pending',
+    paymentStatus: 'pending',
+    paymentMethod: 'stripe',
+    paymentDetails: { paymentId: 'pi_123' },
+    total: 120,
+    ...overrides
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+const succeeded = (amountReceived) => ({
+  id: 'evt_1',
+  type: 'payment_intent.succeeded',
+  paymentIntent: { id: 'pi_123', status: 'succeeded', amount_received: amountReceived, latest_charge: 'ch_1' }
+});
+
+describe('orderPaymentService', () => {
+  beforeEach(() => {
+    orderStatusService.applyTransition.mockImplementation(async (order, changes) => {
+      Object.entries(changes).forEach(([field, to]) => {
+        if (to) order[field] = to;
+      });
+      return [];
+    });
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('handleStripeEvent', () => {
+    const classify = (event) => {
+      paymentService.classifyStripeEvent.mockResolvedValue({ type: 'payment_success', paymentIntent: event.paymentIntent });
+    };
+
+    it('claims each event once and marks the order paid', async () => {
+      const order = buildOrder();
+      const event = succeeded(12000);
+      classify(event);
+      const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      const result = await orderPaymentService.handleStripeEvent(event);
+
+      expect(claim).toHaveBeenCalledWith(
+        { 'paymentDetails.paymentId': 'pi_123', 'paymentEvents.eventId': { $ne: 'evt_1' } },
+        { $push: { paymentEvents: { eventId: 'evt_1', provider: 'stripe', type: 'payment_intent.succeeded' } } },
+        { new: true }
+      );
+      expect(result).toEqual({ handled: true, orderId: order._id, outcome: 'paid' });
+      expect(orderStatusService.applyTransition).toHaveBeenCalledWith(
+        order,
+        { status: 'paid', paymentStatus: 'paid' },
+        expect.objectContaining({ actorType: 'system' })
+      );
+      expect(order.paymentDetails.transactionId).toBe('ch_1');
+    });
+
+    it('ignores an event it has already applied', async () => {
+      const event = succeeded(12000);
+      classify(event);
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(Order, 'exists').mockResolvedValue({ _id: 'order-1' });
+
+      await expect(orderPaymentService.handleStripeEvent(event)).resolves.toEqual({ handled: false, reason: 'duplicate' });
+      expect(orderStatusService.applyTransition).not.toHaveBeenCalled();
+    });
+
+    it('fails payments that fall short of the order total', async () => {
+      const order = buildOrder();
+      const event = succeeded(11999);
+      classify(event);
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      await expect(orderPaymentService.handleStripeEvent(event)).resolves.toMatchObject({ outcome: 'failed' });
+      expect(orderStatusService.applyTransition).toHaveBeenCalledWith(order, { paymentStatus: 'failed' }, {
+        actorType: 'system',
+        note: 'Payment failed: Amount received 119.99 is less than the order total 120'
+      });
+    });
+
+    it('forgets the event when handling it fails so the retry is processed', async () => {
+      const order = buildOrder();
+      const event = succeeded(12000);
+      classify(event);
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+      const release = jest.spyOn(Order, 'updateOne').mockResolvedValue({});
+      orderStatusService.applyTransition.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(orderPaymentService.handleStripeEvent(event)).rejects.toThrow('Database unavailable');
+      expect(release).toHaveBeenCalledWith({ _id: order._id }, { $pull: { paymentEvents: { eventId: 'evt_1' } } });
+    });
+  });
+
+  describe('handlePaypalEvent', () => {
+    const paypalEvent = (type, amount, overrides = {}) => ({
+      id: 'WH-EVT-1',
+      type,
+      paymentId: 'PAY-1',
+      saleId: 'SALE-1',
+      state: 'completed',
+      amount: { total: amount },
+      resource: { id: 'SALE-1' },
+      ...overrides
+    });
+
+    it('marks the order paid when the sale completes', async () => {
+      const order = buildOrder({ paymentMethod: 'paypal', paymentDetails: { paymentId: 'PAY-1' } });
+      const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      await expect(orderPaymentService.handlePaypalEvent(paypalEvent('PAYMENT.SALE.COMPLETED', '120.00')))
+        .resolves.toMatchObject({ handled: true, outcome: 'paid' });
+      expect(claim.mock.calls[0][0]).toEqual({ 'paymentDetails.paymentId': 'PAY-1', 'paymentEvents.eventId': { $ne: 'WH-EVT-1' } });
+      expect(order.paymentDetails.transactionId).toBe('SALE-1');
+    });
+
+    it('records reversals as gateway refunds', async () => {
+      const order = buildOrder({ status: 'paid', paymentStatus: 'paid', paymentMethod: 'paypal' });
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      await expect(orderPaymentService.handlePaypalEvent(paypalEvent('PAYMENT.SALE.REVERSED', '-120.00', { resource: { id: 'REV-1' } })))
+        .resolves.toMatchObject({ outcome: 'refunded' });
+      expect(order.refunds[0]).toMatchObject({ refundId: 'REV-1', provider: 'paypal', amount: 120, reason: 'Payment reversed by PayPal' });
+    });
+
+    it('ignores event types it does not handle', async () => {
+      await expect(orderPaymentService.handlePaypalEvent(paypalEvent('BILLING.PLAN.CREATED', '0')))
+        .resolves.toEqual({ handled: false, reason: 'ignored_event_type' });
+    });
+  });
+
+  describe('completePaypalPayment', () => {
+    it('leaves pending sales for the webhook to complete', async () => {
+      const order = buildOrder({ paymentMethod: 'paypal' });
+
+      await expect(orderPaymentService.completePaypalPayment(order, {
+        paymentId: 'PAY-1',
+        state: 'approved',
+        sale: { id: 'SALE-1', state: 'pending' }
+      })).resolves.toEqual({ outcome: 'pending' });
+      expect(order.paymentStatus).toBe('pending');
+      expect(order.paymentDetails.transactionId).toBe('SALE-1');
+    });
+
+    it('fails payments PayPal did not approve', async () => {
+      const order = buildOrder({ paymentMethod: 'paypal' });
+
+      await expect(orderPaymentService.completePaypalPayment(order, { paymentId: 'PAY-1', state: 'failed', sale: null }))
+        .resolves.toEqual({ outcome: 'failed' });
+    });
+  });
+
+  describe('markPaid', () => {
+    it('does nothing for orders already paid', async () => {
+      await expect(orderPaymentService.markPaid(buildOrder({ paymentStatus: 'paid' }), {}))
+        .resolves.toEqual({ outcome: 'already_paid' });
+    });
+
+    it('claims the payment with a conditional update', async () => {
+      const order = buildOrder();
+      const claim = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      await expect(orderPaymentService.markPaid(order, { transactionId: 'ch_1' })).resolves.toEqual({ outcome: 'paid' });
+      expect(claim).toHaveBeenCalledWith(
+        { _id: order._id, paymentStatus: { $nin: ['paid', 'refunded'] } },
+        { paymentStatus: 'paid' },
+        { projection: { paymentStatus: 1 } }
+      );
+    });
+
+    it('skips the paid side effects when another request claimed the payment', async () => {
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(orderPaymentService.markPaid(buildOrder(), { transactionId: 'ch_1' }))
+        .resolves.toEqual({ outcome: 'already_paid' });
+      expect(orderStatusService.applyTransition).not.toHaveBeenCalled();
+    });
+
+    it('marks the order paid once when the PayPal execute and webhook race', async () => {
+      const loaded = () => buildOrder({ paymentMethod: 'paypal', paymentDetails: { paymentId: 'PAY-1' } });
+      const order = loaded();
+      const webhookOrder = loaded();
+      webhookOrder._id = order._id;
+
+      let paid = false;
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter) => {
+        if (!filter.paymentStatus) {
+          return filter._id ? order : webhookOrder;
+        }
+        if (paid) return null;
+        paid = true;
+        return { paymentStatus: 'pending' };
+      });
+
+      const [executed, notified] = await Promise.all([
+        orderPaymentService.applyEvent(
+          { _id: order._id },
+          { id: 'execute_PAY-1', type: 'payment.execute', provider: 'paypal' },
+          (claimed) => orderPaymentService.completePaypalPayment(claimed, {
+            paymentId: 'PAY-1',
+            state: 'approved',
+            sale: { id: 'SALE-1', state: 'completed' }
+          })
+        ),
+        orderPaymentService.handlePaypalEvent({
+          id: 'WH-EVT-1',
+          type: 'PAYMENT.SALE.COMPLETED',
+          paymentId: 'PAY-1',
+          saleId: 'SALE-1',
+          state: 'completed',
+          amount: { total: '120.00' }
+        })
+      ]);
+
+      expect([executed.outcome, notified.outcome]).toEqual(['paid', 'already_paid']);
+      expect(orderStatusService.applyTransition).toHaveBeenCalledTimes(1);
+    });
+
+    it('takes payment for a cancelled order and hands it back', async () => {
+      const order = buildOrder({ status: 'cancelled' });
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+      await expect(orderPaymentService.markPaid(order, { transactionId: 'ch_1' }))
+        .resolves.toEqual({ outcome: 'refunded_cancelled_order' });
+      expect(orderStatusService.applyTransition.mock.calls.map(call => call[1])).toEqual([
+        { paymentStatus: 'paid' },
+        { paymentStatus: 'refunded' }
+      ]);
+    });
+
+    it('keeps the payment and alerts admins when stock ran out', async () => {
+      const order = buildOrder();
+      jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+      const release = jest.spyOn(Order, 'updateOne').mockResolvedValue({});
+      orderStatusService.applyTransition.mockRejectedValueOnce(Object.assign(new Error('Ring sold out'), { statusCode: 409 }));
+
+      await expect(orderPaymentService.markPaid(order, { transactionId: 'ch_1' }))
+        .resolves.toEqual({ outcome: 'stock_unavailable' });
+      expect(release).toHaveBeenCalledWith({ _id: order._id, paymentStatus: 'paid' }, { paymentStatus: 'pending' });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ priority: 'urgent' }));
+      expect(order.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('order status hooks', () => {
+    const { applyTransition } = jest.requireActual('../../src/services/orderStatusService');
+
+    it('empties the cart, sends the confirmation and tells the admins once the order is paid', async () => {
+      const order = buildOrder({ customer: new mongoose.Types.ObjectId() });
+      jest.spyOn(order, 'getContact').mockResolvedValue({ user: order.customer, email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' });
+      jest.spyOn(inventoryService, 'commitOrder').mockResolvedValue(1);
+      jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue({});
+      jest.spyOn(invoiceService, 'getInvoiceAttachment').mockResolvedValue({ filename: 'invoice.pdf' });
+      const cart = jest.spyOn(Cart, 'findOneAndUpdate').mockResolvedValue(null);
+      const confirm = jest.spyOn(emailService, 'sendOrderConfirmation').mockResolvedValue();
+      const analytics = jest.spyOn(Analytics, 'create').mockResolvedValue({});
+
+      await applyTransition(order, { paymentStatus: 'paid' }, { notifyCustomer: false });
+
+      expect(cart).toHaveBeenCalledWith({ user: order.customer, isActive: true }, { isActive: false });
+      expect(confirm).toHaveBeenCalledWith('ada@example.com', order, [{ filename: 'invoice.pdf' }]);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'new_order', recipientType: 'all_admins' }));
+      expect(analytics).toHaveBeenCalledWith(expect.objectContaining({ type: 'purchase', revenue: 120 }));
+    });
+  });
+
+  describe('refunds', () => {
+    it('splits refunds between the gateway and gift cards', () => {
+      const order = buildOrder({
+        total: 80,
+        giftCardAmount: 40,
+        refunds: [
+          { provider: 'stripe', amount: 30.1 },
+          { provider: 'gift_card', amount: 10.2 }
+        ]
+      });
+
+      expect(orderPaymentService.getRefundTotals(order)).toEqual({ gateway: 30.1, giftCards: 10.2, total: 40.3 });
+      expect(orderPaymentService.getRefundable(order)).toEqual({ gateway: 49.9, giftCards: 29.8, total: 79.7 });
+    });
+
+    it('records partial gateway refunds without refunding the order', async () => {
+      const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+
+      await expect(orderPaymentService.recordGatewayRefund(order, { refundId: 're_1', provider: 'stripe', amount: 20 }))
+        .resolves.toEqual({ outcome: 'partial_refund_recorded', refunded: 20 });
+      expect(orderStatusService.applyTransition).not.toHaveBeenCalled();
+    });
+
+    it('refunds the order once everything has been paid back', async () => {
+      const order = buildOrder({ status: 'paid', paymentStatus: 'paid', refunds: [{ refundId: 're_1', provider: 'stripe', amount: 20 }] });
+
+      await expect(orderPaymentService.recordGatewayRefund(order, { refundId: 're_2', provider: 'stripe', amount: 100 }))
+        .resolves.toEqual({ outcome: 'refunded', refunded: 120 });
+      expect(orderStatusService.applyTransition).toHaveBeenCalledWith(order, { status: 'refunded' }, expect.objectContaining({
+        skipRefund: true
+      }));
+    });
+
+    it('does not record the same gateway refund twice', async () => {
+      const order = buildOrder({ status: 'paid', paymentStatus: 'paid', refunds: [{ refundId: 're_1', provider: 'stripe', amount: 20 }] });
+
+      await expect(orderPaymentService.recordGatewayRefund(order, { refundId: 're_1', provider: 'stripe', amount: 20 }))
+        .resolves.toEqual({ outcome: 'refund_already_recorded' });
+      expect(order.refunds).toHaveLength(1);
+    });
+  });
+});
\ No newline at end of file
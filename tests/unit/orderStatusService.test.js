@@ -0,0 +1,195 @@
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/paymentService');
+jest.mock('../../src/services/emailService');
+
+const Notification = require('../../src/models/Notification');
+const inventoryService = require('../../src/services/inventoryService');
+const paymentService = require('../../src/services/paymentService');
+const orderStatusService = require('../../src/services/orderStatusService');
+
+const buildOrder = (overrides = {}) => ({
+  _id: 'order-1',
+  orderNumber: 'ORD-1001',
+  status: 'pending',
+  paymentStatus: 'pending',
+  fulfillmentStatus: 'unfulfilled',
+  paymentMethod: 'stripe',
+  paymentDetails: { transactionId: 'pi_123' },
+  total: 250,
+  items: [],
+  refunds: [],
+  statusHistory: [],
+  save: jest.fn().mockResolvedValue(),
+  set: jest.fn(),
+  getContact: jest.fn().mockResolvedValue({ user: null, email: 'guest@example.com', firstName: 'Ada', lastName: 'Lovelace' }),
+  ...overrides
+});
+
+describe('orderStatusService', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    paymentService.processRefund.mockResolvedValue({ success: true, refundId: 're_1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('canTransition', () => {
+    it.each([
+      ['status', 'pending', 'paid', true],
+      ['status', 'shipped', 'delivered', true],
+      ['status', 'delivered', 'cancelled', false],
+      ['status', 'cancelled', 'pending', false],
+      ['paymentStatus', 'failed', 'pending', true],
+      ['paymentStatus', 'refunded', 'paid', false],
+      ['fulfillmentStatus', 'fulfilled', 'partially_fulfilled', true],
+      ['status', 'unknown', 'paid', false],
+      ['unknownField', 'pending', 'paid', false]
+    ])('%s %s -> %s is %s', (field, from, to, expected) => {
+      expect(orderStatusService.canTransition(field, from, to)).toBe(expected);
+    });
+  });
+
+  it('lists the moves open to an order', () => {
+    expect(orderStatusService.getAllowedTransitions(buildOrder({ status: 'shipped', paymentStatus: 'paid' }))).toEqual({
+      status: ['delivered', 'refunded'],
+      paymentStatus: ['refunded'],
+      fulfillmentStatus: ['partially_fulfilled', 'fulfilled']
+    });
+  });
+
+  it('rejects moves the table does not allow without saving', async () => {
+    const order = buildOrder({ status: 'delivered' });
+
+    await expect(orderStatusService.applyTransition(order, { status: 'processing' })).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Cannot change order status from "delivered" to "processing"',
+      allowed: ['refunded']
+    });
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('applies a change and records it on the timeline', async () => {
+    const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+
+    const applied = await orderStatusService.applyTransition(order, { status: 'processing', paymentStatus: 'paid' }, {
+      actor: 'admin-1',
+      actorType: 'admin',
+      note: 'Packing'
+    });
+
+    expect(applied).toEqual([{ field: 'status', from: 'paid', to: 'processing' }]);
+    expect(order.status).toBe('processing');
+    expect(order.statusHistory).toEqual([
+      { field: 'status', from: 'paid', to: 'processing', actor: 'admin-1', actorType: 'admin', note: 'Packing' }
+    ]);
+    expect(order.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('commits held stock before a payment is recorded', async () => {
+    const order = buildOrder();
+    inventoryService.commitOrder.mockRejectedValueOnce(Object.assign(new Error('Sold out'), { statusCode: 409 }));
+
+    await expect(orderStatusService.applyTransition(order, { paymentStatus: 'paid' })).rejects.toThrow('Sold out');
+    expect(inventoryService.commitOrder).toHaveBeenCalledWith('order-1');
+    expect(order.save).not.toHaveBeenCalled();
+    expect(order.paymentStatus).toBe('pending');
+  });
+
+  it('refunds what the gateway still holds when a paid order is cancelled', async () => {
+    const order = buildOrder({
+      status: 'paid',
+      paymentStatus: 'paid',
+      refunds: [
+        { provider: 'stripe', amount: 40 },
+        { provider: 'gift_card', amount: 25 }
+      ]
+    });
+
+    const applied = await orderStatusService.applyTransition(order, { status: 'cancelled' }, { note: 'Changed mind' });
+
+    expect(applied.map(change => `${change.field}:${change.to}`)).toEqual(['status:cancelled', 'paymentStatus:refunded']);
+    expect(paymentService.processRefund).toHaveBeenCalledWith({
+      order,
+      transactionId: 'pi_123',
+      amount: 210,
+      reason: 'Changed mind'
+    });
+    expect(order.refunds[2]).toEqual({ refundId: 're_1', provider: 'stripe', amount: 210, reason: 'Changed mind' });
+    expect(inventoryService.releaseOrder).toHaveBeenCalledWith('order-1', 'order_cancelled');
+  });
+
+  it('keeps the order when the gateway refuses the refund', async () => {
+    const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+    paymentService.processRefund.mockResolvedValue({ success: false, error: 'card_declined' });
+
+    await expect(orderStatusService.applyTransition(order, { status: 'refunded' })).rejects.toMatchObject({
+      statusCode: 502,
+      message: 'Refund failed: card_declined'
+    });
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('does not call the gateway for refunds it already made', async () => {
+    const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+
+    await orderStatusService.applyTransition(order, { paymentStatus: 'refunded' }, { skipRefund: true });
+
+    expect(paymentService.processRefund).not.toHaveBeenCalled();
+    expect(order.paymentStatus).toBe('refunded');
+  });
+
+  it('will not cancel an order that has started shipping', async () => {
+    const order = buildOrder({ status: 'processing', fulfillmentStatus: 'partially_fulfilled' });
+
+    await expect(orderStatusService.applyTransition(order, { status: 'cancelled' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Order ORD-1001 is partially fulfilled and can no longer be cancelled'
+    });
+  });
+
+  it('logs failing after hooks instead of failing the transition', async () => {
+    const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+    order.getContact.mockRejectedValue(new Error('SMTP down'));
+
+    await expect(orderStatusService.applyTransition(order, { status: 'processing' })).resolves.toHaveLength(1);
+    expect(console.error).toHaveBeenCalledWith(
+      'Order transition hook error (status -> processing):',
+      expect.objectContaining({ message: 'SMTP down' })
+    );
+  });
+
+  it('runs every check hook before the before hooks', async () => {
+    const calls = [];
+    orderStatusService.onTransition('before', 'paymentStatus', 'failed', async () => calls.push('before'));
+    orderStatusService.onTransition('check', 'paymentStatus', 'failed', async () => {
+      calls.push('check');
+      throw Object.assign(new Error('Not allowed'), { statusCode: 409 });
+    });
+    const order = buildOrder();
+
+    await expect(orderStatusService.applyTransition(order, { paymentStatus: 'failed' })).rejects.toThrow('Not allowed');
+    expect(calls).toEqual(['check']);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('runs registered hooks for matching changes only', async () => {
+    const handler = jest.fn();
+    orderStatusService.onTransition('before', 'fulfillmentStatus', 'fulfilled', handler);
+    const order = buildOrder({ status: 'paid', paymentStatus: 'paid' });
+
+    await orderStatusService.applyTransition(order, { fulfillmentStatus: 'partially_fulfilled' });
+    expect(handler).not.toHaveBeenCalled();
+
+    await orderStatusService.applyTransition(order, { fulfillmentStatus: 'fulfilled' }, { note: 'All shipped' });
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+      order,
+      field: 'fulfillmentStatus',
+      from: 'partially_fulfilled',
+      to: 'fulfilled'
+    }));
+  });
+});
\ No newline at end of file
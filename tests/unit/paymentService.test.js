@@ -0,0 +1,206 @@
+const mockStripe = {
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn() },
+  refunds: { create: jest.fn() }
+};
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+
+// The PayPal SDK takes node-style callbacks
+const mockPaypal = {
+  configure: jest.fn(),
+  payment: { create: jest.fn(), execute: jest.fn(), get: jest.fn() },
+  sale: { refund: jest.fn() },
+  notification: { webhookEvent: { verify: jest.fn() } }
+};
+jest.mock('paypal-rest-sdk', () => mockPaypal);
+
+process.env.PAYPAL_WEBHOOK_ID = 'WH-1';
+
+const paymentService = require('../../src/services/paymentService');
+
+const order = {
+  _id: 'order-1',
+  orderNumber: 'ORD-1001',
+  total: 149.99,
+  currency: 'EUR',
+  paymentMethod: 'stripe',
+  paymentDetails: { paymentId: 'pi_123' }
+};
+
+describe('paymentService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('Stripe', () => {
+    it('starts a PaymentIntent in cents, keyed to the order', async () => {
+      mockStripe.paymentIntents.create.mockResolvedValue({ id: 'pi_123', client_secret: 'pi_123_secret' });
+
+      const payment = await paymentService.startPayment(order, { customerEmail: 'ada@example.com' });
+
+      expect(payment).toMatchObject({ provider: 'stripe', paymentId: 'pi_123', clientSecret: 'pi_123_secret' });
+      expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 14999,
+          currency: 'eur',
+          receipt_email: 'ada@example.com',
+          metadata: expect.objectContaining({ orderId: 'order-1', orderNumber: 'ORD-1001' })
+        }),
+        { idempotencyKey: 'order_order-1' }
+      );
+    });
+
+    it('leaves other payment methods awaiting payment', async () => {
+      await expect(paymentService.startPayment({ ...order, paymentMethod: 'bank_transfer' }))
+        .resolves.toEqual({ provider: 'bank_transfer', status: 'awaiting_payment' });
+      expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it('refunds the latest charge of the PaymentIntent', async () => {
+      mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_123', latest_charge: 'ch_9' });
+      mockStripe.refunds.create.mockResolvedValue({ id: 're_1', status: 'succeeded' });
+
+      const result = await paymentService.processRefund({ order, amount: 50, reason: 'Return RMA-1' });
+
+      expect(result).toEqual({ success: true, refundId: 're_1', amount: 50, details: { status: 'succeeded' } });
+      expect(mockStripe.refunds.create.mock.calls[0][0]).toMatchObject({ charge: 'ch_9', amount: 5000 });
+    });
+
+    it('reports gateway errors instead of throwing', async () => {
+      mockStripe.refunds.create.mockRejectedValue(new Error('charge_already_refunded'));
+
+      const result = await paymentService.processRefund({ order, transactionId: 'ch_9', amount: 50 });
+
+      expect(result).toEqual({ success: false, error: expect.stringContaining('charge_already_refunded') });
+    });
+  });
+
+  describe('PayPal', () => {
+    const paypalOrder = {
+      ...order,
+      paymentMethod: 'paypal',
+      currency: 'USD',
+      shippingCost: 10,
+      tax: 12,
+      total: 122,
+      paymentDetails: {}
+    };
+    const approvedPayment = {
+      id: 'PAY-1',
+      state: 'approved',
+      transactions: [{ related_resources: [{ sale: { id: 'SALE-1', state: 'completed', amount: { total: '122.00' } } }] }]
+    };
+
+    it('creates a payment with the order breakdown and returns the approval link', async () => {
+      mockPaypal.payment.create.mockImplementation((payment, callback) => callback(null, {
+        id: 'PAY-1',
+        state: 'created',
+        links: [{ rel: 'approval_url', href: 'https://paypal.test/approve' }]
+      }));
+
+      const payment = await paymentService.createPaypalPayment(paypalOrder);
+
+      expect(payment).toEqual({ provider: 'paypal', paymentId: 'PAY-1', approvalUrl: 'https://paypal.test/approve', state: 'created' });
+      const [transaction] = mockPaypal.payment.create.mock.calls[0][0].transactions;
+      expect(transaction.amount).toMatchObject({
+        currency: 'USD',
+        total: '122.00',
+        details: expect.objectContaining({ subtotal: '100.00', tax: '12.00', shipping: '10.00' })
+      });
+      expect(transaction.invoice_number).toBe('ORD-1001');
+    });
+
+    it('reuses a payment the customer has not approved yet', async () => {
+      mockPaypal.payment.get.mockImplementation((id, callback) => callback(null, {
+        id,
+        state: 'created',
+        links: [{ rel: 'approval_url', href: 'https://paypal.test/approve' }]
+      }));
+
+      await paymentService.createPaypalPayment({ ...paypalOrder, paymentDetails: { paymentId: 'PAY-1' } });
+
+      expect(mockPaypal.payment.create).not.toHaveBeenCalled();
+    });
+
+    it('executes an approved payment and reports its sale', async () => {
+      mockPaypal.payment.execute.mockImplementation((id, body, callback) => callback(null, approvedPayment));
+
+      const execution = await paymentService.executePaypalPayment({ ...paypalOrder, paymentDetails: { paymentId: 'PAY-1' } }, 'PAYER-1');
+
+      expect(mockPaypal.payment.execute.mock.calls[0][1]).toEqual({
+        payer_id: 'PAYER-1',
+        transactions: [{ amount: { currency: 'USD', total: '122.00' } }]
+      });
+      expect(execution).toEqual({
+        paymentId: 'PAY-1',
+        state: 'approved',
+        sale: { id: 'SALE-1', state: 'completed', amount: 122 }
+      });
+    });
+
+    it('reads the payment back when it was already executed', async () => {
+      mockPaypal.payment.execute.mockImplementation((id, body, callback) => callback(new Error('PAYMENT_ALREADY_DONE')));
+      mockPaypal.payment.get.mockImplementation((id, callback) => callback(null, approvedPayment));
+
+      const execution = await paymentService.executePaypalPayment({ ...paypalOrder, paymentDetails: { paymentId: 'PAY-1' } }, 'PAYER-1');
+
+      expect(execution.sale.id).toBe('SALE-1');
+    });
+
+    it('only parses webhooks PayPal has signed', async () => {
+      const headers = {
+        'paypal-transmission-sig': 'sig',
+        'paypal-auth-algo': 'SHA256withRSA',
+        'paypal-cert-url': 'https://api.paypal.com/cert',
+        'paypal-transmission-id': 'tx-1',
+        'paypal-transmission-time': '2026-01-01T00:00:00Z'
+      };
+      const body = JSON.stringify({
+        id: 'WH-EVT-1',
+        event_type: 'PAYMENT.SALE.COMPLETED',
+        resource: { id: 'SALE-1', parent_payment: 'PAY-1', state: 'completed', amount: { total: '122.00' } }
+      });
+
+      mockPaypal.notification.webhookEvent.verify.mockImplementation((h, b, id, callback) =>
+        callback(null, { verification_status: 'FAILURE' })
+      );
+      await expect(paymentService.constructPaypalEvent(Buffer.from(body), headers)).resolves.toBeNull();
+
+      mockPaypal.notification.webhookEvent.verify.mockImplementation((h, b, id, callback) =>
+        callback(null, { verification_status: 'SUCCESS' })
+      );
+      await expect(paymentService.constructPaypalEvent(Buffer.from(body), headers)).resolves.toMatchObject({
+        id: 'WH-EVT-1',
+        type: 'PAYMENT.SALE.COMPLETED',
+        paymentId: 'PAY-1',
+        saleId: 'SALE-1'
+      });
+      expect(mockPaypal.notification.webhookEvent.verify.mock.calls[1][1]).toBe(body);
+      expect(mockPaypal.notification.webhookEvent.verify.mock.calls[1][2]).toBe('WH-1');
+    });
+
+    it('rejects webhooks without signature headers without calling PayPal', async () => {
+      await expect(paymentService.constructPaypalEvent('{}', {})).resolves.toBeNull();
+      expect(mockPaypal.notification.webhookEvent.verify).not.toHaveBeenCalled();
+    });
+
+    it('refunds the completed sale', async () => {
+      mockPaypal.sale.refund.mockImplementation((saleId, refund, callback) => callback(null, { id: 'REF-1', state: 'completed' }));
+
+      const result = await paymentService.processRefund({ order: paypalOrder, transactionId: 'SALE-1', amount: 22, reason: 'Return' });
+
+      expect(mockPaypal.sale.refund.mock.calls[0][0]).toBe('SALE-1');
+      expect(mockPaypal.sale.refund.mock.calls[0][1]).toEqual({ amount: { total: '22.00', currency: 'USD' }, reason: 'Return' });
+      expect(result).toEqual({ success: true, refundId: 'REF-1', amount: 22, details: { state: 'completed' } });
+    });
+
+    it('cannot refund before the sale completed', async () => {
+      await expect(paymentService.processRefund({ order: paypalOrder, amount: 22 }))
+        .resolves.toEqual({ success: false, error: 'No completed sale to refund' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+
+const buildProduct = () => new Product({
+  name: 'Halo Ring',
+  description: 'A ring',
+  price: 1000,
+  category: new mongoose.Types.ObjectId(),
+  sku: 'HALO',
+  inventory: { quantity: 0, trackQuantity: true },
+  variants: [
+    {
+      name: 'Size',
+      options: [
+        { name: '6', sku: 'S6', inventory: { quantity: 3 } },
+        { name: '7', sku: 'S7', inventory: { quantity: 0 } }
+      ]
+    },
+    {
+      name: 'Stone',
+      options: [
+        { name: 'Diamond', sku: 'DIA', price: 1500, inventory: { quantity: 4 } },
+        { name: 'Sapphire', sku: 'SAP', inventory: { quantity: 1 } }
+      ]
+    }
+  ]
+});
+
+describe('Product variants', () => {
+  describe('resolveVariant', () => {
+    it('resolves a selection to options, SKU and price', () => {
+      const product = buildProduct();
+      const resolved = product.resolveVariant({ size: '6', gemstone: 'diamond' });
+
+      expect(resolved.errors).toEqual([]);
+      expect(resolved.selection).toEqual({ size: '6', gemstone: 'Diamond' });
+      expect(resolved.sku).toBe('S6-DIA');
+      expect(resolved.price).toBe(1500);
+      expect(resolved.options.map(option => option.option)).toEqual([
+        product.variants[0].options[0]._id,
+        product.variants[1].options[0]._id
+      ]);
+    });
+
+    it('accepts the stone alias for gemstones', () => {
+      expect(buildProduct().resolveVariant({ size: '7', stone: 'Sapphire' }).errors).toEqual([]);
+    });
+
+    it('reports missing, unknown and extra selections', () => {
+      const resolved = buildProduct().resolveVariant({ stone: 'Ruby', metal: 'Gold' });
+
+      expect(resolved.errors).toEqual([
+        'Please select a Size',
+        '"Ruby" is not an available Stone for "Halo Ring"',
+        '"Halo Ring" has no metal option'
+      ]);
+    });
+  });
+
+  describe('getStockFor', () => {
+    it('is limited by the scarcest selected option', () => {
+      const product = buildProduct();
+      const { options } = product.resolveVariant({ size: '6', stone: 'Sapphire' });
+
+      expect(product.getStockFor(options)).toBe(1);
+    });
+
+    it('is unlimited when quantity is not tracked', () => {
+      const product = buildProduct();
+      product.inventory.trackQuantity = false;
+
+      expect(product.getStockFor([])).toBe(Infinity);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const Promotion = require('../../src/models/Promotion');
+const Coupon = require('../../src/models/Coupon');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const Collection = require('../../src/models/Collection');
+const inventoryService = require('../../src/services/inventoryService');
+const emailService = require('../../src/services/emailService');
+const orderStatusService = require('../../src/services/orderStatusService');
+const promotionService = require('../../src/services/promotionService');
+const mockQuery = require('../helpers/mockQuery');
+
+const ringId = new mongoose.Types.ObjectId();
+const necklaceId = new mongoose.Types.ObjectId();
+const giftCardId = new mongoose.Types.ObjectId();
+const ringsCategoryId = new mongoose.Types.ObjectId();
+const bridalCollectionId = new mongoose.Types.ObjectId();
+
+const products = [
+  { _id: ringId, name: 'Solitaire Ring', category: ringsCategoryId, collections: [] },
+  { _id: necklaceId, name: 'Pearl Necklace', collections: [] },
+  { _id: giftCardId, name: 'Gift Card', productType: 'gift_card', collections: [] }
+];
+
+const promotion = (fields) => new Promotion({ name: fields.type, ...fields });
+
+const coupon = (fields) => new Coupon({
+  code: 'BRIDAL',
+  name: 'Bridal fair',
+  endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...fields
+});
+
+const line = (fields) => ({
+  productId: ringId.toString(),
+  name: 'Solitaire Ring',
+  isGiftCard: false,
+  categories: [],
+  ...fields
+});
+
+describe('promotionService', () => {
+  let promotions;
+  let collections;
+
+  beforeEach(() => {
+    promotions = [];
+    collections = [];
+    jest.spyOn(Promotion, 'find').mockImplementation(() => mockQuery(promotions));
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery(products));
+    jest.spyOn(Collection, 'find').mockImplementation(() => mockQuery(collections));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('evaluate', () => {
+    it('takes a percentage off every line but gift cards', async () => {
+      promotions = [promotion({ type: 'percent_off', percentOff: 10 })];
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 200 },
+          { product: giftCardId, quantity: 1, price: 50 }
+        ]
+      });
+
+      expect(result.lines.map(line => line.discount)).toEqual([20, 0]);
+      expect(result.promotionDiscount).toBe(20);
+      expect(result.discount).toBe(20);
+    });
+
+    it('only discounts lines in a targeted category', async () => {
+      promotions = [promotion({ type: 'percent_off', percentOff: 25, categories: [ringsCategoryId] })];
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 100 },
+          { product: necklaceId, quantity: 1, price: 100 }
+        ]
+      });
+
+      expect(result.lines.map(line => line.discount)).toEqual([25, 0]);
+    });
+
+    it('matches collection membership recorded on the collection', async () => {
+      collections = [{ _id: bridalCollectionId, products: [necklaceId] }];
+      promotions = [promotion({ type: 'percent_off', percentOff: 50, collections: [bridalCollectionId] })];
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 100 },
+          { product: necklaceId, quantity: 1, price: 80 }
+        ]
+      });
+
+      expect(result.lines.map(line => line.discount)).toEqual([0, 40]);
+    });
+
+    it('applies the highest tier reached and spreads it over the lines', async () => {
+      promotions = [promotion({
+        type: 'tiered_spend',
+        tiers: [
+          { minimumSubtotal: 100, discountType: 'fixed', value: 10 },
+          { minimumSubtotal: 300, discountType: 'fixed', value: 40 }
+        ]
+      })];
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 300 },
+          { product: necklaceId, quantity: 1, price: 100 }
+        ]
+      });
+
+      expect(result.lines.map(line => line.discount)).toEqual([30, 10]);
+      expect(result.promotionDiscount).toBe(40);
+    });
+
+    it('skips a tiered promotion when no tier is reached', async () => {
+      promotions = [promotion({
+        type: 'tiered_spend',
+        tiers: [{ minimumSubtotal: 500, discountType: 'percentage', value: 10 }]
+      })];
+
+      const result = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 100 }] });
+
+      expect(result.promotions).toEqual([]);
+      expect(result.discount).toBe(0);
+    });
+
+    it('gives the cheapest unit of each full group away on buy x get y', async () => {
+      promotions = [promotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 })];
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 2, price: 100 },
+          { product: necklaceId, quantity: 2, price: 40 }
+        ]
+      });
+
+      // Units 100, 100, 40 form the only full group; one 40 unit is free
+      expect(result.lines.map(line => line.discount)).toEqual([0, 40]);
+    });
+
+    it('caps how often buy x get y repeats', async () => {
+      promotions = [promotion({ type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, getDiscountPercent: 50, maxApplications: 1 })];
+
+      const result = await promotionService.evaluate({ items: [{ product: ringId, quantity: 4, price: 100 }] });
+
+      expect(result.promotionDiscount).toBe(50);
+    });
+
+    it('adds free gifts without discounting any line', async () => {
+      const giftProduct = new mongoose.Types.ObjectId();
+      promotions = [promotion({ type: 'free_gift', giftProduct, minimumSubtotal: 150 })];
+
+      const result = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 200 }] });
+
+      expect(result.discount).toBe(0);
+      expect(result.gifts).toEqual([expect.objectContaining({ product: giftProduct, quantity: 1 })]);
+    });
+
+    it('stops at a non-stackable promotion and discounts what is left after earlier ones', async () => {
+      promotions = [
+        promotion({ type: 'percent_off', percentOff: 10 }),
+        promotion({ type: 'percent_off', percentOff: 50 }),
+        promotion({ type: 'percent_off', percentOff: 20, stackable: false })
+      ];
+
+      const result = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 100 }] });
+
+      // 10 off 100, then 50% of the remaining 90; the non-stackable one is skipped
+      expect(result.lines[0].discount).toBe(55);
+      expect(result.promotions).toHaveLength(2);
+    });
+
+    it('converts fixed amounts into the cart currency', async () => {
+      promotions = [promotion({
+        type: 'tiered_spend',
+        tiers: [{ minimumSubtotal: 100, discountType: 'fixed', value: 10 }]
+      })];
+      const currency = { currency: 'EUR', rate: 0.9, isBase: false };
+
+      const below = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 89 }], currency });
+      const above = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 90 }], currency });
+
+      expect(below.discount).toBe(0);
+      expect(above.discount).toBe(9);
+    });
+
+
+    it('does not look up promotions for an empty cart', async () => {
+      const result = await promotionService.evaluate({ items: [] });
+
+      expect(Promotion.find).not.toHaveBeenCalled();
+      expect(result.discount).toBe(0);
+    });
+  });
+
+  describe('checkCouponLine', () => {
+    it('refuses gift cards', () => {
+      expect(promotionService.checkCouponLine(coupon({}), line({ name: 'Gift Card', isGiftCard: true })))
+        .toBe('"Gift Card" is a gift card and cannot be discounted');
+    });
+
+    it('refuses excluded products and categories', () => {
+      expect(promotionService.checkCouponLine(coupon({ excludeProducts: [ringId] }), line()))
+        .toBe('"Solitaire Ring" is excluded from this coupon');
+      expect(promotionService.checkCouponLine(
+        coupon({ excludeCategories: [ringsCategoryId] }),
+        line({ categories: [ringsCategoryId.toString()] })
+      )).toBe('"Solitaire Ring" is in a category excluded from this coupon');
+    });
+
+    it('only covers the listed products or categories of a scoped coupon', () => {
+      const scoped = coupon({ applicableCategories: [ringsCategoryId] });
+
+      expect(promotionService.checkCouponLine(scoped, line({ categories: [ringsCategoryId.toString()] }))).toBeNull();
+      expect(promotionService.checkCouponLine(scoped, line({ productId: necklaceId.toString(), name: 'Pearl Necklace' })))
+        .toBe('"Pearl Necklace" is not one of the products this coupon applies to');
+    });
+  });
+
+  describe('evaluate with a coupon', () => {
+    let found;
+
+    beforeEach(() => {
+      jest.spyOn(Coupon, 'findOne').mockImplementation(async () => found);
+    });
+
+    it('splits the discount over the eligible lines only', async () => {
+      found = coupon({ type: 'fixed', value: 30, excludeProducts: [necklaceId] });
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 200 },
+          { product: necklaceId, quantity: 1, price: 100 }
+        ],
+        couponCode: 'bridal'
+      });
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'BRIDAL', isActive: true });
+      expect(result.lines.map(item => item.discount)).toEqual([30, 0]);
+      expect(result.coupon.ineligibleItems).toEqual([
+        expect.objectContaining({ name: 'Pearl Necklace', reason: '"Pearl Necklace" is excluded from this coupon' })
+      ]);
+    });
+
+    it('caps a percentage coupon at its maximum discount', async () => {
+      found = coupon({ type: 'percentage', value: 50, maximumDiscountAmount: 40 });
+
+      const result = await promotionService.evaluate({
+        items: [{ product: ringId, quantity: 1, price: 200 }],
+        couponCode: 'BRIDAL'
+      });
+
+      expect(result.couponDiscount).toBe(40);
+    });
+
+    it('flags free shipping coupons', async () => {
+      found = coupon({ type: 'free_shipping', value: 0 });
+
+      const result = await promotionService.evaluate({
+        items: [{ product: ringId, quantity: 1, price: 200 }],
+        couponCode: 'BRIDAL'
+      });
+
+      expect(result.freeShipping).toBe(true);
+      expect(result.couponDiscount).toBe(0);
+    });
+
+    it('explains why a coupon covers nothing in the cart', async () => {
+      found = coupon({ type: 'fixed', value: 30, applicableProducts: [necklaceId] });
+
+      const result = await promotionService.evaluate({
+        items: [{ product: ringId, quantity: 1, price: 200 }],
+        couponCode: 'BRIDAL'
+      });
+
+      expect(result.coupon).toBeNull();
+      expect(result.couponError).toEqual(expect.objectContaining({
+        statusCode: 400,
+        message: 'Coupon BRIDAL does not apply to any item in your cart: "Solitaire Ring" is not one of the products this coupon applies to'
+      }));
+    });
+
+    it('measures the minimum order against eligible lines', async () => {
+      found = coupon({ type: 'fixed', value: 10, minimumOrderAmount: 150, excludeProducts: [necklaceId] });
+
+      const result = await promotionService.evaluate({
+        items: [
+          { product: ringId, quantity: 1, price: 100 },
+          { product: necklaceId, quantity: 1, price: 100 }
+        ],
+        couponCode: 'BRIDAL'
+      });
+
+      expect(result.couponError.message).toMatch(/^Minimum order amount for this coupon is .* of eligible items/);
+      expect(result.couponError.ineligibleItems).toHaveLength(1);
+    });
+
+    it('keeps first-order coupons to customers without paid orders', async () => {
+      found = coupon({ type: 'fixed', value: 10, firstTimeUserOnly: true });
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(Order, 'countDocuments').mockResolvedValue(1);
+
+      const guest = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 100 }], couponCode: 'BRIDAL' });
+      const returning = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 100 }], couponCode: 'BRIDAL', userId });
+
+      expect(guest.couponError.message).toBe('Please sign in to use this coupon');
+      expect(returning.couponError.message).toBe('This coupon is only available on your first order');
+    });
+
+    it('refuses coupons alongside a promotion that does not combine with them', async () => {
+      promotions = [promotion({ name: 'Summer sale', type: 'percent_off', percentOff: 10, combinableWithCoupons: false })];
+      found = coupon({ type: 'fixed', value: 10 });
+
+      const result = await promotionService.evaluate({ items: [{ product: ringId, quantity: 1, price: 100 }], couponCode: 'BRIDAL' });
+
+      expect(result.couponError.message).toBe('Coupons cannot be combined with the "Summer sale" promotion');
+      expect(result.discount).toBe(10);
+    });
+  });
+
+  describe('reserveCoupon', () => {
+    it('takes a use only while the usage and per-customer limits allow', async () => {
+      const reserved = coupon({ type: 'fixed', value: 10 });
+      const order = { _id: new mongoose.Types.ObjectId() };
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(reserved);
+
+      expect(await promotionService.reserveCoupon(reserved._id, order, userId.toString())).toBe(reserved);
+
+      const [filter, update] = Coupon.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual(expect.objectContaining({ _id: reserved._id, isActive: true, 'usedBy.order': { $ne: order._id } }));
+      const [usageLimit, perUser] = filter.$expr.$and;
+      expect(usageLimit).toEqual({ $or: [{ $eq: ['$usageLimit', null] }, { $lt: ['$usageCount', '$usageLimit'] }] });
+      // The user id must be a real ObjectId for the aggregation comparison to match
+      expect(perUser.$lt[0].$size.$filter.cond.$eq[1]).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(update).toEqual({ $inc: { usageCount: 1 }, $push: { usedBy: { user: userId.toString(), order: order._id } } });
+    });
+
+    it('refuses a coupon whose uses are spent', async () => {
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(promotionService.reserveCoupon(new mongoose.Types.ObjectId(), { _id: new mongoose.Types.ObjectId() }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Coupon has reached its usage limit' });
+      expect(Coupon.findOneAndUpdate.mock.calls[0][0].$expr.$and).toHaveLength(1);
+    });
+  });
+
+  describe('releaseCoupon', () => {
+    it('hands back the use an order took', async () => {
+      const order = { _id: new mongoose.Types.ObjectId(), couponCode: 'bridal' };
+      jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await promotionService.releaseCoupon(order);
+      await promotionService.releaseCoupon({ _id: new mongoose.Types.ObjectId() });
+
+      expect(Coupon.updateOne).toHaveBeenCalledTimes(1);
+      expect(Coupon.updateOne).toHaveBeenCalledWith(
+        { code: 'BRIDAL', 'usedBy.order': order._id },
+        { $inc: { usageCount: -1 }, $pull: { usedBy: { order: order._id } } }
+      );
+    });
+  });
+
+  describe('order status hooks', () => {
+    const orderFor = (overrides = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD-2026-000007',
+      status: 'pending',
+      paymentStatus: 'pending',
+      fulfillmentStatus: 'unfulfilled',
+      paymentMethod: 'stripe',
+      total: 100,
+      refunds: [],
+      statusHistory: [],
+      save: jest.fn().mockResolvedValue(),
+      set: jest.fn(),
+      getContact: jest.fn().mockResolvedValue({ email: 'ada@example.com' }),
+      ...overrides
+    });
+
+    it('counts the coupon as used once the order is paid', async () => {
+      jest.spyOn(inventoryService, 'commitOrder').mockResolvedValue(1);
+      const count = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+      const order = orderFor({ customer: new mongoose.Types.ObjectId(), couponCode: 'save10' });
+
+      await orderStatusService.applyTransition(order, { paymentStatus: 'paid' }, { notifyCustomer: false });
+
+      expect(count).toHaveBeenCalledWith(
+        { code: 'SAVE10', 'usedBy.order': { $ne: order._id } },
+        { $inc: { usageCount: 1 }, $push: { usedBy: { user: order.customer, order: order._id } } }
+      );
+    });
+
+    it('frees the coupon use when the order is cancelled', async () => {
+      jest.spyOn(inventoryService, 'releaseOrder').mockResolvedValue(0);
+      jest.spyOn(emailService, 'sendOrderCancellation').mockResolvedValue();
+      const release = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+      const order = orderFor({ couponCode: 'save10' });
+
+      await orderStatusService.applyTransition(order, { status: 'cancelled' });
+
+      expect(release).toHaveBeenCalledWith(
+        { code: 'SAVE10', 'usedBy.order': order._id },
+        { $inc: { usageCount: -1 }, $pull: { usedBy: { order: order._id } } }
+      );
+    });
+  });
+});
\ No newline at end of file
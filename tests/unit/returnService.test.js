@@ -0,0 +1,297 @@
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/paymentService');
+jest.mock('../../src/services/giftCardService');
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/orderPaymentService', () => ({
+  ...jest.requireActual('../../src/services/orderPaymentService'),
+  settleRefunds: jest.fn().mockResolvedValue({ outcome: 'partial_refund_recorded' })
+}));
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Return = require('../../src/models/Return');
+const Product = require('../../src/models/Product');
+const Notification = require('../../src/models/Notification');
+const inventoryService = require('../../src/services/inventoryService');
+const paymentService = require('../../src/services/paymentService');
+const giftCardService = require('../../src/services/giftCardService');
+const emailService = require('../../src/services/emailService');
+const settingService = require('../../src/services/settingService');
+const returnService = require('../../src/services/returnService');
+const mockQuery = require('../helpers/mockQuery');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const ringProduct = new Product({
+  name: 'Halo Ring',
+  description: 'A ring',
+  price: 100,
+  category: new mongoose.Types.ObjectId(),
+  sku: 'HALO',
+  variants: [{ name: 'Size', options: [{ name: '6' }, { name: '7' }] }]
+});
+
+const buildOrder = (overrides = {}) => {
+  const order = new Order({
+    orderNumber: 'ORD-1001',
+    customer: new mongoose.Types.ObjectId(),
+    status: 'delivered',
+    paymentStatus: 'paid',
+    paymentMethod: 'stripe',
+    paymentDetails: { transactionId: 'ch_1' },
+    subtotal: 300,
+    tax: 24,
+    total: 324,
+    items: [
+      { product: ringProduct._id, name: 'Halo Ring', quantity: 2, price: 100, totalPrice: 200, tax: { amount: 16 } },
+      { product: new mongoose.Types.ObjectId(), name: 'Pendant', quantity: 1, price: 100, totalPrice: 100, tax: { amount: 8 } }
+    ],
+    statusHistory: [{ field: 'status', from: 'shipped', to: 'delivered', timestamp: daysAgo(5) }],
+    ...overrides
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  jest.spyOn(order, 'getContact').mockResolvedValue({ user: order.customer, email: 'ada@example.com' });
+  return order;
+};
+
+const buildReturn = (order, overrides = {}) => {
+  const ret = new Return({
+    returnNumber: 'RMA-1',
+    order: order._id,
+    customer: order.customer,
+    status: 'received',
+    items: [{ orderItem: order.items[0]._id, product: ringProduct._id, quantity: 1, reason: 'defective' }],
+    ...overrides
+  });
+  jest.spyOn(ret, 'save').mockResolvedValue(ret);
+  return ret;
+};
+
+describe('returnService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) => fallback);
+    jest.spyOn(Return, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(Product, 'findById').mockResolvedValue(ringProduct);
+    giftCardService.restoreForOrder.mockImplementation(async (order, note, limit) => limit);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('requestReturn', () => {
+    it('refuses returns once the window has closed', async () => {
+      const order = buildOrder({ statusHistory: [{ field: 'status', from: 'shipped', to: 'delivered', timestamp: daysAgo(31) }] });
+
+      await expect(returnService.requestReturn(order, { items: [] })).rejects.toThrow(/30-day return window closed/);
+    });
+
+    it('refuses more than is left to return on a line', async () => {
+      const order = buildOrder();
+      Return.find.mockReturnValue(mockQuery([{ items: [{ orderItem: order.items[0]._id, quantity: 2 }] }]));
+
+      await expect(returnService.requestReturn(order, {
+        items: [{ orderItem: order.items[0]._id, quantity: 1, reason: 'defective' }]
+      })).rejects.toThrow(`Only 0 of order item ${order.items[0]._id} can still be returned, requested 1`);
+    });
+
+    it('holds the replacement for an exchange against the new return', async () => {
+      const order = buildOrder();
+      const create = jest.spyOn(Return, 'create').mockImplementation(async (data) => new Return(data));
+
+      const ret = await returnService.requestReturn(order, {
+        type: 'exchange',
+        items: [{ orderItem: order.items[0]._id, quantity: 1, reason: 'wrong_size', exchangeVariant: { size: '7' } }]
+      });
+
+      const [hold] = inventoryService.holdStock.mock.calls[0];
+      expect(hold.returnRequest).toEqual(create.mock.calls[0][0]._id);
+      expect(hold.returnRequest).toEqual(ret._id);
+      expect(hold.items).toEqual([{
+        product: ringProduct._id,
+        variant: expect.objectContaining({ size: '7' }),
+        quantity: 1
+      }]);
+      expect(hold.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+    });
+
+    it('gives the replacement back when the return cannot be saved', async () => {
+      const order = buildOrder();
+      jest.spyOn(Return, 'create').mockRejectedValue(new Error('Validation failed'));
+
+      await expect(returnService.requestReturn(order, {
+        type: 'exchange',
+        items: [{ orderItem: order.items[0]._id, quantity: 1, reason: 'wrong_size', exchangeVariant: { size: '7' } }]
+      })).rejects.toThrow('Validation failed');
+
+      expect(inventoryService.releaseReturn).toHaveBeenCalledWith(inventoryService.holdStock.mock.calls[0][0].returnRequest, 'return_failed');
+    });
+  });
+
+  describe('transition', () => {
+    it('only follows the return transition table', async () => {
+      const order = buildOrder();
+      const ret = buildReturn(order, { status: 'requested' });
+
+      await expect(returnService.transition(ret, order, 'refunded')).rejects.toMatchObject({
+        message: 'Cannot change return status from "requested" to "refunded"',
+        allowed: ['approved', 'rejected', 'cancelled']
+      });
+    });
+
+    it('releases the held replacement when an exchange is turned down', async () => {
+      const order = buildOrder();
+      const ret = buildReturn(order, { status: 'requested', type: 'exchange' });
+
+      await returnService.reject(ret, order, 'Outside policy');
+
+      expect(inventoryService.releaseReturn).toHaveBeenCalledWith(ret._id, 'exchange_rejected');
+      expect(ret.status).toBe('rejected');
+    });
+
+    it('commits the held replacement when the exchange is sent', async () => {
+      const order = buildOrder();
+      const ret = buildReturn(order, { type: 'exchange' });
+
+      await returnService.completeExchange(ret, order, { trackingNumber: '1Z' });
+
+      expect(inventoryService.commitReturn).toHaveBeenCalledWith(ret._id);
+      expect(ret.status).toBe('exchanged');
+    });
+
+    it('emails guests without creating an account notification', async () => {
+      const order = buildOrder({ customer: null, isGuest: true, email: 'guest@example.com' });
+      order.getContact.mockResolvedValue({ user: null, email: 'guest@example.com' });
+      const ret = buildReturn(order, { status: 'requested', customer: undefined });
+
+      await returnService.transition(ret, order, 'approved');
+
+      expect(emailService.sendReturnUpdate).toHaveBeenCalledWith('guest@example.com', ret, order);
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('calculateRefund', () => {
+    it('refunds what was paid for the lines with tax, less fees for customer reasons', () => {
+      const order = buildOrder();
+      const ret = buildReturn(order, {
+        items: [
+          { orderItem: order.items[0]._id, quantity: 1, reason: 'changed_mind' },
+          { orderItem: order.items[1]._id, quantity: 1, reason: 'defective' }
+        ],
+        fees: { restockingFeePercent: 10, returnShipping: 5 }
+      });
+
+      expect(returnService.calculateRefund(ret, order)).toEqual({
+        itemsAmount: 200,
+        taxAmount: 16,
+        feesAmount: 15,
+        amount: 201
+      });
+      expect(ret.items.map(item => item.refundAmount)).toEqual([108, 108]);
+    });
+
+    it('pays nothing for lines that failed inspection', () => {
+      const order = buildOrder();
+      const ret = buildReturn(order);
+      ret.items[0].inspection.status = 'failed';
+
+      expect(returnService.calculateRefund(ret, order).amount).toBe(0);
+    });
+  });
+
+  describe('refund', () => {
+    // Stand in for the conditional update that claims the return
+    const claimReturn = (ret) => jest.spyOn(Return, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      new Return({ refund: update.refund || { ...ret.refund.toObject(), claimedAt: update['refund.claimedAt'] } })
+    );
+
+    it('refunds the gateway first and the rest to gift cards', async () => {
+      const order = buildOrder({
+        total: 50,
+        giftCardAmount: 274
+      });
+      const ret = buildReturn(order);
+      const claim = claimReturn(ret);
+      paymentService.processRefund.mockResolvedValue({ success: true, refundId: 're_1' });
+
+      await returnService.refund(ret, order, {});
+
+      expect(claim).toHaveBeenCalledWith(
+        { _id: ret._id, status: 'received' },
+        { status: 'refunding', refund: expect.objectContaining({ amount: 108 }) },
+        { new: true }
+      );
+      expect(paymentService.processRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 50 }));
+      expect(giftCardService.restoreForOrder).toHaveBeenCalledWith(order, 'Return RMA-1', 58);
+      expect(order.refunds.map(entry => [entry.provider, entry.amount])).toEqual([['stripe', 50], ['gift_card', 58]]);
+      expect(ret.refund).toMatchObject({ amount: 108, gatewayAmount: 50, giftCardAmount: 58, refundId: 're_1' });
+      expect(giftCardService.voidForOrder).toHaveBeenCalledWith(order, 'Return RMA-1', {
+        orderItem: order.items[0]._id,
+        quantity: 1
+      });
+      expect(ret.status).toBe('refunded');
+    });
+
+    it('pays nothing out when another request claimed the return', async () => {
+      const order = buildOrder();
+      jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(returnService.refund(buildReturn(order), order, {})).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'This return is already being refunded'
+      });
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+    });
+
+    it('stops when the gateway refuses the refund and releases the claim', async () => {
+      const order = buildOrder();
+      const ret = buildReturn(order);
+      claimReturn(ret);
+      const release = jest.spyOn(Return, 'updateOne').mockResolvedValue({});
+      paymentService.processRefund.mockResolvedValue({ success: false, error: 'declined' });
+
+      await expect(returnService.refund(ret, order, {})).rejects.toMatchObject({ statusCode: 502 });
+      expect(release).toHaveBeenCalledWith(
+        { _id: ret._id, status: 'refunding', 'refund.claimedAt': expect.any(Date) },
+        { status: 'received', $unset: { refund: 1 } }
+      );
+      expect(ret.status).toBe('received');
+      expect(giftCardService.restoreForOrder).not.toHaveBeenCalled();
+    });
+
+    it('resumes a stalled refund without paying the gateway again', async () => {
+      const order = buildOrder();
+      const claimedAt = daysAgo(1);
+      const ret = buildReturn(order, {
+        status: 'refunding',
+        refund: { amount: 108, gatewayAmount: 108, refundId: 're_1', provider: 'stripe', claimedAt }
+      });
+      const claim = claimReturn(ret);
+
+      await returnService.refund(ret, order, {});
+
+      expect(claim.mock.calls[0][0]).toEqual({ _id: ret._id, status: 'refunding', 'refund.claimedAt': claimedAt });
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+      expect(order.refunds.map(entry => [entry.refundId, entry.amount])).toEqual([['re_1', 108]]);
+      expect(ret.status).toBe('refunded');
+    });
+
+    it('leaves a refund that is still in progress alone', async () => {
+      const order = buildOrder();
+      const ret = buildReturn(order, { status: 'refunding', refund: { amount: 108, claimedAt: new Date() } });
+      const claim = jest.spyOn(Return, 'findOneAndUpdate');
+
+      await expect(returnService.refund(ret, order, {})).rejects.toMatchObject({ statusCode: 409 });
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('will not refund more than the return is worth', async () => {
+      const order = buildOrder();
+
+      await expect(returnService.refund(buildReturn(order), order, { amount: 500 })).rejects.toThrow('Refund cannot exceed 108');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+jest.mock('../../src/services/orderStatusService', () => ({
+  ...jest.requireActual('../../src/services/orderStatusService'),
+  applyTransition: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Shipment = require('../../src/models/Shipment');
+const Notification = require('../../src/models/Notification');
+const orderStatusService = require('../../src/services/orderStatusService');
+const shipmentService = require('../../src/services/shipmentService');
+const mockQuery = require('../helpers/mockQuery');
+
+const buildOrder = (overrides = {}) => new Order({
+  orderNumber: 'ORD-1001',
+  status: 'paid',
+  paymentStatus: 'paid',
+  items: [
+    { product: new mongoose.Types.ObjectId(), name: 'Ring', quantity: 2, price: 100, totalPrice: 200 },
+    { product: new mongoose.Types.ObjectId(), name: 'Pendant', quantity: 1, price: 50, totalPrice: 50 }
+  ],
+  ...overrides
+});
+
+const shipmentOf = (order, quantities, status = 'shipped') => ({
+  status,
+  items: order.items.map((item, index) => ({ orderItem: item._id, quantity: quantities[index] }))
+    .filter(item => item.quantity > 0)
+});
+
+describe('shipmentService', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('syncFulfillment', () => {
+    it('marks an order partially fulfilled while items remain', async () => {
+      const order = buildOrder();
+      jest.spyOn(Shipment, 'find').mockReturnValue(mockQuery([shipmentOf(order, [1, 0])]));
+
+      await shipmentService.syncFulfillment(order);
+
+      expect(orderStatusService.applyTransition).toHaveBeenCalledWith(
+        order,
+        { fulfillmentStatus: 'partially_fulfilled' },
+        expect.objectContaining({ actorType: 'system' })
+      );
+    });
+
+    it('ships the order once every item has gone out', async () => {
+      const order = buildOrder();
+      jest.spyOn(Shipment, 'find').mockReturnValue(mockQuery([
+        shipmentOf(order, [1, 0]),
+        shipmentOf(order, [1, 1], 'in_transit')
+      ]));
+
+      await shipmentService.syncFulfillment(order);
+
+      expect(orderStatusService.applyTransition.mock.calls[0][1]).toEqual({ fulfillmentStatus: 'fulfilled', status: 'shipped' });
+    });
+
+    it('delivers the order when every shipment has arrived', async () => {
+      const order = buildOrder({ status: 'shipped', fulfillmentStatus: 'fulfilled' });
+      jest.spyOn(Shipment, 'find').mockReturnValue(mockQuery([shipmentOf(order, [2, 1], 'delivered')]));
+
+      await shipmentService.syncFulfillment(order);
+
+      expect(orderStatusService.applyTransition.mock.calls[0][1]).toEqual({ fulfillmentStatus: 'fulfilled', status: 'delivered' });
+    });
+  });
+
+  describe('createShipment', () => {
+    it('refuses to ship more than is left on a line', async () => {
+      const order = buildOrder();
+      jest.spyOn(Shipment, 'find').mockReturnValue(mockQuery([shipmentOf(order, [2, 0])]));
+      const create = jest.spyOn(Shipment, 'create');
+
+      await expect(shipmentService.createShipment(order, {
+        items: [{ orderItem: order.items[0]._id, quantity: 1 }]
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        message: `Only 0 of order item ${order.items[0]._id} left to ship, requested 1`
+      });
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('ships whatever is left by default and builds the tracking link', async () => {
+      const order = buildOrder();
+      jest.spyOn(Shipment, 'find').mockReturnValue(mockQuery([shipmentOf(order, [1, 0])]));
+      const create = jest.spyOn(Shipment, 'create').mockImplementation(async (data) => ({ _id: 'shipment-1', ...data }));
+      jest.spyOn(shipmentService, 'notifyCustomer').mockResolvedValue();
+
+      const shipment = await shipmentService.createShipment(order, { carrier: 'UPS', trackingNumber: '1Z 999' });
+
+      expect(create.mock.calls[0][0].items.map(item => [item.orderItem, item.quantity])).toEqual([
+        [order.items[0]._id, 1],
+        [order.items[1]._id, 1]
+      ]);
+      expect(shipment.status).toBe('shipped');
+      expect(shipment.trackingUrl).toBe('https://www.ups.com/track?tracknum=1Z%20999');
+      expect(order.trackingNumber).toBe('1Z 999');
+      expect(shipmentService.notifyCustomer).toHaveBeenCalledWith(order, shipment);
+    });
+
+    it('will not ship an unpaid order', async () => {
+      await expect(shipmentService.createShipment(buildOrder({ status: 'pending' }), {}))
+        .rejects.toThrow('Cannot ship an order that is pending');
+    });
+  });
+});
\ No newline at end of file
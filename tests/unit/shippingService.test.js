@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const ShippingZone = require('../../src/models/ShippingZone');
+const settingService = require('../../src/services/settingService');
+const shippingService = require('../../src/services/shippingService');
+const mockQuery = require('../helpers/mockQuery');
+
+const ringId = new mongoose.Types.ObjectId();
+
+const usZone = new ShippingZone({
+  name: 'United States',
+  countries: ['US'],
+  methods: [
+    {
+      code: 'standard',
+      name: 'Standard',
+      rateType: 'weight',
+      brackets: [{ min: 0, max: 500, cost: 8 }, { min: 500, max: 2000, cost: 15 }],
+      estimatedDays: { min: 3, max: 5 }
+    },
+    { code: 'express', name: 'Express', rateType: 'flat', flatCost: 25, freeShippingEligible: false },
+    { code: 'insured_overnight', name: 'Insured Overnight', rateType: 'value', brackets: [{ min: 0, max: 1000, cost: 40 }] }
+  ]
+});
+
+const californiaZone = new ShippingZone({
+  name: 'California',
+  countries: ['US'],
+  states: ['CA'],
+  methods: [{ code: 'standard', name: 'Standard', flatCost: 5 }]
+});
+
+const ring = (quantity, price = 200) => ({ product: ringId, quantity, price });
+
+describe('shippingService', () => {
+  beforeEach(() => {
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) =>
+      (key === 'free_shipping_threshold' ? 500 : fallback)
+    );
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery([{ _id: ringId, shipping: { weight: 300 } }]));
+    jest.spyOn(ShippingZone, 'find').mockResolvedValue([usZone, californiaZone]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices each method by weight, value or flat rate, cheapest first', async () => {
+    const rates = await shippingService.getRates({ address: { country: 'US', state: 'NY' }, items: [ring(2)] });
+
+    expect(rates.map(rate => [rate.code, rate.cost])).toEqual([
+      ['standard', 15],
+      ['express', 25],
+      ['insured_overnight', 40]
+    ]);
+    expect(rates[0].estimatedDays).toEqual({ min: 3, max: 5 });
+  });
+
+  it('leaves out methods whose brackets do not cover the package', async () => {
+    const rates = await shippingService.getRates({ address: { country: 'US' }, items: [ring(1, 450), ring(1, 450), ring(1, 450)] });
+
+    expect(rates.map(rate => rate.code)).toEqual(['standard', 'express']);
+  });
+
+  it('makes eligible methods free above the threshold', async () => {
+    const rates = await shippingService.getRates({ address: { country: 'US' }, items: [ring(3)] });
+
+    expect(rates.find(rate => rate.code === 'standard')).toMatchObject({ cost: 0, isFree: true });
+    expect(rates.find(rate => rate.code === 'express')).toMatchObject({ cost: 25, isFree: false });
+  });
+
+  it('prefers the most specific zone', async () => {
+    const rates = await shippingService.getRates({ address: { country: 'US', state: 'ca' }, items: [ring(1)] });
+
+    expect(rates).toEqual([expect.objectContaining({ code: 'standard', cost: 5, zone: { id: californiaZone._id, name: 'California' } })]);
+  });
+
+  it('refuses addresses no zone covers', async () => {
+    await expect(shippingService.getRates({ address: { country: 'FR' }, items: [ring(1)] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'We do not ship to FR' });
+  });
+
+  it('falls back to the flat default rate when no zones exist', async () => {
+    ShippingZone.find.mockResolvedValue([]);
+
+    await expect(shippingService.getRates({ items: [ring(1)] })).resolves.toEqual([
+      expect.objectContaining({ code: 'standard', cost: 10, isFree: false, zone: null })
+    ]);
+  });
+
+  it('converts costs into the shopper currency', async () => {
+    const rates = await shippingService.getRates({
+      address: { country: 'US' },
+      items: [ring(1)],
+      currency: { currency: 'EUR', base: 'USD', rate: 0.9 }
+    });
+
+    expect(rates[0]).toMatchObject({ code: 'standard', cost: 7.2 });
+  });
+
+  describe('calculateShipping', () => {
+    it('uses the chosen method', async () => {
+      await expect(shippingService.calculateShipping({ address: { country: 'US' }, items: [ring(1)], method: { code: 'express' } }))
+        .resolves.toMatchObject({ code: 'express', cost: 25 });
+    });
+
+    it('rejects methods not offered for the address', async () => {
+      await expect(shippingService.calculateShipping({ address: { country: 'US', state: 'CA' }, items: [ring(1)], method: 'express' }))
+        .rejects.toThrow('Shipping method "express" is not available for this address. Available: standard');
+    });
+  });
+});
\ No newline at end of file
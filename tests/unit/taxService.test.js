@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Product = require('../../src/models/Product');
+const TaxRate = require('../../src/models/TaxRate');
+const settingService = require('../../src/services/settingService');
+const taxService = require('../../src/services/taxService');
+const mockQuery = require('../helpers/mockQuery');
+
+const ringId = new mongoose.Types.ObjectId();
+const giftCardId = new mongoose.Types.ObjectId();
+
+const rates = [
+  new TaxRate({ name: 'California', country: 'US', state: 'CA', rate: 7.25, appliesToShipping: true }),
+  new TaxRate({ name: 'Los Angeles', country: 'US', state: 'CA', postalPrefix: '900', rate: 9.5 }),
+  new TaxRate({ name: 'California gift cards', country: 'US', state: 'CA', taxClass: 'exempt', rate: 0 })
+];
+
+describe('taxService', () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = {};
+    jest.spyOn(settingService, 'get').mockImplementation(async (key, fallback) =>
+      (settings[key] !== undefined ? settings[key] : fallback)
+    );
+    jest.spyOn(Product, 'find').mockReturnValue(mockQuery([
+      { _id: ringId, category: { taxClass: 'standard' } },
+      { _id: giftCardId, taxClass: 'exempt' }
+    ]));
+    jest.spyOn(TaxRate, 'find').mockResolvedValue(rates);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges nothing until the destination is known', async () => {
+    const result = await taxService.calculateTax({ items: [{ product: ringId, quantity: 1, price: 100 }] });
+
+    expect(result.total).toBe(0);
+    expect(TaxRate.find).not.toHaveBeenCalled();
+  });
+
+  it('uses the most specific rate for each line and its tax class', async () => {
+    const result = await taxService.calculateTax({
+      address: { country: 'US', state: 'CA', zipCode: '90012' },
+      items: [
+        { product: ringId, quantity: 1, price: 200 },
+        { product: giftCardId, quantity: 1, price: 50 }
+      ]
+    });
+
+    expect(result.lines.map(line => [line.taxClass, line.jurisdiction, line.amount])).toEqual([
+      ['standard', 'US-CA-900', 19],
+      ['exempt', 'US-CA', 0]
+    ]);
+  });
+
+  it('spreads an order discount over the lines before tax', async () => {
+    const result = await taxService.calculateTax({
+      address: { country: 'US', state: 'CA', zipCode: '94105' },
+      items: [
+        { product: ringId, quantity: 1, price: 300 },
+        { product: ringId, quantity: 1, price: 100 }
+      ],
+      discount: 40
+    });
+
+    expect(result.lines.map(line => line.taxableAmount)).toEqual([270, 90]);
+    expect(result.lines.map(line => line.amount)).toEqual([19.58, 6.53]);
+  });
+
+  it('taxes shipping where the state rate says so', async () => {
+    const result = await taxService.calculateTax({
+      address: { country: 'US', state: 'CA', zipCode: '94105' },
+      items: [{ product: ringId, quantity: 1, price: 100 }],
+      shippingCost: 20
+    });
+
+    expect(result.shipping).toMatchObject({ jurisdiction: 'US-CA', rate: 7.25, amount: 1.45 });
+    expect(result.total).toBe(8.7);
+  });
+
+  it('takes tax out of inclusive prices', async () => {
+    settings.tax_inclusive_pricing = true;
+
+    const result = await taxService.calculateTax({
+      address: { country: 'US', state: 'CA', zipCode: '90012' },
+      items: [{ product: ringId, quantity: 1, price: 109.5 }]
+    });
+
+    expect(result.inclusive).toBe(true);
+    expect(result.total).toBe(9.5);
+  });
+
+  it('falls back to local rates when the remote provider fails', async () => {
+    settings.tax_provider = 'stripe';
+    jest.spyOn(taxService.providers.stripe, 'calculate').mockRejectedValue(new Error('Stripe Tax unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await taxService.calculateTax({
+      address: { country: 'US', state: 'CA', zipCode: '94105' },
+      items: [{ product: ringId, quantity: 1, price: 100 }]
+    });
+
+    expect(result.provider).toBe('local');
+    expect(result.total).toBe(7.25);
+  });
+});
\ No newline at end of file
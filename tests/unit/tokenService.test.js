@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../../src/models/RefreshToken');
+const RevokedToken = require('../../src/models/RevokedToken');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const { jwtUtils } = require('../../src/config/auth');
+const tokenService = require('../../src/services/tokenService');
+const mockQuery = require('../helpers/mockQuery');
+
+const user = { _id: new mongoose.Types.ObjectId(), isActive: true };
+
+describe('tokenService', () => {
+  beforeEach(() => {
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(RevokedToken, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(RevokedToken, 'exists').mockResolvedValue(null);
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues an access token bound to a new session and stores only the refresh token hash', async () => {
+    const issued = await tokenService.issueTokens(user, { mfa: true, ipAddress: '203.0.113.5' });
+
+    const decoded = await tokenService.verifyAccessToken(issued.token);
+    expect(decoded).toEqual(expect.objectContaining({ id: user._id.toString(), sid: issued.sessionId, mfa: true }));
+    expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+      family: issued.sessionId,
+      tokenHash: jwtUtils.hashToken(issued.refreshToken),
+      accessTokenExpiresAt: issued.expiresAt
+    }));
+    expect(RefreshToken.create.mock.calls[0][0].tokenHash).not.toBe(issued.refreshToken);
+  });
+
+  describe('rotate', () => {
+    it('swaps a refresh token for a new pair in the same session', async () => {
+      const current = {
+        _id: new mongoose.Types.ObjectId(),
+        user,
+        family: 'session-1',
+        sessionStartedAt: new Date('2026-05-01T00:00:00Z'),
+        mfa: true,
+        save: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(mockQuery(current));
+
+      const rotated = await tokenService.rotate('refresh-1');
+
+      expect(RefreshToken.findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+        tokenHash: jwtUtils.hashToken('refresh-1'),
+        usedAt: null,
+        revokedAt: null
+      }));
+      expect(rotated.sessionId).toBe('session-1');
+      expect(rotated.record.sessionStartedAt).toBe(current.sessionStartedAt);
+      expect(current.replacedBy).toBe(rotated.record._id);
+      expect(current.save).toHaveBeenCalled();
+    });
+
+    it('ends the whole session when a used token is presented again', async () => {
+      const family = 'session-1';
+      const accessTokenExpiresAt = new Date(Date.now() + 15 * 60 * 1000);
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ user: user._id, family, expiresAt: new Date(Date.now() + 60000) });
+      RefreshToken.aggregate.mockResolvedValue([{ _id: family, accessTokenExpiresAt }]);
+
+      await expect(tokenService.rotate('stolen', { ipAddress: '198.51.100.7' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family, revokedAt: null },
+        { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' }
+      );
+      expect(RevokedToken.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { tokenId: family },
+          update: { $max: { expiresAt: accessTokenExpiresAt } },
+          upsert: true
+        }
+      }], { ordered: false });
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'refresh_token_reuse',
+        ipAddress: '198.51.100.7',
+        details: { sessionId: family }
+      }));
+    });
+
+    it('only refuses unknown or expired tokens', async () => {
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+
+      await expect(tokenService.rotate('unknown')).rejects.toThrow('Refresh token is invalid or has expired; please sign in again');
+      await expect(tokenService.rotate()).rejects.toMatchObject({ statusCode: 400 });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('ends the session of a deactivated account', async () => {
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(mockQuery({ user: { ...user, isActive: false }, family: 'session-1' }));
+
+      await expect(tokenService.rotate('refresh-1')).rejects.toThrow('Account has been deactivated');
+      expect(RefreshToken.updateMany.mock.calls[0][1].revokedReason).toBe('account_disabled');
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    it('refuses tokens whose id or session has been revoked on any instance', async () => {
+      const { token, sessionId } = await tokenService.issueTokens(user);
+      const { jti } = jwtUtils.verifyToken(token);
+      RevokedToken.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await expect(tokenService.verifyAccessToken(token)).rejects.toThrow('Token has been revoked');
+      expect(RevokedToken.exists).toHaveBeenCalledWith({
+        tokenId: { $in: [jti, sessionId] },
+        expiresAt: { $gt: expect.any(Date) }
+      });
+    });
+
+    it('refuses tokens without a session', async () => {
+      const token = jwtUtils.generateToken({ id: user._id.toString() });
+
+      await expect(tokenService.verifyAccessToken(token)).rejects.toThrow('Invalid token');
+    });
+  });
+
+  it('revokes one access token until it would have expired', async () => {
+    await tokenService.revokeAccessToken({ jti: 'token-1', exp: 1893456000 });
+
+    expect(RevokedToken.bulkWrite.mock.calls[0][0][0].updateOne).toEqual({
+      filter: { tokenId: 'token-1' },
+      update: { $max: { expiresAt: new Date(1893456000 * 1000) } },
+      upsert: true
+    });
+  });
+
+  it('signs a user out everywhere but the current session', async () => {
+    RefreshToken.aggregate.mockResolvedValue([{ _id: 'session-2' }, { _id: 'session-3' }]);
+
+    expect(await tokenService.revokeUserSessions(user._id, 'password_changed', { except: 'session-1' })).toBe(2);
+
+    expect(RefreshToken.aggregate.mock.calls[0][0][0].$match).toEqual(expect.objectContaining({
+      user: user._id,
+      family: { $ne: 'session-1' }
+    }));
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { user: user._id, family: { $in: ['session-2', 'session-3'] }, revokedAt: null },
+      { revokedAt: expect.any(Date), revokedReason: 'password_changed' }
+    );
+    // Sessions without a recorded access token expiry are kept for the refresh window
+    expect(RevokedToken.bulkWrite.mock.calls[0][0].map(({ updateOne }) => updateOne.update.$max.expiresAt))
+      .toEqual([expect.any(Date), expect.any(Date)]);
+  });
+
+  it('only signs out sessions the user owns', async () => {
+    jest.spyOn(RefreshToken, 'exists').mockResolvedValue(null);
+
+    await expect(tokenService.revokeSession(user._id, 'someone-elses')).rejects.toMatchObject({ statusCode: 404 });
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
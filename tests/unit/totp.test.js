@@ -0,0 +1,56 @@
+const totp = require('../../src/utils/totp');
+
+// The RFC 4226 and RFC 6238 test secret, "12345678901234567890"
+const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+    expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character "1"');
+  });
+
+  it('matches the RFC 4226 HOTP test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    expect(expected.map((code, counter) => totp.generateHotp(secret, counter))).toEqual(expected);
+  });
+
+  it('matches the RFC 6238 SHA-1 test values', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    vectors.forEach(([seconds, code]) => {
+      expect(totp.generateTotp(secret, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+
+  it('accepts codes from neighbouring steps and returns the step that matched', () => {
+    const time = 1111111111 * 1000;
+    const previous = totp.generateTotp(secret, { time: time - 30 * 1000 });
+
+    expect(totp.verifyTotp(secret, previous, { time })).toBe(totp.getTimeStep(time) - 1);
+    expect(totp.verifyTotp(secret, previous, { time, window: 0 })).toBeNull();
+    expect(totp.verifyTotp(secret, totp.generateTotp(secret, { time: time - 90 * 1000 }), { time })).toBeNull();
+  });
+
+  it('ignores spaces and refuses malformed codes', () => {
+    const time = 1234567890 * 1000;
+    const code = totp.generateTotp(secret, { time });
+
+    expect(totp.verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).not.toBeNull();
+    expect(totp.verifyTotp(secret, '12345', { time })).toBeNull();
+    expect(totp.verifyTotp(secret, undefined, { time })).toBeNull();
+  });
+
+  it('builds a key URI for authenticator apps', () => {
+    expect(totp.buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ada@example.com', issuer: 'Angara Jewelry' }))
+      .toBe('otpauth://totp/Angara%20Jewelry:ada%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Angara%20Jewelry&algorithm=SHA1&digits=6&period=30');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const SecurityEvent = require('../../src/models/SecurityEvent');
+const tokenService = require('../../src/services/tokenService');
+const twoFactorService = require('../../src/services/twoFactorService');
+const totp = require('../../src/utils/totp');
+const { authConfig, jwtUtils } = require('../../src/config/auth');
+const mockQuery = require('../helpers/mockQuery');
+
+const account = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'ada@example.com',
+  role: 'customer',
+  isActive: true,
+  twoFactor: { enabled: false },
+  save: jest.fn().mockResolvedValue(),
+  comparePassword: jest.fn().mockResolvedValue(true),
+  ...fields
+});
+
+// An account that has finished enrollment, with its authenticator secret
+const enrolledAccount = async (fields) => {
+  const user = account(fields);
+  User.findById.mockReturnValue(mockQuery(user));
+  const { secret } = await twoFactorService.startEnrollment(user._id);
+  const { recoveryCodes } = await twoFactorService.completeEnrollment(user._id, totp.generateTotp(secret));
+  return { user, secret, recoveryCodes };
+};
+
+describe('twoFactorService', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById');
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertConfigured', () => {
+    const { encryptionKey } = authConfig.twoFactor;
+
+    afterEach(() => {
+      authConfig.twoFactor.encryptionKey = encryptionKey;
+    });
+
+    it('passes with a key of its own', () => {
+      expect(() => twoFactorService.assertConfigured()).not.toThrow();
+    });
+
+    it('refuses to start without a key or with the JWT secret', () => {
+      authConfig.twoFactor.encryptionKey = undefined;
+      expect(() => twoFactorService.assertConfigured()).toThrow('TWO_FACTOR_ENCRYPTION_KEY must be set');
+
+      authConfig.twoFactor.encryptionKey = authConfig.jwt.secret;
+      expect(() => twoFactorService.assertConfigured()).toThrow('must not be the same as JWT_SECRET');
+    });
+
+    it('will not store a secret without a key', async () => {
+      authConfig.twoFactor.encryptionKey = undefined;
+      User.findById.mockReturnValue(mockQuery(account()));
+
+      await expect(twoFactorService.startEnrollment('user-1')).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('enrollment', () => {
+    it('keeps the new secret encrypted and pending until a code confirms it', async () => {
+      const user = account();
+      User.findById.mockReturnValue(mockQuery(user));
+
+      const { secret, otpauthUrl } = await twoFactorService.startEnrollment(user._id);
+
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(user.twoFactor.pendingSecret).not.toContain(secret);
+      expect(user.twoFactor.enabled).toBe(false);
+
+      await expect(twoFactorService.completeEnrollment(user._id, '000000')).rejects.toThrow('Invalid verification code');
+      expect(user.twoFactor.enabled).toBe(false);
+    });
+
+    it('turns two-factor on and hands out hashed recovery codes', async () => {
+      const { user, recoveryCodes } = await enrolledAccount();
+
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.pendingSecret).toBeUndefined();
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(user.twoFactor.recoveryCodes[0]).toEqual({ hash: jwtUtils.hashToken(recoveryCodes[0].replace('-', '')) });
+      expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'two_factor_enabled' }));
+    });
+  });
+
+  describe('verifyLogin', () => {
+    it('accepts a code only for a step newer than the last one used', async () => {
+      const { user, secret } = await enrolledAccount();
+      const code = totp.generateTotp(secret);
+
+      expect(await twoFactorService.verifyLogin(user, { code })).toBe(true);
+      const [filter, update] = User.updateOne.mock.calls[User.updateOne.mock.calls.length - 1];
+      const step = update.$set['twoFactor.lastUsedStep'];
+      expect(step).toBe(totp.getTimeStep());
+      expect(filter.$or).toEqual([{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]);
+
+      // Replaying the code matches nothing once its step is recorded
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await twoFactorService.verifyLogin(user, { code })).toBe(false);
+    });
+
+    it('spends a recovery code once, ignoring case and dashes', async () => {
+      const { user, recoveryCodes } = await enrolledAccount();
+
+      expect(await twoFactorService.verifyLogin(user, { recoveryCode: recoveryCodes[0].toUpperCase().replace('-', '') })).toBe(true);
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: user.twoFactor.recoveryCodes[0].hash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': expect.any(Date) } }
+      );
+      expect(SecurityEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'recovery_code_used',
+        details: { remaining: 9 }
+      }));
+    });
+
+    it('refuses codes for accounts without two-factor', async () => {
+      expect(await twoFactorService.verifyLogin(account(), { code: '123456' })).toBe(false);
+    });
+  });
+
+  describe('challenges', () => {
+    it('load the user for the step they were issued for', async () => {
+      const user = account();
+      User.findById.mockReturnValue(mockQuery(user));
+      const challenge = twoFactorService.createChallenge(user, 'verify');
+
+      expect(await twoFactorService.verifyChallenge(challenge, 'verify')).toBe(user);
+      await expect(twoFactorService.verifyChallenge(challenge, 'setup')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('are not access tokens', async () => {
+      const token = jwtUtils.generateToken({ id: new mongoose.Types.ObjectId().toString(), sid: 'session-1' });
+
+      await expect(twoFactorService.verifyChallenge(token, 'verify')).rejects.toThrow('Sign-in has expired; please sign in again');
+    });
+  });
+
+  it('asks admins to enroll and customers only when they opted in', () => {
+    expect(twoFactorService.getLoginStep(account({ role: 'admin' }))).toBe('setup');
+    expect(twoFactorService.getLoginStep(account())).toBeNull();
+    expect(twoFactorService.getLoginStep(account({ twoFactor: { enabled: true } }))).toBe('verify');
+  });
+
+  it('turns two-factor off with the password and a current code', async () => {
+    const { user, secret } = await enrolledAccount();
+    user.comparePassword.mockResolvedValueOnce(false);
+
+    await expect(twoFactorService.disable(user._id, { password: 'wrong', code: totp.generateTotp(secret) }))
+      .rejects.toThrow('Password is incorrect');
+
+    await twoFactorService.disable(user._id, { password: 'secret', code: totp.generateTotp(secret) });
+    expect(User.updateOne).toHaveBeenLastCalledWith({ _id: user._id }, expect.objectContaining({
+      $set: { 'twoFactor.enabled': false }
+    }));
+    expect(SecurityEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'two_factor_disabled' }));
+  });
+
+  it('does not let roles that require two-factor turn it off', async () => {
+    const { user, secret } = await enrolledAccount({ role: 'admin' });
+
+    await expect(twoFactorService.disable(user._id, { password: 'secret', code: totp.generateTotp(secret) }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('lets an admin reset a lost authenticator and signs every session out', async () => {
+    jest.spyOn(tokenService, 'revokeUserSessions').mockResolvedValue(2);
+    const user = account({ twoFactor: { enabled: true } });
+
+    expect(await twoFactorService.reset(user, { actor: 'admin-1' })).toBe(true);
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, expect.objectContaining({
+      $set: { 'twoFactor.enabled': false }
+    }));
+    expect(tokenService.revokeUserSessions).toHaveBeenCalledWith(user._id, 'two_factor_reset');
+  });
+});
\ No newline at end of file